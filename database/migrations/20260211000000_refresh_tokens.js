@@ -0,0 +1,65 @@
+/**
+ * Migration: Create the `refresh_tokens` table.
+ *
+ * Every refresh token issued by the API is recorded here so it can be
+ * rotated and revoked server-side. The row `id` is the token's `jti`
+ * claim — the signed JWT itself is never stored.
+ *
+ * Tokens are grouped into families: signin starts a new family and
+ * every refresh issues the next token in the same family while marking
+ * the presented one as used. Presenting an already-used token is
+ * treated as theft and revokes the whole family.
+ *
+ * Columns:
+ *   - id          UUID primary key — matches the token's `jti` claim
+ *   - user_id     FK to users.id (CASCADE delete)
+ *   - family_id   groups all tokens descended from a single signin
+ *   - expires_at  when the token stops being accepted
+ *   - used_at     when the token was exchanged (null while unused)
+ *   - revoked_at  when the token was revoked (null while active)
+ *   - created_at  timezone-aware creation timestamp
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.createTable("refresh_tokens", (table) => {
+    // Primary key — the token's jti claim, generated by the application layer
+    table.uuid("id").primary()
+
+    // The user this token was issued to
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // Token family — shared by every token rotated from the same signin
+    table.uuid("family_id").notNullable()
+
+    // When this token stops being accepted
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // Set when the token is exchanged for a new one
+    table.timestamp("used_at", { useTz: true }).nullable()
+
+    // Set when the token (or its family) is revoked
+    table.timestamp("revoked_at", { useTz: true }).nullable()
+
+    // When the token was issued
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Index for revoking an entire family at once
+    table.index("family_id")
+
+    // Index for revoking all of a user's tokens
+    table.index("user_id")
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.dropTable("refresh_tokens")
+}
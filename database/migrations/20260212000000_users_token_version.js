@@ -0,0 +1,31 @@
+/**
+ * Migration: Add `token_version` to the `users` table.
+ *
+ * Every access token carries the user's token version at the time it was
+ * issued (the `ver` claim). Incrementing the column invalidates all of the
+ * user's outstanding access tokens at once — used by "logout everywhere".
+ *
+ * Columns added:
+ *   - token_version  integer, starts at 0 and only ever increases
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    // Bumped to invalidate every access token issued before the change
+    table.integer("token_version").notNullable().defaultTo(0)
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropColumn("token_version")
+  })
+}
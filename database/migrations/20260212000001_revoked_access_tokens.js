@@ -0,0 +1,48 @@
+/**
+ * Migration: Create the `revoked_access_tokens` table.
+ *
+ * Access tokens are stateless JWTs, so revoking one before it expires
+ * requires a denylist. Logging out records the token's `jti` here and the
+ * auth middleware rejects any token whose `jti` is present.
+ *
+ * Rows are only needed until the token would have expired anyway;
+ * expired rows are pruned opportunistically on logout.
+ *
+ * Columns:
+ *   - id          UUID primary key — the revoked token's `jti` claim
+ *   - user_id     FK to users.id (CASCADE delete)
+ *   - expires_at  when the revoked token would have expired
+ *   - revoked_at  when the token was revoked
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.createTable("revoked_access_tokens", (table) => {
+    // Primary key — the jti claim of the revoked access token
+    table.uuid("id").primary()
+
+    // The user the token was issued to
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // When the revoked token would have expired — rows past this are prunable
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // When the token was revoked
+    table.timestamp("revoked_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Index for pruning expired rows
+    table.index("expires_at")
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.dropTable("revoked_access_tokens")
+}
@@ -0,0 +1,94 @@
+/**
+ * Migration: Create the `sessions` table and attach refresh tokens to it.
+ *
+ * A session is one signin on one device. It replaces the bare refresh
+ * token "family" id: every refresh token now belongs to a session, and
+ * access tokens carry the session id (`sid` claim) so revoking a session
+ * immediately invalidates its access tokens as well.
+ *
+ * Existing token families are converted into sessions so users stay
+ * signed in across the migration.
+ *
+ * Columns:
+ *   - id            UUID primary key
+ *   - user_id       FK to users.id (CASCADE delete)
+ *   - device_name   optional client-supplied label (e.g. "Work laptop")
+ *   - ip_address    IP address the session was last used from
+ *   - user_agent    User-Agent header the session was created with
+ *   - created_at    when the user signed in
+ *   - last_used_at  when the session's refresh token was last rotated
+ *   - expires_at    when the session's current refresh token expires
+ *   - revoked_at    when the session was ended (null while active)
+ *
+ * Columns changed on `refresh_tokens`:
+ *   - family_id → session_id, now a FK to sessions.id (CASCADE delete)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable("sessions", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // The user who signed in
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // Optional label chosen by the client at signin
+    table.string("device_name", 100).nullable()
+
+    // Where the session was last used from
+    table.string("ip_address", 45).nullable()
+
+    // The client that created the session
+    table.string("user_agent", 512).nullable()
+
+    // Lifecycle timestamps
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+    table.timestamp("last_used_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+    table.timestamp("revoked_at", { useTz: true }).nullable()
+
+    // Index for listing a user's sessions
+    table.index("user_id")
+  })
+
+  // Turn every existing token family into a session
+  await knex.raw(`
+    INSERT INTO sessions (id, user_id, created_at, last_used_at, expires_at, revoked_at)
+    SELECT
+      family_id,
+      MIN(user_id::text)::uuid,
+      MIN(created_at),
+      MAX(created_at),
+      MAX(expires_at),
+      CASE WHEN COUNT(*) FILTER (WHERE revoked_at IS NULL AND used_at IS NULL) = 0
+        THEN MAX(COALESCE(revoked_at, used_at)) END
+    FROM refresh_tokens
+    GROUP BY family_id
+  `)
+
+  await knex.schema.alterTable("refresh_tokens", (table) => {
+    table.renameColumn("family_id", "session_id")
+  })
+  await knex.schema.alterTable("refresh_tokens", (table) => {
+    table.foreign("session_id").references("id").inTable("sessions").onDelete("CASCADE")
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.alterTable("refresh_tokens", (table) => {
+    table.dropForeign("session_id")
+  })
+  await knex.schema.alterTable("refresh_tokens", (table) => {
+    table.renameColumn("session_id", "family_id")
+  })
+  await knex.schema.dropTable("sessions")
+}
@@ -0,0 +1,58 @@
+/**
+ * Migration: Create the `user_tokens` table.
+ *
+ * Stores single-use tokens that are emailed to users (e.g., password
+ * reset links). Only a SHA-256 hash of each token is kept, so a database
+ * leak does not expose usable links. A token is consumed by setting
+ * `used_at`; expired or used tokens are never accepted again.
+ *
+ * Columns:
+ *   - id          UUID primary key
+ *   - user_id     FK to users.id (CASCADE delete)
+ *   - purpose     what the token is for: "password_reset"
+ *   - token_hash  hex-encoded SHA-256 of the token (unique)
+ *   - expires_at  when the token stops being accepted
+ *   - used_at     when the token was consumed (null while unused)
+ *   - created_at  timezone-aware creation timestamp
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.createTable("user_tokens", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // The user the token was issued to
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // What the token can be used for
+    table.string("purpose", 30).notNullable()
+
+    // SHA-256 of the token — the raw token only ever exists in the email
+    table.string("token_hash", 64).notNullable().unique()
+
+    // When this token stops being accepted
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // Set when the token is consumed (or superseded)
+    table.timestamp("used_at", { useTz: true }).nullable()
+
+    // When the token was issued
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Index for invalidating a user's outstanding tokens of one purpose
+    table.index(["user_id", "purpose"])
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.dropTable("user_tokens")
+}
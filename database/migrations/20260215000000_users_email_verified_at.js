@@ -0,0 +1,31 @@
+/**
+ * Migration: Add `email_verified_at` to the `users` table.
+ *
+ * An email address is only trusted once the user has proven they control
+ * it by following an emailed verification link. Changing the address
+ * clears the column again.
+ *
+ * Columns added:
+ *   - email_verified_at  when the current email was verified (null while unverified)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    // Set when the user follows the verification link for their current email
+    table.timestamp("email_verified_at", { useTz: true }).nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropColumn("email_verified_at")
+  })
+}
@@ -0,0 +1,69 @@
+/**
+ * Migration: Add TOTP two-factor authentication.
+ *
+ * Columns added to `users`:
+ *   - totp_secret          base32 TOTP secret (set at enrollment, null when 2FA is off)
+ *   - totp_enabled_at      when enrollment was confirmed — 2FA is enforced only once set
+ *   - totp_last_used_step  last accepted TOTP time step, so a code cannot be replayed
+ *
+ * Creates the `recovery_codes` table — one-time codes that replace a TOTP code
+ * when the user has lost their authenticator. Only SHA-256 hashes are stored.
+ *
+ * Columns:
+ *   - id          UUID primary key
+ *   - user_id     FK to users.id (CASCADE delete)
+ *   - code_hash   hex-encoded SHA-256 of the normalized code
+ *   - used_at     when the code was consumed (null while unused)
+ *   - created_at  timezone-aware creation timestamp
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.alterTable("users", (table) => {
+    // Shared secret for the user's authenticator app
+    table.string("totp_secret", 64).nullable()
+
+    // Set once the user proves their authenticator works
+    table.timestamp("totp_enabled_at", { useTz: true }).nullable()
+
+    // Replay protection — codes for this step or earlier are rejected
+    table.bigInteger("totp_last_used_step").nullable()
+  })
+
+  await knex.schema.createTable("recovery_codes", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // The user the code belongs to
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // SHA-256 of the code — the raw code is shown to the user once
+    table.string("code_hash", 64).notNullable()
+
+    // Set when the code is used to sign in
+    table.timestamp("used_at", { useTz: true }).nullable()
+
+    // When the code was generated
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Index for looking up a user's codes
+    table.index("user_id")
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.dropTable("recovery_codes")
+  await knex.schema.alterTable("users", (table) => {
+    table.dropColumn("totp_last_used_step")
+    table.dropColumn("totp_enabled_at")
+    table.dropColumn("totp_secret")
+  })
+}
@@ -0,0 +1,42 @@
+/**
+ * Migration: Add failed-signin tracking to the `users` table.
+ *
+ * The IP-based auth rate limiter cannot stop an attacker who spreads
+ * guesses for one account over many addresses, so failures are also
+ * counted per account. Repeated failures first delay the next attempt,
+ * then lock the account for a while.
+ *
+ * Columns added:
+ *   - failed_signin_count    consecutive failed attempts since the last success
+ *   - last_failed_signin_at  when the most recent failed attempt happened
+ *   - locked_until           signin is refused until this time (null while unlocked)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    // Reset to 0 on successful signin or when a lockout expires
+    table.integer("failed_signin_count").notNullable().defaultTo(0)
+
+    // Start of the progressive delay window
+    table.timestamp("last_failed_signin_at", { useTz: true }).nullable()
+
+    // Set once failed_signin_count reaches the lockout threshold
+    table.timestamp("locked_until", { useTz: true }).nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropColumn("failed_signin_count")
+    table.dropColumn("last_failed_signin_at")
+    table.dropColumn("locked_until")
+  })
+}
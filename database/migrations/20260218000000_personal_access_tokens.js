@@ -0,0 +1,91 @@
+/**
+ * Migration: Create the `personal_access_tokens` and
+ * `personal_access_token_permissions` tables.
+ *
+ * Personal access tokens are long-lived credentials for scripts and
+ * integrations. Each token is bound to one organization and a subset of
+ * permissions; requests made with it get the intersection of the owner's
+ * permissions and the token's scopes. Only a SHA-256 hash of the token is
+ * stored.
+ *
+ * `personal_access_tokens` columns:
+ *   - id            UUID primary key
+ *   - user_id       FK to users.id (CASCADE delete)
+ *   - org_id        FK to organizations.id (CASCADE delete)
+ *   - name          user-chosen label (e.g., "CI deploy")
+ *   - token_hash    hex-encoded SHA-256 of the token (unique)
+ *   - expires_at    when the token stops being accepted
+ *   - last_used_at  when the token last authenticated a request (null if never)
+ *   - revoked_at    when the token was revoked (null while active)
+ *   - created_at    timezone-aware creation timestamp
+ *
+ * `personal_access_token_permissions` columns:
+ *   - token_id       FK to personal_access_tokens.id (CASCADE delete)
+ *   - permission_id  FK to permissions.id (CASCADE delete)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable("personal_access_tokens", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // The user the token acts as
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // The only organization the token can access
+    table.uuid("org_id").notNullable()
+    table.foreign("org_id").references("id").inTable("organizations").onDelete("CASCADE")
+
+    // Label shown in the token list
+    table.string("name", 100).notNullable()
+
+    // SHA-256 of the token — the raw token is shown to the user once
+    table.string("token_hash", 64).notNullable().unique()
+
+    // When this token stops being accepted
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // Updated every time the token authenticates a request
+    table.timestamp("last_used_at", { useTz: true }).nullable()
+
+    // Set when the user revokes the token
+    table.timestamp("revoked_at", { useTz: true }).nullable()
+
+    // When the token was created
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Index for listing a user's tokens
+    table.index("user_id")
+  })
+
+  await knex.schema.createTable("personal_access_token_permissions", (table) => {
+    // Token that is granted the scope
+    table.uuid("token_id").notNullable()
+    table
+      .foreign("token_id")
+      .references("id")
+      .inTable("personal_access_tokens")
+      .onDelete("CASCADE")
+
+    // Permission the token may use
+    table.uuid("permission_id").notNullable()
+    table.foreign("permission_id").references("id").inTable("permissions").onDelete("CASCADE")
+
+    // Composite primary key prevents duplicate scopes
+    table.primary(["token_id", "permission_id"])
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.dropTable("personal_access_token_permissions")
+  await knex.schema.dropTable("personal_access_tokens")
+}
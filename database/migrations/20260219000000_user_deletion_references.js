@@ -0,0 +1,80 @@
+/**
+ * Migration: Let users be deleted without losing shared data.
+ *
+ * Projects, todos, and invitations outlive the user who created them, so
+ * their author columns become nullable and are cleared (anonymized) when
+ * the user is deleted. Invitations addressed to a deleted user are removed
+ * with them. `organizations.created_by` stays required — account deletion
+ * hands it to another owner of the organization instead.
+ *
+ * Columns changed:
+ *   - projects.created_by     nullable, ON DELETE SET NULL
+ *   - todos.user_id           nullable, ON DELETE SET NULL
+ *   - invitations.inviter_id  nullable, ON DELETE SET NULL
+ *   - invitations.invitee_id  ON DELETE CASCADE
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.alterTable("projects", (table) => {
+    // Null once the creating user has been deleted
+    table.dropForeign("created_by")
+    table.uuid("created_by").nullable().alter()
+    table.foreign("created_by").references("id").inTable("users").onDelete("SET NULL")
+  })
+
+  await knex.schema.alterTable("todos", (table) => {
+    // Null once the creating user has been deleted
+    table.dropForeign("user_id")
+    table.uuid("user_id").nullable().alter()
+    table.foreign("user_id").references("id").inTable("users").onDelete("SET NULL")
+  })
+
+  await knex.schema.alterTable("invitations", (table) => {
+    // Null once the inviting user has been deleted
+    table.dropForeign("inviter_id")
+    table.uuid("inviter_id").nullable().alter()
+    table.foreign("inviter_id").references("id").inTable("users").onDelete("SET NULL")
+
+    // Invitations addressed to a deleted user go with them
+    table.dropForeign("invitee_id")
+    table.foreign("invitee_id").references("id").inTable("users").onDelete("CASCADE")
+  })
+}
+
+/**
+ * Rows anonymized while this migration was applied have no author to restore,
+ * so they are deleted before the columns become NOT NULL again.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex("invitations").whereNull("inviter_id").delete()
+  await knex("todos").whereNull("user_id").delete()
+  await knex("projects").whereNull("created_by").delete()
+
+  await knex.schema.alterTable("invitations", (table) => {
+    table.dropForeign("invitee_id")
+    table.foreign("invitee_id").references("id").inTable("users")
+
+    table.dropForeign("inviter_id")
+    table.uuid("inviter_id").notNullable().alter()
+    table.foreign("inviter_id").references("id").inTable("users")
+  })
+
+  await knex.schema.alterTable("todos", (table) => {
+    table.dropForeign("user_id")
+    table.uuid("user_id").notNullable().alter()
+    table.foreign("user_id").references("id").inTable("users")
+  })
+
+  await knex.schema.alterTable("projects", (table) => {
+    table.dropForeign("created_by")
+    table.uuid("created_by").notNullable().alter()
+    table.foreign("created_by").references("id").inTable("users")
+  })
+}
@@ -0,0 +1,102 @@
+/**
+ * Migration: Create the `user_identities` and `oidc_login_requests` tables.
+ *
+ * A user identity links an account at an external OpenID Connect provider
+ * (identified by the provider's `sub` claim) to a local user, so signing in
+ * with that provider signs in as the same user every time.
+ *
+ * An OIDC login request holds the secrets of one authorization code flow
+ * between its start and the callback: the PKCE code verifier and the nonce
+ * expected in the ID token. The `state` sent to the provider is stored only
+ * as a SHA-256 hash, and each request can be completed once.
+ *
+ * `user_identities` columns:
+ *   - id            UUID primary key
+ *   - user_id       FK to users.id (CASCADE delete)
+ *   - provider      configured provider name (e.g., "google")
+ *   - subject       the provider's stable user ID (`sub` claim)
+ *   - email         email the provider reported at the last signin (nullable)
+ *   - created_at    when the identity was linked
+ *   - last_used_at  when the identity was last used to sign in
+ *
+ * `oidc_login_requests` columns:
+ *   - id             UUID primary key
+ *   - provider       configured provider name
+ *   - state_hash     hex-encoded SHA-256 of the `state` parameter (unique)
+ *   - code_verifier  PKCE code verifier sent with the code exchange
+ *   - nonce          value the ID token's `nonce` claim must match
+ *   - device_name    device label for the session the login creates (nullable)
+ *   - expires_at     when the request can no longer be completed
+ *   - created_at     timezone-aware creation timestamp
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable("user_identities", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // The local user the external account signs in as
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // Provider name from OIDC_PROVIDERS
+    table.string("provider", 50).notNullable()
+
+    // The provider's user ID — unique per provider, never reassigned
+    table.string("subject", 255).notNullable()
+
+    // Last email the provider reported, for display only
+    table.string("email", 255).nullable()
+
+    // When the identity was linked
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Updated on every signin with this identity
+    table.timestamp("last_used_at", { useTz: true }).nullable()
+
+    // One local user per external account
+    table.unique(["provider", "subject"])
+
+    // Index for listing a user's identities
+    table.index("user_id")
+  })
+
+  await knex.schema.createTable("oidc_login_requests", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // Provider the login was started with
+    table.string("provider", 50).notNullable()
+
+    // SHA-256 of the state — the raw value only travels through the browser
+    table.string("state_hash", 64).notNullable().unique()
+
+    // PKCE secret (RFC 7636) — never leaves the server
+    table.string("code_verifier", 128).notNullable()
+
+    // Replay protection for the ID token
+    table.string("nonce", 64).notNullable()
+
+    // Label for the session created when the login completes
+    table.string("device_name", 100).nullable()
+
+    // When this login request stops being accepted
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // When the login was started
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.dropTable("oidc_login_requests")
+  await knex.schema.dropTable("user_identities")
+}
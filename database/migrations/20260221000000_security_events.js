@@ -0,0 +1,66 @@
+/**
+ * Migration: Create the `security_events` table.
+ *
+ * An append-only audit trail of how an account was accessed: every signin
+ * (successful, failed, or stopped at the second factor), refresh token
+ * rotation, and logout, with where it came from. Users can review their own
+ * history and platform admins can review anyone's.
+ *
+ * Columns:
+ *   - id          UUID primary key
+ *   - user_id     FK to users.id (CASCADE delete)
+ *   - event       what happened: "signin", "refresh", "logout", or "logout_all"
+ *   - outcome     "success", "failure", or "challenge" (second factor required)
+ *   - method      how the user signed in: "password", "two_factor", "oidc",
+ *                 or "magic_link" (null for events other than signin)
+ *   - reason      why a failure failed (e.g., "invalid_credentials"), null otherwise
+ *   - session_id  session the event belongs to (nullable, not a FK so events
+ *                 outlive pruned sessions)
+ *   - ip_address  client IP address
+ *   - user_agent  User-Agent header of the request
+ *   - request_id  X-Request-Id of the request, for correlating with the logs
+ *   - created_at  when the event happened
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.createTable("security_events", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // The account the event happened to
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // What happened and how it ended
+    table.string("event", 30).notNullable()
+    table.string("outcome", 20).notNullable()
+    table.string("method", 30).nullable()
+    table.string("reason", 50).nullable()
+
+    // Session the event belongs to, when there is one
+    table.uuid("session_id").nullable()
+
+    // Where the request came from
+    table.string("ip_address", 45).nullable()
+    table.string("user_agent", 512).nullable()
+    table.string("request_id", 128).nullable()
+
+    // When the event happened
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Index for listing a user's history, newest first
+    table.index(["user_id", "created_at"])
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.dropTable("security_events")
+}
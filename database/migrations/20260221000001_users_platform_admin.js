@@ -0,0 +1,31 @@
+/**
+ * Migration: Add `is_platform_admin` to the `users` table.
+ *
+ * Platform admins are support staff who act above organizations (e.g.,
+ * reviewing any user's security history). The flag is only set directly in
+ * the database; no API endpoint grants it.
+ *
+ * Columns added:
+ *   - is_platform_admin  whether the user may use the /api/admin routes (default false)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    // Grants access to /api/admin — set by hand, never through the API
+    table.boolean("is_platform_admin").notNullable().defaultTo(false)
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropColumn("is_platform_admin")
+  })
+}
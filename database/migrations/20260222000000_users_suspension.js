@@ -0,0 +1,32 @@
+/**
+ * Migration: Add suspension to the `users` table.
+ *
+ * Suspending a user disables the account without deleting anything they
+ * own or authored, so it can be lifted again later.
+ *
+ * Columns added:
+ *   - suspended_at       when the user was suspended (null while active)
+ *   - suspension_reason  why, as entered by whoever suspended them
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    table.timestamp("suspended_at", { useTz: true }).nullable()
+    table.string("suspension_reason", 500).nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropColumn("suspended_at")
+    table.dropColumn("suspension_reason")
+  })
+}
@@ -0,0 +1,40 @@
+/**
+ * Migration: Add suspension to the `org_members` table.
+ *
+ * Organization owners can suspend a member inside their organization only.
+ * The membership (and the member's role) is kept, but resolveOrg refuses
+ * every request the member makes to that organization until it is lifted.
+ *
+ * Columns added:
+ *   - suspended_at       when the membership was suspended (null while active)
+ *   - suspension_reason  why, as entered by the owner
+ *   - suspended_by       FK to users.id — the owner who suspended (SET NULL on delete)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("org_members", (table) => {
+    table.timestamp("suspended_at", { useTz: true }).nullable()
+    table.string("suspension_reason", 500).nullable()
+
+    // Null once the suspending owner has been deleted
+    table.uuid("suspended_by").nullable()
+    table.foreign("suspended_by").references("id").inTable("users").onDelete("SET NULL")
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("org_members", (table) => {
+    table.dropForeign("suspended_by")
+    table.dropColumn("suspended_by")
+    table.dropColumn("suspension_reason")
+    table.dropColumn("suspended_at")
+  })
+}
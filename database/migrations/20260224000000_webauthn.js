@@ -0,0 +1,106 @@
+/**
+ * Migration: Create the `webauthn_credentials` and `webauthn_challenges` tables.
+ *
+ * A WebAuthn credential is a passkey a user registered: the public key the
+ * authenticator generated, looked up by its credential ID at signin. The sign
+ * counter reported by the authenticator is kept so a cloned authenticator,
+ * whose counter falls behind, can be detected.
+ *
+ * A WebAuthn challenge is the random value of one registration or
+ * authentication ceremony, valid for a few minutes and usable once. Only its
+ * SHA-256 hash is stored.
+ *
+ * `webauthn_credentials` columns:
+ *   - id             UUID primary key
+ *   - user_id        FK to users.id (CASCADE delete)
+ *   - credential_id  base64url credential ID chosen by the authenticator (unique)
+ *   - public_key     PEM-encoded SubjectPublicKeyInfo
+ *   - algorithm      COSE algorithm of the key (-7 ES256, -8 EdDSA, -257 RS256)
+ *   - sign_count     last signature counter reported by the authenticator
+ *   - backed_up      whether the passkey is synced between devices
+ *   - name           user-chosen label (nullable)
+ *   - created_at     when the passkey was registered
+ *   - last_used_at   when the passkey last signed a challenge (nullable)
+ *
+ * `webauthn_challenges` columns:
+ *   - id              UUID primary key
+ *   - user_id         FK to users.id (CASCADE delete); null for passwordless signin
+ *   - purpose         "registration", "authentication" or "two_factor"
+ *   - challenge_hash  hex-encoded SHA-256 of the challenge (unique)
+ *   - device_name     device label for the session a signin creates (nullable)
+ *   - expires_at      when the challenge can no longer be answered
+ *   - created_at      timezone-aware creation timestamp
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex.schema.createTable("webauthn_credentials", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // Owner of the passkey
+    table.uuid("user_id").notNullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // Credential IDs are up to 1023 bytes, 1364 characters in base64url
+    table.string("credential_id", 1400).notNullable().unique()
+
+    // Public key and the algorithm its signatures use
+    table.text("public_key").notNullable()
+    table.integer("algorithm").notNullable()
+
+    // Unsigned 32-bit counter — does not fit a Postgres integer
+    table.bigInteger("sign_count").notNullable().defaultTo(0)
+
+    // Synced passkeys survive the loss of a device
+    table.boolean("backed_up").notNullable().defaultTo(false)
+
+    // Label shown in the user's passkey list
+    table.string("name", 100).nullable()
+
+    // When the passkey was registered
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+
+    // Updated on every successful signature
+    table.timestamp("last_used_at", { useTz: true }).nullable()
+
+    // Index for listing a user's passkeys
+    table.index("user_id")
+  })
+
+  await knex.schema.createTable("webauthn_challenges", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // User the ceremony is for — unknown until a passwordless signin completes
+    table.uuid("user_id").nullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+
+    // Which ceremony the challenge was issued for
+    table.string("purpose", 20).notNullable()
+
+    // SHA-256 of the challenge — the raw value only travels through the client
+    table.string("challenge_hash", 64).notNullable().unique()
+
+    // Label for the session created when a signin completes
+    table.string("device_name", 100).nullable()
+
+    // When this challenge stops being accepted
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // When the ceremony was started
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async (knex) => {
+  await knex.schema.dropTable("webauthn_challenges")
+  await knex.schema.dropTable("webauthn_credentials")
+}
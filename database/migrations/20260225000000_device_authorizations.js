@@ -0,0 +1,68 @@
+/**
+ * Migration: Create the `device_authorizations` table.
+ *
+ * A device authorization is one run of the device flow (RFC 8628) for clients
+ * that cannot receive a browser redirect, such as a CLI. The client gets a
+ * secret device code and shows the user a short user code; a signed-in user
+ * approves the user code, and the client then trades the device code for a
+ * token pair. The row is deleted once its tokens are issued.
+ *
+ * The device code is stored only as a SHA-256 hash. The user code is stored
+ * as is — it is short by design, so a hash would not protect it, and it is
+ * useless without the device code and expires within minutes.
+ *
+ * Columns:
+ *   - id                UUID primary key
+ *   - device_code_hash  hex-encoded SHA-256 of the device code (unique)
+ *   - user_code         normalized user code, without the dash (unique)
+ *   - device_name       device label for the session the flow creates (nullable)
+ *   - user_id           FK to users.id (CASCADE delete); the approving user, null until approved
+ *   - approved_at       when the user approved the request (nullable)
+ *   - interval_seconds  how long the client must wait between polls
+ *   - last_polled_at    when the client last polled for tokens (nullable)
+ *   - expires_at        when the codes stop being accepted
+ *   - created_at        timezone-aware creation timestamp
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.createTable("device_authorizations", (table) => {
+    // Primary key — generated by the application layer
+    table.uuid("id").primary()
+
+    // SHA-256 of the device code — the raw value only lives in the client
+    table.string("device_code_hash", 64).notNullable().unique()
+
+    // Code the user types in on an already signed-in device
+    table.string("user_code", 16).notNullable().unique()
+
+    // Label for the session created when the flow completes
+    table.string("device_name", 100).nullable()
+
+    // Set when a signed-in user approves the request
+    table.uuid("user_id").nullable()
+    table.foreign("user_id").references("id").inTable("users").onDelete("CASCADE")
+    table.timestamp("approved_at", { useTz: true }).nullable()
+
+    // Polling rate limit — raised every time the client polls too fast
+    table.integer("interval_seconds").notNullable()
+    table.timestamp("last_polled_at", { useTz: true }).nullable()
+
+    // When this request stops being accepted
+    table.timestamp("expires_at", { useTz: true }).notNullable()
+
+    // When the flow was started
+    table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now())
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.dropTable("device_authorizations")
+}
@@ -0,0 +1,32 @@
+/**
+ * Migration: Add visibility to the `projects` table.
+ *
+ * An "org" project is visible to every org member whose org role can read
+ * projects. A "private" project is hidden from everyone but its project
+ * members — resolveProject answers 404 to anyone else — with org owners
+ * keeping access as an override.
+ *
+ * Columns added:
+ *   - visibility  "org" (default) or "private"
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.alterTable("projects", (table) => {
+    // Existing projects stay visible to the whole organization
+    table.string("visibility", 10).notNullable().defaultTo("org")
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("projects", (table) => {
+    table.dropColumn("visibility")
+  })
+}
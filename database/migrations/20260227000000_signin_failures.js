@@ -0,0 +1,41 @@
+/**
+ * Migration: Create the `signin_failures` table.
+ *
+ * Failed signins for an identifier that matches no account are counted here,
+ * with the same backoff and lockout as the counters on `users`. Otherwise
+ * only real accounts would ever answer 429, and the difference would tell an
+ * attacker which usernames and emails exist.
+ *
+ * The identifier is stored only as a SHA-256 hash, so the table is not a
+ * list of everything anyone has typed into the signin form.
+ *
+ * Columns:
+ *   - identifier_hash        hex-encoded SHA-256 of the identifier (primary key)
+ *   - failed_signin_count    failed attempts since the last lockout expired
+ *   - last_failed_signin_at  when the most recent failed attempt happened
+ *   - locked_until           signin is refused until this time (null while unlocked)
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = (knex) => {
+  return knex.schema.createTable("signin_failures", (table) => {
+    // SHA-256 of the username or email that was tried
+    table.string("identifier_hash", 64).primary()
+
+    // Same meaning as the failed-signin columns on `users`
+    table.integer("failed_signin_count").notNullable().defaultTo(0)
+    table.timestamp("last_failed_signin_at", { useTz: true }).nullable()
+    table.timestamp("locked_until", { useTz: true }).nullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.dropTable("signin_failures")
+}
@@ -0,0 +1,37 @@
+/**
+ * Migration: Bind OIDC login requests to the client that started them.
+ *
+ * The `state` travels through the browser's address bar, so on its own it
+ * cannot tell whose login a callback belongs to — an attacker could hand a
+ * victim their own `code` and `state` and sign the victim in as the attacker
+ * (login CSRF). The authorize response now also returns a login secret that
+ * the client keeps to itself and sends with the callback; only its SHA-256
+ * hash is stored.
+ *
+ * Login requests started before this migration have no secret and are
+ * deleted; they only live for a few minutes anyway.
+ *
+ * Columns added:
+ *   - login_secret_hash  hex-encoded SHA-256 of the login secret
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async (knex) => {
+  await knex("oidc_login_requests").delete()
+  await knex.schema.alterTable("oidc_login_requests", (table) => {
+    table.string("login_secret_hash", 64).notNullable()
+  })
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = (knex) => {
+  return knex.schema.alterTable("oidc_login_requests", (table) => {
+    table.dropColumn("login_secret_hash")
+  })
+}
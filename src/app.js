@@ -1,13 +1,16 @@
 import express from "express"
+import cookieParser from "cookie-parser"
 import cors from "cors"
 import helmet from "helmet"
 import hpp from "hpp"
 import routes from "./routes/index.js"
 import healthRoutes from "./routes/health.js"
+import wellKnownRoutes from "./routes/well-known.js"
 import { errorHandler, notFoundHandler } from "./middlewares/error.js"
 import { generalLimiter } from "./middlewares/rate-limit.js"
 import { httpLogger, requestLogger } from "./middlewares/logger.js"
 import { requestId } from "./middlewares/request-id.js"
+import { isCookieModeEnabled } from "./utils/auth-cookies.js"
 
 const app = express()
 app.set("trust proxy", 1)
@@ -28,18 +31,33 @@ app.use(
       "http://localhost:8080",
     ],
     methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "x-access-token", "x-refresh-token"],
+    // Authorization carries RFC 6750 bearer tokens; x-access-token/x-refresh-token are the legacy headers
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "x-access-token",
+      "x-refresh-token",
+      "x-csrf-token",
+    ],
+    // lets browser clients read why a token was rejected
+    exposedHeaders: ["WWW-Authenticate"],
+    // lets browsers send the session cookies to the allowed origins, only when there are any
+    credentials: isCookieModeEnabled(),
   }),
 )
 
 // body parsing
 app.use(express.json({ limit: "100kb" }))
 app.use(express.urlencoded({ extended: true, limit: "100kb" }))
+app.use(cookieParser())
 app.use(hpp())
 
 // health check — before rate limiting so load balancers aren't throttled
 app.use("/health", healthRoutes)
 
+// public signing keys — fetched by other services, so also exempt from rate limiting
+app.use("/.well-known", wellKnownRoutes)
+
 // rate limiting
 app.use(generalLimiter)
 
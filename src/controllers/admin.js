@@ -0,0 +1,329 @@
+import joi from "joi"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+import * as organizationModel from "../models/organizations.js"
+import * as orgMemberModel from "../models/org-members.js"
+import * as projectMemberModel from "../models/project-members.js"
+import * as roleModel from "../models/roles.js"
+import * as sessionModel from "../models/sessions.js"
+import * as refreshTokenModel from "../models/refresh-tokens.js"
+import { validatePaginationQuery, executePaginatedQuery } from "../utils/pagination.js"
+import logger from "../utils/logger.js"
+import db from "../config/database.js"
+
+/** Standard UUID v4 format validation pattern */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const suspendSchema = joi
+  .object({
+    reason: joi.string().trim().min(1).max(500).required(),
+  })
+  .options({ stripUnknown: true })
+
+const ownerSchema = joi
+  .object({
+    user_id: joi.string().uuid().required(),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Loads the user named by the `:user_id` route parameter.
+ *
+ * @param {string} userId - Raw route parameter
+ * @returns {Promise<Object>} The user, including suspension columns
+ * @throws {HttpError} 400 for a malformed ID, 404 when no such user exists
+ */
+const findTargetUser = async (userId) => {
+  if (!UUID_REGEX.test(userId)) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid user ID format")
+  }
+
+  const user = await userModel.findOneWithPassword({ id: userId })
+  if (!user) {
+    throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+  }
+  return user
+}
+
+/**
+ * Loads the organization named by the `:org_id` route parameter.
+ *
+ * @param {string} orgId - Raw route parameter
+ * @returns {Promise<Object>} The organization
+ * @throws {HttpError} 400 for a malformed ID, 404 when no such organization exists
+ */
+const findTargetOrg = async (orgId) => {
+  if (!UUID_REGEX.test(orgId)) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid organization ID format")
+  }
+
+  const org = await organizationModel.findOne({ id: orgId })
+  if (!org) {
+    throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Organization not found")
+  }
+  return org
+}
+
+/**
+ * GET /api/admin/users — List and search all users.
+ *
+ * Search matches username and email. Includes each user's platform admin
+ * flag and suspension state.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getUsers = async (req, res, next) => {
+  try {
+    const params = validatePaginationQuery(req.query, ["created_at", "username"])
+
+    const { data: users, pagination } = await executePaginatedQuery(
+      userModel.count,
+      userModel.findManyPaginated,
+      {},
+      params,
+      ["username", "email"],
+    )
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: users,
+        pagination,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * GET /api/admin/users/:user_id/memberships — List a user's organizations and projects.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getUserMemberships = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.user_id)
+
+    const [organizations, projects] = await Promise.all([
+      orgMemberModel.findManyByUserId(user.id),
+      projectMemberModel.findManyByUserId(user.id),
+    ])
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: { organizations, projects },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/admin/users/:user_id/suspend — Suspend a user.
+ *
+ * Records the reason and time, and signs the user out everywhere: the token
+ * version is bumped and every session and refresh token is revoked. Their
+ * data is left untouched.
+ *
+ * @param {Object} req - Express request object (req.user.id set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const suspendUser = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = suspendSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const user = await findTargetUser(req.params.user_id)
+    if (user.id === req.user.id) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "You cannot suspend yourself")
+    }
+    if (user.suspended_at) {
+      throw new HttpError(HTTP_STATUS_CODE.CONFLICT, "User is already suspended")
+    }
+
+    const [suspendedUser] = await userModel.setSuspension(user.id, value.reason)
+    await userModel.incrementTokenVersion(user.id)
+    await sessionModel.revokeByUserId(user.id)
+    await refreshTokenModel.revokeByUserId(user.id)
+
+    logger.warn("User suspended by platform admin", {
+      requestId: req.id,
+      userId: user.id,
+      adminId: req.user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: suspendedUser,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/admin/users/:user_id/unsuspend — Lift a user's suspension.
+ *
+ * @param {Object} req - Express request object (req.user.id set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.user_id)
+    if (!user.suspended_at) {
+      throw new HttpError(HTTP_STATUS_CODE.CONFLICT, "User is not suspended")
+    }
+
+    const [activeUser] = await userModel.setSuspension(user.id, null)
+
+    logger.info("User unsuspended by platform admin", {
+      requestId: req.id,
+      userId: user.id,
+      adminId: req.user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: activeUser,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * GET /api/admin/orgs — List and search all organizations.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getOrgs = async (req, res, next) => {
+  try {
+    const params = validatePaginationQuery(req.query, ["created_at", "name"])
+
+    const { data: orgs, pagination } = await executePaginatedQuery(
+      organizationModel.count,
+      organizationModel.findManyPaginated,
+      {},
+      params,
+      ["name"],
+    )
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: orgs,
+        pagination,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * GET /api/admin/orgs/:org_id/members — List an organization's members and their roles.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getOrgMembers = async (req, res, next) => {
+  try {
+    const org = await findTargetOrg(req.params.org_id)
+    const members = await orgMemberModel.findManyByOrgId(org.id)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: members,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/admin/orgs/:org_id/owner — Force a change of organization owner.
+ *
+ * For orgs whose owners left or lost access. The given member becomes the
+ * organization's only owner; everyone who was an owner before is moved to the
+ * org's admin role. The member must already belong to the organization; a
+ * suspension of their membership is lifted, since owners cannot be suspended.
+ *
+ * @param {Object} req - Express request object (req.user.id set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const transferOrgOwnership = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = ownerSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const org = await findTargetOrg(req.params.org_id)
+    const { user_id: userId } = value
+
+    const membership = await orgMemberModel.findOne({ user_id: userId, org_id: org.id })
+    if (!membership) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User is not a member of this organization")
+    }
+
+    const ownerRole = await roleModel.findOne({ org_id: org.id, name: "owner", is_system: true })
+    const adminRole = await roleModel.findOne({ org_id: org.id, name: "admin", is_system: true })
+
+    // Transaction: demote the current owners and promote the new one together
+    await db.transaction(async (trx) => {
+      await trx("org_members")
+        .where({ org_id: org.id, role_id: ownerRole.id })
+        .whereNot({ user_id: userId })
+        .update({ role_id: adminRole.id })
+      await trx("org_members").where({ org_id: org.id, user_id: userId }).update({
+        role_id: ownerRole.id,
+        suspended_at: null,
+        suspension_reason: null,
+        suspended_by: null,
+      })
+    })
+
+    logger.warn("Organization owner changed by platform admin", {
+      requestId: req.id,
+      orgId: org.id,
+      userId,
+      adminId: req.user.id,
+    })
+
+    const members = await orgMemberModel.findManyByOrgId(org.id)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: members,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
@@ -3,8 +3,46 @@ import HttpError from "../utils/http-error.js"
 import apiResponse from "../utils/response.js"
 import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
 import * as userModel from "../models/users.js"
-import { hashPassword, verifyPassword } from "../utils/argon2.js"
-import { generateAccessToken, generateRefreshToken } from "../utils/jwt.js"
+import * as refreshTokenModel from "../models/refresh-tokens.js"
+import * as revokedAccessTokenModel from "../models/revoked-access-tokens.js"
+import * as sessionModel from "../models/sessions.js"
+import * as userTokenModel from "../models/user-tokens.js"
+import * as invitationModel from "../models/invitations.js"
+import { hashPassword, needsRehash, verifyPassword } from "../utils/argon2.js"
+import { assertPasswordAllowed } from "../utils/password-policy.js"
+import {
+  generateAccessToken,
+  generateChallengeToken,
+  generateRefreshToken,
+  getTokenExpiry,
+  verifyChallengeToken,
+} from "../utils/jwt.js"
+import { startSession } from "../utils/session.js"
+import { recordSecurityEvent } from "../utils/security-events.js"
+import { assertNotSuspended } from "../utils/suspension.js"
+import {
+  assertCookieModeAllowed,
+  clearAuthCookies,
+  deliverTokenPair,
+} from "../utils/auth-cookies.js"
+import { generateOneTimeToken, hashToken } from "../utils/one-time-token.js"
+import { sendMail } from "../utils/mailer.js"
+import { sendVerificationEmail } from "../utils/email-verification.js"
+import {
+  consumeChallengeToken,
+  getSecondFactors,
+  verifySecondFactor,
+} from "../utils/two-factor.js"
+import {
+  assertIdentifierSigninAllowed,
+  assertSigninAllowed,
+  clearFailedSignins,
+  recordFailedIdentifierSignin,
+  recordFailedSignin,
+  unlockAccount,
+} from "../utils/signin-lockout.js"
+import logger from "../utils/logger.js"
+import db from "../config/database.js"
 import crypto from "node:crypto"
 
 // Pre-computed dummy hash for timing-safe signin.
@@ -25,7 +63,8 @@ const signupSchema = joi
           "username must contain only letters, numbers, dots, underscores, or hyphens",
       }),
     email: joi.string().email().max(255).optional(),
-    password: joi.string().min(8).max(72).required(),
+    // length and strength rules are checked by the password policy
+    password: joi.string().max(72).required(),
     confirmation_password: joi.string().required().valid(joi.ref("password")).messages({
       "any.only": "confirmation_password must match password",
     }),
@@ -34,17 +73,67 @@ const signupSchema = joi
 
 const signinSchema = joi
   .object({
-    username: joi
-      .string()
-      .min(3)
-      .max(30)
-      .pattern(/^[a-zA-Z0-9._-]+$/)
-      .required()
-      .messages({
-        "string.pattern.base":
-          "username must contain only letters, numbers, dots, underscores, or hyphens",
-      }),
+    // a username or a verified email
+    identifier: joi.string().trim().min(3).max(255).required(),
     password: joi.string().min(8).max(72).required(),
+    device_name: joi.string().trim().max(100).optional(),
+    // ask for httpOnly session cookies instead of tokens in the body (needs AUTH_COOKIES)
+    use_cookies: joi.boolean().default(false),
+  })
+  // clients written before `identifier` existed send `username`
+  .rename("username", "identifier", { ignoreUndefined: true })
+  .options({ stripUnknown: true })
+
+const signinTwoFactorSchema = joi
+  .object({
+    challenge_token: joi.string().required(),
+    code: joi
+      .string()
+      .pattern(/^\d{6}$/)
+      .optional()
+      .messages({ "string.pattern.base": "code must be a 6-digit number" }),
+    recovery_code: joi.string().max(32).optional(),
+    // ask for httpOnly session cookies instead of tokens in the body (needs AUTH_COOKIES)
+    use_cookies: joi.boolean().default(false),
+  })
+  .xor("code", "recovery_code")
+  .options({ stripUnknown: true })
+
+const forgotPasswordSchema = joi
+  .object({
+    email: joi.string().email().max(255).required(),
+  })
+  .options({ stripUnknown: true })
+
+const resetPasswordSchema = joi
+  .object({
+    token: joi.string().hex().length(64).required(),
+    // length and strength rules are checked by the password policy
+    password: joi.string().max(72).required(),
+    confirmation_password: joi.string().required().valid(joi.ref("password")).messages({
+      "any.only": "confirmation_password must match password",
+    }),
+  })
+  .options({ stripUnknown: true })
+
+const magicLinkSchema = joi
+  .object({
+    email: joi.string().email().max(255).required(),
+  })
+  .options({ stripUnknown: true })
+
+const verifyMagicLinkSchema = joi
+  .object({
+    token: joi.string().hex().length(64).required(),
+    device_name: joi.string().trim().max(100).optional(),
+    // ask for httpOnly session cookies instead of tokens in the body (needs AUTH_COOKIES)
+    use_cookies: joi.boolean().default(false),
+  })
+  .options({ stripUnknown: true })
+
+const verifyEmailSchema = joi
+  .object({
+    token: joi.string().hex().length(64).required(),
   })
   .options({ stripUnknown: true })
 
@@ -59,6 +148,8 @@ export const signup = async (req, res, next) => {
     // request values
     const { username, email, password } = value
 
+    assertPasswordAllowed(password, { username })
+
     // check if user already exists by username
     const existingUser = await userModel.findOne({ username })
     if (existingUser) {
@@ -95,6 +186,18 @@ export const signup = async (req, res, next) => {
     // create user
     const [user] = await userModel.create(userData)
 
+    // email the verification link — a delivery failure must not fail the signup,
+    // the user can request a new link from /api/me/email/verification
+    if (user.email) {
+      await sendVerificationEmail(user).catch((mailError) => {
+        logger.error("Failed to send verification email", {
+          requestId: req.id,
+          userId: user.id,
+          error: mailError.message,
+        })
+      })
+    }
+
     return res.status(HTTP_STATUS_CODE.CREATED).json(
       apiResponse({
         message: HTTP_STATUS_MESSAGE.CREATED,
@@ -119,20 +222,94 @@ export const signin = async (req, res, next) => {
     }
 
     // request values
-    const { username, password } = value
+    const { identifier, password, device_name, use_cookies } = value
+    assertCookieModeAllowed(use_cookies)
+
+    // Usernames cannot contain "@", so an identifier with one is an email.
+    // Only verified emails can be used — an unverified address may belong to someone else.
+    const conditions = identifier.includes("@")
+      ? (query) => query.where({ email: identifier }).whereNotNull("email_verified_at")
+      : { username: identifier }
 
     // Timing-safe credential check: always run verifyPassword to prevent
-    // response-time differences from revealing whether a username exists.
-    const user = await userModel.findOneWithPassword({ username })
+    // response-time differences from revealing whether an account exists.
+    const user = await userModel.findOneWithPassword(conditions)
+
+    // per-account brute-force protection — refuse while locked or backing off.
+    // Unknown identifiers are counted too, so a 429 does not reveal that an account exists.
+    if (user) {
+      await assertSigninAllowed(req, res, user)
+    } else {
+      await assertIdentifierSigninAllowed(res, identifier)
+    }
+
     const hashToVerify = user?.password ?? dummyHash
     const isPasswordValid = await verifyPassword(hashToVerify, password)
     if (!user || !isPasswordValid) {
+      if (user) {
+        await recordFailedSignin(req, user)
+        await recordSecurityEvent(req, {
+          userId: user.id,
+          event: "signin",
+          outcome: "failure",
+          method: "password",
+          reason: "invalid_credentials",
+        })
+      } else {
+        await recordFailedIdentifierSignin(identifier)
+      }
       throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
     }
 
-    // generate tokens
-    const accessToken = generateAccessToken(user.id)
-    const refreshToken = generateRefreshToken(user.id)
+    await assertNotSuspended(req, user, { method: "password" })
+
+    // the password is known only now, so this is when an outdated hash can be upgraded
+    if (needsRehash(user.password)) {
+      await userModel.update(
+        { id: user.id },
+        { password: await hashPassword(password), updated_at: new Date() },
+      )
+      logger.info("Password hash upgraded", { requestId: req.id, userId: user.id })
+    }
+
+    // with TOTP or a passkey the password alone is not enough — hand out a
+    // challenge token the client exchanges for tokens at POST /api/auth/signin/2fa
+    // (TOTP or a recovery code) or POST /api/auth/webauthn/2fa (passkey)
+    const secondFactors = await getSecondFactors(user)
+    if (secondFactors.length > 0) {
+      await recordSecurityEvent(req, {
+        userId: user.id,
+        event: "signin",
+        outcome: "challenge",
+        method: "password",
+      })
+      return res.json(
+        apiResponse({
+          message: HTTP_STATUS_MESSAGE.OK,
+          data: {
+            id: user.id,
+            username: user.username,
+            two_factor_required: true,
+            two_factor_methods: secondFactors,
+            challenge_token: generateChallengeToken(user.id, { deviceName: device_name }),
+          },
+        }),
+      )
+    }
+
+    await clearFailedSignins(user)
+
+    // generate tokens — every signin starts a new session
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, {
+      deviceName: device_name,
+    })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "password",
+      sessionId,
+    })
 
     return res.json(
       apiResponse({
@@ -140,8 +317,7 @@ export const signin = async (req, res, next) => {
         data: {
           id: user.id,
           username: user.username,
-          access_token: accessToken,
-          refresh_token: refreshToken,
+          ...deliverTokenPair(res, { accessToken, refreshToken }, { useCookies: use_cookies }),
         },
       }),
     )
@@ -150,25 +326,656 @@ export const signin = async (req, res, next) => {
   }
 }
 
+/**
+ * POST /api/auth/signin/2fa — Complete a signin that requires a second factor.
+ *
+ * Exchanges the challenge token from signin plus a TOTP code (or a one-time
+ * recovery code) for the usual access/refresh token pair.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const signinTwoFactor = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = signinTwoFactorSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { challenge_token, code, recovery_code, use_cookies } = value
+    assertCookieModeAllowed(use_cookies)
+
+    let challenge
+    try {
+      challenge = verifyChallengeToken(challenge_token)
+    } catch {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired challenge token")
+    }
+
+    const user = await userModel.findOneWithPassword({ id: challenge.id })
+    if (!user?.totp_enabled_at) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired challenge token")
+    }
+
+    // second-factor guesses count towards the same lockout as password guesses
+    await assertSigninAllowed(req, res, user)
+    await assertNotSuspended(req, user, { method: "two_factor" })
+
+    const isFactorValid = await verifySecondFactor(user, { code, recoveryCode: recovery_code })
+    if (!isFactorValid) {
+      logger.warn("Two-factor signin failed", {
+        requestId: req.id,
+        userId: user.id,
+        ip: req.ip,
+      })
+      await recordFailedSignin(req, user)
+      await recordSecurityEvent(req, {
+        userId: user.id,
+        event: "signin",
+        outcome: "failure",
+        method: "two_factor",
+        reason: "invalid_two_factor_code",
+      })
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid two-factor code")
+    }
+
+    // a challenge token completes one signin only
+    await consumeChallengeToken(challenge)
+    await clearFailedSignins(user)
+
+    // generate tokens — every signin starts a new session
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, {
+      deviceName: challenge.dev,
+    })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "two_factor",
+      sessionId,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          id: user.id,
+          username: user.username,
+          ...deliverTokenPair(res, { accessToken, refreshToken }, { useCookies: use_cookies }),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/refresh — Rotate a refresh token.
+ *
+ * Marks the presented refresh token as used and issues a new access token
+ * plus the next refresh token in the same session, recording when and from
+ * where the session was last used. Presenting a token that was already used
+ * (or revoked) means it has leaked, so the whole session is revoked and the
+ * client has to sign in again. A token that arrived in a cookie is answered
+ * with cookies, so cookie sessions stay in cookie mode.
+ *
+ * @param {Object} req - Express request object (req.user.id, req.refreshToken.id set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
 export const refreshAccessToken = async (req, res, next) => {
   try {
     // request values
     const userId = req.user.id
+    const tokenId = req.refreshToken.id
 
-    // Verify the user still exists (reject refresh for deleted accounts)
-    const user = await userModel.findOne({ id: userId })
+    // Verify the user still exists (reject refresh for deleted or suspended accounts)
+    const user = await userModel.findAuthState(userId)
     if (!user) {
       throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
     }
+    await assertNotSuspended(req, user, { event: "refresh" })
+
+    const newRefreshTokenId = crypto.randomUUID()
+    const refreshToken = generateRefreshToken(userId, newRefreshTokenId)
+
+    // Transaction: lock the presented token, then either rotate it or revoke its session.
+    // The reuse outcome is returned rather than thrown so the revocation is committed.
+    const outcome = await db.transaction(async (trx) => {
+      // Lock the token row to prevent two concurrent refreshes from both succeeding
+      const storedToken = await trx("refresh_tokens")
+        .where({ id: tokenId, user_id: userId })
+        .forUpdate()
+        .first()
+
+      if (!storedToken) {
+        return { status: "invalid" }
+      }
+
+      // Reuse of a rotated or revoked token — revoke the session and all of its tokens
+      if (storedToken.used_at || storedToken.revoked_at) {
+        await trx("refresh_tokens")
+          .where({ session_id: storedToken.session_id })
+          .whereNull("revoked_at")
+          .update({ revoked_at: new Date() })
+        await trx("sessions")
+          .where({ id: storedToken.session_id })
+          .whereNull("revoked_at")
+          .update({ revoked_at: new Date() })
+        return { status: "reused", sessionId: storedToken.session_id }
+      }
+
+      // Retire the presented token and issue the next one in the same session
+      const now = new Date()
+      const expiresAt = getTokenExpiry(refreshToken)
+      await trx("refresh_tokens").where({ id: tokenId }).update({ used_at: now })
+      await trx("refresh_tokens").insert({
+        id: newRefreshTokenId,
+        user_id: userId,
+        session_id: storedToken.session_id,
+        expires_at: expiresAt,
+        created_at: now,
+      })
+      await trx("sessions")
+        .where({ id: storedToken.session_id })
+        .update({ last_used_at: now, ip_address: req.ip ?? null, expires_at: expiresAt })
+
+      return { status: "rotated", sessionId: storedToken.session_id }
+    })
+
+    if (outcome.status === "reused") {
+      logger.warn("Refresh token reuse detected, session revoked", {
+        requestId: req.id,
+        userId,
+        tokenId,
+        ip: req.ip,
+      })
+    }
+    if (outcome.status !== "rotated") {
+      await recordSecurityEvent(req, {
+        userId,
+        event: "refresh",
+        outcome: "failure",
+        reason: outcome.status === "reused" ? "token_reuse" : "invalid_token",
+        sessionId: outcome.sessionId,
+      })
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token")
+    }
+    await recordSecurityEvent(req, {
+      userId,
+      event: "refresh",
+      outcome: "success",
+      sessionId: outcome.sessionId,
+    })
 
     // generate new access token
-    const accessToken = generateAccessToken(userId)
+    const accessToken = generateAccessToken(userId, {
+      sessionId: outcome.sessionId,
+      tokenVersion: user.token_version,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: deliverTokenPair(
+          res,
+          { accessToken, refreshToken },
+          { useCookies: req.refreshToken.viaCookie },
+        ),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/logout — End the current signin.
+ *
+ * Revokes the presented access token immediately and ends the session it was issued
+ * for, together with the session's refresh tokens, so the signin can neither be used
+ * nor refreshed. Cookie sessions also have their cookies cleared.
+ *
+ * @param {Object} req - Express request object (req.user.id, req.accessToken set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const { id: tokenId, sessionId, expiresAt } = req.accessToken
+
+    await revokedAccessTokenModel.create({
+      id: tokenId,
+      user_id: req.user.id,
+      expires_at: expiresAt,
+      revoked_at: new Date(),
+    })
+    await sessionModel.revoke(sessionId)
+    await refreshTokenModel.revokeBySessionId(sessionId)
+
+    // Prune revocations whose tokens would have expired anyway
+    await revokedAccessTokenModel.removeExpired()
+
+    await recordSecurityEvent(req, {
+      userId: req.user.id,
+      event: "logout",
+      outcome: "success",
+      sessionId,
+    })
+
+    if (req.accessToken.viaCookie) {
+      clearAuthCookies(res)
+    }
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/logout-all — End every signin of the authenticated user.
+ *
+ * Bumps the user's token version, which invalidates all outstanding access tokens
+ * (including the one used for this request), and revokes all of their sessions and
+ * refresh tokens. Cookie sessions also have their cookies cleared.
+ *
+ * @param {Object} req - Express request object (req.user.id, req.accessToken set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    await userModel.incrementTokenVersion(req.user.id)
+    await sessionModel.revokeByUserId(req.user.id)
+    await refreshTokenModel.revokeByUserId(req.user.id)
+
+    await recordSecurityEvent(req, { userId: req.user.id, event: "logout_all", outcome: "success" })
+
+    logger.info("User logged out of all sessions", {
+      requestId: req.id,
+      userId: req.user.id,
+    })
+
+    if (req.accessToken.viaCookie) {
+      clearAuthCookies(res)
+    }
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * Issues a password reset token for the account with the given email (if any)
+ * and emails the reset link. Earlier unused reset tokens are invalidated so
+ * only the newest link works.
+ *
+ * @param {string} email - Email address the reset was requested for
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (email) => {
+  const user = await userModel.findOne({ email })
+  if (!user) {
+    return
+  }
+
+  const { token, tokenHash } = generateOneTimeToken()
+  const expiresInMinutes = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES)
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000)
+
+  await userTokenModel.invalidateByUserId(user.id, "password_reset")
+  await userTokenModel.create({
+    id: crypto.randomUUID(),
+    user_id: user.id,
+    purpose: "password_reset",
+    token_hash: tokenHash,
+    expires_at: expiresAt,
+    created_at: new Date(),
+  })
+
+  const resetUrl = new URL("/reset-password", process.env.APP_URL)
+  resetUrl.searchParams.set("token", token)
+
+  await sendMail({
+    to: email,
+    subject: "Reset your password",
+    text:
+      `Someone requested a password reset for the account "${user.username}".\n\n` +
+      `Use this link within ${expiresInMinutes} minutes to choose a new password:\n` +
+      `${resetUrl}\n\n` +
+      "If you did not request this, you can ignore this email.",
+  })
+}
+
+/**
+ * POST /api/auth/password/forgot — Request a password reset email.
+ *
+ * Always responds with the same message, and responds before looking the
+ * email up, so neither the body nor the response time reveals whether an
+ * account exists. The reset email is sent in the background.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = forgotPasswordSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    res.json(
+      apiResponse({
+        message: "If an account with that email exists, a password reset link has been sent",
+        data: null,
+      }),
+    )
+
+    // account-dependent work happens after the response has been sent
+    sendPasswordResetEmail(value.email).catch((mailError) => {
+      logger.error("Failed to send password reset email", {
+        requestId: req.id,
+        error: mailError.message,
+      })
+    })
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/password/reset — Set a new password with a reset token.
+ *
+ * The token is consumed atomically, so it works exactly once. On success the
+ * user is signed out everywhere: every session and refresh token is revoked
+ * and the token version is bumped to reject outstanding access tokens.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = resetPasswordSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { token, password } = value
+
+    // check the new password before spending the token, so a rejected
+    // password can be retried with the same link
+    const pendingToken = await userTokenModel.findValid("password_reset", hashToken(token))
+    if (!pendingToken) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid or expired reset token")
+    }
+    const user = await userModel.findOneWithPassword({ id: pendingToken.user_id })
+    assertPasswordAllowed(password, { username: user.username })
+
+    const resetToken = await userTokenModel.consume("password_reset", hashToken(token))
+    if (!resetToken) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid or expired reset token")
+    }
+
+    // store the new password and sign the user out everywhere
+    const hashedPassword = await hashPassword(password)
+    await userModel.update(
+      { id: resetToken.user_id },
+      { password: hashedPassword, updated_at: new Date() },
+    )
+    await userModel.incrementTokenVersion(resetToken.user_id)
+    await sessionModel.revokeByUserId(resetToken.user_id)
+    await refreshTokenModel.revokeByUserId(resetToken.user_id)
+
+    // proving control of the email is enough to lift a lockout
+    if (user.locked_until || user.failed_signin_count > 0) {
+      await unlockAccount(req, user, "password reset")
+    }
+
+    logger.info("User password reset, all sessions revoked", {
+      requestId: req.id,
+      userId: resetToken.user_id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * Emails a single-use signin link, if a user has verified this address.
+ *
+ * Links are only sent to verified emails — an unverified address may belong
+ * to someone else. Earlier unused links are invalidated, so only the newest
+ * link works.
+ *
+ * @param {string} email - Address the link was requested for
+ * @returns {Promise<void>}
+ */
+const sendMagicLinkEmail = async (email) => {
+  const user = await userModel.findOne((query) =>
+    query.where({ email }).whereNotNull("email_verified_at"),
+  )
+  if (!user) {
+    return
+  }
+
+  const { token, tokenHash } = generateOneTimeToken()
+  const expiresInMinutes = Number(process.env.MAGIC_LINK_EXPIRES_MINUTES)
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000)
+
+  await userTokenModel.invalidateByUserId(user.id, "magic_link")
+  await userTokenModel.create({
+    id: crypto.randomUUID(),
+    user_id: user.id,
+    purpose: "magic_link",
+    token_hash: tokenHash,
+    expires_at: expiresAt,
+    created_at: new Date(),
+  })
+
+  const signinUrl = new URL("/magic-link", process.env.APP_URL)
+  signinUrl.searchParams.set("token", token)
+
+  await sendMail({
+    to: email,
+    subject: "Your sign-in link",
+    text:
+      `Someone asked to sign in to the account "${user.username}" without a password.\n\n` +
+      `Use this link within ${expiresInMinutes} minutes to sign in. It works once:\n` +
+      `${signinUrl}\n\n` +
+      "If you did not request this, you can ignore this email.",
+  })
+}
+
+/**
+ * POST /api/auth/magic-link — Request a passwordless signin link by email.
+ *
+ * Like the password reset request, always responds with the same message
+ * before looking the email up, so the response reveals nothing about which
+ * accounts exist. The link is emailed in the background.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requestMagicLink = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = magicLinkSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    res.json(
+      apiResponse({
+        message: "If an account with that email exists, a sign-in link has been sent",
+        data: null,
+      }),
+    )
+
+    // account-dependent work happens after the response has been sent
+    sendMagicLinkEmail(value.email).catch((mailError) => {
+      logger.error("Failed to send sign-in link email", {
+        requestId: req.id,
+        error: mailError.message,
+      })
+    })
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/magic-link/verify — Sign in with an emailed link.
+ *
+ * Consumes the link's token (each link works once) and responds exactly like
+ * password signin: the access/refresh token pair, or a 2FA challenge token
+ * when the user has two-factor authentication enabled — the link stands in
+ * for the password, not for the second factor.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const verifyMagicLink = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = verifyMagicLinkSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { token, device_name, use_cookies } = value
+    assertCookieModeAllowed(use_cookies)
+
+    const magicLinkToken = await userTokenModel.consume("magic_link", hashToken(token))
+    const user =
+      magicLinkToken && (await userModel.findOneWithPassword({ id: magicLinkToken.user_id }))
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired sign-in link")
+    }
+    await assertNotSuspended(req, user, { method: "magic_link" })
+
+    const secondFactors = await getSecondFactors(user)
+    if (secondFactors.length > 0) {
+      await recordSecurityEvent(req, {
+        userId: user.id,
+        event: "signin",
+        outcome: "challenge",
+        method: "magic_link",
+      })
+      return res.json(
+        apiResponse({
+          message: HTTP_STATUS_MESSAGE.OK,
+          data: {
+            id: user.id,
+            username: user.username,
+            two_factor_required: true,
+            two_factor_methods: secondFactors,
+            challenge_token: generateChallengeToken(user.id, { deviceName: device_name }),
+          },
+        }),
+      )
+    }
+
+    // generate tokens — every signin starts a new session
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, {
+      deviceName: device_name,
+    })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "magic_link",
+      sessionId,
+    })
+
+    logger.info("User signed in with a magic link", { requestId: req.id, userId: user.id })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          id: user.id,
+          username: user.username,
+          ...deliverTokenPair(res, { accessToken, refreshToken }, { useCookies: use_cookies }),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/email/verify — Verify an email address with an emailed token.
+ *
+ * Marks the user's current email as verified and attaches pending invitations
+ * that were sent to that address before it was verified.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = verifyEmailSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const verificationToken = await userTokenModel.consume(
+      "email_verification",
+      hashToken(value.token),
+    )
+    const user = verificationToken && (await userModel.findOne({ id: verificationToken.user_id }))
+    if (!user?.email) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid or expired verification token")
+    }
+
+    const [verifiedUser] = await userModel.update(
+      { id: user.id },
+      { email_verified_at: new Date(), updated_at: new Date() },
+    )
+
+    // invitations sent to this address can now be matched to the user
+    await invitationModel.attachPendingByEmail(verifiedUser.email, verifiedUser.id)
 
     return res.json(
       apiResponse({
         message: HTTP_STATUS_MESSAGE.OK,
         data: {
-          access_token: accessToken,
+          email: verifiedUser.email,
+          email_verified_at: verifiedUser.email_verified_at,
         },
       }),
     )
@@ -0,0 +1,258 @@
+import joi from "joi"
+import crypto from "node:crypto"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+import * as deviceAuthorizationModel from "../models/device-authorizations.js"
+import { startSession } from "../utils/session.js"
+import { recordSecurityEvent } from "../utils/security-events.js"
+import { assertNotSuspended } from "../utils/suspension.js"
+import { generateOneTimeToken, hashToken } from "../utils/one-time-token.js"
+
+/** Seconds a client must wait between polls, and how much each "slow_down" adds (RFC 8628 §3.5) */
+const POLLING_INTERVAL_SECONDS = 5
+
+/** Grant type clients send when polling for tokens */
+const DEVICE_CODE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code"
+
+/**
+ * User code alphabet — consonants only, so codes never spell words, and
+ * without vowels there is nothing to confuse with 0 or 1 (RFC 8628 §6.1).
+ */
+const USER_CODE_ALPHABET = "BCDFGHJKLMNPQRSTVWXZ"
+const USER_CODE_LENGTH = 8
+
+const requestCodeSchema = joi
+  .object({
+    device_name: joi.string().trim().max(100).optional(),
+  })
+  .options({ stripUnknown: true })
+
+const approveSchema = joi
+  .object({
+    user_code: joi.string().trim().max(32).required(),
+  })
+  .options({ stripUnknown: true })
+
+const tokenSchema = joi
+  .object({
+    device_code: joi.string().hex().length(64).required(),
+    grant_type: joi.string().valid(DEVICE_CODE_GRANT_TYPE).optional(),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Generates a random user code.
+ *
+ * @returns {string} Eight characters from USER_CODE_ALPHABET, without the dash
+ */
+const generateUserCode = () => {
+  let code = ""
+  for (let i = 0; i < USER_CODE_LENGTH; i++) {
+    code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)]
+  }
+  return code
+}
+
+/**
+ * Formats a stored user code for display, e.g. "BCDF-GHJK".
+ */
+const formatUserCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`
+
+/**
+ * Normalizes a typed-in user code: case, dashes and spaces do not matter.
+ */
+const normalizeUserCode = (code) => code.toUpperCase().replace(/[\s-]/g, "")
+
+/**
+ * Builds a token endpoint error. The OAuth error code goes in `data.error`
+ * so clients can tell "keep polling" apart from "give up".
+ *
+ * @param {string} code - OAuth error code (e.g., "authorization_pending")
+ * @param {string} message - Human-readable message
+ * @param {Object} [extra] - Further details for the client
+ * @returns {HttpError}
+ */
+const tokenError = (code, message, extra = {}) => {
+  return new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, message, { error: code, ...extra })
+}
+
+/**
+ * POST /api/auth/device/code — Start a device authorization.
+ *
+ * For clients that cannot receive a browser redirect, like a CLI. Returns a
+ * secret device code for the client to poll with, and a short user code for
+ * the user to approve on a device where they are already signed in.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requestCode = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = requestCodeSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const expiresInMinutes = Number(process.env.DEVICE_CODE_EXPIRES_MINUTES)
+    const { token: deviceCode, tokenHash: deviceCodeHash } = generateOneTimeToken()
+    const userCode = generateUserCode()
+
+    // abandoned requests are cleaned up as new ones start
+    await deviceAuthorizationModel.removeExpired()
+    await deviceAuthorizationModel.create({
+      id: crypto.randomUUID(),
+      device_code_hash: deviceCodeHash,
+      user_code: userCode,
+      device_name: value.device_name ?? null,
+      interval_seconds: POLLING_INTERVAL_SECONDS,
+      expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      created_at: new Date(),
+    })
+
+    const verificationUri = new URL("/device", process.env.APP_URL)
+    const verificationUriComplete = new URL(verificationUri)
+    verificationUriComplete.searchParams.set("user_code", formatUserCode(userCode))
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          device_code: deviceCode,
+          user_code: formatUserCode(userCode),
+          verification_uri: verificationUri.toString(),
+          verification_uri_complete: verificationUriComplete.toString(),
+          expires_in: expiresInMinutes * 60,
+          interval: POLLING_INTERVAL_SECONDS,
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/device/approve — Approve a device with its user code.
+ *
+ * The signed-in user grants the waiting client a session of their own. A code
+ * can only be approved once, and only before it expires.
+ *
+ * @param {Object} req - Express request object (req.user set by requireAccessToken)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const approve = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = approveSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const authorization = await deviceAuthorizationModel.approve(
+      normalizeUserCode(value.user_code),
+      req.user.id,
+    )
+    if (!authorization) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid or expired user code")
+    }
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          device_name: authorization.device_name,
+          approved_at: authorization.approved_at,
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/device/token — Poll for the tokens of a device authorization.
+ *
+ * Until the user approves, responds 400 with `data.error` set to
+ * "authorization_pending"; a client polling faster than the interval gets
+ * "slow_down" and a longer interval instead. Unknown device codes are
+ * "invalid_grant" and expired ones "expired_token". Once approved, the device
+ * code is used up and the usual token pair is returned — the approving user
+ * was already fully signed in, so no second factor is asked for.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const token = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = tokenSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const authorization = await deviceAuthorizationModel.findOne({
+      device_code_hash: hashToken(value.device_code),
+    })
+    if (!authorization) {
+      throw tokenError("invalid_grant", "Invalid device code")
+    }
+    if (authorization.expires_at <= new Date()) {
+      await deviceAuthorizationModel.remove({ id: authorization.id })
+      throw tokenError("expired_token", "Device code has expired")
+    }
+
+    if (!authorization.approved_at) {
+      const sincePoll = authorization.last_polled_at
+        ? Date.now() - authorization.last_polled_at.getTime()
+        : Infinity
+      if (sincePoll < authorization.interval_seconds * 1000) {
+        const interval = authorization.interval_seconds + POLLING_INTERVAL_SECONDS
+        await deviceAuthorizationModel.recordPoll(authorization.id, interval)
+        throw tokenError("slow_down", "Polling too frequently", { interval })
+      }
+      await deviceAuthorizationModel.recordPoll(authorization.id, authorization.interval_seconds)
+      throw tokenError("authorization_pending", "Authorization pending")
+    }
+
+    // used up here, so two concurrent polls cannot both get tokens
+    const approved = await deviceAuthorizationModel.consumeApproved(authorization.id)
+    const user = approved && (await userModel.findOneWithPassword({ id: approved.user_id }))
+    if (!user) {
+      throw tokenError("invalid_grant", "Invalid device code")
+    }
+    await assertNotSuspended(req, user, { method: "device_code" })
+
+    // generate tokens — every approved device gets its own session
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, {
+      deviceName: approved.device_name ?? undefined,
+    })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "device_code",
+      sessionId,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          id: user.id,
+          username: user.username,
+          access_token: accessToken,
+          refresh_token: refreshToken,
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
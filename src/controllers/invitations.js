@@ -3,6 +3,7 @@ import crypto from "node:crypto"
 import HttpError from "../utils/http-error.js"
 import apiResponse from "../utils/response.js"
 import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import { assertCanGrantRole } from "../utils/role-grants.js"
 import * as invitationModel from "../models/invitations.js"
 import * as orgMemberModel from "../models/org-members.js"
 import * as projectMemberModel from "../models/project-members.js"
@@ -44,8 +45,9 @@ const projectInviteSchema = joi
 
 /**
  * Resolves the invitee user from either a username or email lookup.
- * Returns { inviteeId, inviteeEmail } — inviteeId may be null if the user
- * doesn't have an account yet (email-only invitation).
+ * Returns { inviteeId, inviteeEmail } — inviteeId is null if no user has
+ * verified the address yet (email-only invitation). Such invitations are
+ * attached once a user verifies that email.
  *
  * @param {string} [username] - Invitee's username (mutually exclusive with email)
  * @param {string} [email] - Invitee's email address (mutually exclusive with username)
@@ -61,9 +63,12 @@ const resolveInvitee = async (username, email) => {
     return { inviteeId: user.id, inviteeEmail: user.email }
   }
 
-  // Look up by email — user may or may not exist
+  // Look up by email — only a verified address identifies a user
   const user = await userModel.findOne({ email })
-  return { inviteeId: user?.id ?? null, inviteeEmail: email }
+  if (!user?.email_verified_at) {
+    return { inviteeId: null, inviteeEmail: email }
+  }
+  return { inviteeId: user.id, inviteeEmail: email }
 }
 
 /**
@@ -71,7 +76,8 @@ const resolveInvitee = async (username, email) => {
  *
  * Generates a secure random token and sets a 7-day expiry.
  * Validates that the invitee isn't already an org member and that
- * the specified role belongs to this organization.
+ * the specified role belongs to this organization and grants nothing
+ * the inviter does not have.
  *
  * @param {Object} req - Express request object (req.org.id, req.user.id set by middleware)
  * @param {Object} res - Express response object
@@ -92,6 +98,9 @@ export const createOrgInvitation = async (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Role not found in this organization")
     }
 
+    // Invitees cannot be given more than the inviter has
+    await assertCanGrantRole(req, roleId)
+
     // Resolve the invitee (by username or email)
     const { inviteeId, inviteeEmail } = await resolveInvitee(username, email)
 
@@ -165,6 +174,9 @@ export const createProjectInvitation = async (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Role not found in this organization")
     }
 
+    // Invitees cannot be given more than the inviter has
+    await assertCanGrantRole(req, roleId)
+
     // Resolve the invitee (by username or email)
     const { inviteeId, inviteeEmail } = await resolveInvitee(username, email)
 
@@ -216,6 +228,8 @@ export const createProjectInvitation = async (req, res, next) => {
 /**
  * GET /api/orgs/:org_id/invitations — List all invitations for an organization.
  * Returns invitations enriched with inviter/invitee usernames and role names.
+ * Owners see every invitation; everyone else does not see invitations to
+ * private projects they are not a member of.
  *
  * @param {Object} req - Express request object (req.org.id set by middleware)
  * @param {Object} res - Express response object
@@ -223,7 +237,10 @@ export const createProjectInvitation = async (req, res, next) => {
  */
 export const getOrgInvitations = async (req, res, next) => {
   try {
-    const invitations = await invitationModel.findManyByOrgId(req.org.id)
+    const invitations =
+      req.org.roleName === "owner"
+        ? await invitationModel.findManyByOrgId(req.org.id)
+        : await invitationModel.findManyVisibleToUser(req.org.id, req.user.id)
 
     return res.json(
       apiResponse({
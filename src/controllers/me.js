@@ -0,0 +1,378 @@
+import joi from "joi"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+import * as sessionModel from "../models/sessions.js"
+import * as refreshTokenModel from "../models/refresh-tokens.js"
+import * as userTokenModel from "../models/user-tokens.js"
+import * as orgMemberModel from "../models/org-members.js"
+import { hashPassword, verifyPassword } from "../utils/argon2.js"
+import { assertPasswordAllowed } from "../utils/password-policy.js"
+import logger from "../utils/logger.js"
+import { sendVerificationEmail } from "../utils/email-verification.js"
+import db from "../config/database.js"
+
+/**
+ * Joi schema for validating profile update request bodies.
+ * Username rules match signup; at least one field must be provided.
+ * Sending `email: null` removes the email address from the account.
+ */
+const updateMeSchema = joi
+  .object({
+    username: joi
+      .string()
+      .min(3)
+      .max(30)
+      .pattern(/^[a-zA-Z0-9._-]+$/)
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "username must contain only letters, numbers, dots, underscores, or hyphens",
+      }),
+    email: joi.string().email().max(255).allow(null).optional(),
+  })
+  .min(1)
+  .options({ stripUnknown: true })
+
+/**
+ * Joi schema for validating account deletion request bodies.
+ * The current password is required to confirm the deletion.
+ */
+const deleteMeSchema = joi
+  .object({
+    password: joi.string().max(72).required(),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Joi schema for validating password change request bodies.
+ * The new password follows the same length rules as signup.
+ */
+const changePasswordSchema = joi
+  .object({
+    current_password: joi.string().max(72).required(),
+    // length and strength rules are checked by the password policy
+    password: joi.string().max(72).required(),
+    confirmation_password: joi.string().required().valid(joi.ref("password")).messages({
+      "any.only": "confirmation_password must match password",
+    }),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Formats a user record for API responses.
+ *
+ * @param {Object} user - User record (safe columns)
+ * @returns {Object} Public profile fields
+ */
+const toProfile = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email ?? null,
+  email_verified_at: user.email_verified_at ?? null,
+  created_at: user.created_at,
+  updated_at: user.updated_at,
+})
+
+/**
+ * GET /api/me — Get the authenticated user's profile.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await userModel.findOne({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: toProfile(user),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * PUT /api/me — Update the authenticated user's username and/or email.
+ *
+ * Applies the same uniqueness checks as signup; keeping the current value is
+ * not treated as a conflict. A changed email is unverified until the user
+ * follows the verification link sent to the new address.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const updateMe = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = updateMeSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { username, email } = value
+
+    // check the new username is not taken by another user
+    if (username) {
+      const existingUser = await userModel.findOne({ username })
+      if (existingUser && existingUser.id !== req.user.id) {
+        throw new HttpError(
+          HTTP_STATUS_CODE.BAD_REQUEST,
+          "user with the given username already exists",
+        )
+      }
+    }
+
+    // check the new email is not taken by another user
+    if (email) {
+      const existingEmail = await userModel.findOne({ email })
+      if (existingEmail && existingEmail.id !== req.user.id) {
+        throw new HttpError(
+          HTTP_STATUS_CODE.BAD_REQUEST,
+          "user with the given email already exists",
+        )
+      }
+    }
+
+    const currentUser = await userModel.findOne({ id: req.user.id })
+    if (!currentUser) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    const emailChanged = email !== undefined && email !== currentUser.email
+
+    // build update data — only fields that were provided
+    const updateData = { updated_at: new Date() }
+    if (username !== undefined) updateData.username = username
+    if (emailChanged) {
+      updateData.email = email
+      updateData.email_verified_at = null
+    }
+
+    const [user] = await userModel.update({ id: req.user.id }, updateData)
+
+    // links sent for the old address must not verify the new one or sign in
+    if (emailChanged) {
+      await userTokenModel.invalidateByUserId(user.id, "email_verification")
+      await userTokenModel.invalidateByUserId(user.id, "magic_link")
+    }
+    if (emailChanged && user.email) {
+      await sendVerificationEmail(user).catch((mailError) => {
+        logger.error("Failed to send verification email", {
+          requestId: req.id,
+          userId: user.id,
+          error: mailError.message,
+        })
+      })
+    }
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: toProfile(user),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/me/email/verification — Send a new verification link for the current email.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const resendEmailVerification = async (req, res, next) => {
+  try {
+    const user = await userModel.findOne({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    if (!user.email) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Account has no email address")
+    }
+    if (user.email_verified_at) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Email is already verified")
+    }
+
+    await sendVerificationEmail(user)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/me/password — Change the authenticated user's password.
+ *
+ * Requires the current password. On success every other session is revoked
+ * together with its refresh tokens, so only the session that made the change
+ * stays signed in.
+ *
+ * @param {Object} req - Express request object (req.user.id, req.accessToken set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = changePasswordSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { current_password, password } = value
+
+    // confirm the current password
+    const user = await userModel.findOneWithPassword({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    const isPasswordValid = await verifyPassword(user.password, current_password)
+    if (!isPasswordValid) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
+    }
+
+    assertPasswordAllowed(password, { username: user.username })
+
+    // store the new hash
+    const hashedPassword = await hashPassword(password)
+    await userModel.update(
+      { id: req.user.id },
+      { password: hashedPassword, updated_at: new Date() },
+    )
+
+    // sign out every other session
+    const currentSessionId = req.accessToken.sessionId
+    await sessionModel.revokeByUserId(req.user.id, currentSessionId)
+    await refreshTokenModel.revokeByUserId(req.user.id, currentSessionId)
+
+    logger.info("User password changed, other sessions revoked", {
+      requestId: req.id,
+      userId: req.user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * DELETE /api/me — Delete the authenticated user's account.
+ *
+ * Requires the current password. Deletion is refused (409) while the user is the
+ * last owner of any organization — ownership has to be transferred, or the
+ * organization deleted, first. The check runs in the deleting transaction with
+ * the orgs' owner memberships locked, so two owners leaving at once cannot
+ * both pass it. Otherwise, in the same transaction:
+ * - organizations the user created are credited to another of their owners
+ * - the user's org and project memberships are removed
+ * - the user is deleted; the projects, todos, and invitations they authored are
+ *   kept but anonymized (`created_by` / `user_id` / `inviter_id` set to null),
+ *   and sessions, tokens, and invitations addressed to them are removed
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const deleteMe = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = deleteMeSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // confirm the password before deleting anything
+    const user = await userModel.findOneWithPassword({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    const isPasswordValid = await verifyPassword(user.password, value.password)
+    if (!isPasswordValid) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
+    }
+
+    await db.transaction(async (trx) => {
+      // an organization must never be left without an owner
+      await orgMemberModel.lockOwnerMembershipsOfUserOrgs(req.user.id, trx)
+      const lastOwnerOrgs = await orgMemberModel.findOrgsWhereLastOwner(req.user.id, trx)
+      if (lastOwnerOrgs.length > 0) {
+        const orgNames = lastOwnerOrgs.map((org) => org.name).join(", ")
+        throw new HttpError(
+          HTTP_STATUS_CODE.CONFLICT,
+          `You are the last owner of: ${orgNames}. Transfer ownership or delete these organizations first`,
+        )
+      }
+
+      // Credit organizations the user created to their longest-standing other active owner
+      const createdOrgs = await trx("organizations")
+        .select("id", "name")
+        .where("created_by", req.user.id)
+        .forUpdate()
+      for (const org of createdOrgs) {
+        const nextOwner = await trx("org_members")
+          .select("org_members.user_id")
+          .join("roles", "org_members.role_id", "roles.id")
+          .where("org_members.org_id", org.id)
+          .andWhere("roles.name", "owner")
+          .whereNull("org_members.suspended_at")
+          .andWhereNot("org_members.user_id", req.user.id)
+          .orderBy("org_members.joined_at")
+          .first()
+        // created_by cannot be null, and an org without owners has nobody to credit
+        if (!nextOwner) {
+          throw new HttpError(
+            HTTP_STATUS_CODE.CONFLICT,
+            `${org.name} has no other owner to take it over. Make a member its owner first`,
+          )
+        }
+        await trx("organizations").where("id", org.id).update({ created_by: nextOwner.user_id })
+      }
+
+      await trx("project_members").where("user_id", req.user.id).delete()
+      await trx("org_members").where("user_id", req.user.id).delete()
+
+      // authored projects, todos, and invitations are anonymized by their foreign keys
+      await trx("users").where("id", req.user.id).delete()
+    })
+
+    logger.info("User account deleted", {
+      requestId: req.id,
+      userId: req.user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
@@ -5,6 +5,8 @@ import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
 import * as orgMemberModel from "../models/org-members.js"
 import * as projectMemberModel from "../models/project-members.js"
 import * as roleModel from "../models/roles.js"
+import { assertCanGrantRole } from "../utils/role-grants.js"
+import logger from "../utils/logger.js"
 
 /** Standard UUID v4 format validation pattern */
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
@@ -19,6 +21,15 @@ const roleSchema = joi
   })
   .options({ stripUnknown: true })
 
+/**
+ * Joi schema for validating member suspension request bodies.
+ */
+const suspendSchema = joi
+  .object({
+    reason: joi.string().trim().min(1).max(500).required(),
+  })
+  .options({ stripUnknown: true })
+
 /**
  * Determines whether the request is in a project context or org-only context.
  * Project context is present when resolveProject middleware has run (sets req.project).
@@ -28,6 +39,20 @@ const roleSchema = joi
  */
 const isProjectContext = (req) => Boolean(req.project)
 
+/**
+ * Checks whether an organization keeps an owner who can act for it once the
+ * given member stops being one. Suspended owners do not count, since
+ * resolveOrg refuses all of their requests to the organization.
+ *
+ * @param {string} orgId - UUID of the organization
+ * @param {string} userId - UUID of the owner about to be demoted or removed
+ * @returns {Promise<boolean>} True if another unsuspended owner remains
+ */
+const hasOtherActiveOwner = async (orgId, userId) => {
+  const orgMembers = await orgMemberModel.findManyByOrgId(orgId)
+  return orgMembers.some((m) => m.role_name === "owner" && !m.suspended_at && m.user_id !== userId)
+}
+
 /**
  * GET /api/orgs/:org_id/members — List org members.
  * GET /api/orgs/:org_id/projects/:project_id/members — List project members.
@@ -69,8 +94,12 @@ export const getMembers = async (req, res, next) => {
  *
  * Guards:
  * - Cannot change your own role
- * - Cannot demote the last owner of the org (prevents orphaned orgs)
+ * - Cannot demote the last unsuspended owner of the org (prevents orphaned orgs)
+ * - Cannot make a suspended member an owner (owners can never be suspended)
  * - Target role must belong to the same organization
+ * - Target role cannot grant permissions the caller does not have (403 lists them)
+ * - Target member's current role cannot hold permissions the caller does not have,
+ *   so nobody can demote a member stronger than themselves (403 lists them)
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -102,6 +131,7 @@ export const updateMemberRole = async (req, res, next) => {
     if (!role) {
       throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Role not found in this organization")
     }
+    await assertCanGrantRole(req, roleId)
 
     if (isProjectContext(req)) {
       // --- Project-level role update ---
@@ -112,6 +142,7 @@ export const updateMemberRole = async (req, res, next) => {
       if (!membership) {
         throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User is not a member of this project")
       }
+      await assertCanGrantRole(req, membership.role_id)
 
       await projectMemberModel.updateRole(
         { user_id: targetUserId, project_id: req.project.id },
@@ -126,13 +157,16 @@ export const updateMemberRole = async (req, res, next) => {
       if (!membership) {
         throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User is not a member of this organization")
       }
+      await assertCanGrantRole(req, membership.role_id)
+
+      if (role.name === "owner" && membership.suspended_at) {
+        throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Suspended members cannot be made owners")
+      }
 
-      // If the target member is currently an owner, check that at least one other owner remains
+      // If the target member is currently an owner, check that another active owner remains
       const currentRole = await roleModel.findOne({ id: membership.role_id })
       if (currentRole && currentRole.name === "owner") {
-        const orgMembers = await orgMemberModel.findManyByOrgId(req.org.id)
-        const ownerCount = orgMembers.filter((m) => m.role_name === "owner").length
-        if (ownerCount <= 1) {
+        if (!(await hasOtherActiveOwner(req.org.id, targetUserId))) {
           throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Cannot change role of the last owner")
         }
       }
@@ -157,7 +191,7 @@ export const updateMemberRole = async (req, res, next) => {
  *
  * Guards:
  * - Cannot remove yourself (use a "leave" endpoint instead)
- * - Cannot remove the last owner of the org (prevents orphaned orgs)
+ * - Cannot remove the last unsuspended owner of the org (prevents orphaned orgs)
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -200,12 +234,10 @@ export const removeMember = async (req, res, next) => {
         throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User is not a member of this organization")
       }
 
-      // If the target member is an owner, ensure at least one other owner remains
+      // If the target member is an owner, ensure another active owner remains
       const currentRole = await roleModel.findOne({ id: membership.role_id })
       if (currentRole && currentRole.name === "owner") {
-        const orgMembers = await orgMemberModel.findManyByOrgId(req.org.id)
-        const ownerCount = orgMembers.filter((m) => m.role_name === "owner").length
-        if (ownerCount <= 1) {
+        if (!(await hasOtherActiveOwner(req.org.id, targetUserId))) {
           throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Cannot remove the last owner")
         }
       }
@@ -223,3 +255,127 @@ export const removeMember = async (req, res, next) => {
     return next(error)
   }
 }
+
+/**
+ * Loads the org membership a suspension request targets, after checking that
+ * the caller owns the organization. Only owners may suspend or unsuspend, and
+ * only inside their own organization — req.org is the org resolveOrg verified.
+ *
+ * @param {Object} req - Express request object (req.user.id, req.org set by middleware)
+ * @returns {Promise<Object>} The target membership, including its role name
+ * @throws {HttpError} 400 for a malformed ID or self-targeting, 403 for non-owners,
+ *   404 when the user is not a member of the organization
+ */
+const findSuspensionTarget = async (req) => {
+  // Validate the :user_id route parameter
+  const targetUserId = req.params.user_id
+  if (!UUID_REGEX.test(targetUserId)) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid user ID format")
+  }
+
+  const callerMembership = await orgMemberModel.findMemberWithPermissions(req.user.id, req.org.id)
+  if (callerMembership?.role_name !== "owner") {
+    throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, "Only organization owners can suspend members")
+  }
+
+  if (targetUserId === req.user.id) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "You cannot suspend yourself")
+  }
+
+  const membership = await orgMemberModel.findMemberWithPermissions(targetUserId, req.org.id)
+  if (!membership) {
+    throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User is not a member of this organization")
+  }
+  return membership
+}
+
+/**
+ * POST /api/orgs/:org_id/members/:user_id/suspend — Suspend an org member.
+ *
+ * The member keeps their role but resolveOrg refuses all of their requests to
+ * this organization until the suspension is lifted. Their account and other
+ * organizations are unaffected.
+ *
+ * Guards:
+ * - Only owners of the organization may suspend
+ * - Cannot suspend yourself or another owner
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const suspendMember = async (req, res, next) => {
+  try {
+    // Validate the request body
+    const { error, value } = suspendSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const membership = await findSuspensionTarget(req)
+    if (membership.role_name === "owner") {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Owners cannot be suspended")
+    }
+    if (membership.suspended_at) {
+      throw new HttpError(HTTP_STATUS_CODE.CONFLICT, "Member is already suspended")
+    }
+
+    await orgMemberModel.setSuspension(
+      { user_id: req.params.user_id, org_id: req.org.id },
+      value.reason,
+      req.user.id,
+    )
+
+    logger.info("Org member suspended", {
+      requestId: req.id,
+      orgId: req.org.id,
+      userId: req.params.user_id,
+      suspendedBy: req.user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/orgs/:org_id/members/:user_id/unsuspend — Lift an org member's suspension.
+ *
+ * Only owners of the organization may unsuspend.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const unsuspendMember = async (req, res, next) => {
+  try {
+    const membership = await findSuspensionTarget(req)
+    if (!membership.suspended_at) {
+      throw new HttpError(HTTP_STATUS_CODE.CONFLICT, "Member is not suspended")
+    }
+
+    await orgMemberModel.setSuspension({ user_id: req.params.user_id, org_id: req.org.id }, null)
+
+    logger.info("Org member unsuspended", {
+      requestId: req.id,
+      orgId: req.org.id,
+      userId: req.params.user_id,
+      unsuspendedBy: req.user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
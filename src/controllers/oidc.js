@@ -0,0 +1,347 @@
+import joi from "joi"
+import crypto from "node:crypto"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+import * as userIdentityModel from "../models/user-identities.js"
+import * as oidcLoginRequestModel from "../models/oidc-login-requests.js"
+import * as invitationModel from "../models/invitations.js"
+import { hashPassword } from "../utils/argon2.js"
+import { generateChallengeToken } from "../utils/jwt.js"
+import { getSecondFactors } from "../utils/two-factor.js"
+import { startSession } from "../utils/session.js"
+import { recordSecurityEvent } from "../utils/security-events.js"
+import { assertNotSuspended } from "../utils/suspension.js"
+import { assertCookieModeAllowed, deliverTokenPair } from "../utils/auth-cookies.js"
+import { generateOneTimeToken, hashToken } from "../utils/one-time-token.js"
+import {
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+  getProviders as getConfiguredProviders,
+} from "../utils/oidc.js"
+import logger from "../utils/logger.js"
+import db from "../config/database.js"
+
+/** How long a started login can be completed */
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000
+
+const authorizeSchema = joi
+  .object({
+    device_name: joi.string().trim().max(100).optional(),
+  })
+  .options({ stripUnknown: true })
+
+const callbackSchema = joi
+  .object({
+    code: joi.string().max(2048).required(),
+    state: joi.string().max(128).required(),
+    // the secret the authorize response gave this client
+    login_secret: joi.string().max(128).required(),
+    // ask for httpOnly session cookies instead of tokens in the body (needs AUTH_COOKIES)
+    use_cookies: joi.boolean().default(false),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Looks up a configured provider by the `:provider` route parameter.
+ *
+ * @param {string} name - Provider name from the URL
+ * @returns {Object} The provider
+ * @throws {HttpError} 404 when no provider has that name
+ */
+const findProvider = (name) => {
+  const provider = getConfiguredProviders().get(name)
+  if (!provider) {
+    throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Unknown identity provider")
+  }
+  return provider
+}
+
+/**
+ * Picks an unused username for a provisioned user, based on what the provider
+ * knows about them. Falls back to random suffixes when the name is taken.
+ *
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<string>} A username that passes the signup rules
+ */
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || claims.email?.split("@")[0] || "user"
+  let base = source.replace(/[^a-zA-Z0-9._-]/g, "").slice(0, 30)
+  if (base.length < 3) {
+    base = `user${base}`
+  }
+
+  let candidate = base
+  while (await userModel.findOne({ username: candidate })) {
+    const suffix = crypto.randomInt(1000, 10000)
+    candidate = `${base.slice(0, 25)}-${suffix}`
+  }
+  return candidate
+}
+
+/**
+ * Resolves the local user for a provider login, linking or creating one on
+ * the first login with this external account.
+ *
+ * An existing identity always wins. Otherwise, for providers configured with
+ * `trust_email`, a verified email from the provider links the account to the
+ * local user who verified the same email; unverified emails never link, since
+ * anyone can claim one. Other providers are refused when the email belongs to
+ * a local user, rather than handing that account to whoever controls the
+ * provider account. Failing all that, a new user is provisioned with an
+ * unusable random password — they can set one through the password reset flow
+ * once they have an email.
+ *
+ * @param {Object} req - Express request object (for logging)
+ * @param {Object} provider - Provider the login came from
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} The user, including auth columns
+ * @throws {HttpError} 409 when an untrusted provider reports a local user's verified email
+ */
+const resolveUser = async (req, provider, claims) => {
+  const email = claims.email_verified === true && claims.email ? claims.email : null
+
+  const identity = await userIdentityModel.findOne({
+    provider: provider.name,
+    subject: claims.sub,
+  })
+  if (identity) {
+    await userIdentityModel.touch(identity.id, claims.email ?? null)
+    return userModel.findOneWithPassword({ id: identity.user_id })
+  }
+
+  const identityData = {
+    id: crypto.randomUUID(),
+    provider: provider.name,
+    subject: claims.sub,
+    email: claims.email ?? null,
+    created_at: new Date(),
+    last_used_at: new Date(),
+  }
+
+  if (email) {
+    const existingUser = await userModel.findOneWithPassword((query) =>
+      query.where({ email }).whereNotNull("email_verified_at"),
+    )
+    if (existingUser) {
+      if (!provider.trustEmail) {
+        throw new HttpError(
+          HTTP_STATUS_CODE.CONFLICT,
+          "An account with this email already exists; sign in to it instead",
+        )
+      }
+      await userIdentityModel.create({ ...identityData, user_id: existingUser.id })
+      logger.info("External identity linked", {
+        requestId: req.id,
+        userId: existingUser.id,
+        provider: provider.name,
+      })
+      return existingUser
+    }
+  }
+
+  // the email is only taken over when nobody else has it, verified or not
+  const isEmailAvailable = email && !(await userModel.findOne({ email }))
+  const userId = crypto.randomUUID()
+  const userData = {
+    id: userId,
+    username: await generateUsername(claims),
+    password: await hashPassword(crypto.randomBytes(32).toString("hex")),
+    created_at: new Date(),
+    updated_at: new Date(),
+  }
+  if (isEmailAvailable) {
+    userData.email = email
+    userData.email_verified_at = new Date()
+  }
+
+  await db.transaction(async (trx) => {
+    await trx("users").insert(userData)
+    await trx("user_identities").insert({ ...identityData, user_id: userId })
+  })
+
+  if (isEmailAvailable) {
+    await invitationModel.attachPendingByEmail(email, userId)
+  }
+
+  logger.info("User provisioned from external identity", {
+    requestId: req.id,
+    userId,
+    provider: provider.name,
+  })
+
+  return userModel.findOneWithPassword({ id: userId })
+}
+
+/**
+ * GET /api/auth/oidc/providers — List the identity providers users can sign in with.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getProviders = async (req, res, next) => {
+  try {
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: [...getConfiguredProviders().keys()].map((name) => ({ name })),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/oidc/:provider/authorize — Start a signin with an identity provider.
+ *
+ * Stores the PKCE verifier and nonce of a new authorization code flow and
+ * returns the provider URL to send the browser to. The provider redirects back
+ * to the configured redirect URI with `code` and `state`, which the client
+ * passes to the callback endpoint together with the returned `login_secret`.
+ * The secret never goes through the provider, so a `code` and `state` planted
+ * by someone else cannot complete a login in this client (login CSRF).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authorize = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = authorizeSchema.validate(req.body ?? {})
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const provider = findProvider(req.params.provider)
+    const { authorizationUrl, state, nonce, codeVerifier } =
+      await createAuthorizationRequest(provider)
+    const { token: loginSecret, tokenHash: loginSecretHash } = generateOneTimeToken()
+
+    // abandoned logins are cleaned up as new ones start
+    await oidcLoginRequestModel.removeExpired()
+    await oidcLoginRequestModel.create({
+      id: crypto.randomUUID(),
+      provider: provider.name,
+      state_hash: hashToken(state),
+      login_secret_hash: loginSecretHash,
+      code_verifier: codeVerifier,
+      nonce,
+      device_name: value.device_name ?? null,
+      expires_at: new Date(Date.now() + LOGIN_REQUEST_TTL_MS),
+      created_at: new Date(),
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: { authorization_url: authorizationUrl, state, login_secret: loginSecret },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/oidc/:provider/callback — Finish a signin with an identity provider.
+ *
+ * Exchanges the authorization code (with the stored PKCE verifier), verifies
+ * the ID token, and signs in as the linked user — linking or provisioning one
+ * on first login. Users with 2FA get a challenge token, exactly as from
+ * password signin; everyone else gets the usual token pair.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const callback = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = callbackSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { code, state, login_secret, use_cookies } = value
+    assertCookieModeAllowed(use_cookies)
+
+    const provider = findProvider(req.params.provider)
+
+    // each login request completes at most once, successful or not, and only
+    // for the client that started it
+    const loginRequest = await oidcLoginRequestModel.consume(
+      provider.name,
+      hashToken(state),
+      hashToken(login_secret),
+    )
+    if (!loginRequest) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid or expired login request")
+    }
+
+    const claims = await exchangeAuthorizationCode(provider, {
+      code,
+      codeVerifier: loginRequest.code_verifier,
+      nonce: loginRequest.nonce,
+    })
+
+    const user = await resolveUser(req, provider, claims)
+    const deviceName = loginRequest.device_name ?? undefined
+    await assertNotSuspended(req, user, { method: "oidc" })
+
+    // the provider vouches for the first factor only
+    const secondFactors = await getSecondFactors(user)
+    if (secondFactors.length > 0) {
+      await recordSecurityEvent(req, {
+        userId: user.id,
+        event: "signin",
+        outcome: "challenge",
+        method: "oidc",
+      })
+      return res.json(
+        apiResponse({
+          message: HTTP_STATUS_MESSAGE.OK,
+          data: {
+            id: user.id,
+            username: user.username,
+            two_factor_required: true,
+            two_factor_methods: secondFactors,
+            challenge_token: generateChallengeToken(user.id, { deviceName }),
+          },
+        }),
+      )
+    }
+
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, { deviceName })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "oidc",
+      sessionId,
+    })
+
+    logger.info("User signed in with external identity", {
+      requestId: req.id,
+      userId: user.id,
+      provider: provider.name,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          id: user.id,
+          username: user.username,
+          ...deliverTokenPair(res, { accessToken, refreshToken }, { useCookies: use_cookies }),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
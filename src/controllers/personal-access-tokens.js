@@ -0,0 +1,186 @@
+import joi from "joi"
+import crypto from "node:crypto"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as personalAccessTokenModel from "../models/personal-access-tokens.js"
+import * as permissionModel from "../models/permissions.js"
+import * as orgMemberModel from "../models/org-members.js"
+import { generatePersonalAccessToken } from "../utils/personal-access-token.js"
+import logger from "../utils/logger.js"
+
+/** Standard UUID v4 format validation pattern */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Joi schema for validating personal access token creation request bodies.
+ * Scopes are permission names ("resource:action"); the token lives 30 days unless set.
+ */
+const createTokenSchema = joi
+  .object({
+    name: joi.string().trim().min(1).max(100).required(),
+    org_id: joi.string().uuid().required(),
+    scopes: joi.array().items(joi.string().max(100)).min(1).unique().required(),
+    expires_in_days: joi.number().integer().min(1).max(365).default(30),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Shapes a token record for API responses. The hash is never included.
+ *
+ * @param {Object} token - Token record
+ * @param {string[]} scopes - Permission names the token is scoped to
+ * @returns {Object} Token as returned by the API
+ */
+const formatToken = (token, scopes) => ({
+  id: token.id,
+  name: token.name,
+  org_id: token.org_id,
+  scopes,
+  expires_at: token.expires_at,
+  last_used_at: token.last_used_at,
+  created_at: token.created_at,
+})
+
+/**
+ * GET /api/me/tokens — List the authenticated user's personal access tokens.
+ *
+ * Revoked tokens are omitted; expired ones are listed until revoked.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getTokens = async (req, res, next) => {
+  try {
+    const tokens = await personalAccessTokenModel.findActiveByUserId(req.user.id)
+    const scopeRows =
+      tokens.length > 0
+        ? await personalAccessTokenModel.findScopesByTokenIds(tokens.map((token) => token.id))
+        : []
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: tokens.map((token) =>
+          formatToken(
+            token,
+            scopeRows.filter((row) => row.token_id === token.id).map((row) => row.name),
+          ),
+        ),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/me/tokens — Create a personal access token.
+ *
+ * The token is bound to one organization the user belongs to and to a set of
+ * permission names. At request time it only gets the permissions the user
+ * still holds in that organization that are also among its scopes. The raw
+ * token is returned once and cannot be retrieved again.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const createToken = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = createTokenSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { name, org_id: orgId, scopes, expires_in_days: expiresInDays } = value
+
+    // The token can only act within an organization the user belongs to
+    const membership = await orgMemberModel.findOne({ user_id: req.user.id, org_id: orgId })
+    if (!membership) {
+      throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, "You are not a member of this organization")
+    }
+
+    // Every scope must be an existing permission name
+    const permissions = await permissionModel.findByNames(scopes)
+    if (permissions.length !== scopes.length) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "One or more scopes are invalid")
+    }
+
+    const { token, tokenHash } = generatePersonalAccessToken()
+    const [created] = await personalAccessTokenModel.create(
+      {
+        id: crypto.randomUUID(),
+        user_id: req.user.id,
+        org_id: orgId,
+        name,
+        token_hash: tokenHash,
+        expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        created_at: new Date(),
+      },
+      permissions.map((permission) => permission.id),
+    )
+
+    logger.info("Personal access token created", {
+      requestId: req.id,
+      userId: req.user.id,
+      tokenId: created.id,
+      orgId,
+    })
+
+    return res.status(HTTP_STATUS_CODE.CREATED).json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.CREATED,
+        data: { ...formatToken(created, scopes.toSorted()), token },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * DELETE /api/me/tokens/:token_id — Revoke one of the user's personal access tokens.
+ *
+ * The token is rejected from its next use on. Tokens of other users are reported
+ * as not found.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const revokeToken = async (req, res, next) => {
+  try {
+    // Validate the :token_id route parameter
+    const tokenId = req.params.token_id
+    if (!UUID_REGEX.test(tokenId)) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid token ID format")
+    }
+
+    // Verify the token exists, belongs to this user, and is still active
+    const token = await personalAccessTokenModel.findOne({ id: tokenId, user_id: req.user.id })
+    if (!token || token.revoked_at) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Token not found")
+    }
+
+    await personalAccessTokenModel.revoke(tokenId)
+
+    logger.info("Personal access token revoked", {
+      requestId: req.id,
+      userId: req.user.id,
+      tokenId,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
@@ -15,6 +15,7 @@ const projectBodySchema = joi
   .object({
     name: joi.string().min(1).max(100).required(),
     description: joi.string().max(5000).optional(),
+    visibility: joi.string().valid("org", "private").optional(),
   })
   .options({ stripUnknown: true })
 
@@ -40,7 +41,7 @@ export const createProject = async (req, res, next) => {
 
     const userId = req.user.id
     const orgId = req.org.id
-    const { name, description } = value
+    const { name, description, visibility } = value
     const projectId = crypto.randomUUID()
 
     // Look up the creator's org role so they get the same role in the project
@@ -60,6 +61,7 @@ export const createProject = async (req, res, next) => {
         updated_at: new Date(),
       }
       if (description !== undefined) projectData.description = description
+      if (visibility !== undefined) projectData.visibility = visibility
 
       const [createdProject] = await trx("projects")
         .insert(projectData)
@@ -68,6 +70,7 @@ export const createProject = async (req, res, next) => {
           "org_id",
           "name",
           "description",
+          "visibility",
           "created_by",
           "created_at",
           "updated_at",
@@ -95,18 +98,22 @@ export const createProject = async (req, res, next) => {
 }
 
 /**
- * GET /api/orgs/:org_id/projects — List all projects in the organization.
+ * GET /api/orgs/:org_id/projects — List the projects in the organization.
  *
- * The permission middleware already gates access via project:read,
- * so all org projects are returned regardless of project-level membership.
+ * The permission middleware already gates access via project:read, so every
+ * "org" project is returned regardless of project-level membership. Private
+ * projects are only listed for their members — and for org owners, who see all.
  *
- * @param {Object} req - Express request object (req.org.id set by middleware)
+ * @param {Object} req - Express request object (req.org, req.user.id set by middleware)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 export const getProjects = async (req, res, next) => {
   try {
-    const projects = await projectModel.findManyByOrgId(req.org.id)
+    const projects =
+      req.org.roleName === "owner"
+        ? await projectModel.findManyByOrgId(req.org.id)
+        : await projectModel.findManyVisibleToUser(req.org.id, req.user.id)
 
     return res.json(
       apiResponse({
@@ -143,7 +150,7 @@ export const getProject = async (req, res, next) => {
 }
 
 /**
- * PUT /api/orgs/:org_id/projects/:project_id — Update a project's name and/or description.
+ * PUT /api/orgs/:org_id/projects/:project_id — Update a project's name, description, or visibility.
  * Requires project:update permission.
  *
  * @param {Object} req - Express request object (req.project.id set by middleware)
@@ -157,9 +164,10 @@ export const updateProject = async (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
     }
 
-    const { name, description } = value
+    const { name, description, visibility } = value
     const updateData = { name, updated_at: new Date() }
     if (description !== undefined) updateData.description = description
+    if (visibility !== undefined) updateData.visibility = visibility
 
     const [project] = await projectModel.update({ id: req.project.id }, updateData)
     if (!project) {
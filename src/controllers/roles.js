@@ -5,6 +5,7 @@ import apiResponse from "../utils/response.js"
 import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
 import * as roleModel from "../models/roles.js"
 import * as permissionModel from "../models/permissions.js"
+import { assertCanGrantPermissions } from "../utils/role-grants.js"
 import db from "../config/database.js"
 
 /** Standard UUID v4 format validation pattern */
@@ -52,7 +53,8 @@ const validateRoleIdParam = (roleId) => {
  * POST /api/orgs/:org_id/roles — Create a custom role for the organization.
  *
  * Custom roles (is_system = false) allow org admins to define granular permission sets.
- * All provided permission_ids are validated against the permissions table before creation.
+ * All provided permission_ids are validated against the permissions table before creation,
+ * and a role can only include permissions the caller has.
  *
  * @param {Object} req - Express request object (req.org.id set by middleware)
  * @param {Object} res - Express response object
@@ -72,6 +74,10 @@ export const createRole = async (req, res, next) => {
     if (existingPermissions.length !== permissionIds.length) {
       throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "One or more permission IDs are invalid")
     }
+    assertCanGrantPermissions(
+      req,
+      existingPermissions.map((permission) => permission.name),
+    )
 
     const roleId = crypto.randomUUID()
 
@@ -176,6 +182,7 @@ export const getRole = async (req, res, next) => {
  * Guards:
  * - Cannot rename a system role (system role names are immutable)
  * - Permission IDs (if provided) are validated against the permissions table
+ * - New permissions cannot include any the caller does not have (403 lists them)
  *
  * @param {Object} req - Express request object (req.org.id set by middleware)
  * @param {Object} res - Express response object
@@ -220,6 +227,12 @@ export const updateRole = async (req, res, next) => {
       if (existingPermissions.length !== permissionIds.length) {
         throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "One or more permission IDs are invalid")
       }
+
+      // Members already holding the role gain these permissions right away
+      assertCanGrantPermissions(
+        req,
+        existingPermissions.map((permission) => permission.name),
+      )
     }
 
     // Update role metadata and permissions atomically
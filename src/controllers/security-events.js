@@ -0,0 +1,91 @@
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as securityEventModel from "../models/security-events.js"
+import * as userModel from "../models/users.js"
+import { validatePaginationQuery, executePaginatedQuery } from "../utils/pagination.js"
+
+/** Standard UUID v4 format validation pattern */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Fetches one page of a user's security events, newest first by default.
+ * Search matches the IP address and User-Agent.
+ *
+ * @param {string} userId - UUID of the user whose history to read
+ * @param {Object} query - Express request query object (req.query)
+ * @returns {Promise<{ data: Object[], pagination: Object }>} Paginated events
+ */
+const findUserEvents = (userId, query) => {
+  const params = validatePaginationQuery(query, ["created_at", "event", "outcome"])
+
+  return executePaginatedQuery(
+    securityEventModel.count,
+    securityEventModel.findManyPaginated,
+    { user_id: userId },
+    params,
+    ["ip_address", "user_agent"],
+  )
+}
+
+/**
+ * GET /api/me/security-events — List the authenticated user's security history.
+ *
+ * Every signin attempt, token refresh, and logout is recorded with its outcome,
+ * IP address, User-Agent, and request ID.
+ *
+ * @param {Object} req - Express request object (req.user.id set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getMySecurityEvents = async (req, res, next) => {
+  try {
+    const { data: events, pagination } = await findUserEvents(req.user.id, req.query)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: events,
+        pagination,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * GET /api/admin/users/:user_id/security-events — List any user's security history.
+ *
+ * Platform admin only (enforced by the admin router).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getUserSecurityEvents = async (req, res, next) => {
+  try {
+    // Validate the :user_id route parameter
+    const userId = req.params.user_id
+    if (!UUID_REGEX.test(userId)) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid user ID format")
+    }
+
+    const user = await userModel.findOne({ id: userId })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+
+    const { data: events, pagination } = await findUserEvents(user.id, req.query)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: events,
+        pagination,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
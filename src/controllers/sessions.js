@@ -0,0 +1,88 @@
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as sessionModel from "../models/sessions.js"
+import * as refreshTokenModel from "../models/refresh-tokens.js"
+import logger from "../utils/logger.js"
+
+/** Standard UUID v4 format validation pattern */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * GET /api/auth/sessions — List the authenticated user's active sessions.
+ *
+ * Each signin is one session. The session the request was made from is
+ * flagged with `current: true` so clients can tell it apart.
+ *
+ * @param {Object} req - Express request object (req.user.id, req.accessToken set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionModel.findActiveByUserId(req.user.id)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: sessions.map((session) => ({
+          id: session.id,
+          device_name: session.device_name,
+          ip_address: session.ip_address,
+          user_agent: session.user_agent,
+          created_at: session.created_at,
+          last_used_at: session.last_used_at,
+          expires_at: session.expires_at,
+          current: session.id === req.accessToken.sessionId,
+        })),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * DELETE /api/auth/sessions/:session_id — Revoke one of the user's sessions.
+ *
+ * The session's refresh tokens stop working and its access tokens are rejected
+ * on their next use. Revoking the current session is equivalent to logging out.
+ * Sessions of other users are reported as not found.
+ *
+ * @param {Object} req - Express request object (req.user.id set by middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    // Validate the :session_id route parameter
+    const sessionId = req.params.session_id
+    if (!UUID_REGEX.test(sessionId)) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid session ID format")
+    }
+
+    // Verify the session exists, belongs to this user, and is still active
+    const session = await sessionModel.findOne({ id: sessionId, user_id: req.user.id })
+    if (!session || session.revoked_at) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Session not found")
+    }
+
+    await sessionModel.revoke(sessionId)
+    await refreshTokenModel.revokeBySessionId(sessionId)
+
+    logger.info("Session revoked", {
+      requestId: req.id,
+      userId: req.user.id,
+      sessionId,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
@@ -0,0 +1,235 @@
+import joi from "joi"
+import crypto from "node:crypto"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+import * as recoveryCodeModel from "../models/recovery-codes.js"
+import { verifyPassword } from "../utils/argon2.js"
+import { hashToken } from "../utils/one-time-token.js"
+import { buildOtpauthUri, generateTotpSecret } from "../utils/totp.js"
+import {
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  verifySecondFactor,
+} from "../utils/two-factor.js"
+import logger from "../utils/logger.js"
+
+/**
+ * Joi schema for validating 2FA enrollment request bodies.
+ * The current password is required so a stolen session cannot enroll its own authenticator.
+ */
+const enrollSchema = joi
+  .object({
+    password: joi.string().max(72).required(),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Joi schema for validating 2FA confirmation request bodies.
+ */
+const confirmSchema = joi
+  .object({
+    code: joi
+      .string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({ "string.pattern.base": "code must be a 6-digit number" }),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Joi schema for validating 2FA disable request bodies.
+ * Requires the password and a second factor — a TOTP code or a recovery code.
+ */
+const disableSchema = joi
+  .object({
+    password: joi.string().max(72).required(),
+    code: joi
+      .string()
+      .pattern(/^\d{6}$/)
+      .optional()
+      .messages({ "string.pattern.base": "code must be a 6-digit number" }),
+    recovery_code: joi.string().max(32).optional(),
+  })
+  .xor("code", "recovery_code")
+  .options({ stripUnknown: true })
+
+/**
+ * POST /api/me/2fa/enroll — Start TOTP enrollment.
+ *
+ * Generates a new secret and returns it with an otpauth:// URI for the
+ * authenticator app. 2FA is not enforced until the user confirms a code.
+ * Enrolling again before confirming replaces the pending secret.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const enroll = async (req, res, next) => {
+  try {
+    const { error, value } = enrollSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const user = await userModel.findOneWithPassword({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    const isPasswordValid = await verifyPassword(user.password, value.password)
+    if (!isPasswordValid) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
+    }
+    if (user.totp_enabled_at) {
+      throw new HttpError(
+        HTTP_STATUS_CODE.BAD_REQUEST,
+        "Two-factor authentication is already enabled",
+      )
+    }
+
+    const secret = generateTotpSecret()
+    await userModel.update(
+      { id: user.id },
+      { totp_secret: secret, totp_last_used_step: null, updated_at: new Date() },
+    )
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          secret,
+          otpauth_uri: buildOtpauthUri({
+            secret,
+            accountName: user.username,
+            issuer: process.env.TOTP_ISSUER,
+          }),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/me/2fa/confirm — Finish enrollment with a code from the authenticator.
+ *
+ * Enables 2FA and returns a new set of recovery codes. The codes are only
+ * ever shown in this response; just their hashes are stored.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const confirm = async (req, res, next) => {
+  try {
+    const { error, value } = confirmSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const user = await userModel.findOneWithPassword({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    if (user.totp_enabled_at) {
+      throw new HttpError(
+        HTTP_STATUS_CODE.BAD_REQUEST,
+        "Two-factor authentication is already enabled",
+      )
+    }
+    if (!user.totp_secret) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Two-factor enrollment has not started")
+    }
+
+    const isCodeValid = await verifySecondFactor(user, { code: value.code })
+    if (!isCodeValid) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "invalid two-factor code")
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    await recoveryCodeModel.replaceForUser(
+      user.id,
+      recoveryCodes.map((code) => ({
+        id: crypto.randomUUID(),
+        code_hash: hashToken(normalizeRecoveryCode(code)),
+      })),
+    )
+    await userModel.update({ id: user.id }, { totp_enabled_at: new Date(), updated_at: new Date() })
+
+    logger.info("Two-factor authentication enabled", {
+      requestId: req.id,
+      userId: user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: { recovery_codes: recoveryCodes },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/me/2fa/disable — Turn 2FA off.
+ *
+ * Requires the password and a TOTP or recovery code. Removes the secret and
+ * all recovery codes.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const disable = async (req, res, next) => {
+  try {
+    const { error, value } = disableSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const user = await userModel.findOneWithPassword({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    if (!user.totp_enabled_at) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Two-factor authentication is not enabled")
+    }
+
+    const isPasswordValid = await verifyPassword(user.password, value.password)
+    const isFactorValid =
+      isPasswordValid &&
+      (await verifySecondFactor(user, { code: value.code, recoveryCode: value.recovery_code }))
+    if (!isFactorValid) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
+    }
+
+    await userModel.update(
+      { id: user.id },
+      {
+        totp_secret: null,
+        totp_enabled_at: null,
+        totp_last_used_step: null,
+        updated_at: new Date(),
+      },
+    )
+    await recoveryCodeModel.removeByUserId(user.id)
+
+    logger.info("Two-factor authentication disabled", {
+      requestId: req.id,
+      userId: user.id,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
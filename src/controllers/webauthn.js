@@ -0,0 +1,667 @@
+import joi from "joi"
+import crypto from "node:crypto"
+import HttpError from "../utils/http-error.js"
+import apiResponse from "../utils/response.js"
+import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+import * as webauthnCredentialModel from "../models/webauthn-credentials.js"
+import * as webauthnChallengeModel from "../models/webauthn-challenges.js"
+import { verifyPassword } from "../utils/argon2.js"
+import { verifyChallengeToken } from "../utils/jwt.js"
+import { startSession } from "../utils/session.js"
+import { recordSecurityEvent } from "../utils/security-events.js"
+import { assertNotSuspended } from "../utils/suspension.js"
+import { assertCookieModeAllowed, deliverTokenPair } from "../utils/auth-cookies.js"
+import { hashToken } from "../utils/one-time-token.js"
+import { consumeChallengeToken, getSecondFactors } from "../utils/two-factor.js"
+import {
+  assertSigninAllowed,
+  clearFailedSignins,
+  recordFailedSignin,
+} from "../utils/signin-lockout.js"
+import {
+  SUPPORTED_ALGORITHMS,
+  generateChallenge,
+  getRelyingParty,
+  readClientData,
+  verifyAssertion,
+  verifyRegistration,
+} from "../utils/webauthn.js"
+import logger from "../utils/logger.js"
+
+/** How long a started ceremony can be completed */
+const CHALLENGE_TTL_MS = 5 * 60 * 1000
+
+/** Standard UUID v4 format validation pattern */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const base64url = () => joi.string().base64({ urlSafe: true, paddingRequired: false })
+
+// PublicKeyCredential from navigator.credentials.create(), binary fields base64url-encoded
+const registrationCredentialSchema = joi.object({
+  id: base64url().max(1400).required(),
+  type: joi.string().valid("public-key").required(),
+  response: joi
+    .object({
+      clientDataJSON: base64url().max(4096).required(),
+      attestationObject: base64url().max(16384).required(),
+    })
+    .required(),
+})
+
+// PublicKeyCredential from navigator.credentials.get(), binary fields base64url-encoded
+const assertionCredentialSchema = joi.object({
+  id: base64url().max(1400).required(),
+  type: joi.string().valid("public-key").required(),
+  response: joi
+    .object({
+      clientDataJSON: base64url().max(4096).required(),
+      authenticatorData: base64url().max(4096).required(),
+      signature: base64url().max(1024).required(),
+      userHandle: base64url().max(128).allow(null, "").optional(),
+    })
+    .required(),
+})
+
+/**
+ * Joi schema for starting a passkey registration.
+ * The current password is required so a stolen session cannot add its own passkey.
+ */
+const registerOptionsSchema = joi
+  .object({
+    password: joi.string().max(72).required(),
+  })
+  .options({ stripUnknown: true })
+
+const registerSchema = joi
+  .object({
+    name: joi.string().trim().max(100).optional(),
+    credential: registrationCredentialSchema.required(),
+  })
+  .options({ stripUnknown: true })
+
+const authenticateOptionsSchema = joi
+  .object({
+    device_name: joi.string().trim().max(100).optional(),
+  })
+  .options({ stripUnknown: true })
+
+const authenticateSchema = joi
+  .object({
+    credential: assertionCredentialSchema.required(),
+    // ask for httpOnly session cookies instead of tokens in the body (needs AUTH_COOKIES)
+    use_cookies: joi.boolean().default(false),
+  })
+  .options({ stripUnknown: true })
+
+const twoFactorOptionsSchema = joi
+  .object({
+    challenge_token: joi.string().required(),
+  })
+  .options({ stripUnknown: true })
+
+const twoFactorSchema = joi
+  .object({
+    challenge_token: joi.string().required(),
+    credential: assertionCredentialSchema.required(),
+    // ask for httpOnly session cookies instead of tokens in the body (needs AUTH_COOKIES)
+    use_cookies: joi.boolean().default(false),
+  })
+  .options({ stripUnknown: true })
+
+/**
+ * Encodes a user ID as the WebAuthn user handle — the UUID's 16 bytes, so
+ * the authenticator stores nothing personal.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {string} base64url user handle
+ */
+const toUserHandle = (userId) => {
+  return Buffer.from(userId.replaceAll("-", ""), "hex").toString("base64url")
+}
+
+/**
+ * Starts a ceremony: stores the hash of a fresh challenge and returns the
+ * challenge itself for the client.
+ *
+ * @param {Object} ceremony
+ * @param {string} ceremony.purpose - "registration", "authentication" or "two_factor"
+ * @param {string|null} ceremony.userId - User the ceremony is for, if known
+ * @param {string|null} [ceremony.deviceName] - Label for the session a signin creates
+ * @returns {Promise<string>} The challenge, base64url-encoded
+ */
+const startCeremony = async ({ purpose, userId, deviceName = null }) => {
+  const challenge = generateChallenge()
+
+  // abandoned ceremonies are cleaned up as new ones start
+  await webauthnChallengeModel.removeExpired()
+  await webauthnChallengeModel.create({
+    id: crypto.randomUUID(),
+    user_id: userId,
+    purpose,
+    challenge_hash: hashToken(challenge),
+    device_name: deviceName,
+    expires_at: new Date(Date.now() + CHALLENGE_TTL_MS),
+    created_at: new Date(),
+  })
+
+  return challenge
+}
+
+/**
+ * Builds PublicKeyCredentialRequestOptions for navigator.credentials.get().
+ *
+ * @param {string} challenge - The ceremony challenge
+ * @param {Object} options
+ * @param {string[]} options.credentialIds - Passkeys to allow; empty for any discoverable one
+ * @param {string} options.userVerification - "required" or "discouraged"
+ * @returns {Object} Request options with binary fields base64url-encoded
+ */
+const buildRequestOptions = (challenge, { credentialIds, userVerification }) => {
+  return {
+    challenge,
+    rpId: getRelyingParty().id,
+    timeout: CHALLENGE_TTL_MS,
+    userVerification,
+    allowCredentials: credentialIds.map((id) => ({ type: "public-key", id })),
+  }
+}
+
+/**
+ * Checks an assertion against its ceremony and the stored passkey, then
+ * records the new sign counter.
+ *
+ * The challenge in the client data must have been issued for this purpose
+ * and to the expected user, who must own the passkey; passwordless signin
+ * expects no particular user and accepts any registered passkey. A
+ * sign counter that did not increase means the passkey's key was copied to
+ * another authenticator, so the assertion is refused. Failed signatures are
+ * recorded as security events for the passkey's owner.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} credential - Validated PublicKeyCredential from the client
+ * @param {Object} ceremony
+ * @param {string} ceremony.purpose - "authentication" or "two_factor"
+ * @param {string|null} ceremony.userId - User the ceremony was started for, if any
+ * @param {string} ceremony.method - Signin method recorded with failures
+ * @param {boolean} ceremony.requireUserVerification - Whether the UV flag is required
+ * @returns {Promise<{ challenge: Object, storedCredential: Object }>}
+ * @throws {HttpError} 401 when the challenge or passkey is rejected
+ */
+const verifyPasskey = async (
+  req,
+  credential,
+  { purpose, userId, method, requireUserVerification },
+) => {
+  const clientData = readClientData(credential.response.clientDataJSON, "webauthn.get")
+
+  // each challenge is answered at most once, successfully or not
+  const challenge = await webauthnChallengeModel.consume(purpose, hashToken(clientData.challenge))
+  if (!challenge || challenge.user_id !== userId) {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired challenge")
+  }
+
+  const storedCredential = await webauthnCredentialModel.findOneWithKey(credential.id)
+  const { userHandle } = credential.response
+  if (
+    !storedCredential ||
+    (userId && storedCredential.user_id !== userId) ||
+    (userHandle && userHandle !== toUserHandle(storedCredential.user_id))
+  ) {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid passkey")
+  }
+
+  let reason = "invalid_passkey"
+  try {
+    const { signCount, backedUp } = verifyAssertion(credential.response, storedCredential, {
+      requireUserVerification,
+    })
+
+    // authenticators that keep no counter report 0 every time
+    const storedSignCount = Number(storedCredential.sign_count)
+    if ((signCount !== 0 || storedSignCount !== 0) && signCount <= storedSignCount) {
+      reason = "sign_count_mismatch"
+      logger.warn("Passkey sign counter did not increase, possible cloned authenticator", {
+        requestId: req.id,
+        userId: storedCredential.user_id,
+        credentialId: storedCredential.id,
+      })
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid passkey")
+    }
+
+    await webauthnCredentialModel.recordUse(storedCredential.id, { signCount, backedUp })
+  } catch (error) {
+    await recordSecurityEvent(req, {
+      userId: storedCredential.user_id,
+      event: "signin",
+      outcome: "failure",
+      method,
+      reason,
+    })
+    throw error
+  }
+
+  return { challenge, storedCredential }
+}
+
+/**
+ * Loads the user a two-factor challenge token was issued to. Any second
+ * factor the user still has can answer it: TOTP, or a registered passkey.
+ *
+ * @param {string} challengeToken - Token from password, magic link or OIDC signin
+ * @returns {Promise<{ challenge: Object, user: Object }>} Decoded token and user
+ * @throws {HttpError} 401 when the token is invalid or the user has no second factor
+ */
+const findChallengedUser = async (challengeToken) => {
+  let challenge
+  try {
+    challenge = verifyChallengeToken(challengeToken)
+  } catch {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired challenge token")
+  }
+
+  const user = await userModel.findOneWithPassword({ id: challenge.id })
+  if (!user || (await getSecondFactors(user)).length === 0) {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired challenge token")
+  }
+  return { challenge, user }
+}
+
+/**
+ * POST /api/auth/webauthn/register/options — Start registering a passkey.
+ *
+ * Returns PublicKeyCredentialCreationOptions for navigator.credentials.create(),
+ * with binary fields base64url-encoded. Passkeys must be discoverable and
+ * verify the user, so they can sign in on their own.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const registerOptions = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = registerOptionsSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const user = await userModel.findOneWithPassword({ id: req.user.id })
+    if (!user) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "User not found")
+    }
+    const isPasswordValid = await verifyPassword(user.password, value.password)
+    if (!isPasswordValid) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "invalid credentials")
+    }
+
+    const challenge = await startCeremony({ purpose: "registration", userId: user.id })
+    const credentialIds = await webauthnCredentialModel.findCredentialIdsByUserId(user.id)
+    const { id: rpId, name: rpName } = getRelyingParty()
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          challenge,
+          rp: { id: rpId, name: rpName },
+          user: {
+            id: toUserHandle(user.id),
+            name: user.username,
+            displayName: user.username,
+          },
+          pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({ type: "public-key", alg })),
+          timeout: CHALLENGE_TTL_MS,
+          attestation: "none",
+          authenticatorSelection: {
+            residentKey: "required",
+            requireResidentKey: true,
+            userVerification: "required",
+          },
+          // keeps the same authenticator from being registered twice
+          excludeCredentials: credentialIds.map((id) => ({ type: "public-key", id })),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/webauthn/register — Finish registering a passkey.
+ *
+ * Verifies the authenticator's response to the registration challenge and
+ * stores the new public key with its sign counter.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const register = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = registerSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { name, credential } = value
+    const clientData = readClientData(credential.response.clientDataJSON, "webauthn.create")
+
+    const challenge = await webauthnChallengeModel.consume(
+      "registration",
+      hashToken(clientData.challenge),
+    )
+    if (!challenge || challenge.user_id !== req.user.id) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid or expired challenge")
+    }
+
+    const verified = verifyRegistration(credential.response)
+    if (verified.credentialId !== credential.id) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid passkey registration")
+    }
+
+    const existingCredential = await webauthnCredentialModel.findOneWithKey(verified.credentialId)
+    if (existingCredential) {
+      throw new HttpError(HTTP_STATUS_CODE.CONFLICT, "Passkey is already registered")
+    }
+
+    const [storedCredential] = await webauthnCredentialModel.create({
+      id: crypto.randomUUID(),
+      user_id: req.user.id,
+      credential_id: verified.credentialId,
+      public_key: verified.publicKey,
+      algorithm: verified.algorithm,
+      sign_count: verified.signCount,
+      backed_up: verified.backedUp,
+      name: name ?? null,
+      created_at: new Date(),
+    })
+
+    logger.info("Passkey registered", {
+      requestId: req.id,
+      userId: req.user.id,
+      credentialId: storedCredential.id,
+    })
+
+    return res.status(HTTP_STATUS_CODE.CREATED).json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.CREATED,
+        data: storedCredential,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * GET /api/auth/webauthn/credentials — List the authenticated user's passkeys.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getCredentials = async (req, res, next) => {
+  try {
+    const credentials = await webauthnCredentialModel.findManyByUserId(req.user.id)
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: credentials,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * DELETE /api/auth/webauthn/credentials/:credential_id — Remove one of the user's passkeys.
+ *
+ * @param {Object} req - Express request object (req.user.id set by auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const deleteCredential = async (req, res, next) => {
+  try {
+    const credentialId = req.params.credential_id
+    if (!UUID_REGEX.test(credentialId)) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid passkey ID format")
+    }
+
+    const deleted = await webauthnCredentialModel.remove({
+      id: credentialId,
+      user_id: req.user.id,
+    })
+    if (!deleted) {
+      throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Passkey not found")
+    }
+
+    logger.info("Passkey removed", { requestId: req.id, userId: req.user.id, credentialId })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: null,
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/webauthn/authenticate/options — Start a passwordless signin.
+ *
+ * Returns PublicKeyCredentialRequestOptions with an empty allow list, so the
+ * authenticator offers whichever discoverable passkeys it holds for this site.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authenticateOptions = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = authenticateOptionsSchema.validate(req.body ?? {})
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const challenge = await startCeremony({
+      purpose: "authentication",
+      userId: null,
+      deviceName: value.device_name ?? null,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: buildRequestOptions(challenge, { credentialIds: [], userVerification: "required" }),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/webauthn/authenticate — Finish a passwordless signin.
+ *
+ * Verifies the passkey's signature over the challenge and signs in as its
+ * owner. A passkey that verified the user (PIN or biometrics) is both
+ * factors at once, so no 2FA challenge follows even with TOTP enabled.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = authenticateSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { credential, use_cookies } = value
+    assertCookieModeAllowed(use_cookies)
+
+    const { challenge, storedCredential } = await verifyPasskey(req, credential, {
+      purpose: "authentication",
+      userId: null,
+      method: "webauthn",
+      requireUserVerification: true,
+    })
+
+    const user = await userModel.findOneWithPassword({ id: storedCredential.user_id })
+    await assertNotSuspended(req, user, { method: "webauthn" })
+    await clearFailedSignins(user)
+
+    // generate tokens — every signin starts a new session
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, {
+      deviceName: challenge.device_name ?? undefined,
+    })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "webauthn",
+      sessionId,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          id: user.id,
+          username: user.username,
+          ...deliverTokenPair(res, { accessToken, refreshToken }, { useCookies: use_cookies }),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/webauthn/2fa/options — Start using a passkey as the second factor.
+ *
+ * Takes the challenge token from a signin that asked for 2FA and returns
+ * request options limited to the user's passkeys. Only user presence is
+ * needed here — the first factor was already checked.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const twoFactorOptions = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = twoFactorOptionsSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    const { user } = await findChallengedUser(value.challenge_token)
+
+    const credentialIds = await webauthnCredentialModel.findCredentialIdsByUserId(user.id)
+    if (credentialIds.length === 0) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "No passkeys registered")
+    }
+
+    const challenge = await startCeremony({ purpose: "two_factor", userId: user.id })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: buildRequestOptions(challenge, { credentialIds, userVerification: "discouraged" }),
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
+
+/**
+ * POST /api/auth/webauthn/2fa — Complete a 2FA signin with a passkey.
+ *
+ * The passkey alternative to POST /api/auth/signin/2fa: trades the challenge
+ * token and a passkey assertion for the usual token pair. Failures count
+ * towards the signin lockout, like wrong TOTP codes.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const signinTwoFactor = async (req, res, next) => {
+  try {
+    // validate request body
+    const { error, value } = twoFactorSchema.validate(req.body)
+    if (error) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, error.details[0].message)
+    }
+
+    // request values
+    const { challenge_token, credential, use_cookies } = value
+    assertCookieModeAllowed(use_cookies)
+
+    const { challenge, user } = await findChallengedUser(challenge_token)
+
+    // second-factor failures count towards the same lockout as password guesses
+    await assertSigninAllowed(req, res, user)
+    await assertNotSuspended(req, user, { method: "two_factor" })
+
+    try {
+      await verifyPasskey(req, credential, {
+        purpose: "two_factor",
+        userId: user.id,
+        method: "two_factor",
+        requireUserVerification: false,
+      })
+    } catch (passkeyError) {
+      logger.warn("Passkey two-factor signin failed", {
+        requestId: req.id,
+        userId: user.id,
+        ip: req.ip,
+      })
+      await recordFailedSignin(req, user)
+      throw passkeyError
+    }
+
+    // a challenge token completes one signin only
+    await consumeChallengeToken(challenge)
+    await clearFailedSignins(user)
+
+    // generate tokens — every signin starts a new session
+    const { sessionId, accessToken, refreshToken } = await startSession(req, user, {
+      deviceName: challenge.dev,
+    })
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "success",
+      method: "two_factor",
+      sessionId,
+    })
+
+    return res.json(
+      apiResponse({
+        message: HTTP_STATUS_MESSAGE.OK,
+        data: {
+          id: user.id,
+          username: user.username,
+          ...deliverTokenPair(res, { accessToken, refreshToken }, { useCookies: use_cookies }),
+        },
+      }),
+    )
+  } catch (error) {
+    return next(error)
+  }
+}
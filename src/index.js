@@ -4,6 +4,10 @@ import validateEnv from "./utils/validate-env.js"
 // validate environment variables before anything else
 validateEnv()
 
+// load JWT signing keys now so a bad key configuration fails at startup, not on first signin
+const { getKeySet } = await import("./utils/signing-keys.js")
+getKeySet()
+
 // import app after env validation so all process.env values are set
 const { default: app } = await import("./app.js")
 const { default: logger } = await import("./utils/logger.js")
@@ -2,21 +2,163 @@ import HttpError from "../utils/http-error.js"
 import { HTTP_STATUS_CODE } from "../utils/constant.js"
 import { verifyAccessToken, verifyRefreshToken } from "../utils/jwt.js"
 import logger from "../utils/logger.js"
+import * as userModel from "../models/users.js"
+import * as revokedAccessTokenModel from "../models/revoked-access-tokens.js"
+import * as sessionModel from "../models/sessions.js"
+import * as personalAccessTokenModel from "../models/personal-access-tokens.js"
+import { hashToken } from "../utils/one-time-token.js"
+import { isPersonalAccessToken } from "../utils/personal-access-token.js"
+import { ACCOUNT_SUSPENDED_MESSAGE } from "../utils/suspension.js"
+import {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  assertCsrfToken,
+  isCookieModeEnabled,
+} from "../utils/auth-cookies.js"
+
+// Realm reported in WWW-Authenticate challenges
+const BEARER_REALM = "api"
+
+// RFC 6750 section 2.1: credentials = "Bearer" 1*SP b64token
+const BEARER_HEADER_REGEX = /^Bearer +([A-Za-z0-9\-._~+/]+=*)$/i
+
+/**
+ * Reads the token from an `Authorization: Bearer` header (RFC 6750).
+ *
+ * Other schemes (e.g., Basic credentials added by a proxy) are ignored. A token
+ * may be sent in one header only, so combining Bearer with the legacy header is
+ * rejected rather than guessing which one the client meant.
+ *
+ * @param {Object} req - Express request object
+ * @param {string|undefined} legacyToken - Token from `x-access-token` / `x-refresh-token`
+ * @returns {string|undefined} The bearer token, or undefined if none was sent
+ * @throws {HttpError} 400 when the Bearer header is malformed or duplicates the legacy header
+ */
+const readBearerToken = (req, legacyToken) => {
+  const header = req.headers.authorization
+  if (!header || !/^Bearer(\s|$)/i.test(header)) {
+    return undefined
+  }
+
+  const match = BEARER_HEADER_REGEX.exec(header)
+  if (!match) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Malformed Authorization header")
+  }
+  if (legacyToken !== undefined) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Only one token may be provided")
+  }
+  return match[1]
+}
+
+/**
+ * Sets the RFC 6750 `WWW-Authenticate` challenge for an authentication failure.
+ *
+ * A request without any token gets a bare challenge; rejected tokens get
+ * `invalid_token` and malformed requests `invalid_request`, with the error
+ * message as the description.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} error - The error the request is failing with
+ */
+const setBearerChallenge = (res, error) => {
+  const params = [`realm="${BEARER_REALM}"`]
+  if (error.status === HTTP_STATUS_CODE.BAD_REQUEST) {
+    params.push('error="invalid_request"', `error_description="${error.message}"`)
+  } else if (error.status === HTTP_STATUS_CODE.UNAUTHORIZED) {
+    if (error.message !== "No token provided") {
+      params.push('error="invalid_token"', `error_description="${error.message}"`)
+    }
+  } else {
+    return
+  }
+  res.set("WWW-Authenticate", `Bearer ${params.join(", ")}`)
+}
+
+/**
+ * Authenticates a request made with a personal access token.
+ *
+ * The token must exist, be unrevoked, and be unexpired. Its organization and
+ * scopes are attached as `req.personalAccessToken` so resolveOrg can confine
+ * the request to that organization and those permissions.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} token - The raw personal access token
+ * @returns {Promise<void>}
+ * @throws {HttpError} 401 when the token is unknown, revoked, or expired
+ * @throws {HttpError} 403 when the token's user is suspended
+ */
+const authenticatePersonalAccessToken = async (req, token) => {
+  const record = await personalAccessTokenModel.findOne({ token_hash: hashToken(token) })
+  if (!record || record.revoked_at) {
+    logger.warn("Authentication failed: Invalid personal access token", {
+      method: req.method,
+      url: req.url,
+      ip: req.ip,
+    })
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token")
+  }
+  if (record.expires_at <= new Date()) {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Token expired")
+  }
+
+  const user = await userModel.findAuthState(record.user_id)
+  if (user.suspended_at) {
+    throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, ACCOUNT_SUSPENDED_MESSAGE)
+  }
+
+  const [scopeRows] = await Promise.all([
+    personalAccessTokenModel.findScopesByTokenIds([record.id]),
+    personalAccessTokenModel.touch(record.id),
+  ])
+
+  req.user = { id: record.user_id }
+  req.personalAccessToken = {
+    id: record.id,
+    orgId: record.org_id,
+    scopes: scopeRows.map((row) => row.name),
+  }
+
+  logger.debug("User authenticated with personal access token", {
+    userId: record.user_id,
+    tokenId: record.id,
+    method: req.method,
+    url: req.url,
+  })
+}
 
 /**
  * Express middleware to require a valid access token for protected routes.
  *
- * Validates the access token in the Authorization header and sets the user in the request object.
+ * Validates the access token — sent as `Authorization: Bearer <token>` or in the legacy
+ * `x-access-token` header — and sets the user in the request object. Failures carry an
+ * RFC 6750 `WWW-Authenticate` challenge.
+ * Tokens are also checked against server-side state: a token is rejected once its `jti` has
+ * been revoked (logout), once its session (`sid` claim) has been revoked, or once the user's
+ * token version has moved past the token's `ver` claim (logout everywhere). Suspended users
+ * are refused with 403 `Account suspended`. On success, `req.accessToken` holds the token's
+ * `jti`, session id, and expiry.
+ *
+ * Personal access tokens (`pat_…`) are accepted as well. They set `req.personalAccessToken`
+ * instead of `req.accessToken` and only work on routes for their own organization — routes
+ * that act on the account itself are closed to them by rejectPersonalAccessToken.
+ *
+ * With AUTH_COOKIES enabled, a request without the header may authenticate with the
+ * `access_token` cookie instead. Browsers attach cookies to cross-site requests too, so
+ * state-changing requests authenticated that way must also pass the CSRF check, and
+ * `req.accessToken.viaCookie` tells handlers to answer with cookies.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Object} JSON response with error status and message
  */
-export const requireAccessToken = (req, res, next) => {
+export const requireAccessToken = async (req, res, next) => {
   try {
-    // get token from header
-    const accessToken = req.headers["x-access-token"]
+    // get token from a header, or from the session cookie in cookie mode
+    const legacyToken = req.headers["x-access-token"]
+    const headerToken = readBearerToken(req, legacyToken) ?? legacyToken
+    const cookieToken = isCookieModeEnabled() ? req.cookies?.[ACCESS_TOKEN_COOKIE] : undefined
+    const accessToken = headerToken ?? cookieToken
     if (!accessToken) {
       logger.warn("Authentication failed: No token provided", {
         method: req.method,
@@ -26,6 +168,16 @@ export const requireAccessToken = (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "No token provided")
     }
 
+    const viaCookie = !headerToken
+    if (viaCookie) {
+      assertCsrfToken(req)
+    }
+
+    if (isPersonalAccessToken(accessToken)) {
+      await authenticatePersonalAccessToken(req, accessToken)
+      return next()
+    }
+
     // verify token
     const decoded = verifyAccessToken(accessToken)
 
@@ -33,8 +185,44 @@ export const requireAccessToken = (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token type")
     }
 
-    // set user in request
+    // tokens without a jti or session predate server-side revocation and cannot be checked
+    if (!decoded.jti || !decoded.sid) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token")
+    }
+
+    // reject tokens revoked individually, with their session, or by a token version bump
+    const [user, revocation, session] = await Promise.all([
+      userModel.findAuthState(decoded.id),
+      revokedAccessTokenModel.findOne({ id: decoded.jti }),
+      sessionModel.findOne({ id: decoded.sid, user_id: decoded.id }),
+    ])
+    if (user?.suspended_at) {
+      throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, ACCOUNT_SUSPENDED_MESSAGE)
+    }
+    if (
+      !user ||
+      revocation ||
+      !session ||
+      session.revoked_at ||
+      user.token_version !== decoded.ver
+    ) {
+      logger.warn("Authentication failed: Token revoked", {
+        userId: decoded.id,
+        method: req.method,
+        url: req.url,
+        ip: req.ip,
+      })
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Token revoked")
+    }
+
+    // set user and token context in request
     req.user = { id: decoded.id }
+    req.accessToken = {
+      id: decoded.jti,
+      sessionId: decoded.sid,
+      expiresAt: new Date(decoded.exp * 1000),
+      viaCookie,
+    }
 
     // Log successful authentication
     logger.debug("User authenticated successfully", {
@@ -51,7 +239,9 @@ export const requireAccessToken = (req, res, next) => {
         url: req.url,
         ip: req.ip,
       })
-      return next(new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token"))
+      const invalidError = new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token")
+      setBearerChallenge(res, invalidError)
+      return next(invalidError)
     }
     if (error.name === "TokenExpiredError") {
       logger.warn("Authentication failed: Token expired", {
@@ -59,7 +249,9 @@ export const requireAccessToken = (req, res, next) => {
         url: req.url,
         ip: req.ip,
       })
-      return next(new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Token expired"))
+      const expiredError = new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Token expired")
+      setBearerChallenge(res, expiredError)
+      return next(expiredError)
     }
     logger.error("Authentication error", {
       error: error.message,
@@ -68,14 +260,43 @@ export const requireAccessToken = (req, res, next) => {
       url: req.url,
       ip: req.ip,
     })
+    setBearerChallenge(res, error)
     return next(error)
   }
 }
 
+/**
+ * Express middleware that closes a route to personal access tokens.
+ *
+ * Must run after requireAccessToken. Personal access tokens are scoped to one
+ * organization, so they may not manage the account, its sessions, or its
+ * tokens, nor act outside the organization they were issued for.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const rejectPersonalAccessToken = (req, res, next) => {
+  if (req.personalAccessToken) {
+    return next(
+      new HttpError(
+        HTTP_STATUS_CODE.FORBIDDEN,
+        "Personal access tokens cannot be used for this endpoint",
+      ),
+    )
+  }
+  next()
+}
+
 /**
  * Express middleware to require a valid refresh token for protected routes.
  *
- * Validates the refresh token in the Authorization header.
+ * Validates the refresh token — sent as `Authorization: Bearer <token>` or in the
+ * legacy `x-refresh-token` header — and sets the user and the token's `jti`
+ * (as `req.refreshToken.id`) in the request object.
+ *
+ * With AUTH_COOKIES enabled the `refresh_token` cookie is accepted instead,
+ * subject to the CSRF check; `req.refreshToken.viaCookie` is then true.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -84,8 +305,11 @@ export const requireAccessToken = (req, res, next) => {
  */
 export const requireRefreshToken = (req, res, next) => {
   try {
-    // get token from header
-    const refreshToken = req.headers["x-refresh-token"]
+    // get token from a header, or from the session cookie in cookie mode
+    const legacyToken = req.headers["x-refresh-token"]
+    const headerToken = readBearerToken(req, legacyToken) ?? legacyToken
+    const cookieToken = isCookieModeEnabled() ? req.cookies?.[REFRESH_TOKEN_COOKIE] : undefined
+    const refreshToken = headerToken ?? cookieToken
     if (!refreshToken) {
       logger.warn("Refresh token authentication failed: No token provided", {
         method: req.method,
@@ -95,6 +319,11 @@ export const requireRefreshToken = (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "No token provided")
     }
 
+    const viaCookie = !headerToken
+    if (viaCookie) {
+      assertCsrfToken(req)
+    }
+
     // verify token
     const decoded = verifyRefreshToken(refreshToken)
 
@@ -102,8 +331,14 @@ export const requireRefreshToken = (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token type")
     }
 
-    // set user in request
+    // tokens without a jti predate server-side tracking and cannot be rotated
+    if (!decoded.jti) {
+      throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token")
+    }
+
+    // set user and token record in request
     req.user = { id: decoded.id }
+    req.refreshToken = { id: decoded.jti, viaCookie }
 
     // Log successful token refresh
     logger.debug("Refresh token verified successfully", {
@@ -120,7 +355,9 @@ export const requireRefreshToken = (req, res, next) => {
         url: req.url,
         ip: req.ip,
       })
-      return next(new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token"))
+      const invalidError = new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid token")
+      setBearerChallenge(res, invalidError)
+      return next(invalidError)
     }
     if (error.name === "TokenExpiredError") {
       logger.warn("Refresh token authentication failed: Token expired", {
@@ -128,7 +365,9 @@ export const requireRefreshToken = (req, res, next) => {
         url: req.url,
         ip: req.ip,
       })
-      return next(new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Token expired"))
+      const expiredError = new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Token expired")
+      setBearerChallenge(res, expiredError)
+      return next(expiredError)
     }
     logger.error("Refresh token authentication error", {
       error: error.message,
@@ -137,6 +376,7 @@ export const requireRefreshToken = (req, res, next) => {
       url: req.url,
       ip: req.ip,
     })
+    setBearerChallenge(res, error)
     return next(error)
   }
 }
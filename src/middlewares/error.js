@@ -7,6 +7,7 @@ import logger from "../utils/logger.js"
  * Express error-handling middleware.
  *
  * Sends a JSON response with the error status code and message using a consistent API response format.
+ * An HttpError's details, if it has any, are sent as `data`.
  *
  * @param {Object} err - Express error object
  * @param {Object} req - Express request object
@@ -41,7 +42,7 @@ export const errorHandler = (err, req, res, _next) => {
   return res.status(err.status || HTTP_STATUS_CODE.INTERNAL_SERVER_ERROR).json(
     apiResponse({
       message: clientMessage,
-      data: null,
+      data: isHttpError ? err.data : null,
     }),
   )
 }
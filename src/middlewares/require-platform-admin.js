@@ -0,0 +1,25 @@
+import HttpError from "../utils/http-error.js"
+import { HTTP_STATUS_CODE } from "../utils/constant.js"
+import * as userModel from "../models/users.js"
+
+/**
+ * Express middleware that only lets platform admins through.
+ *
+ * Platform admins act above organizations, so the flag is read from the
+ * database on every request rather than trusted from the token — revoking it
+ * takes effect immediately.
+ *
+ * @param {Object} req - Express request object (must have req.user.id from auth middleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requirePlatformAdmin = async (req, res, next) => {
+  try {
+    if (!(await userModel.isPlatformAdmin(req.user.id))) {
+      throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, "Platform admin access required")
+    }
+    next()
+  } catch (error) {
+    return next(error)
+  }
+}
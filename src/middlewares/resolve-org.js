@@ -12,11 +12,16 @@ const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12
  * Performs three checks in sequence:
  * 1. Validates that org_id is a well-formed UUID
  * 2. Verifies the organization exists in the database
- * 3. Confirms the authenticated user is a member and loads their permissions
+ * 3. Confirms the authenticated user is a member, whose membership is not
+ *    suspended, and loads their permissions
+ *
+ * Requests made with a personal access token are refused for any organization but
+ * the token's own, and their permissions are limited to the token's scopes.
  *
  * On success, sets:
- * - `req.org` — `{ id }` of the resolved organization
+ * - `req.org` — `{ id, roleName }` of the resolved organization, with the user's org role name
  * - `req.permissions` — flat array of permission name strings for the user in this org
+ *   (intersected with the token's scopes for personal access tokens)
  *
  * @param {Object} req - Express request object (must have req.user.id from auth middleware)
  * @param {Object} res - Express response object
@@ -31,6 +36,12 @@ export const resolveOrg = async (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid organization ID format")
     }
 
+    // Personal access tokens are bound to a single organization
+    const { personalAccessToken } = req
+    if (personalAccessToken && personalAccessToken.orgId !== orgId.toLowerCase()) {
+      throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, "This token cannot access this organization")
+    }
+
     // Verify the organization exists
     const org = await organizationModel.findOne({ id: orgId })
     if (!org) {
@@ -43,12 +54,25 @@ export const resolveOrg = async (req, res, next) => {
       throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, "You are not a member of this organization")
     }
 
+    // Owners can suspend a member without removing them
+    if (membership.suspended_at) {
+      throw new HttpError(
+        HTTP_STATUS_CODE.FORBIDDEN,
+        "Your membership in this organization is suspended",
+      )
+    }
+
     // Load the user's permission names within this organization
     const permissionRows = await orgMemberModel.getPermissions(req.user.id, orgId)
-    const permissionNames = permissionRows.map((row) => row.name)
+    let permissionNames = permissionRows.map((row) => row.name)
+
+    // A personal access token can only use the permissions it was scoped to
+    if (personalAccessToken) {
+      permissionNames = permissionNames.filter((name) => personalAccessToken.scopes.includes(name))
+    }
 
     // Attach org context and permissions to the request for downstream middleware/controllers
-    req.org = { id: org.id }
+    req.org = { id: org.id, roleName: membership.role_name }
     req.permissions = permissionNames
 
     next()
@@ -14,9 +14,11 @@ const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12
  * Performs the following:
  * 1. Validates that project_id is a well-formed UUID
  * 2. Verifies the project exists and belongs to the current organization
- * 3. Loads project-level permissions if the user is a project member
+ * 3. Loads project-level permissions if the user is a project member; a private
+ *    project is reported as not found to anyone but its members and org owners
  * 4. Merges project permissions with existing org-level permissions (deduplicates via Set)
  * 5. If the user is not a project member, org permissions serve as fallback (no change)
+ * 6. For personal access tokens, limits the merged set to the token's scopes again
  *
  * On success, sets:
  * - `req.project` — `{ id }` of the resolved project
@@ -44,11 +46,28 @@ export const resolveProject = async (req, res, next) => {
     // Load project-level permissions for this user
     const projectPermissionRows = await projectMemberModel.getPermissions(req.user.id, projectId)
 
+    // Private projects do not exist for org members outside the project — owners excepted
+    if (project.visibility === "private" && req.org.roleName !== "owner") {
+      const membership = await projectMemberModel.findOne({
+        user_id: req.user.id,
+        project_id: projectId,
+      })
+      if (!membership) {
+        throw new HttpError(HTTP_STATUS_CODE.NOT_FOUND, "Project not found")
+      }
+    }
+
     if (projectPermissionRows.length > 0) {
       // Merge project permissions with existing org permissions, deduplicating via Set
       const projectPermissionNames = projectPermissionRows.map((row) => row.name)
       const merged = new Set([...req.permissions, ...projectPermissionNames])
       req.permissions = [...merged]
+
+      // Project roles cannot widen a personal access token beyond its scopes
+      if (req.personalAccessToken) {
+        const { scopes } = req.personalAccessToken
+        req.permissions = req.permissions.filter((name) => scopes.includes(name))
+      }
     }
     // If no project membership, org-level permissions (already on req.permissions) remain as fallback
 
@@ -0,0 +1,110 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "device_authorizations"
+const COLUMNS = [
+  "id",
+  "device_code_hash",
+  "user_code",
+  "device_name",
+  "user_id",
+  "approved_at",
+  "interval_seconds",
+  "last_polled_at",
+  "expires_at",
+  "created_at",
+]
+
+/**
+ * Insert a new device authorization request.
+ *
+ * @param {Object} authorization - Request data to insert
+ * @param {string} authorization.id - UUID of the request
+ * @param {string} authorization.device_code_hash - SHA-256 hash of the device code
+ * @param {string} authorization.user_code - Normalized user code
+ * @param {string|null} authorization.device_name - Label for the resulting session
+ * @param {number} authorization.interval_seconds - Minimum polling interval
+ * @param {Date} authorization.expires_at - When the request expires
+ * @returns {Promise<Object[]>} Array containing the newly created request
+ */
+export const create = (authorization) => {
+  return db.insert(authorization).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find a single request matching the given conditions, expired or not.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { device_code_hash })
+ * @returns {Promise<Object|undefined>} The matched request or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Approve an unexpired, not yet approved request on behalf of a user.
+ *
+ * @param {string} userCode - Normalized user code
+ * @param {string} userId - UUID of the approving user
+ * @returns {Promise<Object|undefined>} The approved request, or undefined if none matched
+ */
+export const approve = async (userCode, userId) => {
+  const [authorization] = await db
+    .update({ user_id: userId, approved_at: new Date() })
+    .from(TABLE_NAME)
+    .where({ user_code: userCode })
+    .whereNull("approved_at")
+    .where("expires_at", ">", db.fn.now())
+    .returning(COLUMNS)
+  return authorization
+}
+
+/**
+ * Record a poll, optionally raising the polling interval.
+ *
+ * @param {string} id - UUID of the request
+ * @param {number} intervalSeconds - Polling interval from now on
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const recordPoll = (id, intervalSeconds) => {
+  return db
+    .update({ last_polled_at: new Date(), interval_seconds: intervalSeconds })
+    .from(TABLE_NAME)
+    .where("id", id)
+}
+
+/**
+ * Atomically take an approved, unexpired request, deleting it so its device
+ * code can never be traded for tokens twice.
+ *
+ * @param {string} id - UUID of the request
+ * @returns {Promise<Object|undefined>} The consumed request, or undefined if none matched
+ */
+export const consumeApproved = async (id) => {
+  const [authorization] = await db
+    .delete()
+    .from(TABLE_NAME)
+    .where("id", id)
+    .whereNotNull("approved_at")
+    .where("expires_at", ">", db.fn.now())
+    .returning(COLUMNS)
+  return authorization
+}
+
+/**
+ * Delete requests matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id })
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const remove = (conditions) => {
+  return db.delete().from(TABLE_NAME).where(conditions)
+}
+
+/**
+ * Delete requests that expired without completing.
+ *
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const removeExpired = () => {
+  return db.delete().from(TABLE_NAME).where("expires_at", "<=", db.fn.now())
+}
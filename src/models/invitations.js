@@ -46,7 +46,8 @@ export const findOne = (conditions) => {
 
 /**
  * Find all invitations for an organization with inviter/invitee usernames and role names.
- * Left-joins users as invitee because the invitee may not have an account yet.
+ * Left-joins users as invitee because the invitee may not have an account yet,
+ * and as inviter because the inviter's account may have been deleted.
  * Ordered by most recent first.
  *
  * @param {string} orgId - UUID of the organization
@@ -61,16 +62,40 @@ export const findManyByOrgId = (orgId) => {
       "roles.name as role_name",
     )
     .from(TABLE_NAME)
-    .join("users as inviter", `${TABLE_NAME}.inviter_id`, "inviter.id")
+    .leftJoin("users as inviter", `${TABLE_NAME}.inviter_id`, "inviter.id")
     .leftJoin("users as invitee", `${TABLE_NAME}.invitee_id`, "invitee.id")
     .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
     .where(`${TABLE_NAME}.org_id`, orgId)
     .orderBy(`${TABLE_NAME}.created_at`, "desc")
 }
 
+/**
+ * Find the invitations of an organization a user can see, enriched like
+ * findManyByOrgId: organization invitations, invitations to "org" projects,
+ * and invitations to the "private" projects the user is a member of.
+ *
+ * @param {string} orgId - UUID of the organization
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} Array of enriched invitation records visible to the user
+ */
+export const findManyVisibleToUser = (orgId, userId) => {
+  return findManyByOrgId(orgId)
+    .leftJoin("projects", `${TABLE_NAME}.project_id`, "projects.id")
+    .where((query) => {
+      query
+        .whereNull(`${TABLE_NAME}.project_id`)
+        .orWhere("projects.visibility", "org")
+        .orWhereIn(
+          `${TABLE_NAME}.project_id`,
+          db.select("project_id").from("project_members").where("user_id", userId),
+        )
+    })
+}
+
 /**
  * Find all pending invitations for a specific user (by invitee_id).
- * Joins organizations, projects, inviter user, and roles to provide full context.
+ * Joins organizations, projects, inviter user, and roles to provide full context
+ * (the inviter is null if their account was deleted).
  * Only returns invitations that are still pending and have not expired.
  *
  * @param {string} userId - UUID of the invitee user
@@ -88,7 +113,7 @@ export const findPendingByUserId = (userId) => {
     .from(TABLE_NAME)
     .join("organizations", `${TABLE_NAME}.org_id`, "organizations.id")
     .leftJoin("projects", `${TABLE_NAME}.project_id`, "projects.id")
-    .join("users as inviter", `${TABLE_NAME}.inviter_id`, "inviter.id")
+    .leftJoin("users as inviter", `${TABLE_NAME}.inviter_id`, "inviter.id")
     .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
     .where(`${TABLE_NAME}.invitee_id`, userId)
     .andWhere(`${TABLE_NAME}.status`, "pending")
@@ -112,6 +137,24 @@ export const findPendingByEmail = (email) => {
     .andWhere("expires_at", ">", db.fn.now())
 }
 
+/**
+ * Attach pending, non-expired email invitations to the user who owns the address.
+ * Only call this with an address the user has verified.
+ *
+ * @param {string} email - Verified email address of the user
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<number>} Number of invitations attached
+ */
+export const attachPendingByEmail = (email, userId) => {
+  return db
+    .update({ invitee_id: userId, updated_at: new Date() })
+    .from(TABLE_NAME)
+    .where("invitee_email", email)
+    .whereNull("invitee_id")
+    .andWhere("status", "pending")
+    .andWhere("expires_at", ">", db.fn.now())
+}
+
 /**
  * Update an invitation matching the given conditions.
  *
@@ -0,0 +1,61 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "oidc_login_requests"
+const COLUMNS = [
+  "id",
+  "provider",
+  "state_hash",
+  "login_secret_hash",
+  "code_verifier",
+  "nonce",
+  "device_name",
+  "expires_at",
+  "created_at",
+]
+
+/**
+ * Insert a new login request.
+ *
+ * @param {Object} loginRequest - Login request data to insert
+ * @param {string} loginRequest.id - UUID of the request
+ * @param {string} loginRequest.provider - Configured provider name
+ * @param {string} loginRequest.state_hash - SHA-256 hash of the state parameter
+ * @param {string} loginRequest.login_secret_hash - SHA-256 hash of the client's login secret
+ * @param {string} loginRequest.code_verifier - PKCE code verifier
+ * @param {string} loginRequest.nonce - Expected ID token nonce
+ * @param {string|null} loginRequest.device_name - Label for the resulting session
+ * @param {Date} loginRequest.expires_at - When the request expires
+ * @returns {Promise<Object[]>} Array containing the newly created request
+ */
+export const create = (loginRequest) => {
+  return db.insert(loginRequest).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Atomically take an unexpired login request, deleting it so the same state
+ * can never complete a second login. The login secret must match too, so a
+ * state started by another client is not accepted.
+ *
+ * @param {string} provider - Provider the callback is for
+ * @param {string} stateHash - SHA-256 hash of the state returned by the provider
+ * @param {string} loginSecretHash - SHA-256 hash of the login secret the client sent
+ * @returns {Promise<Object|undefined>} The consumed request, or undefined if none matched
+ */
+export const consume = async (provider, stateHash, loginSecretHash) => {
+  const [loginRequest] = await db
+    .delete()
+    .from(TABLE_NAME)
+    .where({ provider, state_hash: stateHash, login_secret_hash: loginSecretHash })
+    .where("expires_at", ">", db.fn.now())
+    .returning(COLUMNS)
+  return loginRequest
+}
+
+/**
+ * Delete login requests that expired without being completed.
+ *
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const removeExpired = () => {
+  return db.delete().from(TABLE_NAME).where("expires_at", "<=", db.fn.now())
+}
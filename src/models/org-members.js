@@ -31,7 +31,7 @@ export const findOne = (conditions) => {
  *
  * @param {string} orgId - UUID of the organization
  * @returns {Promise<Object[]>} Array of members with user_id, org_id, role_id,
- *   joined_at, username, email, and role_name
+ *   joined_at, suspended_at, suspension_reason, username, email, and role_name
  */
 export const findManyByOrgId = (orgId) => {
   return db
@@ -40,6 +40,8 @@ export const findManyByOrgId = (orgId) => {
       `${TABLE_NAME}.org_id`,
       `${TABLE_NAME}.role_id`,
       `${TABLE_NAME}.joined_at`,
+      `${TABLE_NAME}.suspended_at`,
+      `${TABLE_NAME}.suspension_reason`,
       "users.username",
       "users.email",
       "roles.name as role_name",
@@ -50,17 +52,41 @@ export const findManyByOrgId = (orgId) => {
     .where(`${TABLE_NAME}.org_id`, orgId)
 }
 
+/**
+ * Find every organization a user belongs to, with their role in each.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} Array of memberships with org_id, org_name, role_id,
+ *   role_name, joined_at, and suspended_at
+ */
+export const findManyByUserId = (userId) => {
+  return db
+    .select(
+      `${TABLE_NAME}.org_id`,
+      "organizations.name as org_name",
+      `${TABLE_NAME}.role_id`,
+      "roles.name as role_name",
+      `${TABLE_NAME}.joined_at`,
+      `${TABLE_NAME}.suspended_at`,
+    )
+    .from(TABLE_NAME)
+    .join("organizations", `${TABLE_NAME}.org_id`, "organizations.id")
+    .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
+    .where(`${TABLE_NAME}.user_id`, userId)
+    .orderBy("organizations.name")
+}
+
 /**
  * Find a member's role within an organization.
  * Used to verify membership and retrieve role context for authorization.
  *
  * @param {string} userId - UUID of the user
  * @param {string} orgId - UUID of the organization
- * @returns {Promise<Object|undefined>} Object with role_id and role_name, or undefined
+ * @returns {Promise<Object|undefined>} Object with role_id, role_name, and suspended_at, or undefined
  */
 export const findMemberWithPermissions = (userId, orgId) => {
   return db
-    .select(`${TABLE_NAME}.role_id`, "roles.name as role_name")
+    .select(`${TABLE_NAME}.role_id`, "roles.name as role_name", `${TABLE_NAME}.suspended_at`)
     .from(TABLE_NAME)
     .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
     .where({ [`${TABLE_NAME}.user_id`]: userId, [`${TABLE_NAME}.org_id`]: orgId })
@@ -95,6 +121,25 @@ export const updateRole = (conditions, roleId) => {
   return db.update({ role_id: roleId }).from(TABLE_NAME).where(conditions)
 }
 
+/**
+ * Suspend an organization member, or lift their suspension when `reason` is null.
+ *
+ * @param {Object} conditions - Key-value pairs to identify the membership (e.g., { user_id, org_id })
+ * @param {string|null} reason - Why the member is suspended, or null to unsuspend
+ * @param {string|null} [suspendedBy=null] - UUID of the owner suspending the member
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const setSuspension = (conditions, reason, suspendedBy = null) => {
+  return db
+    .update({
+      suspended_at: reason === null ? null : new Date(),
+      suspension_reason: reason,
+      suspended_by: reason === null ? null : suspendedBy,
+    })
+    .from(TABLE_NAME)
+    .where(conditions)
+}
+
 /**
  * Remove an organization membership matching the given conditions.
  *
@@ -104,3 +149,58 @@ export const updateRole = (conditions, roleId) => {
 export const remove = (conditions) => {
   return db.delete().from(TABLE_NAME).where(conditions)
 }
+
+/**
+ * Lock the owner memberships of every organization a user belongs to, until
+ * the end of the transaction. Concurrent changes to those owners — another
+ * owner leaving, or being demoted — wait, so an ownership check made in the
+ * same transaction stays true until it commits. Rows are locked in a fixed
+ * order, so two callers cannot deadlock.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {import("knex").Knex.Transaction} trx - Transaction holding the locks
+ * @returns {Promise<Object[]>} The locked memberships (org_id and user_id)
+ */
+export const lockOwnerMembershipsOfUserOrgs = (userId, trx) => {
+  return trx
+    .select(`${TABLE_NAME}.org_id`, `${TABLE_NAME}.user_id`)
+    .from(TABLE_NAME)
+    .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
+    .where("roles.name", "owner")
+    .whereIn(
+      `${TABLE_NAME}.org_id`,
+      trx.select("org_id").from(TABLE_NAME).where({ user_id: userId }),
+    )
+    .orderBy([`${TABLE_NAME}.org_id`, `${TABLE_NAME}.user_id`])
+    .forUpdate(TABLE_NAME)
+}
+
+/**
+ * Find the organizations in which a user is an owner and no other owner is
+ * left to act for it. Suspended owners do not count, since resolveOrg refuses
+ * all of their requests to the organization.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {import("knex").Knex.Transaction} [trx] - Transaction to read in
+ * @returns {Promise<Object[]>} Array of organizations with id and name
+ */
+export const findOrgsWhereLastOwner = (userId, trx = db) => {
+  const otherActiveOwners = trx
+    .select("other_owners.user_id")
+    .from(`${TABLE_NAME} as other_owners`)
+    .join("roles as other_roles", "other_owners.role_id", "other_roles.id")
+    .whereRaw(`other_owners.org_id = ${TABLE_NAME}.org_id`)
+    .andWhere("other_roles.name", "owner")
+    .whereNull("other_owners.suspended_at")
+    .whereNot("other_owners.user_id", userId)
+
+  return trx
+    .select("organizations.id", "organizations.name")
+    .from(TABLE_NAME)
+    .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
+    .join("organizations", `${TABLE_NAME}.org_id`, "organizations.id")
+    .where(`${TABLE_NAME}.user_id`, userId)
+    .andWhere("roles.name", "owner")
+    .whereNotExists(otherActiveOwners)
+    .orderBy("organizations.name")
+}
@@ -2,6 +2,13 @@ import db from "../config/database.js"
 
 const TABLE_NAME = "organizations"
 const COLUMNS = ["id", "name", "description", "created_by", "created_at", "updated_at"]
+const SORTABLE_COLUMNS = ["created_at", "name"]
+
+// Filter out any sort columns that are not in the allowed list to prevent SQL injection
+const filterSortableColumns = (orders) => {
+  if (!orders) return null
+  return orders.filter((order) => SORTABLE_COLUMNS.includes(order.column))
+}
 
 /**
  * Insert a new organization into the database.
@@ -61,3 +68,64 @@ export const update = (conditions, data) => {
 export const remove = (conditions) => {
   return db.delete().from(TABLE_NAME).where(conditions)
 }
+
+/**
+ * Find organizations with pagination, search, and sorting support.
+ * Used by the pagination utility for list endpoints.
+ *
+ * @param {Object} conditions - Key-value pairs to filter by
+ * @param {Object} [options={}] - Pagination and search options
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {number} [options.offset=0] - Number of results to skip
+ * @param {Object[]|null} [options.orders=null] - Sort directives
+ * @param {string} [options.search=""] - Search term for ILIKE matching
+ * @param {string[]} [options.searchColumns=[]] - Columns to search within
+ * @returns {Promise<Object[]>} Paginated array of organizations
+ */
+export const findManyPaginated = (conditions, options = {}) => {
+  // default options
+  const { limit = 10, offset = 0, orders = null, search = "", searchColumns = [] } = options
+
+  let query = db.select(COLUMNS).from(TABLE_NAME).where(conditions)
+
+  if (search && searchColumns.length) {
+    query = query.where(function () {
+      for (const col of searchColumns) {
+        this.orWhere(col, "ilike", `%${search}%`)
+      }
+    })
+  }
+
+  const validOrders = filterSortableColumns(orders)
+  if (validOrders?.length > 0) {
+    query = query.orderBy(validOrders)
+  }
+
+  return query.limit(limit).offset(offset)
+}
+
+/**
+ * Count organizations matching the given conditions, with optional search filtering.
+ * Used alongside findManyPaginated to build pagination metadata.
+ *
+ * @param {Object} conditions - Key-value pairs to filter by
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.search=""] - Search term for ILIKE matching
+ * @param {string[]} [options.searchColumns=[]] - Columns to search within
+ * @returns {Promise<Object>} Object with count property
+ */
+export const count = (conditions, options = {}) => {
+  const { search = "", searchColumns = [] } = options
+
+  let query = db.count("* as count").from(TABLE_NAME).where(conditions)
+
+  if (search && searchColumns.length) {
+    query = query.where(function () {
+      for (const col of searchColumns) {
+        this.orWhere(col, "ilike", `%${search}%`)
+      }
+    })
+  }
+
+  return query.first()
+}
@@ -32,3 +32,13 @@ export const findOne = (conditions) => {
 export const findByIds = (ids) => {
   return db.select(COLUMNS).from(TABLE_NAME).whereIn("id", ids)
 }
+
+/**
+ * Find multiple permissions by their names (e.g., "todos:read").
+ *
+ * @param {string[]} names - Array of permission names to look up
+ * @returns {Promise<Object[]>} Array of matched permissions
+ */
+export const findByNames = (names) => {
+  return db.select(COLUMNS).from(TABLE_NAME).whereIn("name", names)
+}
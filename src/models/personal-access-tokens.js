@@ -0,0 +1,102 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "personal_access_tokens"
+const SCOPES_TABLE_NAME = "personal_access_token_permissions"
+const COLUMNS = [
+  "id",
+  "user_id",
+  "org_id",
+  "name",
+  "expires_at",
+  "last_used_at",
+  "revoked_at",
+  "created_at",
+]
+
+/**
+ * Insert a new personal access token and its scopes in a single transaction.
+ *
+ * @param {Object} token - Token data to insert
+ * @param {string} token.id - UUID of the token
+ * @param {string} token.user_id - UUID of the owner
+ * @param {string} token.org_id - UUID of the organization the token is bound to
+ * @param {string} token.name - User-chosen label
+ * @param {string} token.token_hash - SHA-256 hash of the raw token
+ * @param {Date} token.expires_at - When the token expires
+ * @param {string[]} permissionIds - UUIDs of the permissions the token is scoped to
+ * @returns {Promise<Object[]>} Array containing the newly created token record (without the hash)
+ */
+export const create = (token, permissionIds) => {
+  return db.transaction(async (trx) => {
+    const created = await trx(TABLE_NAME).insert(token).returning(COLUMNS)
+    await trx(SCOPES_TABLE_NAME).insert(
+      permissionIds.map((permissionId) => ({ token_id: token.id, permission_id: permissionId })),
+    )
+    return created
+  })
+}
+
+/**
+ * Find a single personal access token matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id, user_id }, { token_hash })
+ * @returns {Promise<Object|undefined>} The matched token record (without the hash) or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Find a user's tokens that have not been revoked, newest first.
+ * Expired tokens are included so users can see and clean them up.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} Array of token records
+ */
+export const findActiveByUserId = (userId) => {
+  return db
+    .select(COLUMNS)
+    .from(TABLE_NAME)
+    .where("user_id", userId)
+    .whereNull("revoked_at")
+    .orderBy("created_at", "desc")
+}
+
+/**
+ * Find the permission names (scopes) granted to one or more tokens.
+ *
+ * @param {string[]} tokenIds - UUIDs of the tokens
+ * @returns {Promise<Object[]>} Array of objects with token_id and name
+ */
+export const findScopesByTokenIds = (tokenIds) => {
+  return db
+    .select(`${SCOPES_TABLE_NAME}.token_id`, "permissions.name")
+    .from(SCOPES_TABLE_NAME)
+    .join("permissions", `${SCOPES_TABLE_NAME}.permission_id`, "permissions.id")
+    .whereIn(`${SCOPES_TABLE_NAME}.token_id`, tokenIds)
+    .orderBy("permissions.name")
+}
+
+/**
+ * Record that a token was just used to authenticate a request.
+ *
+ * @param {string} id - UUID of the token
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const touch = (id) => {
+  return db.update({ last_used_at: new Date() }).from(TABLE_NAME).where("id", id)
+}
+
+/**
+ * Revoke a single token if it is still active.
+ *
+ * @param {string} id - UUID of the token
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const revoke = (id) => {
+  return db
+    .update({ revoked_at: new Date() })
+    .from(TABLE_NAME)
+    .where("id", id)
+    .whereNull("revoked_at")
+}
@@ -50,6 +50,30 @@ export const findManyByProjectId = (projectId) => {
     .where(`${TABLE_NAME}.project_id`, projectId)
 }
 
+/**
+ * Find every project a user belongs to, with their role in each.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} Array of memberships with project_id, project_name, org_id,
+ *   role_id, role_name, and joined_at
+ */
+export const findManyByUserId = (userId) => {
+  return db
+    .select(
+      `${TABLE_NAME}.project_id`,
+      "projects.name as project_name",
+      "projects.org_id",
+      `${TABLE_NAME}.role_id`,
+      "roles.name as role_name",
+      `${TABLE_NAME}.joined_at`,
+    )
+    .from(TABLE_NAME)
+    .join("projects", `${TABLE_NAME}.project_id`, "projects.id")
+    .join("roles", `${TABLE_NAME}.role_id`, "roles.id")
+    .where(`${TABLE_NAME}.user_id`, userId)
+    .orderBy("projects.name")
+}
+
 /**
  * Get all permission names for a user within a project.
  * Resolves the full chain: project_members -> role_permissions -> permissions.
@@ -1,7 +1,16 @@
 import db from "../config/database.js"
 
 const TABLE_NAME = "projects"
-const COLUMNS = ["id", "org_id", "name", "description", "created_by", "created_at", "updated_at"]
+const COLUMNS = [
+  "id",
+  "org_id",
+  "name",
+  "description",
+  "visibility",
+  "created_by",
+  "created_at",
+  "updated_at",
+]
 
 /**
  * Insert a new project into the database.
@@ -10,6 +19,7 @@ const COLUMNS = ["id", "org_id", "name", "description", "created_by", "created_a
  * @param {string} project.org_id - UUID of the organization this project belongs to
  * @param {string} project.name - Project name
  * @param {string} [project.description] - Project description
+ * @param {string} [project.visibility] - "org" (default) or "private"
  * @param {string} project.created_by - UUID of the user creating the project
  * @returns {Promise<Object[]>} Array containing the newly created project
  */
@@ -37,6 +47,27 @@ export const findManyByOrgId = (orgId) => {
   return db.select(COLUMNS).from(TABLE_NAME).where("org_id", orgId).orderBy("name")
 }
 
+/**
+ * Find the projects of an organization a user can see, ordered by name:
+ * every "org" project, and the "private" ones the user is a member of.
+ *
+ * @param {string} orgId - UUID of the organization
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} Array of projects visible to the user
+ */
+export const findManyVisibleToUser = (orgId, userId) => {
+  return db
+    .select(COLUMNS)
+    .from(TABLE_NAME)
+    .where("org_id", orgId)
+    .where((query) => {
+      query
+        .where("visibility", "org")
+        .orWhereIn("id", db.select("project_id").from("project_members").where("user_id", userId))
+    })
+    .orderBy("name")
+}
+
 /**
  * Find all projects a specific user is a member of within an organization.
  * Joins the project_members table to filter by user membership.
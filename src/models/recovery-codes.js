@@ -0,0 +1,48 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "recovery_codes"
+const COLUMNS = ["id", "user_id", "code_hash", "used_at", "created_at"]
+
+/**
+ * Replace a user's recovery codes with a new set.
+ * Runs in a transaction so the user never ends up with both sets or neither.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {Object[]} codes - Code records to insert ({ id, code_hash })
+ * @returns {Promise<Object[]>} The newly created code records
+ */
+export const replaceForUser = (userId, codes) => {
+  return db.transaction(async (trx) => {
+    await trx(TABLE_NAME).where({ user_id: userId }).delete()
+    return trx(TABLE_NAME)
+      .insert(codes.map((code) => ({ ...code, user_id: userId, created_at: new Date() })))
+      .returning(COLUMNS)
+  })
+}
+
+/**
+ * Atomically consume one of a user's unused recovery codes.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {string} codeHash - SHA-256 hash of the presented code
+ * @returns {Promise<Object|undefined>} The consumed code record, or undefined if none matched
+ */
+export const consume = async (userId, codeHash) => {
+  const [code] = await db
+    .update({ used_at: new Date() })
+    .from(TABLE_NAME)
+    .where({ user_id: userId, code_hash: codeHash })
+    .whereNull("used_at")
+    .returning(COLUMNS)
+  return code
+}
+
+/**
+ * Delete all of a user's recovery codes.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const removeByUserId = (userId) => {
+  return db.delete().from(TABLE_NAME).where({ user_id: userId })
+}
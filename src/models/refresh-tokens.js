@@ -0,0 +1,61 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "refresh_tokens"
+const COLUMNS = ["id", "user_id", "session_id", "expires_at", "used_at", "revoked_at", "created_at"]
+
+/**
+ * Insert a new refresh token record.
+ *
+ * @param {Object} token - Token data to insert
+ * @param {string} token.id - UUID of the token (the JWT `jti` claim)
+ * @param {string} token.user_id - UUID of the user the token was issued to
+ * @param {string} token.session_id - UUID of the session the token belongs to
+ * @param {Date} token.expires_at - When the token expires
+ * @returns {Promise<Object[]>} Array containing the newly created token record
+ */
+export const create = (token) => {
+  return db.insert(token).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find a single refresh token record matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id, user_id })
+ * @returns {Promise<Object|undefined>} The matched token record or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Revoke every still-active token belonging to a session.
+ *
+ * @param {string} sessionId - UUID of the session
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const revokeBySessionId = (sessionId) => {
+  return db
+    .update({ revoked_at: new Date() })
+    .from(TABLE_NAME)
+    .where("session_id", sessionId)
+    .whereNull("revoked_at")
+}
+
+/**
+ * Revoke every still-active token issued to a user.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {string} [exceptSessionId] - UUID of a session whose tokens stay active
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const revokeByUserId = (userId, exceptSessionId) => {
+  const query = db
+    .update({ revoked_at: new Date() })
+    .from(TABLE_NAME)
+    .where("user_id", userId)
+    .whereNull("revoked_at")
+  if (exceptSessionId) {
+    query.whereNot("session_id", exceptSessionId)
+  }
+  return query
+}
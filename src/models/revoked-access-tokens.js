@@ -0,0 +1,39 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "revoked_access_tokens"
+const COLUMNS = ["id", "user_id", "expires_at", "revoked_at"]
+
+/**
+ * Record an access token as revoked. Spent two-factor challenge tokens are
+ * recorded here too. A `jti` that is already present is left alone, and
+ * nothing is returned for it.
+ *
+ * @param {Object} token - Revocation data to insert
+ * @param {string} token.id - The revoked token's `jti` claim
+ * @param {string} token.user_id - UUID of the user the token was issued to
+ * @param {Date} token.expires_at - When the token would have expired
+ * @returns {Promise<Object[]>} Array containing the newly created revocation, or empty
+ */
+export const create = (token) => {
+  return db.insert(token).into(TABLE_NAME).onConflict("id").ignore().returning(COLUMNS)
+}
+
+/**
+ * Find a single revocation matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id })
+ * @returns {Promise<Object|undefined>} The matched revocation or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Delete revocations whose tokens have expired on their own.
+ * The JWT expiry check already rejects those tokens, so the rows are dead weight.
+ *
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const removeExpired = () => {
+  return db.delete().from(TABLE_NAME).where("expires_at", "<", db.fn.now())
+}
@@ -0,0 +1,104 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "security_events"
+const COLUMNS = [
+  "id",
+  "user_id",
+  "event",
+  "outcome",
+  "method",
+  "reason",
+  "session_id",
+  "ip_address",
+  "user_agent",
+  "request_id",
+  "created_at",
+]
+const SORTABLE_COLUMNS = ["created_at", "event", "outcome"]
+
+// Filter out any sort columns that are not in the allowed list to prevent SQL injection
+const filterSortableColumns = (orders) => {
+  if (!orders) return null
+  return orders.filter((order) => SORTABLE_COLUMNS.includes(order.column))
+}
+
+/**
+ * Record a security event.
+ *
+ * @param {Object} securityEvent - Event data to insert
+ * @param {string} securityEvent.id - UUID of the event
+ * @param {string} securityEvent.user_id - UUID of the user the event happened to
+ * @param {string} securityEvent.event - "signin", "refresh", "logout", or "logout_all"
+ * @param {string} securityEvent.outcome - "success", "failure", or "challenge"
+ * @param {string|null} [securityEvent.method] - Signin method, for signin events
+ * @param {string|null} [securityEvent.reason] - Why the attempt failed
+ * @param {string|null} [securityEvent.session_id] - Session the event belongs to
+ * @param {string|null} [securityEvent.ip_address] - Client IP address
+ * @param {string|null} [securityEvent.user_agent] - Client User-Agent
+ * @param {string|null} [securityEvent.request_id] - Request correlation ID
+ * @returns {Promise<Object[]>} Array containing the newly created event
+ */
+export const create = (securityEvent) => {
+  return db.insert(securityEvent).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find security events with pagination, search, and sorting support.
+ * Used by the pagination utility for list endpoints.
+ *
+ * @param {Object} conditions - Key-value pairs to filter by (e.g., { user_id })
+ * @param {Object} [options={}] - Pagination and search options
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {number} [options.offset=0] - Number of results to skip
+ * @param {Object[]|null} [options.orders=null] - Sort directives
+ * @param {string} [options.search=""] - Search term for ILIKE matching
+ * @param {string[]} [options.searchColumns=[]] - Columns to search within
+ * @returns {Promise<Object[]>} Paginated array of events
+ */
+export const findManyPaginated = (conditions, options = {}) => {
+  // default options
+  const { limit = 10, offset = 0, orders = null, search = "", searchColumns = [] } = options
+
+  let query = db.select(COLUMNS).from(TABLE_NAME).where(conditions)
+
+  if (search && searchColumns.length) {
+    query = query.where(function () {
+      for (const col of searchColumns) {
+        this.orWhere(col, "ilike", `%${search}%`)
+      }
+    })
+  }
+
+  const validOrders = filterSortableColumns(orders)
+  if (validOrders?.length > 0) {
+    query = query.orderBy(validOrders)
+  }
+
+  return query.limit(limit).offset(offset)
+}
+
+/**
+ * Count security events matching the given conditions, with optional search filtering.
+ * Used alongside findManyPaginated to build pagination metadata.
+ *
+ * @param {Object} conditions - Key-value pairs to filter by
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.search=""] - Search term for ILIKE matching
+ * @param {string[]} [options.searchColumns=[]] - Columns to search within
+ * @returns {Promise<Object>} Object with count property
+ */
+export const count = (conditions, options = {}) => {
+  const { search = "", searchColumns = [] } = options
+
+  let query = db.count("* as count").from(TABLE_NAME).where(conditions)
+
+  if (search && searchColumns.length) {
+    query = query.where(function () {
+      for (const col of searchColumns) {
+        this.orWhere(col, "ilike", `%${search}%`)
+      }
+    })
+  }
+
+  return query.first()
+}
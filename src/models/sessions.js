@@ -0,0 +1,90 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "sessions"
+const COLUMNS = [
+  "id",
+  "user_id",
+  "device_name",
+  "ip_address",
+  "user_agent",
+  "created_at",
+  "last_used_at",
+  "expires_at",
+  "revoked_at",
+]
+
+/**
+ * Insert a new session record.
+ *
+ * @param {Object} session - Session data to insert
+ * @param {string} session.id - UUID of the session
+ * @param {string} session.user_id - UUID of the user who signed in
+ * @param {string} [session.device_name] - Client-supplied device label
+ * @param {string} [session.ip_address] - IP address of the signin request
+ * @param {string} [session.user_agent] - User-Agent of the signin request
+ * @param {Date} session.expires_at - When the session's refresh token expires
+ * @returns {Promise<Object[]>} Array containing the newly created session
+ */
+export const create = (session) => {
+  return db.insert(session).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find a single session matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id, user_id })
+ * @returns {Promise<Object|undefined>} The matched session or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Find a user's active sessions — not revoked and not yet expired.
+ * Ordered by most recently used first.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} Array of session records
+ */
+export const findActiveByUserId = (userId) => {
+  return db
+    .select(COLUMNS)
+    .from(TABLE_NAME)
+    .where("user_id", userId)
+    .whereNull("revoked_at")
+    .where("expires_at", ">", db.fn.now())
+    .orderBy("last_used_at", "desc")
+}
+
+/**
+ * Revoke a single session if it is still active.
+ *
+ * @param {string} id - UUID of the session
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const revoke = (id) => {
+  return db
+    .update({ revoked_at: new Date() })
+    .from(TABLE_NAME)
+    .where("id", id)
+    .whereNull("revoked_at")
+}
+
+/**
+ * Revoke every still-active session of a user.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {string} [exceptSessionId] - UUID of a session to leave active (e.g., the current one)
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const revokeByUserId = (userId, exceptSessionId) => {
+  const query = db
+    .update({ revoked_at: new Date() })
+    .from(TABLE_NAME)
+    .where("user_id", userId)
+    .whereNull("revoked_at")
+  if (exceptSessionId) {
+    query.whereNot("id", exceptSessionId)
+  }
+  return query
+}
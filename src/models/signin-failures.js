@@ -0,0 +1,78 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "signin_failures"
+const COLUMNS = ["identifier_hash", "failed_signin_count", "last_failed_signin_at", "locked_until"]
+
+/**
+ * Find the failed-signin counters for an identifier.
+ *
+ * @param {string} identifierHash - SHA-256 hash of the identifier
+ * @returns {Promise<Object|undefined>} The counters, or undefined if nothing failed yet
+ */
+export const findByIdentifierHash = (identifierHash) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where({ identifier_hash: identifierHash }).first()
+}
+
+/**
+ * Count a failed signin attempt and lock the identifier once the threshold is
+ * reached, creating the row on the first failure. Mirrors
+ * `users.recordFailedSignin`, so both answer with the same delays.
+ *
+ * @param {string} identifierHash - SHA-256 hash of the identifier
+ * @param {Object} policy - Lockout policy
+ * @param {number} policy.threshold - Failed attempts that trigger a lockout
+ * @param {number} policy.lockoutSeconds - How long the lockout lasts
+ * @returns {Promise<Object[]>} Array containing the updated counters
+ */
+export const recordFailedSignin = (identifierHash, { threshold, lockoutSeconds }) => {
+  return db
+    .insert({
+      identifier_hash: identifierHash,
+      failed_signin_count: 1,
+      last_failed_signin_at: db.fn.now(),
+      locked_until: db.raw("CASE WHEN 1 >= ? THEN now() + make_interval(secs => ?) ELSE NULL END", [
+        threshold,
+        lockoutSeconds,
+      ]),
+    })
+    .into(TABLE_NAME)
+    .onConflict("identifier_hash")
+    .merge({
+      failed_signin_count: db.raw(`${TABLE_NAME}.failed_signin_count + 1`),
+      last_failed_signin_at: db.fn.now(),
+      locked_until: db.raw(
+        `CASE WHEN ${TABLE_NAME}.failed_signin_count + 1 >= ? THEN now() + make_interval(secs => ?) ELSE NULL END`,
+        [threshold, lockoutSeconds],
+      ),
+    })
+    .returning(COLUMNS)
+}
+
+/**
+ * Delete the counters of an identifier.
+ *
+ * @param {string} identifierHash - SHA-256 hash of the identifier
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const remove = (identifierHash) => {
+  return db.delete().from(TABLE_NAME).where({ identifier_hash: identifierHash })
+}
+
+/**
+ * Delete counters that no longer hold anything back: both the last failure and
+ * any lockout are older than the lockout window. Without this, identifiers
+ * that never come back would stay forever.
+ *
+ * @param {number} windowSeconds - How long a failure or lockout is remembered
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const removeExpired = (windowSeconds) => {
+  const cutoff = db.raw("now() - make_interval(secs => ?)", [windowSeconds])
+  return db
+    .delete()
+    .from(TABLE_NAME)
+    .where("last_failed_signin_at", "<", cutoff)
+    .where((query) => {
+      query.whereNull("locked_until").orWhere("locked_until", "<", cutoff)
+    })
+}
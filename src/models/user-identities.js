@@ -0,0 +1,40 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "user_identities"
+const COLUMNS = ["id", "user_id", "provider", "subject", "email", "created_at", "last_used_at"]
+
+/**
+ * Link an external identity to a user.
+ *
+ * @param {Object} identity - Identity data to insert
+ * @param {string} identity.id - UUID of the identity
+ * @param {string} identity.user_id - UUID of the local user
+ * @param {string} identity.provider - Configured provider name
+ * @param {string} identity.subject - The provider's user ID (`sub` claim)
+ * @param {string|null} identity.email - Email reported by the provider
+ * @returns {Promise<Object[]>} Array containing the newly created identity
+ */
+export const create = (identity) => {
+  return db.insert(identity).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find a single identity matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { provider, subject })
+ * @returns {Promise<Object|undefined>} The matched identity or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Record a signin with an identity and refresh the email the provider reported.
+ *
+ * @param {string} id - UUID of the identity
+ * @param {string|null} email - Email from the latest ID token
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const touch = (id, email) => {
+  return db.update({ last_used_at: new Date(), email }).from(TABLE_NAME).where("id", id)
+}
@@ -0,0 +1,76 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "user_tokens"
+const COLUMNS = ["id", "user_id", "purpose", "token_hash", "expires_at", "used_at", "created_at"]
+
+/**
+ * Insert a new single-use token record.
+ *
+ * @param {Object} token - Token data to insert
+ * @param {string} token.id - UUID of the token record
+ * @param {string} token.user_id - UUID of the user the token was issued to
+ * @param {string} token.purpose - What the token is for ("password_reset", "email_verification", or "magic_link")
+ * @param {string} token.token_hash - SHA-256 hash of the raw token
+ * @param {Date} token.expires_at - When the token expires
+ * @returns {Promise<Object[]>} Array containing the newly created token record
+ */
+export const create = (token) => {
+  return db.insert(token).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find an unused, unexpired token without consuming it.
+ *
+ * Lets a request be checked before the token is spent; use consume to
+ * actually redeem it.
+ *
+ * @param {string} purpose - What the token must be for
+ * @param {string} tokenHash - SHA-256 hash of the presented token
+ * @returns {Promise<Object|undefined>} The token record, or undefined if none matched
+ */
+export const findValid = (purpose, tokenHash) => {
+  return db
+    .select(COLUMNS)
+    .from(TABLE_NAME)
+    .where({ purpose, token_hash: tokenHash })
+    .whereNull("used_at")
+    .where("expires_at", ">", db.fn.now())
+    .first()
+}
+
+/**
+ * Atomically consume an unused, unexpired token.
+ *
+ * A single UPDATE marks the token as used, so two concurrent requests can
+ * never both consume the same token.
+ *
+ * @param {string} purpose - What the token must be for
+ * @param {string} tokenHash - SHA-256 hash of the presented token
+ * @returns {Promise<Object|undefined>} The consumed token record, or undefined if none matched
+ */
+export const consume = async (purpose, tokenHash) => {
+  const [token] = await db
+    .update({ used_at: new Date() })
+    .from(TABLE_NAME)
+    .where({ purpose, token_hash: tokenHash })
+    .whereNull("used_at")
+    .where("expires_at", ">", db.fn.now())
+    .returning(COLUMNS)
+  return token
+}
+
+/**
+ * Mark every unused token of one purpose for a user as used, so only a newly
+ * issued token (or none) remains valid.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {string} purpose - Token purpose to invalidate
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const invalidateByUserId = (userId, purpose) => {
+  return db
+    .update({ used_at: new Date() })
+    .from(TABLE_NAME)
+    .where({ user_id: userId, purpose })
+    .whereNull("used_at")
+}
@@ -1,7 +1,16 @@
 import db from "../config/database.js"
 
 const TABLE_NAME = "users"
-const SAFE_COLUMNS = ["id", "username", "email", "created_at", "updated_at"]
+const SAFE_COLUMNS = ["id", "username", "email", "email_verified_at", "created_at", "updated_at"]
+// What platform admins see in user listings, on top of the safe columns
+const ADMIN_COLUMNS = [...SAFE_COLUMNS, "is_platform_admin", "suspended_at", "suspension_reason"]
+const SORTABLE_COLUMNS = ["created_at", "username"]
+
+// Filter out any sort columns that are not in the allowed list to prevent SQL injection
+const filterSortableColumns = (orders) => {
+  if (!orders) return null
+  return orders.filter((order) => SORTABLE_COLUMNS.includes(order.column))
+}
 
 /**
  * Insert a new user into the database.
@@ -19,7 +28,7 @@ export const create = (user) => {
 /**
  * Find a single user by conditions, returning only safe (non-sensitive) columns.
  *
- * @param {Object} conditions - Key-value pairs to match against (e.g., { id }, { username })
+ * @param {Object|Function} conditions - Key-value pairs to match against (e.g., { id }, { username }), or a knex where callback
  * @returns {Promise<Object|undefined>} The matched user or undefined
  */
 export const findOne = (conditions) => {
@@ -30,9 +39,191 @@ export const findOne = (conditions) => {
  * Find a single user by conditions, including the password hash.
  * Used only for authentication — never expose the result directly in API responses.
  *
- * @param {Object} conditions - Key-value pairs to match against
+ * @param {Object|Function} conditions - Key-value pairs to match against, or a knex where callback
  * @returns {Promise<Object|undefined>} The matched user with all columns, or undefined
  */
 export const findOneWithPassword = (conditions) => {
   return db.select("*").from(TABLE_NAME).where(conditions).first()
 }
+
+/**
+ * Update a user matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to identify the user (e.g., { id })
+ * @param {Object} data - Fields to update (e.g., { username, email })
+ * @returns {Promise<Object[]>} Array containing the updated user (safe columns only)
+ */
+export const update = (conditions, data) => {
+  return db.update(data).from(TABLE_NAME).where(conditions).returning(SAFE_COLUMNS)
+}
+
+/**
+ * Record a TOTP time step as used, unless it (or a later step) already was.
+ * The conditional update makes concurrent submissions of the same code race-free.
+ *
+ * @param {string} id - UUID of the user
+ * @param {number} step - The TOTP time step that was just verified
+ * @returns {Promise<number>} 1 if the step was claimed, 0 if it was already used
+ */
+export const claimTotpStep = (id, step) => {
+  return db
+    .update({ totp_last_used_step: step })
+    .from(TABLE_NAME)
+    .where({ id })
+    .andWhere((query) => {
+      query.whereNull("totp_last_used_step").orWhere("totp_last_used_step", "<", step)
+    })
+}
+
+/**
+ * Count a failed signin attempt and lock the account once the threshold is reached.
+ * The increment happens in SQL so concurrent failures are all counted.
+ *
+ * @param {string} id - UUID of the user
+ * @param {Object} policy - Lockout policy
+ * @param {number} policy.threshold - Failed attempts that trigger a lockout
+ * @param {number} policy.lockoutSeconds - How long the lockout lasts
+ * @returns {Promise<Object[]>} Array containing the user's id, failed_signin_count, and locked_until
+ */
+export const recordFailedSignin = (id, { threshold, lockoutSeconds }) => {
+  return db
+    .update({
+      failed_signin_count: db.raw("failed_signin_count + 1"),
+      last_failed_signin_at: db.fn.now(),
+      locked_until: db.raw(
+        "CASE WHEN failed_signin_count + 1 >= ? THEN now() + make_interval(secs => ?) ELSE NULL END",
+        [threshold, lockoutSeconds],
+      ),
+    })
+    .from(TABLE_NAME)
+    .where({ id })
+    .returning(["id", "failed_signin_count", "locked_until"])
+}
+
+/**
+ * Clear a user's failed signin count and any lockout.
+ *
+ * @param {string} id - UUID of the user
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const resetFailedSignins = (id) => {
+  return db
+    .update({ failed_signin_count: 0, last_failed_signin_at: null, locked_until: null })
+    .from(TABLE_NAME)
+    .where({ id })
+}
+
+/**
+ * Find the fields the auth middleware needs to decide whether a token is still valid.
+ *
+ * @param {string} id - UUID of the user
+ * @returns {Promise<Object|undefined>} Object with id, token_version, and suspended_at, or undefined
+ */
+export const findAuthState = (id) => {
+  return db.select("id", "token_version", "suspended_at").from(TABLE_NAME).where({ id }).first()
+}
+
+/**
+ * Check whether a user holds the platform admin flag.
+ *
+ * @param {string} id - UUID of the user
+ * @returns {Promise<boolean>} True for platform admins, false otherwise (including unknown users)
+ */
+export const isPlatformAdmin = async (id) => {
+  const user = await db.select("is_platform_admin").from(TABLE_NAME).where({ id }).first()
+  return user?.is_platform_admin === true
+}
+
+/**
+ * Increment a user's token version, invalidating every access token issued before.
+ *
+ * @param {string} id - UUID of the user
+ * @returns {Promise<Object[]>} Array containing the user's id and new token_version
+ */
+export const incrementTokenVersion = (id) => {
+  return db
+    .increment("token_version", 1)
+    .from(TABLE_NAME)
+    .where({ id })
+    .returning(["id", "token_version"])
+}
+
+/**
+ * Find users with pagination, search, and sorting support.
+ * Used by the pagination utility for list endpoints.
+ *
+ * @param {Object} conditions - Key-value pairs to filter by
+ * @param {Object} [options={}] - Pagination and search options
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {number} [options.offset=0] - Number of results to skip
+ * @param {Object[]|null} [options.orders=null] - Sort directives
+ * @param {string} [options.search=""] - Search term for ILIKE matching
+ * @param {string[]} [options.searchColumns=[]] - Columns to search within
+ * @returns {Promise<Object[]>} Paginated array of users (admin columns, no secrets)
+ */
+export const findManyPaginated = (conditions, options = {}) => {
+  // default options
+  const { limit = 10, offset = 0, orders = null, search = "", searchColumns = [] } = options
+
+  let query = db.select(ADMIN_COLUMNS).from(TABLE_NAME).where(conditions)
+
+  if (search && searchColumns.length) {
+    query = query.where(function () {
+      for (const col of searchColumns) {
+        this.orWhere(col, "ilike", `%${search}%`)
+      }
+    })
+  }
+
+  const validOrders = filterSortableColumns(orders)
+  if (validOrders?.length > 0) {
+    query = query.orderBy(validOrders)
+  }
+
+  return query.limit(limit).offset(offset)
+}
+
+/**
+ * Count users matching the given conditions, with optional search filtering.
+ * Used alongside findManyPaginated to build pagination metadata.
+ *
+ * @param {Object} conditions - Key-value pairs to filter by
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.search=""] - Search term for ILIKE matching
+ * @param {string[]} [options.searchColumns=[]] - Columns to search within
+ * @returns {Promise<Object>} Object with count property
+ */
+export const count = (conditions, options = {}) => {
+  const { search = "", searchColumns = [] } = options
+
+  let query = db.count("* as count").from(TABLE_NAME).where(conditions)
+
+  if (search && searchColumns.length) {
+    query = query.where(function () {
+      for (const col of searchColumns) {
+        this.orWhere(col, "ilike", `%${search}%`)
+      }
+    })
+  }
+
+  return query.first()
+}
+
+/**
+ * Suspend a user, or lift their suspension when `reason` is null.
+ *
+ * @param {string} id - UUID of the user
+ * @param {string|null} reason - Why the user is suspended, or null to unsuspend
+ * @returns {Promise<Object[]>} Array containing the updated user (admin columns)
+ */
+export const setSuspension = (id, reason) => {
+  return db
+    .update({
+      suspended_at: reason === null ? null : new Date(),
+      suspension_reason: reason,
+      updated_at: new Date(),
+    })
+    .from(TABLE_NAME)
+    .where({ id })
+    .returning(ADMIN_COLUMNS)
+}
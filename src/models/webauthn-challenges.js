@@ -0,0 +1,55 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "webauthn_challenges"
+const COLUMNS = [
+  "id",
+  "user_id",
+  "purpose",
+  "challenge_hash",
+  "device_name",
+  "expires_at",
+  "created_at",
+]
+
+/**
+ * Insert a new ceremony challenge.
+ *
+ * @param {Object} challenge - Challenge data to insert
+ * @param {string} challenge.id - UUID of the challenge
+ * @param {string|null} challenge.user_id - User the ceremony is for, if known
+ * @param {string} challenge.purpose - "registration", "authentication" or "two_factor"
+ * @param {string} challenge.challenge_hash - SHA-256 hash of the challenge
+ * @param {string|null} challenge.device_name - Label for the resulting session
+ * @param {Date} challenge.expires_at - When the challenge expires
+ * @returns {Promise<Object[]>} Array containing the newly created challenge
+ */
+export const create = (challenge) => {
+  return db.insert(challenge).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Atomically take an unexpired challenge, deleting it so the same challenge
+ * can never be answered twice.
+ *
+ * @param {string} purpose - Ceremony the response is for
+ * @param {string} challengeHash - SHA-256 hash of the challenge in the client data
+ * @returns {Promise<Object|undefined>} The consumed challenge, or undefined if none matched
+ */
+export const consume = async (purpose, challengeHash) => {
+  const [challenge] = await db
+    .delete()
+    .from(TABLE_NAME)
+    .where({ purpose, challenge_hash: challengeHash })
+    .where("expires_at", ">", db.fn.now())
+    .returning(COLUMNS)
+  return challenge
+}
+
+/**
+ * Delete challenges that expired without being answered.
+ *
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const removeExpired = () => {
+  return db.delete().from(TABLE_NAME).where("expires_at", "<=", db.fn.now())
+}
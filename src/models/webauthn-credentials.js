@@ -0,0 +1,97 @@
+import db from "../config/database.js"
+
+const TABLE_NAME = "webauthn_credentials"
+const COLUMNS = ["id", "user_id", "name", "backed_up", "created_at", "last_used_at"]
+
+// Key material is only needed to verify signatures, never returned to clients
+const KEY_COLUMNS = [...COLUMNS, "credential_id", "public_key", "algorithm", "sign_count"]
+
+/**
+ * Store a newly registered passkey.
+ *
+ * @param {Object} credential - Credential data to insert
+ * @param {string} credential.id - UUID of the credential
+ * @param {string} credential.user_id - UUID of the owner
+ * @param {string} credential.credential_id - base64url credential ID from the authenticator
+ * @param {string} credential.public_key - PEM-encoded public key
+ * @param {number} credential.algorithm - COSE algorithm identifier
+ * @param {number} credential.sign_count - Signature counter at registration
+ * @param {boolean} credential.backed_up - Whether the passkey is synced
+ * @param {string|null} credential.name - User-chosen label
+ * @returns {Promise<Object[]>} Array containing the newly created credential
+ */
+export const create = (credential) => {
+  return db.insert(credential).into(TABLE_NAME).returning(COLUMNS)
+}
+
+/**
+ * Find a single credential matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id, user_id })
+ * @returns {Promise<Object|undefined>} The matched credential or undefined
+ */
+export const findOne = (conditions) => {
+  return db.select(COLUMNS).from(TABLE_NAME).where(conditions).first()
+}
+
+/**
+ * Find a credential by the ID the authenticator presented, including the
+ * key material needed to verify its signature.
+ *
+ * @param {string} credentialId - base64url credential ID
+ * @returns {Promise<Object|undefined>} The credential or undefined
+ */
+export const findOneWithKey = (credentialId) => {
+  return db.select(KEY_COLUMNS).from(TABLE_NAME).where({ credential_id: credentialId }).first()
+}
+
+/**
+ * List a user's passkeys, newest first.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object[]>} The user's credentials
+ */
+export const findManyByUserId = (userId) => {
+  return db
+    .select(COLUMNS)
+    .from(TABLE_NAME)
+    .where({ user_id: userId })
+    .orderBy("created_at", "desc")
+}
+
+/**
+ * List the credential IDs of a user's passkeys, for the allow and exclude
+ * lists of ceremony options.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<string[]>} base64url credential IDs
+ */
+export const findCredentialIdsByUserId = (userId) => {
+  return db.from(TABLE_NAME).where({ user_id: userId }).pluck("credential_id")
+}
+
+/**
+ * Record a successful signature: the new counter, backup state and time of use.
+ *
+ * @param {string} id - UUID of the credential
+ * @param {Object} usage
+ * @param {number} usage.signCount - Counter reported by the authenticator
+ * @param {boolean} usage.backedUp - Backup state reported by the authenticator
+ * @returns {Promise<number>} Number of rows updated
+ */
+export const recordUse = (id, { signCount, backedUp }) => {
+  return db
+    .update({ sign_count: signCount, backed_up: backedUp, last_used_at: new Date() })
+    .from(TABLE_NAME)
+    .where("id", id)
+}
+
+/**
+ * Delete credentials matching the given conditions.
+ *
+ * @param {Object} conditions - Key-value pairs to match against (e.g., { id, user_id })
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export const remove = (conditions) => {
+  return db.delete().from(TABLE_NAME).where(conditions)
+}
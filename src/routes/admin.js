@@ -0,0 +1,29 @@
+/**
+ * Platform admin routes.
+ *
+ * Mounted under /api/admin behind requirePlatformAdmin. These routes act
+ * across organizations — listing users and orgs, suspending users, reading
+ * memberships and security history, and forcing an owner change — so they
+ * are for platform support staff only and are closed to personal access tokens.
+ *
+ * @module routes/admin
+ */
+import { Router } from "express"
+import * as adminController from "../controllers/admin.js"
+import * as securityEventController from "../controllers/security-events.js"
+
+const router = Router()
+
+// Users
+router.get("/users", adminController.getUsers)
+router.get("/users/:user_id/memberships", adminController.getUserMemberships)
+router.get("/users/:user_id/security-events", securityEventController.getUserSecurityEvents)
+router.post("/users/:user_id/suspend", adminController.suspendUser)
+router.post("/users/:user_id/unsuspend", adminController.unsuspendUser)
+
+// Organizations
+router.get("/orgs", adminController.getOrgs)
+router.get("/orgs/:org_id/members", adminController.getOrgMembers)
+router.post("/orgs/:org_id/owner", adminController.transferOrgOwnership)
+
+export default router
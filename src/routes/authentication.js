@@ -1,12 +1,32 @@
 import { Router } from "express"
-import { requireRefreshToken } from "../middlewares/authorization.js"
+import {
+  rejectPersonalAccessToken,
+  requireAccessToken,
+  requireRefreshToken,
+} from "../middlewares/authorization.js"
 import { authLimiter } from "../middlewares/rate-limit.js"
 import * as authController from "../controllers/authentication.js"
+import sessionRoutes from "./sessions.js"
+import oidcRoutes from "./oidc.js"
+import webauthnRoutes from "./webauthn.js"
+import deviceAuthorizationRoutes from "./device-authorization.js"
 
 const router = Router()
 
 router.post("/signup", authLimiter, authController.signup)
 router.post("/signin", authLimiter, authController.signin)
+router.post("/signin/2fa", authLimiter, authController.signinTwoFactor)
+router.post("/password/forgot", authLimiter, authController.forgotPassword)
+router.post("/password/reset", authLimiter, authController.resetPassword)
+router.post("/email/verify", authLimiter, authController.verifyEmail)
+router.post("/magic-link", authLimiter, authController.requestMagicLink)
+router.post("/magic-link/verify", authLimiter, authController.verifyMagicLink)
 router.post("/refresh", authLimiter, requireRefreshToken, authController.refreshAccessToken)
+router.post("/logout", requireAccessToken, rejectPersonalAccessToken, authController.logout)
+router.post("/logout-all", requireAccessToken, rejectPersonalAccessToken, authController.logoutAll)
+router.use("/oidc", oidcRoutes)
+router.use("/webauthn", webauthnRoutes)
+router.use("/device", deviceAuthorizationRoutes)
+router.use("/sessions", requireAccessToken, rejectPersonalAccessToken, sessionRoutes)
 
 export default router
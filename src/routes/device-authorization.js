@@ -0,0 +1,33 @@
+/**
+ * Device authorization routes (RFC 8628).
+ *
+ * Mounted under /api/auth/device. A client without a browser, like a CLI,
+ * requests a code pair, a signed-in user approves the user code, and the
+ * client polls for its tokens.
+ *
+ * @module routes/device-authorization
+ */
+import { Router } from "express"
+import { rejectPersonalAccessToken, requireAccessToken } from "../middlewares/authorization.js"
+import { authLimiter } from "../middlewares/rate-limit.js"
+import * as deviceAuthorizationController from "../controllers/device-authorization.js"
+
+const router = Router()
+
+// Start a device authorization
+router.post("/code", authLimiter, deviceAuthorizationController.requestCode)
+
+// Approve a waiting device as the authenticated user
+router.post(
+  "/approve",
+  authLimiter,
+  requireAccessToken,
+  rejectPersonalAccessToken,
+  deviceAuthorizationController.approve,
+)
+
+// Poll for tokens — not behind authLimiter, since clients poll every few
+// seconds; the device code's own interval ("slow_down") paces them instead
+router.post("/token", deviceAuthorizationController.token)
+
+export default router
@@ -3,18 +3,24 @@
  *
  * Aggregates all route modules and applies authentication middleware.
  * Auth routes are public; all other routes require a valid access token.
+ * Personal access tokens only reach the org routes of their own organization.
  *
  * Route hierarchy:
  * - /api/auth — authentication (public, rate-limited)
+ * - /api/me — the authenticated user's own account
  * - /api/invitations — user-level invitation management
  * - /api/permissions — system permission reference
  * - /api/orgs — organizations and all nested sub-resources
+ * - /api/admin — platform administration (platform admins only)
  *
  * @module routes/index
  */
 import { Router } from "express"
-import { requireAccessToken } from "../middlewares/authorization.js"
+import { rejectPersonalAccessToken, requireAccessToken } from "../middlewares/authorization.js"
+import { requirePlatformAdmin } from "../middlewares/require-platform-admin.js"
+import adminRoutes from "./admin.js"
 import authRoutes from "./authentication.js"
+import meRoutes from "./me.js"
 import orgRoutes from "./organizations.js"
 import permissionRoutes from "./permissions.js"
 import userInvitationRoutes from "./user-invitations.js"
@@ -27,11 +33,15 @@ router.use("/auth", authRoutes)
 // All routes below require a valid access token
 router.use(requireAccessToken)
 
-// User-level routes (no org context needed)
-router.use("/invitations", userInvitationRoutes)
+// User-level routes (no org context needed, closed to org-scoped personal access tokens)
+router.use("/me", rejectPersonalAccessToken, meRoutes)
+router.use("/invitations", rejectPersonalAccessToken, userInvitationRoutes)
 router.use("/permissions", permissionRoutes)
 
 // Org-level routes (org context resolved at route level via resolveOrg)
 router.use("/orgs", orgRoutes)
 
+// Platform-wide routes (flag checked against the database on every request)
+router.use("/admin", rejectPersonalAccessToken, requirePlatformAdmin, adminRoutes)
+
 export default router
@@ -0,0 +1,44 @@
+/**
+ * Authenticated user routes.
+ *
+ * Mounted under /api/me. Lets users read and update their own profile,
+ * re-send their email verification link, change their password, manage
+ * two-factor authentication and personal access tokens, review their
+ * security history, and delete their account. No org context required.
+ *
+ * @module routes/me
+ */
+import { Router } from "express"
+import { authLimiter } from "../middlewares/rate-limit.js"
+import * as meController from "../controllers/me.js"
+import * as twoFactorController from "../controllers/two-factor.js"
+import * as securityEventController from "../controllers/security-events.js"
+import personalAccessTokenRoutes from "./personal-access-tokens.js"
+
+const router = Router()
+
+// Profile of the authenticated user
+router.get("/", meController.getMe)
+router.put("/", meController.updateMe)
+
+// Resend the verification link for the current email
+router.post("/email/verification", authLimiter, meController.resendEmailVerification)
+
+// Change the authenticated user's password
+router.post("/password", meController.changePassword)
+
+// TOTP two-factor authentication
+router.post("/2fa/enroll", authLimiter, twoFactorController.enroll)
+router.post("/2fa/confirm", authLimiter, twoFactorController.confirm)
+router.post("/2fa/disable", authLimiter, twoFactorController.disable)
+
+// Signin, refresh, and logout history
+router.get("/security-events", securityEventController.getMySecurityEvents)
+
+// Personal access tokens for scripts and integrations
+router.use("/tokens", personalAccessTokenRoutes)
+
+// Delete the authenticated user's account
+router.delete("/", meController.deleteMe)
+
+export default router
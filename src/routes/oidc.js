@@ -0,0 +1,25 @@
+/**
+ * OpenID Connect signin routes.
+ *
+ * Mounted under /api/auth/oidc. Lets users sign in with an external identity
+ * provider configured in OIDC_PROVIDERS, using the authorization code flow
+ * with PKCE.
+ *
+ * @module routes/oidc
+ */
+import { Router } from "express"
+import { authLimiter } from "../middlewares/rate-limit.js"
+import * as oidcController from "../controllers/oidc.js"
+
+const router = Router()
+
+// List the configured identity providers
+router.get("/providers", oidcController.getProviders)
+
+// Start a signin — returns the provider's authorization URL
+router.post("/:provider/authorize", authLimiter, oidcController.authorize)
+
+// Finish a signin with the code and state the provider redirected back with
+router.post("/:provider/callback", authLimiter, oidcController.callback)
+
+export default router
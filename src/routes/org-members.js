@@ -3,7 +3,7 @@
  *
  * Mounted under /api/orgs/:org_id/members. Uses mergeParams to inherit
  * the org_id parameter from the parent organizations router.
- * Handles listing, updating roles, and removing org members.
+ * Handles listing, updating roles, removing, and suspending org members.
  *
  * The members controller auto-detects whether it's in org or project context
  * based on the presence of req.project (set by resolveProject middleware).
@@ -23,4 +23,16 @@ router.get("/", requirePermission("org:read"), memberController.getMembers)
 router.put("/:user_id", requirePermission("org:manage_members"), memberController.updateMemberRole)
 router.delete("/:user_id", requirePermission("org:manage_members"), memberController.removeMember)
 
+// Suspending members is limited to owners (checked in the controller), inside this org only
+router.post(
+  "/:user_id/suspend",
+  requirePermission("org:manage_members"),
+  memberController.suspendMember,
+)
+router.post(
+  "/:user_id/unsuspend",
+  requirePermission("org:manage_members"),
+  memberController.unsuspendMember,
+)
+
 export default router
@@ -8,6 +8,7 @@
  * @module routes/organizations
  */
 import { Router } from "express"
+import { rejectPersonalAccessToken } from "../middlewares/authorization.js"
 import { resolveOrg } from "../middlewares/resolve-org.js"
 import { requirePermission } from "../middlewares/require-permission.js"
 import * as orgController from "../controllers/organizations.js"
@@ -18,9 +19,9 @@ import orgInvitationRoutes from "./invitations.js"
 
 const router = Router()
 
-// Org CRUD — create and list don't require org context
-router.post("/", orgController.createOrg)
-router.get("/", orgController.getOrgs)
+// Org CRUD — create and list don't require org context (nor accept personal access tokens)
+router.post("/", rejectPersonalAccessToken, orgController.createOrg)
+router.get("/", rejectPersonalAccessToken, orgController.getOrgs)
 
 // All routes below require org context (resolves org, verifies membership, loads permissions)
 router.use("/:org_id", resolveOrg)
@@ -0,0 +1,24 @@
+/**
+ * Personal access token routes.
+ *
+ * Mounted under /api/me/tokens. Personal access tokens let scripts and
+ * integrations call the API without the user's password; each one is bound
+ * to a single organization and a subset of permissions.
+ *
+ * @module routes/personal-access-tokens
+ */
+import { Router } from "express"
+import * as personalAccessTokenController from "../controllers/personal-access-tokens.js"
+
+const router = Router()
+
+// List the authenticated user's personal access tokens
+router.get("/", personalAccessTokenController.getTokens)
+
+// Create a token (the raw value is only returned here)
+router.post("/", personalAccessTokenController.createToken)
+
+// Revoke a single token
+router.delete("/:token_id", personalAccessTokenController.revokeToken)
+
+export default router
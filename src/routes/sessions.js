@@ -0,0 +1,21 @@
+/**
+ * Session management routes.
+ *
+ * Mounted under /api/auth/sessions behind requireAccessToken. A session is
+ * created by every signin; these routes let users review where they are
+ * signed in and end sessions on other devices.
+ *
+ * @module routes/sessions
+ */
+import { Router } from "express"
+import * as sessionController from "../controllers/sessions.js"
+
+const router = Router()
+
+// List the authenticated user's active sessions
+router.get("/", sessionController.getSessions)
+
+// Revoke a single session
+router.delete("/:session_id", sessionController.revokeSession)
+
+export default router
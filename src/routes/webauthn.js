@@ -0,0 +1,55 @@
+/**
+ * WebAuthn passkey routes.
+ *
+ * Mounted under /api/auth/webauthn. Signed-in users register and manage
+ * passkeys; anyone can sign in with one, without a password, or use one as
+ * the second factor of a 2FA signin.
+ *
+ * @module routes/webauthn
+ */
+import { Router } from "express"
+import { rejectPersonalAccessToken, requireAccessToken } from "../middlewares/authorization.js"
+import { authLimiter } from "../middlewares/rate-limit.js"
+import * as webauthnController from "../controllers/webauthn.js"
+
+const router = Router()
+
+// Register a passkey for the authenticated user (needs the current password)
+router.post(
+  "/register/options",
+  authLimiter,
+  requireAccessToken,
+  rejectPersonalAccessToken,
+  webauthnController.registerOptions,
+)
+router.post(
+  "/register",
+  authLimiter,
+  requireAccessToken,
+  rejectPersonalAccessToken,
+  webauthnController.register,
+)
+
+// List and remove the authenticated user's passkeys
+router.get(
+  "/credentials",
+  requireAccessToken,
+  rejectPersonalAccessToken,
+  webauthnController.getCredentials,
+)
+router.delete(
+  "/credentials/:credential_id",
+  requireAccessToken,
+  rejectPersonalAccessToken,
+  webauthnController.deleteCredential,
+)
+
+// Passwordless signin with a discoverable passkey
+router.post("/authenticate/options", authLimiter, webauthnController.authenticateOptions)
+router.post("/authenticate", authLimiter, webauthnController.authenticate)
+
+// A passkey as the second factor, in place of a TOTP code
+router.post("/2fa/options", authLimiter, webauthnController.twoFactorOptions)
+router.post("/2fa", authLimiter, webauthnController.signinTwoFactor)
+
+export default router
@@ -0,0 +1,24 @@
+/**
+ * Well-known routes.
+ *
+ * Mounted under /.well-known, outside /api and before rate limiting. Publishes
+ * the public keys other services use to verify access tokens themselves.
+ *
+ * @module routes/well-known
+ */
+import { Router } from "express"
+import { getJwks } from "../utils/signing-keys.js"
+
+const router = Router()
+
+// GET /.well-known/jwks.json — public keys that verify access tokens (RFC 7517)
+router.get("/jwks.json", (req, res, next) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300")
+    return res.json(getJwks())
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
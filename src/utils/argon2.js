@@ -1,5 +1,14 @@
 import argon2 from "argon2"
 
+// Current hashing parameters. Raising any of them makes needsRehash flag
+// existing hashes, which signin then upgrades the next time the user signs in.
+const HASH_OPTIONS = {
+  type: argon2.argon2id,
+  memoryCost: 65536,
+  timeCost: 3,
+  parallelism: 4,
+}
+
 /**
  * Hashes a plain-text password using the Argon2 algorithm.
  *
@@ -7,7 +16,7 @@ import argon2 from "argon2"
  * @returns {Promise<string>} A promise that resolves to the generated hash.
  */
 export const hashPassword = async (plainPassword) => {
-  return await argon2.hash(plainPassword)
+  return await argon2.hash(plainPassword, HASH_OPTIONS)
 }
 
 /**
@@ -20,3 +29,13 @@ export const hashPassword = async (plainPassword) => {
 export const verifyPassword = async (hashedPassword, plainPassword) => {
   return await argon2.verify(hashedPassword, plainPassword)
 }
+
+/**
+ * Checks whether a hash was made with parameters other than the current ones.
+ *
+ * @param {string} hashedPassword - The Argon2-hashed password to check.
+ * @returns {boolean} True if the password should be hashed again with hashPassword.
+ */
+export const needsRehash = (hashedPassword) => {
+  return argon2.needsRehash(hashedPassword, HASH_OPTIONS)
+}
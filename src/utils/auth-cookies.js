@@ -0,0 +1,133 @@
+import crypto from "node:crypto"
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+import { getTokenExpiry } from "./jwt.js"
+
+export const ACCESS_TOKEN_COOKIE = "access_token"
+export const REFRESH_TOKEN_COOKIE = "refresh_token"
+export const CSRF_TOKEN_COOKIE = "csrf_token"
+
+// The refresh token is only sent to the endpoints under /api/auth that need it
+const REFRESH_TOKEN_COOKIE_PATH = "/api/auth"
+
+// Methods that must not change state, so they need no CSRF token
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"])
+
+/**
+ * Whether clients may ask for cookie sessions (AUTH_COOKIES).
+ *
+ * @returns {boolean}
+ */
+export const isCookieModeEnabled = () => process.env.AUTH_COOKIES === "true"
+
+/**
+ * Refuses a request for cookie sessions while AUTH_COOKIES is off.
+ *
+ * @param {boolean} useCookies - Whether the client asked for cookies
+ * @throws {HttpError} 400 when cookie sessions are disabled
+ */
+export const assertCookieModeAllowed = (useCookies) => {
+  if (useCookies && !isCookieModeEnabled()) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Cookie sessions are not enabled")
+  }
+}
+
+/**
+ * Reads the cookie attributes from the environment at call time.
+ *
+ * @returns {{ secure: boolean, sameSite: string }}
+ */
+const getCookieOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE === "true",
+  sameSite: process.env.AUTH_COOKIE_SAMESITE,
+})
+
+/**
+ * Hands a freshly issued token pair to the client.
+ *
+ * In header mode the tokens go in the response body, as they always have. In
+ * cookie mode they are set as httpOnly cookies that scripts cannot read, along
+ * with a new CSRF token in a readable cookie (and the body) for the client to
+ * echo in the `x-csrf-token` header.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} tokens
+ * @param {string} tokens.accessToken - The access token
+ * @param {string} tokens.refreshToken - The refresh token
+ * @param {Object} options
+ * @param {boolean} options.useCookies - Whether the client asked for a cookie session
+ * @returns {Object} Fields to include in the response data
+ */
+export const deliverTokenPair = (res, { accessToken, refreshToken }, { useCookies }) => {
+  if (!useCookies) {
+    return { access_token: accessToken, refresh_token: refreshToken }
+  }
+
+  const options = getCookieOptions()
+  const refreshExpires = getTokenExpiry(refreshToken)
+  const csrfToken = crypto.randomBytes(32).toString("hex")
+
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+    ...options,
+    httpOnly: true,
+    path: "/",
+    expires: getTokenExpiry(accessToken),
+  })
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_TOKEN_COOKIE_PATH,
+    expires: refreshExpires,
+  })
+  // readable by scripts on purpose — double-submit needs the client to copy it
+  res.cookie(CSRF_TOKEN_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: "/",
+    expires: refreshExpires,
+  })
+
+  return { csrf_token: csrfToken }
+}
+
+/**
+ * Removes the session cookies, e.g. on logout.
+ *
+ * @param {Object} res - Express response object
+ */
+export const clearAuthCookies = (res) => {
+  const options = getCookieOptions()
+  res.clearCookie(ACCESS_TOKEN_COOKIE, { ...options, httpOnly: true, path: "/" })
+  res.clearCookie(REFRESH_TOKEN_COOKIE, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_TOKEN_COOKIE_PATH,
+  })
+  res.clearCookie(CSRF_TOKEN_COOKIE, { ...options, path: "/" })
+}
+
+/**
+ * Double-submit CSRF check for requests authenticated by a cookie.
+ *
+ * A cross-site form or script can make the browser send our cookies, but it
+ * can neither read the CSRF cookie nor set custom headers, so a state-changing
+ * request must repeat the CSRF cookie's value in `x-csrf-token`.
+ *
+ * @param {Object} req - Express request object
+ * @throws {HttpError} 403 when an unsafe request lacks a matching CSRF token
+ */
+export const assertCsrfToken = (req) => {
+  if (SAFE_METHODS.has(req.method)) {
+    return
+  }
+
+  const header = Buffer.from(req.get("x-csrf-token") ?? "")
+  const cookie = Buffer.from(req.cookies?.[CSRF_TOKEN_COOKIE] ?? "")
+  if (
+    cookie.length === 0 ||
+    header.length !== cookie.length ||
+    !crypto.timingSafeEqual(header, cookie)
+  ) {
+    throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, "Invalid CSRF token")
+  }
+}
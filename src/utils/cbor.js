@@ -0,0 +1,164 @@
+// Minimal CBOR (RFC 8949) decoder for WebAuthn. Covers what authenticators
+// send: integers, byte and text strings, arrays, maps, and the simple values.
+// Authenticators must use definite lengths (CTAP2 canonical CBOR), so
+// indefinite-length items and tags are rejected.
+
+/** Nesting limit — attestation objects and COSE keys are only a few levels deep */
+const MAX_DEPTH = 16
+
+/**
+ * Reads an unsigned integer argument of the given additional-info width.
+ *
+ * @param {Buffer} buffer - Input
+ * @param {number} info - Low five bits of the initial byte
+ * @param {number} offset - Position after the initial byte
+ * @returns {[number, number]} The value and the offset after it
+ */
+const readArgument = (buffer, info, offset) => {
+  if (info < 24) {
+    return [info, offset]
+  }
+  if (info === 24) {
+    return [buffer.readUInt8(offset), offset + 1]
+  }
+  if (info === 25) {
+    return [buffer.readUInt16BE(offset), offset + 2]
+  }
+  if (info === 26) {
+    return [buffer.readUInt32BE(offset), offset + 4]
+  }
+  if (info === 27) {
+    const value = buffer.readBigUInt64BE(offset)
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error("CBOR integer out of range")
+    }
+    return [Number(value), offset + 8]
+  }
+  throw new Error("Unsupported CBOR length encoding")
+}
+
+/**
+ * Slices `length` bytes, failing instead of returning a short read.
+ */
+const readBytes = (buffer, offset, length) => {
+  if (offset + length > buffer.length) {
+    throw new Error("Truncated CBOR data")
+  }
+  return [buffer.subarray(offset, offset + length), offset + length]
+}
+
+/**
+ * Converts an IEEE 754 half-precision value.
+ */
+const readHalfFloat = (half) => {
+  const exponent = (half >> 10) & 0x1f
+  const fraction = half & 0x3ff
+  const sign = half & 0x8000 ? -1 : 1
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024)
+  if (exponent === 31) return fraction ? NaN : sign * Infinity
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024)
+}
+
+/**
+ * Decodes one data item.
+ *
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Position of the item
+ * @param {number} depth - Current nesting level
+ * @returns {[*, number]} The value and the offset after it
+ */
+const decodeItem = (buffer, offset, depth) => {
+  if (depth > MAX_DEPTH) {
+    throw new Error("CBOR nesting too deep")
+  }
+  if (offset >= buffer.length) {
+    throw new Error("Truncated CBOR data")
+  }
+
+  const initial = buffer[offset]
+  const majorType = initial >> 5
+  const info = initial & 0x1f
+
+  if (majorType === 7) {
+    if (info === 20) return [false, offset + 1]
+    if (info === 21) return [true, offset + 1]
+    if (info === 22) return [null, offset + 1]
+    if (info === 23) return [undefined, offset + 1]
+    if (info === 25) return [readHalfFloat(buffer.readUInt16BE(offset + 1)), offset + 3]
+    if (info === 26) return [buffer.readFloatBE(offset + 1), offset + 5]
+    if (info === 27) return [buffer.readDoubleBE(offset + 1), offset + 9]
+    throw new Error("Unsupported CBOR simple value")
+  }
+
+  const [argument, next] = readArgument(buffer, info, offset + 1)
+
+  switch (majorType) {
+    case 0:
+      return [argument, next]
+    case 1:
+      return [-1 - argument, next]
+    case 2: {
+      const [bytes, end] = readBytes(buffer, next, argument)
+      return [Buffer.from(bytes), end]
+    }
+    case 3: {
+      const [bytes, end] = readBytes(buffer, next, argument)
+      return [bytes.toString("utf8"), end]
+    }
+    case 4: {
+      const items = []
+      let position = next
+      for (let i = 0; i < argument; i++) {
+        const [item, end] = decodeItem(buffer, position, depth + 1)
+        items.push(item)
+        position = end
+      }
+      return [items, position]
+    }
+    case 5: {
+      // Map keeps integer keys (COSE uses them) distinct from string keys
+      const map = new Map()
+      let position = next
+      for (let i = 0; i < argument; i++) {
+        const [key, keyEnd] = decodeItem(buffer, position, depth + 1)
+        const [value, valueEnd] = decodeItem(buffer, keyEnd, depth + 1)
+        if (map.has(key)) {
+          throw new Error("Duplicate CBOR map key")
+        }
+        map.set(key, value)
+        position = valueEnd
+      }
+      return [map, position]
+    }
+    default:
+      throw new Error("Unsupported CBOR tag")
+  }
+}
+
+/**
+ * Decodes the first data item in a buffer, allowing data after it. Used for
+ * the COSE key inside authenticator data, which extensions may follow.
+ *
+ * @param {Buffer} buffer - CBOR bytes
+ * @returns {{ value: *, length: number }} The item and how many bytes it took
+ * @throws {Error} On malformed or unsupported input
+ */
+export const decodeCborPrefix = (buffer) => {
+  const [value, length] = decodeItem(buffer, 0, 0)
+  return { value, length }
+}
+
+/**
+ * Decodes a buffer holding exactly one data item. Maps decode to `Map`s.
+ *
+ * @param {Buffer} buffer - CBOR bytes
+ * @returns {*} The decoded item
+ * @throws {Error} On malformed or unsupported input, or trailing bytes
+ */
+export const decodeCbor = (buffer) => {
+  const { value, length } = decodeCborPrefix(buffer)
+  if (length !== buffer.length) {
+    throw new Error("Unexpected data after CBOR item")
+  }
+  return value
+}
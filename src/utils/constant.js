@@ -9,8 +9,10 @@ export const HTTP_STATUS_CODE = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
 }
 
 /**
@@ -24,6 +26,8 @@ export const HTTP_STATUS_MESSAGE = {
   UNAUTHORIZED: "Unauthorized",
   FORBIDDEN: "Forbidden",
   NOT_FOUND: "Not Found",
+  CONFLICT: "Conflict",
   TOO_MANY_REQUESTS: "Too Many Requests",
   INTERNAL_SERVER_ERROR: "Internal Server Error",
+  BAD_GATEWAY: "Bad Gateway",
 }
@@ -0,0 +1,46 @@
+import crypto from "node:crypto"
+import * as userTokenModel from "../models/user-tokens.js"
+import { generateOneTimeToken } from "./one-time-token.js"
+import { sendMail } from "./mailer.js"
+
+/**
+ * Issues an email verification token for the user's current email address
+ * and emails the verification link.
+ *
+ * Earlier unused verification tokens are invalidated first, so a link sent
+ * for a previous address can never verify the current one.
+ *
+ * @param {Object} user - The user to verify
+ * @param {string} user.id - UUID of the user
+ * @param {string} user.username - Username, used in the email body
+ * @param {string} user.email - Address to verify
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = generateOneTimeToken()
+  const expiresInHours = Number(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS)
+  const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+
+  await userTokenModel.invalidateByUserId(user.id, "email_verification")
+  await userTokenModel.create({
+    id: crypto.randomUUID(),
+    user_id: user.id,
+    purpose: "email_verification",
+    token_hash: tokenHash,
+    expires_at: expiresAt,
+    created_at: new Date(),
+  })
+
+  const verifyUrl = new URL("/verify-email", process.env.APP_URL)
+  verifyUrl.searchParams.set("token", token)
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Please confirm that ${user.email} belongs to the account "${user.username}".\n\n` +
+      `Use this link within ${expiresInHours} hours to verify it:\n` +
+      `${verifyUrl}\n\n` +
+      "If you did not create this account, you can ignore this email.",
+  })
+}
@@ -3,7 +3,8 @@ import { HTTP_STATUS_CODE, HTTP_STATUS_MESSAGE } from "./constant.js"
 /**
  * Custom HTTP error class.
  *
- * Extends the built-in Error class to include a status code.
+ * Extends the built-in Error class to include a status code and, for errors
+ * a client can act on, details sent as the response's `data`.
  */
 class HttpError extends Error {
   /**
@@ -11,15 +12,26 @@ class HttpError extends Error {
    */
   status
 
+  /**
+   * Details for the client, sent as the response's `data` (null when there are none).
+   */
+  data
+
   /**
    * Creates a new HttpError instance.
    *
    * @param {number} status - HTTP status code
    * @param {string} message - Error message
+   * @param {Object|null} [data] - Details for the client
    */
-  constructor(status = HTTP_STATUS_CODE.BAD_REQUEST, message = HTTP_STATUS_MESSAGE.BAD_REQUEST) {
+  constructor(
+    status = HTTP_STATUS_CODE.BAD_REQUEST,
+    message = HTTP_STATUS_MESSAGE.BAD_REQUEST,
+    data = null,
+  ) {
     super(message)
     this.status = status
+    this.data = data
 
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, this.constructor)
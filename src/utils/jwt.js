@@ -1,32 +1,110 @@
 import jwt from "jsonwebtoken"
+import crypto from "node:crypto"
+import { getKeySet } from "./signing-keys.js"
+
+/**
+ * Signs a token with the access-token key.
+ *
+ * With HS256 that is ACCESS_TOKEN_SECRET. With RS256 or ES256 it is the
+ * active private key, and its ID goes in the `kid` header so verifiers can
+ * pick the matching public key from the JWKS.
+ *
+ * @param {Object} payload The token claims.
+ * @param {Object} options Options passed on to jwt.sign.
+ * @returns {string} A signed JWT string.
+ */
+const signWithAccessKey = (payload, options) => {
+  const keySet = getKeySet()
+  if (!keySet) {
+    return jwt.sign(payload, process.env.ACCESS_TOKEN_SECRET, { ...options, algorithm: "HS256" })
+  }
+
+  return jwt.sign(payload, keySet.active.privateKey, {
+    ...options,
+    algorithm: keySet.algorithm,
+    keyid: keySet.active.kid,
+  })
+}
+
+/**
+ * Audience of two-factor challenge tokens. They are signed with the access-token
+ * key, so a distinct audience keeps anything that checks JWT_AUDIENCE — this
+ * API or another service trusting our JWKS — from taking one for an access token.
+ *
+ * @returns {string}
+ */
+const getChallengeAudience = () => `${process.env.JWT_AUDIENCE}:2fa`
+
+/**
+ * Verifies a token signed by signWithAccessKey.
+ *
+ * With an asymmetric algorithm the key is looked up by the token's `kid`, so
+ * tokens signed by any configured key — not just the active one — are accepted.
+ *
+ * @param {string} token The JWT string to verify.
+ * @param {Object} [options]
+ * @param {string} [options.audience] Expected audience (JWT_AUDIENCE by default).
+ * @returns {Object} The decoded token payload.
+ * @throws {Error} If verification fails or the `kid` is unknown.
+ */
+const verifyWithAccessKey = (token, { audience = process.env.JWT_AUDIENCE } = {}) => {
+  const options = { issuer: process.env.JWT_ISSUER, audience }
+  const keySet = getKeySet()
+  if (!keySet) {
+    return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { ...options, algorithms: ["HS256"] })
+  }
+
+  const kid = jwt.decode(token, { complete: true })?.header.kid
+  const key = keySet.keys.get(kid)
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown key id")
+  }
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [keySet.algorithm] })
+}
 
 /**
  * Generates a signed JSON Web Token for a given user.
  *
+ * Each token gets a random `jti` so it can be revoked individually, the
+ * session it belongs to (`sid`) so revoking that session also rejects its
+ * access tokens, and the user's token version (`ver`) so "logout everywhere"
+ * can invalidate every outstanding token at once.
+ *
  * @param {string|number} id The unique identifier of the user.
+ * @param {Object} session The signin the token belongs to.
+ * @param {string} session.sessionId The session the token was issued for.
+ * @param {number} session.tokenVersion The user's current token version.
  * @returns {string} A signed JWT string.
  */
-export const generateAccessToken = (id) => {
+export const generateAccessToken = (id, { sessionId, tokenVersion }) => {
   const jwtPayload = {
     id,
     type: "access",
+    sid: sessionId,
+    ver: tokenVersion,
   }
 
-  return jwt.sign(jwtPayload, process.env.ACCESS_TOKEN_SECRET, {
-    algorithm: "HS256",
+  return signWithAccessKey(jwtPayload, {
     expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN,
     issuer: process.env.JWT_ISSUER,
     audience: process.env.JWT_AUDIENCE,
+    jwtid: crypto.randomUUID(),
   })
 }
 
 /**
  * Generates a refresh token for a given user.
  *
+ * The `jti` claim identifies the token's row in the `refresh_tokens` table,
+ * which is what allows the token to be rotated and revoked server-side.
+ * Refresh tokens are only ever read by this API, so they stay on HS256 with
+ * REFRESH_TOKEN_SECRET whatever JWT_ALGORITHM is set to.
+ *
  * @param {string|number} id The unique identifier of the user.
+ * @param {string} jti The unique identifier of the token record.
  * @returns {string} A signed refresh token string.
  */
-export const generateRefreshToken = (id) => {
+export const generateRefreshToken = (id, jti) => {
   const jwtPayload = {
     id,
     type: "refresh",
@@ -37,9 +115,66 @@ export const generateRefreshToken = (id) => {
     expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN,
     issuer: process.env.JWT_ISSUER,
     audience: process.env.JWT_AUDIENCE,
+    jwtid: jti,
+  })
+}
+
+/**
+ * Generates a short-lived two-factor challenge token.
+ *
+ * Issued by signin when the password is correct but the account has 2FA
+ * enabled; the client trades it, together with a second factor, for the
+ * real token pair. Its own audience and `type` keep it from being accepted as
+ * an access token.
+ *
+ * @param {string|number} id The unique identifier of the user.
+ * @param {Object} [options]
+ * @param {string} [options.deviceName] Device label to give the session once signin completes.
+ * @returns {string} A signed challenge token string.
+ */
+export const generateChallengeToken = (id, { deviceName } = {}) => {
+  const jwtPayload = {
+    id,
+    type: "2fa_challenge",
+    dev: deviceName,
+  }
+
+  return signWithAccessKey(jwtPayload, {
+    expiresIn: "5m",
+    issuer: process.env.JWT_ISSUER,
+    audience: getChallengeAudience(),
+    jwtid: crypto.randomUUID(),
   })
 }
 
+/**
+ * Verifies and decodes a two-factor challenge token.
+ *
+ * @param {string} token The challenge token string to verify.
+ * @returns {Object} The decoded token payload.
+ * @throws {Error} If verification fails or the token is not a challenge token.
+ */
+export const verifyChallengeToken = (token) => {
+  const decoded = verifyWithAccessKey(token, { audience: getChallengeAudience() })
+  if (decoded.type !== "2fa_challenge") {
+    throw new jwt.JsonWebTokenError("invalid token type")
+  }
+  return decoded
+}
+
+/**
+ * Reads the expiry of a token without verifying it.
+ *
+ * Only use this on tokens the server has just signed itself.
+ *
+ * @param {string} token The JWT string.
+ * @returns {Date} When the token expires.
+ */
+export const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token)
+  return new Date(exp * 1000)
+}
+
 /**
  * Verifies and decodes a JSON Web Token.
  *
@@ -48,11 +183,7 @@ export const generateRefreshToken = (id) => {
  * @throws {Error} If verification fails (e.g., token expired, invalid signature, missing secret).
  */
 export const verifyAccessToken = (token) => {
-  return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, {
-    algorithms: ["HS256"],
-    issuer: process.env.JWT_ISSUER,
-    audience: process.env.JWT_AUDIENCE,
-  })
+  return verifyWithAccessKey(token)
 }
 
 /**
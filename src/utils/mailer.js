@@ -0,0 +1,65 @@
+import fs from "node:fs/promises"
+import path from "node:path"
+import crypto from "node:crypto"
+import nodemailer from "nodemailer"
+import logger from "./logger.js"
+
+// SMTP connection pool, created on first use and reused while SMTP_URL is unchanged
+let smtpTransporter = null
+let smtpTransporterUrl = null
+
+/**
+ * Returns the shared SMTP transporter for the configured SMTP_URL.
+ *
+ * @returns {import("nodemailer").Transporter}
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter || smtpTransporterUrl !== process.env.SMTP_URL) {
+    smtpTransporter = nodemailer.createTransport(process.env.SMTP_URL)
+    smtpTransporterUrl = process.env.SMTP_URL
+  }
+  return smtpTransporter
+}
+
+/**
+ * Mail transports, selected by MAIL_TRANSPORT:
+ * - console: logs the message (local development)
+ * - file: writes each message as a JSON file to MAIL_FILE_DIR (local development, tests)
+ * - smtp: delivers through the server in SMTP_URL (production)
+ */
+const transports = {
+  console: async (message) => {
+    logger.info("Email (console transport)", message)
+  },
+  file: async (message) => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR)
+    await fs.mkdir(dir, { recursive: true })
+    const filename = `${Date.now()}-${crypto.randomUUID()}.json`
+    await fs.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2))
+  },
+  smtp: async (message) => {
+    await getSmtpTransporter().sendMail(message)
+  },
+}
+
+/**
+ * Sends a plain-text email through the configured transport.
+ *
+ * The transport is looked up on every call, so changing MAIL_TRANSPORT at
+ * runtime (e.g., in tests) takes effect immediately.
+ *
+ * @param {Object} mail
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain-text body
+ * @returns {Promise<void>}
+ * @throws {Error} If the transport is unknown or delivery fails
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  const transport = transports[process.env.MAIL_TRANSPORT]
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${process.env.MAIL_TRANSPORT}`)
+  }
+
+  await transport({ from: process.env.MAIL_FROM, to, subject, text })
+}
@@ -0,0 +1,231 @@
+import crypto from "node:crypto"
+import jwt from "jsonwebtoken"
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+
+const DEFAULT_SCOPES = "openid email profile"
+
+// Providers that take longer than this are treated as unavailable
+const PROVIDER_TIMEOUT_MS = 5000
+
+// Asymmetric algorithms jsonwebtoken can verify; HS256 ID tokens are not accepted
+const ID_TOKEN_ALGORITHMS = ["RS256", "PS256", "ES256"]
+
+let cachedProviders = { source: null, providers: new Map() }
+
+// Discovery document and signing keys per issuer, fetched on first use
+const issuerCache = new Map()
+
+/**
+ * Returns the configured identity providers, keyed by name.
+ *
+ * Parsed from OIDC_PROVIDERS (validated at startup) and reused until it changes.
+ *
+ * @returns {Map<string, { name: string, issuer: string, clientId: string, clientSecret: string|undefined, redirectUri: string, scopes: string, trustEmail: boolean }>}
+ */
+export const getProviders = () => {
+  const source = process.env.OIDC_PROVIDERS || ""
+  if (cachedProviders.source !== source) {
+    const config = source ? JSON.parse(source) : {}
+    const providers = new Map(
+      Object.entries(config).map(([name, provider]) => [
+        name,
+        {
+          name,
+          issuer: provider.issuer,
+          clientId: provider.client_id,
+          clientSecret: provider.client_secret,
+          redirectUri: provider.redirect_uri,
+          scopes: provider.scopes ?? DEFAULT_SCOPES,
+          trustEmail: provider.trust_email === true,
+        },
+      ]),
+    )
+    cachedProviders = { source, providers }
+  }
+  return cachedProviders.providers
+}
+
+/**
+ * Generates a random URL-safe value (state, nonce, PKCE verifier).
+ *
+ * @returns {string} 43 base64url characters (256 bits)
+ */
+const generateRandomValue = () => crypto.randomBytes(32).toString("base64url")
+
+/**
+ * Fetches JSON from a provider endpoint.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<{ ok: boolean, body: Object|null }>}
+ * @throws {HttpError} 502 when the provider cannot be reached
+ */
+const fetchJson = async (url, options = {}) => {
+  let response
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) })
+  } catch {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_GATEWAY, "Identity provider is unavailable")
+  }
+  const body = await response.json().catch(() => null)
+  return { ok: response.ok, body }
+}
+
+/**
+ * Loads (once) the provider's discovery document.
+ *
+ * @param {Object} provider - Provider from getProviders
+ * @returns {Promise<Object>} Cache entry holding `metadata` and `keys`
+ * @throws {HttpError} 502 when the document is missing or names another issuer
+ */
+const getIssuer = async (provider) => {
+  const cached = issuerCache.get(provider.issuer)
+  if (cached) {
+    return cached
+  }
+
+  const discoveryUrl = `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+  const { ok, body } = await fetchJson(discoveryUrl)
+  if (!ok || body?.issuer !== provider.issuer) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_GATEWAY, "Identity provider is unavailable")
+  }
+
+  const entry = { metadata: body, keys: new Map() }
+  issuerCache.set(provider.issuer, entry)
+  return entry
+}
+
+/**
+ * Parses a JWK into a public key.
+ *
+ * @param {Object} jwk - One entry of the provider's JWKS
+ * @returns {crypto.KeyObject|null} The key, or null when it cannot be parsed
+ */
+const parsePublicKey = (jwk) => {
+  try {
+    return crypto.createPublicKey({ key: jwk, format: "jwk" })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Finds the provider key that signed an ID token, re-fetching the provider's
+ * JWKS once when the key is not known yet (the provider may have rotated).
+ * Keys this server cannot parse (e.g., an unsupported key type) are skipped,
+ * so they do not stop the others from being used.
+ *
+ * @param {Object} issuer - Cache entry from getIssuer
+ * @param {string|undefined} kid - Key ID from the ID token header
+ * @returns {Promise<crypto.KeyObject>}
+ * @throws {HttpError} 502 when the JWKS cannot be fetched or has no usable key for `kid`
+ */
+const getIssuerKey = async (issuer, kid) => {
+  const findKey = () => (kid ? issuer.keys.get(kid) : [...issuer.keys.values()][0])
+
+  if (!findKey()) {
+    const { ok, body } = await fetchJson(issuer.metadata.jwks_uri)
+    if (!ok || !Array.isArray(body?.keys)) {
+      throw new HttpError(HTTP_STATUS_CODE.BAD_GATEWAY, "Identity provider is unavailable")
+    }
+    issuer.keys = new Map(
+      body.keys
+        .filter((jwk) => !jwk.use || jwk.use === "sig")
+        .map((jwk) => [jwk.kid, parsePublicKey(jwk)])
+        .filter(([, key]) => key),
+    )
+  }
+
+  const key = findKey()
+  if (!key) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_GATEWAY, "Identity provider is unavailable")
+  }
+  return key
+}
+
+/**
+ * Starts an authorization code flow with PKCE (RFC 7636).
+ *
+ * The returned `state`, `nonce`, and `codeVerifier` must be kept server-side
+ * until the callback; only the URL goes to the browser.
+ *
+ * @param {Object} provider - Provider from getProviders
+ * @returns {Promise<{ authorizationUrl: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+export const createAuthorizationRequest = async (provider) => {
+  const { metadata } = await getIssuer(provider)
+  const state = generateRandomValue()
+  const nonce = generateRandomValue()
+  const codeVerifier = generateRandomValue()
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+
+  const url = new URL(metadata.authorization_endpoint)
+  url.searchParams.set("response_type", "code")
+  url.searchParams.set("client_id", provider.clientId)
+  url.searchParams.set("redirect_uri", provider.redirectUri)
+  url.searchParams.set("scope", provider.scopes)
+  url.searchParams.set("state", state)
+  url.searchParams.set("nonce", nonce)
+  url.searchParams.set("code_challenge", codeChallenge)
+  url.searchParams.set("code_challenge_method", "S256")
+
+  return { authorizationUrl: url.toString(), state, nonce, codeVerifier }
+}
+
+/**
+ * Exchanges an authorization code for an ID token and verifies it.
+ *
+ * The ID token must be signed by one of the provider's published keys, be
+ * issued by the provider for our client ID, be unexpired, and carry the nonce
+ * of the login request.
+ *
+ * @param {Object} provider - Provider from getProviders
+ * @param {Object} exchange
+ * @param {string} exchange.code - Authorization code from the callback
+ * @param {string} exchange.codeVerifier - PKCE verifier of the login request
+ * @param {string} exchange.nonce - Nonce of the login request
+ * @returns {Promise<Object>} The verified ID token claims
+ * @throws {HttpError} 401 when the code or ID token is rejected, 502 when the provider or its signing key is unavailable
+ */
+export const exchangeAuthorizationCode = async (provider, { code, codeVerifier, nonce }) => {
+  const issuer = await getIssuer(provider)
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  })
+  if (provider.clientSecret) {
+    params.set("client_secret", provider.clientSecret)
+  }
+
+  const { ok, body } = await fetchJson(issuer.metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: params,
+  })
+  if (!ok || typeof body?.id_token !== "string") {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Identity provider rejected the login")
+  }
+
+  const kid = jwt.decode(body.id_token, { complete: true })?.header.kid
+  const key = await getIssuerKey(issuer, kid)
+  let claims
+  try {
+    claims = jwt.verify(body.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId,
+    })
+  } catch {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid ID token")
+  }
+  if (!claims.sub || claims.nonce !== nonce) {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid ID token")
+  }
+
+  return claims
+}
@@ -0,0 +1,26 @@
+import crypto from "node:crypto"
+
+/**
+ * Hashes a single-use token for storage and lookup.
+ *
+ * Tokens are high-entropy random values, so a fast unsalted SHA-256 is
+ * sufficient — unlike passwords, they cannot be brute-forced from the hash.
+ *
+ * @param {string} token - The raw token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+/**
+ * Generates a random single-use token and its storage hash.
+ *
+ * The raw token is sent to the user; only the hash is stored.
+ *
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString("hex")
+  return { token, tokenHash: hashToken(token) }
+}
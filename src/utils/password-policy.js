@@ -0,0 +1,89 @@
+import fs from "node:fs"
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+
+// Argon2 itself has no limit; this caps the work an oversized password costs
+const MAX_LENGTH = 72
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: "a lowercase letter" },
+  uppercase: { pattern: /[A-Z]/, label: "an uppercase letter" },
+  digit: { pattern: /[0-9]/, label: "a digit" },
+  symbol: { pattern: /[^a-zA-Z0-9]/, label: "a symbol" },
+}
+
+// Loaded once at startup; lowercase, one per line, "#" comments
+const commonPasswords = new Set(
+  fs
+    .readFileSync(new URL("./common-passwords.txt", import.meta.url), "utf8")
+    .split("\n")
+    .filter((line) => line && !line.startsWith("#")),
+)
+
+/**
+ * Reads the password policy from the environment at call time.
+ *
+ * @returns {{ minLength: number, requiredClasses: string[], denylist: boolean }}
+ */
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH),
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
+  denylist: process.env.PASSWORD_DENYLIST === "true",
+})
+
+/**
+ * Checks a new password against the password policy.
+ *
+ * Rules, in order: length, required character classes, not containing the
+ * username (case-insensitive), and not being a common password.
+ *
+ * @param {string} password - The proposed password
+ * @param {Object} [context]
+ * @param {string} [context.username] - The account's username
+ * @returns {string|null} Why the password is rejected, or null if it is allowed
+ */
+export const checkPassword = (password, { username } = {}) => {
+  const { minLength, requiredClasses, denylist } = getPolicy()
+
+  if (password.length < minLength || password.length > MAX_LENGTH) {
+    return `password must be between ${minLength} and ${MAX_LENGTH} characters`
+  }
+
+  const missing = requiredClasses.filter((name) => !CHARACTER_CLASSES[name].pattern.test(password))
+  if (missing.length > 0) {
+    const labels = missing.map((name) => CHARACTER_CLASSES[name].label)
+    return `password must contain ${labels.join(", ")}`
+  }
+
+  const lowered = password.toLowerCase()
+  if (username && lowered.includes(username.toLowerCase())) {
+    return "password must not contain the username"
+  }
+
+  if (denylist && commonPasswords.has(lowered)) {
+    return "password is too common"
+  }
+
+  return null
+}
+
+/**
+ * Refuses a new password that does not satisfy the password policy.
+ *
+ * Shared by signup, password change, and password reset so the rules stay
+ * the same everywhere a password is set.
+ *
+ * @param {string} password - The proposed password
+ * @param {Object} [context]
+ * @param {string} [context.username] - The account's username
+ * @throws {HttpError} 400 with the first rule the password breaks
+ */
+export const assertPasswordAllowed = (password, context) => {
+  const reason = checkPassword(password, context)
+  if (reason) {
+    throw new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, reason)
+  }
+}
@@ -0,0 +1,27 @@
+import crypto from "node:crypto"
+import { hashToken } from "./one-time-token.js"
+
+/** Prefix that marks a personal access token, so it can be told apart from a JWT */
+const TOKEN_PREFIX = "pat_"
+
+/**
+ * Generates a new personal access token and its storage hash.
+ *
+ * The raw token is returned to the user once; only the hash is stored.
+ *
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export const generatePersonalAccessToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`
+  return { token, tokenHash: hashToken(token) }
+}
+
+/**
+ * Checks whether a presented credential is a personal access token (rather than a JWT).
+ *
+ * @param {string} token - The raw credential from the request
+ * @returns {boolean}
+ */
+export const isPersonalAccessToken = (token) => {
+  return token.startsWith(TOKEN_PREFIX)
+}
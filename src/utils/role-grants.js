@@ -0,0 +1,45 @@
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+import * as roleModel from "../models/roles.js"
+
+/** Error message for every refused attempt to grant more than the caller holds */
+export const PERMISSION_ESCALATION_MESSAGE = "You cannot grant permissions you do not have"
+
+/**
+ * Refuses to grant permissions the caller does not hold themselves, so that
+ * managing members or roles can never raise anyone — the caller included —
+ * above the caller's own permissions.
+ *
+ * Compares against `req.permissions`, so a personal access token can only
+ * grant what is within its scopes and, inside a project, project roles count.
+ *
+ * @param {Object} req - Express request object (req.permissions set by resolveOrg/resolveProject)
+ * @param {string[]} permissionNames - Permission names that would be granted
+ * @returns {void}
+ * @throws {HttpError} 403 listing the permissions the caller lacks in `data.permissions`
+ */
+export const assertCanGrantPermissions = (req, permissionNames) => {
+  const missing = permissionNames.filter((name) => !req.permissions.includes(name)).toSorted()
+  if (missing.length > 0) {
+    throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, PERMISSION_ESCALATION_MESSAGE, {
+      permissions: missing,
+    })
+  }
+}
+
+/**
+ * Refuses to assign or invite someone into a role that grants permissions the
+ * caller does not hold.
+ *
+ * @param {Object} req - Express request object (req.permissions set by resolveOrg/resolveProject)
+ * @param {string} roleId - UUID of the role being handed out
+ * @returns {Promise<void>}
+ * @throws {HttpError} 403 listing the permissions the caller lacks in `data.permissions`
+ */
+export const assertCanGrantRole = async (req, roleId) => {
+  const permissions = await roleModel.findPermissionsByRoleId(roleId)
+  assertCanGrantPermissions(
+    req,
+    permissions.map((permission) => permission.name),
+  )
+}
@@ -0,0 +1,38 @@
+import crypto from "node:crypto"
+import * as securityEventModel from "../models/security-events.js"
+
+/** Longest User-Agent stored on an event (matches the column size) */
+const MAX_USER_AGENT_LENGTH = 512
+
+/**
+ * Records a security event for a user, taking the IP address, User-Agent, and
+ * request ID from the request so every entry can be traced back to the logs.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} event
+ * @param {string} event.userId - UUID of the user the event happened to
+ * @param {string} event.event - "signin", "refresh", "logout", or "logout_all"
+ * @param {string} event.outcome - "success", "failure", or "challenge" (second factor required)
+ * @param {string} [event.method] - Signin method: "password", "two_factor", "oidc", "magic_link", "webauthn", or "device_code"
+ * @param {string} [event.reason] - Why the attempt failed (e.g., "invalid_credentials")
+ * @param {string} [event.sessionId] - Session the event belongs to
+ * @returns {Promise<void>}
+ */
+export const recordSecurityEvent = async (
+  req,
+  { userId, event, outcome, method, reason, sessionId },
+) => {
+  await securityEventModel.create({
+    id: crypto.randomUUID(),
+    user_id: userId,
+    event,
+    outcome,
+    method: method ?? null,
+    reason: reason ?? null,
+    session_id: sessionId ?? null,
+    ip_address: req.ip ?? null,
+    user_agent: req.get("user-agent")?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+    request_id: req.id ?? null,
+    created_at: new Date(),
+  })
+}
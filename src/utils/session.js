@@ -0,0 +1,54 @@
+import crypto from "node:crypto"
+import * as sessionModel from "../models/sessions.js"
+import * as refreshTokenModel from "../models/refresh-tokens.js"
+import { generateAccessToken, generateRefreshToken, getTokenExpiry } from "./jwt.js"
+
+/** Longest User-Agent stored on a session (matches the column size) */
+const MAX_USER_AGENT_LENGTH = 512
+
+/**
+ * Starts a new session for a user and issues its first token pair.
+ *
+ * Every way of signing in goes through here, so each signin shows up as one
+ * entry in the user's session list and can be revoked on its own.
+ *
+ * @param {Object} req - Express request object (IP and User-Agent are recorded)
+ * @param {Object} user - The user signing in
+ * @param {string} user.id - UUID of the user
+ * @param {number} user.token_version - The user's current token version
+ * @param {Object} [options]
+ * @param {string} [options.deviceName] - Client-supplied label for the device
+ * @returns {Promise<{ sessionId: string, accessToken: string, refreshToken: string }>}
+ */
+export const startSession = async (req, user, { deviceName } = {}) => {
+  const sessionId = crypto.randomUUID()
+  const refreshTokenId = crypto.randomUUID()
+  const refreshToken = generateRefreshToken(user.id, refreshTokenId)
+  const expiresAt = getTokenExpiry(refreshToken)
+  const now = new Date()
+
+  await sessionModel.create({
+    id: sessionId,
+    user_id: user.id,
+    device_name: deviceName ?? null,
+    ip_address: req.ip ?? null,
+    user_agent: req.get("user-agent")?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+    created_at: now,
+    last_used_at: now,
+    expires_at: expiresAt,
+  })
+  await refreshTokenModel.create({
+    id: refreshTokenId,
+    user_id: user.id,
+    session_id: sessionId,
+    expires_at: expiresAt,
+    created_at: now,
+  })
+
+  const accessToken = generateAccessToken(user.id, {
+    sessionId,
+    tokenVersion: user.token_version,
+  })
+
+  return { sessionId, accessToken, refreshToken }
+}
@@ -0,0 +1,186 @@
+import * as userModel from "../models/users.js"
+import * as signinFailureModel from "../models/signin-failures.js"
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+import logger from "./logger.js"
+import { recordSecurityEvent } from "./security-events.js"
+import { hashToken } from "./one-time-token.js"
+
+/**
+ * Reads the lockout policy from the environment at call time.
+ *
+ * @returns {{ threshold: number, lockoutSeconds: number, backoffBaseSeconds: number }}
+ */
+const getPolicy = () => ({
+  threshold: parseInt(process.env.SIGNIN_LOCKOUT_THRESHOLD),
+  lockoutSeconds: parseInt(process.env.SIGNIN_LOCKOUT_MINUTES) * 60,
+  backoffBaseSeconds: parseInt(process.env.SIGNIN_BACKOFF_BASE_SECONDS),
+})
+
+/**
+ * Answers a signin attempt that came too early with 429 and Retry-After.
+ *
+ * @param {Object} res - Express response object
+ * @param {number} retryAfter - Seconds until the next attempt is allowed
+ * @throws {HttpError} 429 always
+ */
+const refuseSignin = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter))
+  throw new HttpError(
+    HTTP_STATUS_CODE.TOO_MANY_REQUESTS,
+    "Too many failed signin attempts, please try again later",
+  )
+}
+
+/**
+ * Returns how many seconds a user must wait before the next signin attempt.
+ *
+ * While locked, that is the rest of the lockout. Below the threshold, each
+ * failure doubles the delay (base, 2×base, 4×base, …) counted from the last
+ * failed attempt.
+ *
+ * @param {Object} user - User record (or identifier counters) with the failed-signin columns
+ * @param {Date} [now] - Current time
+ * @returns {number} Seconds to wait, or 0 if an attempt is allowed now
+ */
+export const getSigninRetryAfter = (user, now = new Date()) => {
+  const { threshold, backoffBaseSeconds } = getPolicy()
+
+  if (user.locked_until && user.locked_until > now) {
+    return Math.ceil((user.locked_until - now) / 1000)
+  }
+
+  const failures = user.failed_signin_count
+  if (failures > 0 && failures < threshold && backoffBaseSeconds > 0) {
+    const delayMs = backoffBaseSeconds * 2 ** (failures - 1) * 1000
+    const waitMs = user.last_failed_signin_at.getTime() + delayMs - now.getTime()
+    if (waitMs > 0) {
+      return Math.ceil(waitMs / 1000)
+    }
+  }
+
+  return 0
+}
+
+/**
+ * Refuses a signin attempt for an account that is locked or still in its
+ * backoff delay, setting Retry-After on the response. An expired lockout is
+ * cleared (and logged) so the attempt starts from a clean count.
+ *
+ * @param {Object} req - Express request object (for log correlation)
+ * @param {Object} res - Express response object
+ * @param {Object} user - User record including the failed-signin columns
+ * @returns {Promise<void>}
+ * @throws {HttpError} 429 when the user has to wait
+ */
+export const assertSigninAllowed = async (req, res, user) => {
+  if (user.locked_until && user.locked_until <= new Date()) {
+    await unlockAccount(req, user, "lockout expired")
+    return
+  }
+
+  const retryAfter = getSigninRetryAfter(user)
+  if (retryAfter > 0) {
+    await recordSecurityEvent(req, {
+      userId: user.id,
+      event: "signin",
+      outcome: "failure",
+      reason: "locked",
+    })
+    refuseSignin(res, retryAfter)
+  }
+}
+
+/**
+ * Like `assertSigninAllowed`, for a signin identifier that matches no account.
+ * Unknown identifiers back off and lock exactly like real accounts, so the
+ * responses do not reveal which accounts exist.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} identifier - Username or email as entered
+ * @returns {Promise<void>}
+ * @throws {HttpError} 429 when the identifier has to wait
+ */
+export const assertIdentifierSigninAllowed = async (res, identifier) => {
+  const identifierHash = hashToken(identifier)
+  const failures = await signinFailureModel.findByIdentifierHash(identifierHash)
+  if (!failures) {
+    return
+  }
+
+  if (failures.locked_until && failures.locked_until <= new Date()) {
+    await signinFailureModel.remove(identifierHash)
+    return
+  }
+
+  const retryAfter = getSigninRetryAfter(failures)
+  if (retryAfter > 0) {
+    refuseSignin(res, retryAfter)
+  }
+}
+
+/**
+ * Counts a failed signin attempt for an identifier that matches no account.
+ * Counters of identifiers that stopped failing are cleaned up as new ones are
+ * recorded, so spraying made-up identifiers cannot grow the table for good.
+ *
+ * @param {string} identifier - Username or email as entered
+ * @returns {Promise<void>}
+ */
+export const recordFailedIdentifierSignin = async (identifier) => {
+  const policy = getPolicy()
+  await signinFailureModel.removeExpired(policy.lockoutSeconds)
+  await signinFailureModel.recordFailedSignin(hashToken(identifier), policy)
+}
+
+/**
+ * Counts a failed signin attempt, locking the account (and logging it) once
+ * the threshold is reached.
+ *
+ * @param {Object} req - Express request object (for log correlation)
+ * @param {Object} user - The user whose attempt failed
+ * @returns {Promise<void>}
+ */
+export const recordFailedSignin = async (req, user) => {
+  const { threshold, lockoutSeconds } = getPolicy()
+  const [updated] = await userModel.recordFailedSignin(user.id, { threshold, lockoutSeconds })
+
+  if (updated?.locked_until) {
+    logger.warn("Account locked after repeated failed signins", {
+      requestId: req.id,
+      userId: user.id,
+      ip: req.ip,
+      failedAttempts: updated.failed_signin_count,
+      lockedUntil: updated.locked_until,
+    })
+  }
+}
+
+/**
+ * Clears the failed-signin count after a successful signin.
+ *
+ * @param {Object} user - User record including the failed-signin columns
+ * @returns {Promise<void>}
+ */
+export const clearFailedSignins = async (user) => {
+  if (user.failed_signin_count > 0) {
+    await userModel.resetFailedSignins(user.id)
+  }
+}
+
+/**
+ * Lifts a lockout and clears the failed-signin count, logging the unlock.
+ *
+ * @param {Object} req - Express request object (for log correlation)
+ * @param {Object} user - User record including the failed-signin columns
+ * @param {string} reason - Why the account was unlocked (logged)
+ * @returns {Promise<void>}
+ */
+export const unlockAccount = async (req, user, reason) => {
+  await userModel.resetFailedSignins(user.id)
+  user.failed_signin_count = 0
+  user.last_failed_signin_at = null
+  user.locked_until = null
+
+  logger.info("Account unlocked", { requestId: req.id, userId: user.id, reason })
+}
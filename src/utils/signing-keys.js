@@ -0,0 +1,170 @@
+import crypto from "node:crypto"
+import fs from "node:fs"
+import path from "node:path"
+
+// Key type each asymmetric algorithm needs (ES256 is further limited to P-256)
+const KEY_TYPES = {
+  RS256: "rsa",
+  ES256: "ec",
+}
+
+let cached = { source: null, keySet: null }
+
+/**
+ * Collects the configured PEM keys, tagged with their key ID.
+ *
+ * Keys come from `JWT_KEYS_DIR` (one `<kid>.pem` file per key) and from
+ * `JWT_SIGNING_KEYS` (a JSON object mapping each kid to a PEM string).
+ *
+ * @returns {{ kid: string, pem: string }[]}
+ */
+const readKeySources = () => {
+  const sources = []
+
+  const dir = process.env.JWT_KEYS_DIR
+  if (dir) {
+    const files = fs.readdirSync(dir).filter((file) => path.extname(file) === ".pem")
+    for (const file of files.toSorted()) {
+      sources.push({
+        kid: path.basename(file, ".pem"),
+        pem: fs.readFileSync(path.join(dir, file), "utf8"),
+      })
+    }
+  }
+
+  if (process.env.JWT_SIGNING_KEYS) {
+    let keys
+    try {
+      keys = JSON.parse(process.env.JWT_SIGNING_KEYS)
+    } catch {
+      throw new Error("JWT_SIGNING_KEYS must be a JSON object mapping key IDs to PEM keys")
+    }
+    for (const [kid, pem] of Object.entries(keys)) {
+      sources.push({ kid, pem })
+    }
+  }
+
+  return sources
+}
+
+/**
+ * Parses one PEM key and checks it suits the algorithm.
+ *
+ * A private key can sign and verify. A public key only verifies — that is how
+ * a retired key stays trusted until the tokens it signed have expired.
+ *
+ * @param {string} algorithm - RS256 or ES256
+ * @param {{ kid: string, pem: string }} source
+ * @returns {{ kid: string, privateKey: crypto.KeyObject|null, publicKey: crypto.KeyObject }}
+ * @throws {Error} If the key cannot be parsed or has the wrong type
+ */
+const parseKey = (algorithm, { kid, pem }) => {
+  let privateKey = null
+  let publicKey
+  try {
+    privateKey = crypto.createPrivateKey(pem)
+    publicKey = crypto.createPublicKey(privateKey)
+  } catch {
+    try {
+      publicKey = crypto.createPublicKey(pem)
+    } catch {
+      throw new Error(`JWT key "${kid}" is not a valid PEM key`)
+    }
+  }
+
+  const expectedType = KEY_TYPES[algorithm]
+  const wrongCurve =
+    algorithm === "ES256" && publicKey.asymmetricKeyDetails?.namedCurve !== "prime256v1"
+  if (publicKey.asymmetricKeyType !== expectedType || wrongCurve) {
+    throw new Error(`JWT key "${kid}" cannot be used with ${algorithm}`)
+  }
+
+  return { kid, privateKey, publicKey }
+}
+
+/**
+ * Loads the key set for the configured asymmetric algorithm.
+ *
+ * Every key verifies tokens and is published in the JWKS; only the active key
+ * signs. `JWT_ACTIVE_KID` picks it, and may be omitted when exactly one
+ * private key is configured.
+ *
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {{ algorithm: string, keys: Map<string, Object>, active: Object }}
+ * @throws {Error} If the keys are missing, duplicated, invalid, or no active key can be chosen
+ */
+const loadKeySet = (algorithm) => {
+  const keys = new Map()
+  for (const source of readKeySources()) {
+    if (keys.has(source.kid)) {
+      throw new Error(`JWT key "${source.kid}" is configured more than once`)
+    }
+    keys.set(source.kid, parseKey(algorithm, source))
+  }
+
+  const signers = [...keys.values()].filter((key) => key.privateKey)
+  if (signers.length === 0) {
+    throw new Error(`JWT_ALGORITHM=${algorithm} requires at least one private key`)
+  }
+
+  const activeKid = process.env.JWT_ACTIVE_KID
+  if (!activeKid && signers.length > 1) {
+    throw new Error("JWT_ACTIVE_KID must be set when more than one private key is configured")
+  }
+
+  const active = activeKid ? keys.get(activeKid) : signers[0]
+  if (!active?.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" does not match a configured private key`)
+  }
+
+  return { algorithm, keys, active }
+}
+
+/**
+ * Returns the asymmetric key set, or null when tokens are signed with HS256.
+ *
+ * Keys are parsed once and reused until the key configuration changes.
+ *
+ * @returns {{ algorithm: string, keys: Map<string, Object>, active: Object }|null}
+ * @throws {Error} If the key configuration is invalid
+ */
+export const getKeySet = () => {
+  const algorithm = process.env.JWT_ALGORITHM || "HS256"
+  if (algorithm === "HS256") {
+    return null
+  }
+
+  const source = [
+    algorithm,
+    process.env.JWT_KEYS_DIR,
+    process.env.JWT_SIGNING_KEYS,
+    process.env.JWT_ACTIVE_KID,
+  ].join("\n")
+  if (cached.source !== source) {
+    cached = { source, keySet: loadKeySet(algorithm) }
+  }
+  return cached.keySet
+}
+
+/**
+ * Returns the JSON Web Key Set of every configured public key.
+ *
+ * Empty when tokens are signed with HS256, since a shared secret is never published.
+ *
+ * @returns {{ keys: Object[] }} JWKS document as defined by RFC 7517
+ */
+export const getJwks = () => {
+  const keySet = getKeySet()
+  if (!keySet) {
+    return { keys: [] }
+  }
+
+  return {
+    keys: [...keySet.keys.values()].map(({ kid, publicKey }) => ({
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg: keySet.algorithm,
+      use: "sig",
+    })),
+  }
+}
@@ -0,0 +1,36 @@
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+import { recordSecurityEvent } from "./security-events.js"
+
+/** Error message for every request refused because the account is suspended */
+export const ACCOUNT_SUSPENDED_MESSAGE = "Account suspended"
+
+/**
+ * Refuses a signin or token refresh by a suspended user, recording the
+ * refusal as a failed security event.
+ *
+ * Signin calls this only after the credentials have been checked, so the
+ * error never reveals to a guesser that an account is suspended.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} user - User record including `suspended_at`
+ * @param {Object} [context]
+ * @param {string} [context.event="signin"] - Security event name ("signin" or "refresh")
+ * @param {string} [context.method] - Signin method, for signin events
+ * @returns {Promise<void>}
+ * @throws {HttpError} 403 when the user is suspended
+ */
+export const assertNotSuspended = async (req, user, { event = "signin", method } = {}) => {
+  if (!user.suspended_at) {
+    return
+  }
+
+  await recordSecurityEvent(req, {
+    userId: user.id,
+    event,
+    outcome: "failure",
+    method,
+    reason: "suspended",
+  })
+  throw new HttpError(HTTP_STATUS_CODE.FORBIDDEN, ACCOUNT_SUSPENDED_MESSAGE)
+}
@@ -0,0 +1,132 @@
+import crypto from "node:crypto"
+
+/** RFC 4648 base32 alphabet used by authenticator apps */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+/** TOTP parameters (RFC 6238 defaults understood by every authenticator app) */
+const PERIOD_SECONDS = 30
+const DIGITS = 6
+
+/**
+ * Encodes bytes as unpadded base32.
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Decodes a base32 string (case-insensitive, padding and spaces ignored).
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 character")
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generates a new random TOTP secret (160 bits, base32-encoded).
+ *
+ * @returns {string} Base32 secret to store and show to the user
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps import (usually via QR code).
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Label for the account (e.g., username)
+ * @param {string} options.issuer - Name of the service shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+/**
+ * Computes the TOTP code for a given time step (RFC 4226 HOTP over the step counter).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix time / 30s)
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / PERIOD_SECONDS)) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+/**
+ * Checks a TOTP code against the current time step and one step either side
+ * (to tolerate clock drift).
+ *
+ * Returns the matching time step so callers can reject a code that was already
+ * used — each step may only be accepted once.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / PERIOD_SECONDS)
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    const expected = Buffer.from(generateTotp(secret, step))
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step
+    }
+  }
+  return null
+}
@@ -0,0 +1,105 @@
+import crypto from "node:crypto"
+import * as userModel from "../models/users.js"
+import * as recoveryCodeModel from "../models/recovery-codes.js"
+import * as revokedAccessTokenModel from "../models/revoked-access-tokens.js"
+import * as webauthnCredentialModel from "../models/webauthn-credentials.js"
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+import { hashToken } from "./one-time-token.js"
+import { verifyTotp } from "./totp.js"
+
+/** Number of recovery codes issued when 2FA is enabled */
+const RECOVERY_CODE_COUNT = 10
+
+/**
+ * Normalizes a recovery code before hashing, so users may type it with or
+ * without the dash and in any letter case.
+ *
+ * @param {string} code - Recovery code as entered
+ * @returns {string} Normalized code
+ */
+export const normalizeRecoveryCode = (code) => {
+  return code.toLowerCase().replace(/[\s-]/g, "")
+}
+
+/**
+ * Generates a fresh set of recovery codes ("xxxxx-xxxxx", hex).
+ *
+ * @returns {string[]} Raw recovery codes, to be shown to the user once
+ */
+export const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex")
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+}
+
+/**
+ * Lists the second factors a user can answer a signin challenge with: "totp"
+ * once TOTP is enabled, and "passkey" while a passkey is registered. Signin
+ * asks for one whenever the list is not empty.
+ *
+ * @param {Object} user - User record including totp_enabled_at
+ * @returns {Promise<string[]>} The user's second factors, empty without 2FA
+ */
+export const getSecondFactors = async (user) => {
+  const factors = []
+  if (user.totp_enabled_at) {
+    factors.push("totp")
+  }
+  const credentialIds = await webauthnCredentialModel.findCredentialIdsByUserId(user.id)
+  if (credentialIds.length > 0) {
+    factors.push("passkey")
+  }
+  return factors
+}
+
+/**
+ * Checks a second factor — either a TOTP code or a recovery code — for a user
+ * with 2FA enabled. TOTP codes are accepted once per time step; recovery codes
+ * are consumed.
+ *
+ * @param {Object} user - User record including totp_secret
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - One of the user's recovery codes
+ * @returns {Promise<boolean>} Whether the factor was accepted
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.totp_secret, code)
+    if (step === null) {
+      return false
+    }
+    const claimed = await userModel.claimTotpStep(user.id, step)
+    return claimed > 0
+  }
+
+  const consumed = await recoveryCodeModel.consume(
+    user.id,
+    hashToken(normalizeRecoveryCode(recoveryCode)),
+  )
+  return Boolean(consumed)
+}
+
+/**
+ * Spends a two-factor challenge token once its second factor was accepted, so
+ * each challenge completes exactly one signin. The token's `jti` goes on the
+ * same denylist as logged-out access tokens; the insert is atomic, so of two
+ * concurrent uses only one gets through.
+ *
+ * @param {Object} challenge - Decoded challenge token (id, jti, exp)
+ * @returns {Promise<void>}
+ * @throws {HttpError} 401 when the challenge token was already used
+ */
+export const consumeChallengeToken = async (challenge) => {
+  const [revocation] = await revokedAccessTokenModel.create({
+    id: challenge.jti,
+    user_id: challenge.id,
+    expires_at: new Date(challenge.exp * 1000),
+    revoked_at: new Date(),
+  })
+  if (!revocation) {
+    throw new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid or expired challenge token")
+  }
+}
@@ -1,12 +1,38 @@
 import joi from "joi"
 
+// One entry of OIDC_PROVIDERS, keyed by the provider name used in URLs
+const oidcProviderSchema = joi.object({
+  issuer: joi
+    .string()
+    .uri({ scheme: ["https", "http"] })
+    .required(),
+  client_id: joi.string().required(),
+  // omitted for public clients, which rely on PKCE alone
+  client_secret: joi.string(),
+  redirect_uri: joi.string().uri().required(),
+  scopes: joi
+    .string()
+    .pattern(/\bopenid\b/)
+    .default("openid email profile"),
+  // link first logins to the local user with the same verified email — only
+  // for providers whose email verification you trust
+  trust_email: joi.boolean().default(false),
+})
+
+const oidcProvidersSchema = joi.object().pattern(/^[a-z0-9-]{1,50}$/, oidcProviderSchema)
+
 // Joi schema for validating application environment variables.
 const envSchema = joi.object({
   DATABASE_URL: joi
     .string()
     .uri({ scheme: ["postgresql", "postgres"] })
     .required(),
-  ACCESS_TOKEN_SECRET: joi.string().min(32).required(),
+  // only used to sign access tokens when JWT_ALGORITHM=HS256
+  ACCESS_TOKEN_SECRET: joi
+    .string()
+    .min(32)
+    .required()
+    .when("JWT_ALGORITHM", { is: "HS256", otherwise: joi.optional() }),
   REFRESH_TOKEN_SECRET: joi.string().min(32).required(),
   NODE_ENV: joi.string().valid("development", "production", "test").default("development"),
   PORT: joi.number().integer().min(1).max(65535).default(3000),
@@ -15,10 +41,71 @@ const envSchema = joi.object({
   LOG_LEVEL: joi.string().valid("error", "warn", "info", "debug").default("info"),
   LOG_TO_FILE: joi.string().valid("true", "false").default("true"),
   CORS_ALLOWED_ORIGINS: joi.string().default("http://localhost:8080"),
+  // lets signin ask for httpOnly session cookies (with CSRF checks) instead of body tokens
+  AUTH_COOKIES: joi.string().valid("true", "false").default("false"),
+  AUTH_COOKIE_SECURE: joi.string().valid("true", "false").default("true"),
+  // browsers drop SameSite=None cookies that are not Secure
+  AUTH_COOKIE_SAMESITE: joi
+    .string()
+    .valid("strict", "lax", "none")
+    .default("strict")
+    .when("AUTH_COOKIE_SECURE", { is: "true", otherwise: joi.invalid("none") }),
   RATE_LIMIT_AUTH_MAX: joi.number().integer().min(1).default(10),
   RATE_LIMIT_GENERAL_MAX: joi.number().integer().min(1).default(100),
   JWT_ISSUER: joi.string().required(),
   JWT_AUDIENCE: joi.string().required(),
+  JWT_ALGORITHM: joi.string().valid("HS256", "RS256", "ES256").default("HS256"),
+  // RS256/ES256 keys: <kid>.pem files in JWT_KEYS_DIR and/or a JSON object of kid → PEM
+  JWT_KEYS_DIR: joi.string(),
+  JWT_SIGNING_KEYS: joi.string(),
+  // which private key signs new tokens; optional when only one is configured
+  JWT_ACTIVE_KID: joi.string(),
+  APP_URL: joi.string().uri().default("http://localhost:8080"),
+  MAIL_TRANSPORT: joi.string().valid("console", "file", "smtp").default("console"),
+  MAIL_FROM: joi.string().default("no-reply@example.com"),
+  MAIL_FILE_DIR: joi.string().default("mail"),
+  // required only when MAIL_TRANSPORT=smtp
+  SMTP_URL: joi
+    .string()
+    .uri({ scheme: ["smtp", "smtps"] })
+    .required()
+    .when("MAIL_TRANSPORT", { is: "smtp", otherwise: joi.optional() }),
+  PASSWORD_RESET_EXPIRES_MINUTES: joi.number().integer().min(1).default(30),
+  MAGIC_LINK_EXPIRES_MINUTES: joi.number().integer().min(1).default(15),
+  DEVICE_CODE_EXPIRES_MINUTES: joi.number().integer().min(1).default(10),
+  EMAIL_VERIFICATION_EXPIRES_HOURS: joi.number().integer().min(1).default(24),
+  TOTP_ISSUER: joi.string().max(64).default("Express Template"),
+  SIGNIN_LOCKOUT_THRESHOLD: joi.number().integer().min(1).default(5),
+  SIGNIN_LOCKOUT_MINUTES: joi.number().integer().min(1).default(15),
+  // 0 disables the progressive delay between failed attempts
+  SIGNIN_BACKOFF_BASE_SECONDS: joi.number().integer().min(0).default(1),
+  PASSWORD_MIN_LENGTH: joi.number().integer().min(8).max(72).default(8),
+  // comma-separated subset of lowercase,uppercase,digit,symbol; empty requires none
+  PASSWORD_REQUIRED_CLASSES: joi
+    .string()
+    .pattern(/^((lowercase|uppercase|digit|symbol)(,(lowercase|uppercase|digit|symbol))*)?$/)
+    .allow("")
+    .default(""),
+  PASSWORD_DENYLIST: joi.string().valid("true", "false").default("true"),
+  // passkey relying party; the ID defaults to the APP_URL host, the origins to APP_URL's origin
+  WEBAUTHN_RP_ID: joi.string().hostname(),
+  WEBAUTHN_RP_NAME: joi.string().max(64).default("Express Template"),
+  // comma-separated origins passkey ceremonies may run on
+  WEBAUTHN_ORIGINS: joi.string(),
+  // JSON object of provider name → { issuer, client_id, client_secret?, redirect_uri, scopes? }
+  OIDC_PROVIDERS: joi.string().custom((value) => {
+    let providers
+    try {
+      providers = JSON.parse(value)
+    } catch {
+      throw new Error("must be a JSON object")
+    }
+    const { error } = oidcProvidersSchema.validate(providers)
+    if (error) {
+      throw new Error(error.details[0].message)
+    }
+    return value
+  }),
 })
 
 // Only extract app-specific keys from process.env before validating.
@@ -34,10 +121,37 @@ const appEnvKeys = [
   "LOG_LEVEL",
   "LOG_TO_FILE",
   "CORS_ALLOWED_ORIGINS",
+  "AUTH_COOKIES",
+  "AUTH_COOKIE_SECURE",
+  "AUTH_COOKIE_SAMESITE",
   "RATE_LIMIT_AUTH_MAX",
   "RATE_LIMIT_GENERAL_MAX",
   "JWT_ISSUER",
   "JWT_AUDIENCE",
+  "JWT_ALGORITHM",
+  "JWT_KEYS_DIR",
+  "JWT_SIGNING_KEYS",
+  "JWT_ACTIVE_KID",
+  "APP_URL",
+  "MAIL_TRANSPORT",
+  "MAIL_FROM",
+  "MAIL_FILE_DIR",
+  "SMTP_URL",
+  "PASSWORD_RESET_EXPIRES_MINUTES",
+  "MAGIC_LINK_EXPIRES_MINUTES",
+  "DEVICE_CODE_EXPIRES_MINUTES",
+  "EMAIL_VERIFICATION_EXPIRES_HOURS",
+  "TOTP_ISSUER",
+  "SIGNIN_LOCKOUT_THRESHOLD",
+  "SIGNIN_LOCKOUT_MINUTES",
+  "SIGNIN_BACKOFF_BASE_SECONDS",
+  "PASSWORD_MIN_LENGTH",
+  "PASSWORD_REQUIRED_CLASSES",
+  "PASSWORD_DENYLIST",
+  "OIDC_PROVIDERS",
+  "WEBAUTHN_RP_ID",
+  "WEBAUTHN_RP_NAME",
+  "WEBAUTHN_ORIGINS",
 ]
 
 /**
@@ -0,0 +1,271 @@
+import crypto from "node:crypto"
+import HttpError from "./http-error.js"
+import { HTTP_STATUS_CODE } from "./constant.js"
+import { decodeCbor, decodeCborPrefix } from "./cbor.js"
+
+/**
+ * COSE algorithms accepted for passkeys, in order of preference:
+ * ES256 (-7), EdDSA (-8), RS256 (-257).
+ */
+export const SUPPORTED_ALGORITHMS = [-7, -8, -257]
+
+/** Digest passed to crypto.verify for each COSE algorithm (EdDSA hashes internally) */
+const SIGNATURE_DIGESTS = { [-7]: "sha256", [-8]: null, [-257]: "sha256" }
+
+/** Authenticator data flag bits (WebAuthn §6.1) */
+const FLAG_USER_PRESENT = 0x01
+const FLAG_USER_VERIFIED = 0x04
+const FLAG_BACKED_UP = 0x10
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40
+
+/** Longest credential ID the spec allows */
+const MAX_CREDENTIAL_ID_LENGTH = 1023
+
+/**
+ * Builds the error for a rejected ceremony — registration problems are the
+ * client's bad request, failed authentication is an authentication failure.
+ *
+ * @param {"webauthn.create"|"webauthn.get"} type - Ceremony type
+ * @returns {HttpError}
+ */
+const ceremonyError = (type) => {
+  return type === "webauthn.create"
+    ? new HttpError(HTTP_STATUS_CODE.BAD_REQUEST, "Invalid passkey registration")
+    : new HttpError(HTTP_STATUS_CODE.UNAUTHORIZED, "Invalid passkey")
+}
+
+/**
+ * Returns the relying party this server acts as. The RP ID defaults to the
+ * host of APP_URL and the only allowed origin to APP_URL's origin.
+ *
+ * @returns {{ id: string, name: string, origins: string[] }}
+ */
+export const getRelyingParty = () => {
+  const appUrl = new URL(process.env.APP_URL)
+  return {
+    id: process.env.WEBAUTHN_RP_ID || appUrl.hostname,
+    name: process.env.WEBAUTHN_RP_NAME,
+    origins: process.env.WEBAUTHN_ORIGINS
+      ? process.env.WEBAUTHN_ORIGINS.split(",").map((origin) => origin.trim())
+      : [appUrl.origin],
+  }
+}
+
+/**
+ * Generates a random ceremony challenge.
+ *
+ * @returns {string} 32 random bytes, base64url-encoded
+ */
+export const generateChallenge = () => crypto.randomBytes(32).toString("base64url")
+
+/**
+ * Decodes a credential's clientDataJSON and checks that it belongs to the
+ * expected ceremony and was produced on one of our origins. The challenge is
+ * returned for the caller to look up — it is not checked here.
+ *
+ * @param {string} clientDataJSON - base64url-encoded client data
+ * @param {"webauthn.create"|"webauthn.get"} type - Expected ceremony type
+ * @returns {{ challenge: string, origin: string }} The parsed client data
+ * @throws {HttpError} 400 for registrations, 401 for authentications
+ */
+export const readClientData = (clientDataJSON, type) => {
+  let clientData
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, "base64url").toString("utf8"))
+  } catch {
+    throw ceremonyError(type)
+  }
+
+  if (
+    clientData?.type !== type ||
+    typeof clientData.challenge !== "string" ||
+    !getRelyingParty().origins.includes(clientData.origin) ||
+    clientData.crossOrigin === true
+  ) {
+    throw ceremonyError(type)
+  }
+  return clientData
+}
+
+/**
+ * Parses authenticator data (WebAuthn §6.1), including the attested
+ * credential when the AT flag is set.
+ *
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} rpIdHash, flags, signCount and, for registrations, the credential
+ * @throws {Error} On truncated or malformed data
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error("Authenticator data too short")
+  }
+
+  const flags = authData[32]
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backedUp: Boolean(flags & FLAG_BACKED_UP),
+    signCount: authData.readUInt32BE(33),
+  }
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    // aaguid (16 bytes), credential ID length (2 bytes), credential ID, COSE key
+    const idLength = authData.readUInt16BE(53)
+    const idEnd = 55 + idLength
+    if (idLength > MAX_CREDENTIAL_ID_LENGTH || idEnd > authData.length) {
+      throw new Error("Invalid credential ID")
+    }
+    parsed.credentialId = authData.subarray(55, idEnd)
+    parsed.coseKey = decodeCborPrefix(authData.subarray(idEnd)).value
+  }
+
+  return parsed
+}
+
+/**
+ * Converts a COSE public key to a PEM-encoded SubjectPublicKeyInfo.
+ *
+ * @param {Map} coseKey - Decoded COSE_Key
+ * @returns {{ algorithm: number, publicKey: string }}
+ * @throws {Error} For unsupported algorithms or malformed keys
+ */
+const importCoseKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    throw new Error("Invalid COSE key")
+  }
+
+  const keyType = coseKey.get(1)
+  const algorithm = coseKey.get(3)
+  const curve = coseKey.get(-1)
+  const toBase64Url = (label) => {
+    const value = coseKey.get(label)
+    if (!Buffer.isBuffer(value)) {
+      throw new Error("Invalid COSE key")
+    }
+    return value.toString("base64url")
+  }
+
+  let jwk
+  if (algorithm === -7 && keyType === 2 && curve === 1) {
+    jwk = { kty: "EC", crv: "P-256", x: toBase64Url(-2), y: toBase64Url(-3) }
+  } else if (algorithm === -8 && keyType === 1 && curve === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: toBase64Url(-2) }
+  } else if (algorithm === -257 && keyType === 3) {
+    jwk = { kty: "RSA", n: toBase64Url(-1), e: toBase64Url(-2) }
+  } else {
+    throw new Error("Unsupported COSE algorithm")
+  }
+
+  const publicKey = crypto
+    .createPublicKey({ key: jwk, format: "jwk" })
+    .export({ type: "spki", format: "pem" })
+  return { algorithm, publicKey }
+}
+
+/**
+ * Checks the authenticator data fields shared by both ceremonies.
+ *
+ * @returns {boolean} Whether the RP ID hash and user flags are acceptable
+ */
+const isAuthenticatorDataValid = (parsed, { requireUserVerification }) => {
+  const expectedRpIdHash = crypto.createHash("sha256").update(getRelyingParty().id).digest()
+  return (
+    crypto.timingSafeEqual(parsed.rpIdHash, expectedRpIdHash) &&
+    parsed.userPresent &&
+    (parsed.userVerified || !requireUserVerification)
+  )
+}
+
+/**
+ * Verifies a registration response and extracts the new credential.
+ *
+ * The client data must already have been checked with `readClientData`.
+ * Attestation statements are not verified — registration asks for "none",
+ * so the server does not rely on the authenticator's make or model.
+ *
+ * @param {Object} response - `response` of the PublicKeyCredential (base64url fields)
+ * @param {string} response.attestationObject - CBOR attestation object
+ * @param {Object} [options]
+ * @param {boolean} [options.requireUserVerification=true] - Require the UV flag
+ * @returns {{ credentialId: string, publicKey: string, algorithm: number, signCount: number, backedUp: boolean }}
+ * @throws {HttpError} 400 when the response is malformed or does not match this relying party
+ */
+export const verifyRegistration = (
+  { attestationObject },
+  { requireUserVerification = true } = {},
+) => {
+  try {
+    const attestation = decodeCbor(Buffer.from(attestationObject, "base64url"))
+    const authData = attestation instanceof Map ? attestation.get("authData") : undefined
+    if (!Buffer.isBuffer(authData) || typeof attestation.get("fmt") !== "string") {
+      throw new Error("Invalid attestation object")
+    }
+
+    const parsed = parseAuthenticatorData(authData)
+    if (!parsed.credentialId || !isAuthenticatorDataValid(parsed, { requireUserVerification })) {
+      throw new Error("Authenticator data rejected")
+    }
+
+    const { algorithm, publicKey } = importCoseKey(parsed.coseKey)
+    return {
+      credentialId: parsed.credentialId.toString("base64url"),
+      publicKey,
+      algorithm,
+      signCount: parsed.signCount,
+      backedUp: parsed.backedUp,
+    }
+  } catch {
+    throw ceremonyError("webauthn.create")
+  }
+}
+
+/**
+ * Verifies an authentication assertion against a stored credential.
+ *
+ * The client data must already have been checked with `readClientData`. The
+ * signature covers the authenticator data followed by the SHA-256 of the
+ * client data. Sign counter checks are left to the caller.
+ *
+ * @param {Object} response - `response` of the PublicKeyCredential (base64url fields)
+ * @param {string} response.authenticatorData - Raw authenticator data
+ * @param {string} response.clientDataJSON - Client data the signature covers
+ * @param {string} response.signature - Assertion signature
+ * @param {Object} credential - Stored credential (public_key, algorithm)
+ * @param {Object} [options]
+ * @param {boolean} [options.requireUserVerification=true] - Require the UV flag
+ * @returns {{ signCount: number, backedUp: boolean }} Values reported by the authenticator
+ * @throws {HttpError} 401 when the assertion is malformed or the signature is wrong
+ */
+export const verifyAssertion = (
+  { authenticatorData, clientDataJSON, signature },
+  credential,
+  { requireUserVerification = true } = {},
+) => {
+  let isValid = false
+  let parsed
+  try {
+    const authData = Buffer.from(authenticatorData, "base64url")
+    parsed = parseAuthenticatorData(authData)
+    const clientDataHash = crypto
+      .createHash("sha256")
+      .update(Buffer.from(clientDataJSON, "base64url"))
+      .digest()
+
+    isValid =
+      isAuthenticatorDataValid(parsed, { requireUserVerification }) &&
+      crypto.verify(
+        SIGNATURE_DIGESTS[credential.algorithm],
+        Buffer.concat([authData, clientDataHash]),
+        credential.public_key,
+        Buffer.from(signature, "base64url"),
+      )
+  } catch {
+    isValid = false
+  }
+
+  if (!isValid) {
+    throw ceremonyError("webauthn.get")
+  }
+  return { signCount: parsed.signCount, backedUp: parsed.backedUp }
+}
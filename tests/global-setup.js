@@ -27,7 +27,7 @@ export default async function setup() {
 
   // Truncate all tables (including permissions for a clean slate)
   await db.raw(
-    "TRUNCATE TABLE invitations, todos, project_members, projects, org_members, role_permissions, roles, organizations, permissions, users CASCADE",
+    "TRUNCATE TABLE signin_failures, device_authorizations, webauthn_challenges, webauthn_credentials, security_events, user_identities, oidc_login_requests, personal_access_token_permissions, personal_access_tokens, revoked_access_tokens, refresh_tokens, sessions, user_tokens, recovery_codes, invitations, todos, project_members, projects, org_members, role_permissions, roles, organizations, permissions, users CASCADE",
   )
 
   // Seed permissions (needed by all tests — persists across cleanAllTables calls)
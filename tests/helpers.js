@@ -8,6 +8,8 @@
  * @module tests/helpers
  */
 import crypto from "node:crypto"
+import fs from "node:fs/promises"
+import path from "node:path"
 import supertest from "supertest"
 
 let app
@@ -43,6 +45,7 @@ export async function request() {
  * @param {string} [overrides.username] - Custom username
  * @param {string} [overrides.email] - Custom email
  * @param {string} [overrides.password] - Custom plaintext password
+ * @param {boolean} [overrides.emailVerified=true] - Whether the email counts as verified
  * @returns {Promise<Object>} User object with id, username, email, and plainPassword
  */
 export async function createTestUser(overrides = {}) {
@@ -60,6 +63,7 @@ export async function createTestUser(overrides = {}) {
       id,
       username,
       email,
+      email_verified_at: overrides.emailVerified === false ? null : new Date(),
       password: hashedPassword,
       created_at: new Date(),
       updated_at: new Date(),
@@ -72,14 +76,37 @@ export async function createTestUser(overrides = {}) {
 /**
  * Generates auth headers (access + refresh tokens) for a given user ID.
  *
+ * Starts a new session and records its refresh token, mirroring what signin does,
+ * so both tokens pass the server-side checks.
+ *
  * @param {string} userId - UUID of the user
  * @returns {Promise<Object>} Headers object with x-access-token and x-refresh-token
  */
 export async function getAuthHeaders(userId) {
-  const { generateAccessToken, generateRefreshToken } = await import("../src/utils/jwt.js")
+  const { generateAccessToken, generateRefreshToken, getTokenExpiry } =
+    await import("../src/utils/jwt.js")
+  const { default: db } = await import("../src/config/database.js")
+
+  const { token_version: tokenVersion } = await db("users")
+    .select("token_version")
+    .where({ id: userId })
+    .first()
+  const sessionId = crypto.randomUUID()
+  const refreshTokenId = crypto.randomUUID()
+  const refreshToken = generateRefreshToken(userId, refreshTokenId)
+  const expiresAt = getTokenExpiry(refreshToken)
+
+  await db("sessions").insert({ id: sessionId, user_id: userId, expires_at: expiresAt })
+  await db("refresh_tokens").insert({
+    id: refreshTokenId,
+    user_id: userId,
+    session_id: sessionId,
+    expires_at: expiresAt,
+  })
+
   return {
-    "x-access-token": generateAccessToken(userId),
-    "x-refresh-token": generateRefreshToken(userId),
+    "x-access-token": generateAccessToken(userId, { sessionId, tokenVersion }),
+    "x-refresh-token": refreshToken,
   }
 }
 
@@ -174,7 +201,8 @@ export async function createTestOrg(userId, overrides = {}) {
  * @param {string} userId - UUID of the user creating the project
  * @param {string} roleId - UUID of the role to assign the creator in this project
  * @param {Object} [overrides={}] - Override default values
- * @returns {Promise<Object>} Project object with id, org_id, name, description
+ * @param {string} [overrides.visibility] - "org" (default) or "private"
+ * @returns {Promise<Object>} Project object with id, org_id, name, description, visibility
  */
 export async function createTestProject(orgId, userId, roleId, overrides = {}) {
   const { default: db } = await import("../src/config/database.js")
@@ -188,6 +216,7 @@ export async function createTestProject(orgId, userId, roleId, overrides = {}) {
       org_id: orgId,
       name,
       description: overrides.description || null,
+      visibility: overrides.visibility || "org",
       created_by: userId,
       created_at: new Date(),
       updated_at: new Date(),
@@ -228,6 +257,35 @@ export async function addProjectMember(projectId, userId, roleId) {
   await db("project_members").insert({ user_id: userId, project_id: projectId, role_id: roleId })
 }
 
+/**
+ * Waits for an email to the given address to appear in the file mail drop
+ * (MAIL_TRANSPORT=file) and removes it, so each message is read only once.
+ * Polls because some emails are sent after the HTTP response.
+ *
+ * @param {string} to - Recipient address
+ * @param {number} [timeoutMs=2000] - How long to wait before failing
+ * @returns {Promise<Object>} The message ({ from, to, subject, text })
+ */
+export async function waitForMail(to, timeoutMs = 2000) {
+  const dir = process.env.MAIL_FILE_DIR
+  const deadline = Date.now() + timeoutMs
+
+  while (Date.now() < deadline) {
+    const files = await fs.readdir(dir).catch(() => [])
+    for (const file of files.toSorted()) {
+      const filePath = path.join(dir, file)
+      const message = JSON.parse(await fs.readFile(filePath, "utf8"))
+      if (message.to === to) {
+        await fs.rm(filePath)
+        return message
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25))
+  }
+
+  throw new Error(`No email to ${to} within ${timeoutMs}ms`)
+}
+
 /**
  * Truncates a single table with CASCADE.
  *
@@ -245,7 +303,7 @@ export async function cleanTable(tableName) {
 export async function cleanAllTables() {
   const { default: db } = await import("../src/config/database.js")
   await db.raw(
-    "TRUNCATE TABLE invitations, todos, project_members, projects, org_members, role_permissions, roles, organizations, users CASCADE",
+    "TRUNCATE TABLE signin_failures, device_authorizations, webauthn_challenges, webauthn_credentials, security_events, user_identities, oidc_login_requests, personal_access_token_permissions, personal_access_tokens, revoked_access_tokens, refresh_tokens, sessions, user_tokens, recovery_codes, invitations, todos, project_members, projects, org_members, role_permissions, roles, organizations, users CASCADE",
   )
 }
 
@@ -0,0 +1,218 @@
+/**
+ * Integration tests for the platform admin API.
+ * Routes: /api/admin/users, /api/admin/orgs
+ */
+import {
+  request,
+  createTestUser,
+  createTestOrg,
+  createTestProject,
+  addOrgMember,
+  getAuthHeaders,
+  cleanAllTables,
+} from "../helpers.js"
+
+let admin
+let adminHeaders
+
+beforeEach(async () => {
+  const { default: db } = await import("../../src/config/database.js")
+  await cleanAllTables()
+  admin = await createTestUser({ username: "platformadmin" })
+  await db("users").where({ id: admin.id }).update({ is_platform_admin: true })
+  adminHeaders = await getAuthHeaders(admin.id)
+})
+
+describe("requirePlatformAdmin", () => {
+  it("should refuse users without the platform admin flag", async () => {
+    const user = await createTestUser({ username: "regular" })
+
+    const res = await (await request()).get("/api/admin/users").set(await getAuthHeaders(user.id))
+
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe("Platform admin access required")
+  })
+})
+
+describe("GET /api/admin/users", () => {
+  it("should list and search users with their admin and suspension state", async () => {
+    await createTestUser({ username: "alice" })
+    await createTestUser({ username: "bob", email: "bob@alice-corp.test" })
+    await createTestUser({ username: "carol" })
+
+    const res = await (await request())
+      .get("/api/admin/users")
+      .set(adminHeaders)
+      .query({ search: "alice", sort_by: "username", sort_order: "asc" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.map((user) => user.username)).toEqual(["alice", "bob"])
+    expect(res.body.data[0]).toMatchObject({ is_platform_admin: false, suspended_at: null })
+    expect(res.body.data[0].password).toBeUndefined()
+    expect(res.body.pagination.total_items).toBe(2)
+  })
+})
+
+describe("GET /api/admin/users/:user_id/memberships", () => {
+  it("should list the user's organizations and projects with their roles", async () => {
+    const user = await createTestUser({ username: "member" })
+    const org = await createTestOrg(admin.id, { name: "Acme" })
+    await addOrgMember(org.id, user.id, org.roles.member)
+    const project = await createTestProject(org.id, user.id, org.roles.viewer, { name: "Rocket" })
+
+    const res = await (await request())
+      .get(`/api/admin/users/${user.id}/memberships`)
+      .set(adminHeaders)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.organizations).toEqual([
+      expect.objectContaining({ org_id: org.id, org_name: "Acme", role_name: "member" }),
+    ])
+    expect(res.body.data.projects).toEqual([
+      expect.objectContaining({
+        project_id: project.id,
+        project_name: "Rocket",
+        org_id: org.id,
+        role_name: "viewer",
+      }),
+    ])
+  })
+})
+
+describe("POST /api/admin/users/:user_id/suspend", () => {
+  it("should suspend a user and sign them out everywhere", async () => {
+    const user = await createTestUser({ username: "abuser" })
+    const userHeaders = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    const res = await agent
+      .post(`/api/admin/users/${user.id}/suspend`)
+      .set(adminHeaders)
+      .send({ reason: "Spam" })
+    const repeatRes = await agent
+      .post(`/api/admin/users/${user.id}/suspend`)
+      .set(adminHeaders)
+      .send({ reason: "Spam" })
+    const meRes = await agent.get("/api/me").set(userHeaders)
+    const refreshRes = await agent
+      .post("/api/auth/refresh")
+      .set("x-refresh-token", userHeaders["x-refresh-token"])
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.suspension_reason).toBe("Spam")
+    expect(res.body.data.suspended_at).toBeTruthy()
+    expect(repeatRes.status).toBe(409)
+    expect(meRes.status).toBe(403)
+    expect(meRes.body.message).toBe("Account suspended")
+    expect(refreshRes.status).toBe(403)
+  })
+
+  it("should not let admins suspend themselves", async () => {
+    const res = await (await request())
+      .post(`/api/admin/users/${admin.id}/suspend`)
+      .set(adminHeaders)
+      .send({ reason: "Oops" })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("You cannot suspend yourself")
+  })
+
+  it("should lift a suspension", async () => {
+    const user = await createTestUser({ username: "reformed" })
+    const agent = await request()
+    await agent
+      .post(`/api/admin/users/${user.id}/suspend`)
+      .set(adminHeaders)
+      .send({ reason: "Spam" })
+
+    const res = await agent.post(`/api/admin/users/${user.id}/unsuspend`).set(adminHeaders)
+    const repeatRes = await agent.post(`/api/admin/users/${user.id}/unsuspend`).set(adminHeaders)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.suspended_at).toBeNull()
+    expect(res.body.data.suspension_reason).toBeNull()
+    expect(repeatRes.status).toBe(409)
+    expect(repeatRes.body.message).toBe("User is not suspended")
+  })
+})
+
+describe("GET /api/admin/orgs", () => {
+  it("should list and search every organization", async () => {
+    const owner = await createTestUser({ username: "owner" })
+    await createTestOrg(owner.id, { name: "Acme Rockets" })
+    await createTestOrg(owner.id, { name: "Acme Anvils" })
+    await createTestOrg(owner.id, { name: "Globex" })
+
+    const res = await (await request())
+      .get("/api/admin/orgs")
+      .set(adminHeaders)
+      .query({ search: "acme", sort_by: "name", sort_order: "asc" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.map((org) => org.name)).toEqual(["Acme Anvils", "Acme Rockets"])
+    expect(res.body.pagination.total_items).toBe(2)
+  })
+})
+
+describe("POST /api/admin/orgs/:org_id/owner", () => {
+  it("should make a member the only owner and demote the previous owners", async () => {
+    const owner = await createTestUser({ username: "departed" })
+    const successor = await createTestUser({ username: "successor" })
+    const org = await createTestOrg(owner.id)
+    await addOrgMember(org.id, successor.id, org.roles.member)
+
+    const res = await (await request())
+      .post(`/api/admin/orgs/${org.id}/owner`)
+      .set(adminHeaders)
+      .send({ user_id: successor.id })
+
+    const roles = Object.fromEntries(res.body.data.map((m) => [m.username, m.role_name]))
+    expect(res.status).toBe(200)
+    expect(roles).toEqual({ departed: "admin", successor: "owner" })
+
+    const membersRes = await (await request())
+      .get(`/api/admin/orgs/${org.id}/members`)
+      .set(adminHeaders)
+    expect(membersRes.body.data).toHaveLength(2)
+  })
+
+  it("should lift the suspension of a member made owner", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const owner = await createTestUser({ username: "departed" })
+    const successor = await createTestUser({ username: "successor" })
+    const org = await createTestOrg(owner.id)
+    await addOrgMember(org.id, successor.id, org.roles.member)
+    const agent = await request()
+    await agent
+      .post(`/api/orgs/${org.id}/members/${successor.id}/suspend`)
+      .set(await getAuthHeaders(owner.id))
+      .send({ reason: "Spam" })
+
+    const res = await agent
+      .post(`/api/admin/orgs/${org.id}/owner`)
+      .set(adminHeaders)
+      .send({ user_id: successor.id })
+    const orgRes = await agent.get(`/api/orgs/${org.id}`).set(await getAuthHeaders(successor.id))
+
+    expect(res.status).toBe(200)
+    expect(orgRes.status).toBe(200)
+    const membership = await db("org_members")
+      .where({ org_id: org.id, user_id: successor.id })
+      .first()
+    expect(membership).toMatchObject({ suspended_at: null, suspension_reason: null })
+  })
+
+  it("should refuse users who are not members of the organization", async () => {
+    const owner = await createTestUser({ username: "owner" })
+    const outsider = await createTestUser({ username: "outsider" })
+    const org = await createTestOrg(owner.id)
+
+    const res = await (await request())
+      .post(`/api/admin/orgs/${org.id}/owner`)
+      .set(adminHeaders)
+      .send({ user_id: outsider.id })
+
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe("User is not a member of this organization")
+  })
+})
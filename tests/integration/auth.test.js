@@ -1,4 +1,35 @@
-import { request, cleanAllTables } from "../helpers.js"
+import crypto from "node:crypto"
+import fs from "node:fs/promises"
+import os from "node:os"
+import path from "node:path"
+import {
+  request,
+  createTestUser,
+  createTestOrg,
+  getAuthHeaders,
+  cleanAllTables,
+  waitForMail,
+} from "../helpers.js"
+import { hashToken } from "../../src/utils/one-time-token.js"
+
+// Capture outgoing mail as files so tests can read the emailed links
+let mailDir
+let previousTransport
+let previousDir
+
+beforeAll(async () => {
+  mailDir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"))
+  previousTransport = process.env.MAIL_TRANSPORT
+  previousDir = process.env.MAIL_FILE_DIR
+  process.env.MAIL_TRANSPORT = "file"
+  process.env.MAIL_FILE_DIR = mailDir
+})
+
+afterAll(async () => {
+  process.env.MAIL_TRANSPORT = previousTransport
+  process.env.MAIL_FILE_DIR = previousDir
+  await fs.rm(mailDir, { recursive: true, force: true })
+})
 
 afterEach(async () => {
   await cleanAllTables()
@@ -8,8 +39,8 @@ describe("POST /api/auth/signup", () => {
   it("should create a new user", async () => {
     const res = await (await request()).post("/api/auth/signup").send({
       username: "newuser",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     expect(res.status).toBe(201)
@@ -22,8 +53,8 @@ describe("POST /api/auth/signup", () => {
     const agent = await request()
     await agent.post("/api/auth/signup").send({
       username: "duplicate",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     const res = await agent.post("/api/auth/signup").send({
@@ -39,8 +70,8 @@ describe("POST /api/auth/signup", () => {
   it("should reject username shorter than 3 characters", async () => {
     const res = await (await request()).post("/api/auth/signup").send({
       username: "ab",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     expect(res.status).toBe(400)
@@ -56,10 +87,32 @@ describe("POST /api/auth/signup", () => {
     expect(res.status).toBe(400)
   })
 
+  it("should reject a common password", async () => {
+    const res = await (await request()).post("/api/auth/signup").send({
+      username: "commonuser",
+      password: "password123",
+      confirmation_password: "password123",
+    })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("password is too common")
+  })
+
+  it("should reject a password containing the username", async () => {
+    const res = await (await request()).post("/api/auth/signup").send({
+      username: "selfnamed",
+      password: "my-SelfNamed-pass",
+      confirmation_password: "my-SelfNamed-pass",
+    })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("password must not contain the username")
+  })
+
   it("should reject mismatched confirmation_password", async () => {
     const res = await (await request()).post("/api/auth/signup").send({
       username: "validuser",
-      password: "password123",
+      password: "signuppass123",
       confirmation_password: "differentpassword",
     })
 
@@ -71,8 +124,8 @@ describe("POST /api/auth/signup", () => {
     const res = await (await request()).post("/api/auth/signup").send({
       username: "emailuser",
       email: "emailuser@test.com",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     expect(res.status).toBe(201)
@@ -85,15 +138,15 @@ describe("POST /api/auth/signup", () => {
     await agent.post("/api/auth/signup").send({
       username: "emailuser1",
       email: "same@test.com",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     const res = await agent.post("/api/auth/signup").send({
       username: "emailuser2",
       email: "same@test.com",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     expect(res.status).toBe(400)
@@ -106,13 +159,13 @@ describe("POST /api/auth/signin", () => {
     const agent = await request()
     await agent.post("/api/auth/signup").send({
       username: "loginuser",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     const res = await agent.post("/api/auth/signin").send({
       username: "loginuser",
-      password: "password123",
+      password: "signuppass123",
     })
 
     expect(res.status).toBe(200)
@@ -126,8 +179,8 @@ describe("POST /api/auth/signin", () => {
     const agent = await request()
     await agent.post("/api/auth/signup").send({
       username: "loginuser2",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
 
     const res = await agent.post("/api/auth/signin").send({
@@ -139,10 +192,60 @@ describe("POST /api/auth/signin", () => {
     expect(res.body.message).toContain("invalid credentials")
   })
 
+  it("should upgrade a hash made with outdated Argon2 parameters", async () => {
+    const { default: argon2 } = await import("argon2")
+    const { default: db } = await import("../../src/config/database.js")
+    const { needsRehash } = await import("../../src/utils/argon2.js")
+    const user = await createTestUser({ username: "rehashuser" })
+    const outdatedHash = await argon2.hash(user.plainPassword, { timeCost: 2, memoryCost: 19456 })
+    await db("users").where({ id: user.id }).update({ password: outdatedHash })
+
+    const res = await (await request())
+      .post("/api/auth/signin")
+      .send({ username: "rehashuser", password: user.plainPassword })
+
+    const { password: storedHash } = await db("users").where({ id: user.id }).first()
+    expect(res.status).toBe(200)
+    expect(storedHash).not.toBe(outdatedHash)
+    expect(needsRehash(storedHash)).toBe(false)
+    expect(await argon2.verify(storedHash, user.plainPassword)).toBe(true)
+  })
+
+  it("should accept a username or a verified email as identifier", async () => {
+    await createTestUser({ username: "identuser", email: "ident@test.com" })
+    const agent = await request()
+
+    const byUsername = await agent
+      .post("/api/auth/signin")
+      .send({ identifier: "identuser", password: "testpassword123" })
+    const byEmail = await agent
+      .post("/api/auth/signin")
+      .send({ identifier: "ident@test.com", password: "testpassword123" })
+
+    expect(byUsername.status).toBe(200)
+    expect(byEmail.status).toBe(200)
+    expect(byEmail.body.data.username).toBe("identuser")
+  })
+
+  it("should not accept an unverified email as identifier", async () => {
+    await createTestUser({
+      username: "unverifiedident",
+      email: "unverifiedident@test.com",
+      emailVerified: false,
+    })
+
+    const res = await (await request())
+      .post("/api/auth/signin")
+      .send({ identifier: "unverifiedident@test.com", password: "testpassword123" })
+
+    expect(res.status).toBe(401)
+    expect(res.body.message).toContain("invalid credentials")
+  })
+
   it("should reject non-existent username", async () => {
     const res = await (await request()).post("/api/auth/signin").send({
       username: "nonexistent",
-      password: "password123",
+      password: "signuppass123",
     })
 
     expect(res.status).toBe(401)
@@ -150,17 +253,133 @@ describe("POST /api/auth/signin", () => {
   })
 })
 
+const signinLockUser = (agent, password) => {
+  return agent.post("/api/auth/signin").send({ username: "lockuser", password })
+}
+
+describe("signin lockout", () => {
+  let previousThreshold
+  let previousBackoff
+
+  beforeEach(() => {
+    previousThreshold = process.env.SIGNIN_LOCKOUT_THRESHOLD
+    previousBackoff = process.env.SIGNIN_BACKOFF_BASE_SECONDS
+  })
+
+  afterEach(() => {
+    process.env.SIGNIN_LOCKOUT_THRESHOLD = previousThreshold
+    process.env.SIGNIN_BACKOFF_BASE_SECONDS = previousBackoff
+  })
+
+  it("should delay the next attempt after a failed signin", async () => {
+    process.env.SIGNIN_BACKOFF_BASE_SECONDS = "60"
+    const user = await createTestUser({ username: "lockuser" })
+    const agent = await request()
+
+    const failed = await signinLockUser(agent, "wrongpassword")
+    const retry = await signinLockUser(agent, user.plainPassword)
+
+    expect(failed.status).toBe(401)
+    expect(retry.status).toBe(429)
+    expect(Number(retry.headers["retry-after"])).toBeGreaterThan(0)
+  })
+
+  it("should lock the account after too many failures, even for the right password", async () => {
+    process.env.SIGNIN_LOCKOUT_THRESHOLD = "3"
+    process.env.SIGNIN_BACKOFF_BASE_SECONDS = "0"
+    const user = await createTestUser({ username: "lockuser" })
+    const agent = await request()
+
+    for (let i = 0; i < 3; i++) {
+      const res = await signinLockUser(agent, "wrongpassword")
+      expect(res.status).toBe(401)
+    }
+    const locked = await signinLockUser(agent, user.plainPassword)
+
+    expect(locked.status).toBe(429)
+    expect(Number(locked.headers["retry-after"])).toBeGreaterThan(14 * 60)
+  })
+
+  it("should answer unknown identifiers with the same statuses as existing accounts", async () => {
+    process.env.SIGNIN_LOCKOUT_THRESHOLD = "3"
+    process.env.SIGNIN_BACKOFF_BASE_SECONDS = "0"
+    await createTestUser({ username: "lockuser" })
+    const agent = await request()
+
+    const statusSequence = async (username) => {
+      const statuses = []
+      for (let i = 0; i < 4; i++) {
+        const res = await agent.post("/api/auth/signin").send({ username, password: "wrongpass" })
+        statuses.push([res.status, res.headers["retry-after"] !== undefined])
+      }
+      return statuses
+    }
+
+    const existing = await statusSequence("lockuser")
+    const unknown = await statusSequence("nosuchuser")
+
+    expect(existing).toEqual([
+      [401, false],
+      [401, false],
+      [401, false],
+      [429, true],
+    ])
+    expect(unknown).toEqual(existing)
+  })
+
+  it("should forget unknown identifiers once their failures and lockout are old", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const lockoutWindowMs = Number(process.env.SIGNIN_LOCKOUT_MINUTES) * 60_000
+    const longAgo = new Date(Date.now() - lockoutWindowMs - 60_000)
+    await db("signin_failures").insert([
+      { identifier_hash: "a".repeat(64), failed_signin_count: 1, last_failed_signin_at: longAgo },
+      {
+        identifier_hash: "b".repeat(64),
+        failed_signin_count: 5,
+        last_failed_signin_at: longAgo,
+        locked_until: new Date(Date.now() + 60_000),
+      },
+    ])
+
+    await (await request())
+      .post("/api/auth/signin")
+      .send({ username: "nosuchuser", password: "wrongpass" })
+
+    const remaining = await db("signin_failures").pluck("identifier_hash")
+    expect(remaining.toSorted()).toEqual(["b".repeat(64), hashToken("nosuchuser")].toSorted())
+  })
+
+  it("should unlock once the lockout expires and reset the count on success", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const user = await createTestUser({ username: "lockuser" })
+    await db("users")
+      .where({ id: user.id })
+      .update({
+        failed_signin_count: 5,
+        last_failed_signin_at: new Date(Date.now() - 60_000),
+        locked_until: new Date(Date.now() - 1000),
+      })
+
+    const res = await signinLockUser(await request(), user.plainPassword)
+
+    expect(res.status).toBe(200)
+    const row = await db("users").where({ id: user.id }).first()
+    expect(row.failed_signin_count).toBe(0)
+    expect(row.locked_until).toBeNull()
+  })
+})
+
 describe("POST /api/auth/refresh", () => {
   it("should return a new access token", async () => {
     const agent = await request()
     await agent.post("/api/auth/signup").send({
       username: "refreshuser",
-      password: "password123",
-      confirmation_password: "password123",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
     })
     const signinRes = await agent.post("/api/auth/signin").send({
       username: "refreshuser",
-      password: "password123",
+      password: "signuppass123",
     })
 
     const refreshToken = signinRes.body.data.refresh_token
@@ -169,6 +388,62 @@ describe("POST /api/auth/refresh", () => {
 
     expect(res.status).toBe(200)
     expect(res.body.data.access_token).toBeDefined()
+    expect(res.body.data.refresh_token).toBeDefined()
+    expect(res.body.data.refresh_token).not.toBe(refreshToken)
+  })
+
+  it("should reject a refresh token that was already rotated", async () => {
+    const agent = await request()
+    await agent.post("/api/auth/signup").send({
+      username: "rotateuser",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
+    })
+    const signinRes = await agent.post("/api/auth/signin").send({
+      username: "rotateuser",
+      password: "signuppass123",
+    })
+    const refreshToken = signinRes.body.data.refresh_token
+
+    await agent.post("/api/auth/refresh").set("x-refresh-token", refreshToken)
+    const res = await agent.post("/api/auth/refresh").set("x-refresh-token", refreshToken)
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should revoke the whole session when a used token is replayed", async () => {
+    const agent = await request()
+    await agent.post("/api/auth/signup").send({
+      username: "familyuser",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
+    })
+    const signinRes = await agent.post("/api/auth/signin").send({
+      username: "familyuser",
+      password: "signuppass123",
+    })
+    const stolenToken = signinRes.body.data.refresh_token
+
+    // Legitimate client rotates first, then the stolen token is replayed
+    const rotateRes = await agent.post("/api/auth/refresh").set("x-refresh-token", stolenToken)
+    const currentToken = rotateRes.body.data.refresh_token
+    await agent.post("/api/auth/refresh").set("x-refresh-token", stolenToken)
+
+    const res = await agent.post("/api/auth/refresh").set("x-refresh-token", currentToken)
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should reject a refresh token that was never issued", async () => {
+    const user = await createTestUser()
+    const { generateRefreshToken } = await import("../../src/utils/jwt.js")
+    const unknownToken = generateRefreshToken(user.id, crypto.randomUUID())
+
+    const res = await (await request())
+      .post("/api/auth/refresh")
+      .set("x-refresh-token", unknownToken)
+
+    expect(res.status).toBe(401)
   })
 
   it("should reject request without refresh token", async () => {
@@ -177,3 +452,437 @@ describe("POST /api/auth/refresh", () => {
     expect(res.status).toBe(401)
   })
 })
+
+describe("POST /api/auth/logout", () => {
+  it("should revoke the access token and its session", async () => {
+    const agent = await request()
+    await agent.post("/api/auth/signup").send({
+      username: "logoutuser",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
+    })
+    const signinRes = await agent.post("/api/auth/signin").send({
+      username: "logoutuser",
+      password: "signuppass123",
+    })
+    const { access_token: accessToken, refresh_token: refreshToken } = signinRes.body.data
+
+    const res = await agent.post("/api/auth/logout").set("x-access-token", accessToken)
+    expect(res.status).toBe(200)
+
+    const protectedRes = await agent.get("/api/orgs").set("x-access-token", accessToken)
+    expect(protectedRes.status).toBe(401)
+    expect(protectedRes.body.message).toBe("Token revoked")
+
+    const refreshRes = await agent.post("/api/auth/refresh").set("x-refresh-token", refreshToken)
+    expect(refreshRes.status).toBe(401)
+  })
+
+  it("should not affect other signins of the same user", async () => {
+    const user = await createTestUser()
+    const first = await getAuthHeaders(user.id)
+    const second = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    await agent.post("/api/auth/logout").set(first)
+
+    const res = await agent.get("/api/orgs").set(second)
+    expect(res.status).toBe(200)
+  })
+
+  it("should require an access token", async () => {
+    const res = await (await request()).post("/api/auth/logout")
+
+    expect(res.status).toBe(401)
+  })
+})
+
+describe("POST /api/auth/logout-all", () => {
+  it("should revoke every access and refresh token of the user", async () => {
+    const user = await createTestUser()
+    const first = await getAuthHeaders(user.id)
+    const second = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    const res = await agent.post("/api/auth/logout-all").set(first)
+    expect(res.status).toBe(200)
+
+    const accessRes = await agent.get("/api/orgs").set(second)
+    expect(accessRes.status).toBe(401)
+
+    const refreshRes = await agent
+      .post("/api/auth/refresh")
+      .set("x-refresh-token", second["x-refresh-token"])
+    expect(refreshRes.status).toBe(401)
+  })
+})
+
+describe("GET /api/auth/sessions", () => {
+  it("should list active sessions with device details", async () => {
+    const agent = await request()
+    await agent.post("/api/auth/signup").send({
+      username: "sessionuser",
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
+    })
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .set("User-Agent", "TestBrowser/1.0")
+      .send({ username: "sessionuser", password: "signuppass123", device_name: "Work laptop" })
+    await agent
+      .post("/api/auth/signin")
+      .send({ username: "sessionuser", password: "signuppass123" })
+
+    const res = await agent
+      .get("/api/auth/sessions")
+      .set("x-access-token", signinRes.body.data.access_token)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(2)
+    const current = res.body.data.find((session) => session.current)
+    expect(current.device_name).toBe("Work laptop")
+    expect(current.user_agent).toBe("TestBrowser/1.0")
+    expect(current.ip_address).toBeDefined()
+    expect(current.last_used_at).toBeDefined()
+  })
+
+  it("should not list sessions that were logged out", async () => {
+    const user = await createTestUser()
+    const first = await getAuthHeaders(user.id)
+    const second = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    await agent.post("/api/auth/logout").set(second)
+
+    const res = await agent.get("/api/auth/sessions").set(first)
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(1)
+    expect(res.body.data[0].current).toBe(true)
+  })
+})
+
+describe("DELETE /api/auth/sessions/:session_id", () => {
+  it("should revoke another session's access and refresh tokens", async () => {
+    const user = await createTestUser()
+    const first = await getAuthHeaders(user.id)
+    const second = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    const listRes = await agent.get("/api/auth/sessions").set(first)
+    const other = listRes.body.data.find((session) => !session.current)
+
+    const res = await agent.delete(`/api/auth/sessions/${other.id}`).set(first)
+    expect(res.status).toBe(200)
+
+    const accessRes = await agent.get("/api/orgs").set(second)
+    expect(accessRes.status).toBe(401)
+    expect(accessRes.body.message).toBe("Token revoked")
+
+    const refreshRes = await agent
+      .post("/api/auth/refresh")
+      .set("x-refresh-token", second["x-refresh-token"])
+    expect(refreshRes.status).toBe(401)
+
+    const stillValid = await agent.get("/api/orgs").set(first)
+    expect(stillValid.status).toBe(200)
+  })
+
+  it("should return 404 for another user's session", async () => {
+    const owner = await createTestUser({ username: "sessionowner" })
+    const other = await createTestUser({ username: "sessionother" })
+    const ownerHeaders = await getAuthHeaders(owner.id)
+    const otherHeaders = await getAuthHeaders(other.id)
+    const agent = await request()
+
+    const listRes = await agent.get("/api/auth/sessions").set(otherHeaders)
+    const res = await agent
+      .delete(`/api/auth/sessions/${listRes.body.data[0].id}`)
+      .set(ownerHeaders)
+
+    expect(res.status).toBe(404)
+  })
+
+  it("should reject an invalid session ID", async () => {
+    const user = await createTestUser()
+    const headers = await getAuthHeaders(user.id)
+
+    const res = await (await request()).delete("/api/auth/sessions/not-a-uuid").set(headers)
+
+    expect(res.status).toBe(400)
+  })
+})
+
+describe("password reset", () => {
+  const requestResetToken = async (agent, email) => {
+    await agent.post("/api/auth/password/forgot").send({ email })
+    const mail = await waitForMail(email)
+    return mail.text.match(/token=([0-9a-f]{64})/)[1]
+  }
+
+  it("should respond identically whether or not the account exists", async () => {
+    await createTestUser({ username: "forgotuser", email: "forgot@test.com" })
+    const agent = await request()
+
+    const existing = await agent
+      .post("/api/auth/password/forgot")
+      .send({ email: "forgot@test.com" })
+    const missing = await agent.post("/api/auth/password/forgot").send({ email: "nobody@test.com" })
+
+    expect(existing.status).toBe(200)
+    expect(missing.status).toBe(200)
+    expect(missing.body).toEqual(existing.body)
+    await waitForMail("forgot@test.com")
+  })
+
+  it("should reset the password and sign out every session", async () => {
+    const user = await createTestUser({ username: "resetuser", email: "reset@test.com" })
+    const headers = await getAuthHeaders(user.id)
+    const agent = await request()
+    const token = await requestResetToken(agent, "reset@test.com")
+
+    const res = await agent.post("/api/auth/password/reset").send({
+      token,
+      password: "brandnewpass1",
+      confirmation_password: "brandnewpass1",
+    })
+    expect(res.status).toBe(200)
+
+    const oldSession = await agent.get("/api/me").set(headers)
+    expect(oldSession.status).toBe(401)
+
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "resetuser", password: "brandnewpass1" })
+    expect(signinRes.status).toBe(200)
+  })
+
+  it("should lift a signin lockout", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const user = await createTestUser({ username: "lockedreset", email: "lockedreset@test.com" })
+    await db("users")
+      .where({ id: user.id })
+      .update({ failed_signin_count: 5, locked_until: new Date(Date.now() + 60_000) })
+    const agent = await request()
+    const token = await requestResetToken(agent, "lockedreset@test.com")
+
+    await agent.post("/api/auth/password/reset").send({
+      token,
+      password: "brandnewpass1",
+      confirmation_password: "brandnewpass1",
+    })
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "lockedreset", password: "brandnewpass1" })
+
+    expect(signinRes.status).toBe(200)
+  })
+
+  it("should keep the token usable when the new password is rejected", async () => {
+    await createTestUser({ username: "policyuser", email: "policy@test.com" })
+    const agent = await request()
+    const token = await requestResetToken(agent, "policy@test.com")
+
+    const rejected = await agent.post("/api/auth/password/reset").send({
+      token,
+      password: "policyuser-2026",
+      confirmation_password: "policyuser-2026",
+    })
+    const accepted = await agent.post("/api/auth/password/reset").send({
+      token,
+      password: "brandnewpass1",
+      confirmation_password: "brandnewpass1",
+    })
+
+    expect(rejected.status).toBe(400)
+    expect(rejected.body.message).toBe("password must not contain the username")
+    expect(accepted.status).toBe(200)
+  })
+
+  it("should accept a reset token only once", async () => {
+    await createTestUser({ username: "onceuser", email: "once@test.com" })
+    const agent = await request()
+    const token = await requestResetToken(agent, "once@test.com")
+    const body = { token, password: "brandnewpass1", confirmation_password: "brandnewpass1" }
+
+    const first = await agent.post("/api/auth/password/reset").send(body)
+    const second = await agent.post("/api/auth/password/reset").send(body)
+
+    expect(first.status).toBe(200)
+    expect(second.status).toBe(400)
+  })
+
+  it("should invalidate earlier tokens when a new one is requested", async () => {
+    await createTestUser({ username: "twiceuser", email: "twice@test.com" })
+    const agent = await request()
+    const firstToken = await requestResetToken(agent, "twice@test.com")
+    await requestResetToken(agent, "twice@test.com")
+
+    const res = await agent.post("/api/auth/password/reset").send({
+      token: firstToken,
+      password: "brandnewpass1",
+      confirmation_password: "brandnewpass1",
+    })
+
+    expect(res.status).toBe(400)
+  })
+})
+
+describe("POST /api/auth/email/verify", () => {
+  const signupWithEmail = async (agent, username, email) => {
+    await agent.post("/api/auth/signup").send({
+      username,
+      email,
+      password: "signuppass123",
+      confirmation_password: "signuppass123",
+    })
+    const mail = await waitForMail(email)
+    return mail.text.match(/token=([0-9a-f]{64})/)[1]
+  }
+
+  it("should verify the email with the emailed token", async () => {
+    const agent = await request()
+    const token = await signupWithEmail(agent, "verifyuser", "verify@test.com")
+
+    const res = await agent.post("/api/auth/email/verify").send({ token })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.email).toBe("verify@test.com")
+    expect(res.body.data.email_verified_at).toBeTruthy()
+
+    const replay = await agent.post("/api/auth/email/verify").send({ token })
+    expect(replay.status).toBe(400)
+  })
+
+  it("should not verify a new address with a link sent for the old one", async () => {
+    const agent = await request()
+    const token = await signupWithEmail(agent, "changeuser", "old@test.com")
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "changeuser", password: "signuppass123" })
+
+    await agent
+      .put("/api/me")
+      .set("x-access-token", signinRes.body.data.access_token)
+      .send({ email: "new@test.com" })
+    await waitForMail("new@test.com")
+
+    const res = await agent.post("/api/auth/email/verify").send({ token })
+    expect(res.status).toBe(400)
+  })
+
+  it("should attach email invitations only once the address is verified", async () => {
+    const owner = await createTestUser({ username: "inviteowner" })
+    const org = await createTestOrg(owner.id)
+    const ownerHeaders = await getAuthHeaders(owner.id)
+    const agent = await request()
+    const token = await signupWithEmail(agent, "inviteduser", "invited@test.com")
+
+    const inviteRes = await agent
+      .post(`/api/orgs/${org.id}/invitations`)
+      .set(ownerHeaders)
+      .send({ email: "invited@test.com", role_id: org.roles.member })
+    expect(inviteRes.status).toBe(201)
+    expect(inviteRes.body.data.invitee_id).toBeNull()
+
+    await agent.post("/api/auth/email/verify").send({ token })
+
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "inviteduser", password: "signuppass123" })
+    const invitationsRes = await agent
+      .get("/api/invitations")
+      .set("x-access-token", signinRes.body.data.access_token)
+
+    expect(invitationsRes.body.data).toHaveLength(1)
+    expect(invitationsRes.body.data[0].id).toBe(inviteRes.body.data.id)
+  })
+})
+
+describe("magic link signin", () => {
+  const requestMagicLinkToken = async (agent, email) => {
+    await agent.post("/api/auth/magic-link").send({ email })
+    const mail = await waitForMail(email)
+    return mail.text.match(/token=([0-9a-f]{64})/)[1]
+  }
+
+  it("should respond identically whether or not the account exists", async () => {
+    await createTestUser({ username: "linkuser", email: "link@test.com" })
+    const agent = await request()
+
+    const existing = await agent.post("/api/auth/magic-link").send({ email: "link@test.com" })
+    const missing = await agent.post("/api/auth/magic-link").send({ email: "nobody@test.com" })
+
+    expect(existing.status).toBe(200)
+    expect(missing.status).toBe(200)
+    expect(missing.body).toEqual(existing.body)
+    await waitForMail("link@test.com")
+  })
+
+  it("should exchange the link for a token pair exactly once", async () => {
+    const user = await createTestUser({ username: "linkuser", email: "link@test.com" })
+    const agent = await request()
+    const token = await requestMagicLinkToken(agent, "link@test.com")
+
+    const res = await agent
+      .post("/api/auth/magic-link/verify")
+      .send({ token, device_name: "Laptop" })
+    const replay = await agent.post("/api/auth/magic-link/verify").send({ token })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.id).toBe(user.id)
+    const meRes = await agent.get("/api/me").set("x-access-token", res.body.data.access_token)
+    expect(meRes.status).toBe(200)
+    const sessionsRes = await agent
+      .get("/api/auth/sessions")
+      .set("x-access-token", res.body.data.access_token)
+    expect(sessionsRes.body.data[0].device_name).toBe("Laptop")
+    expect(replay.status).toBe(401)
+    expect(replay.body.message).toBe("Invalid or expired sign-in link")
+  })
+
+  it("should only honour the newest link, and not after it expires", async () => {
+    await createTestUser({ username: "linkuser", email: "link@test.com" })
+    const agent = await request()
+    const firstToken = await requestMagicLinkToken(agent, "link@test.com")
+    const secondToken = await requestMagicLinkToken(agent, "link@test.com")
+    const { default: db } = await import("../../src/config/database.js")
+
+    const firstRes = await agent.post("/api/auth/magic-link/verify").send({ token: firstToken })
+    await db("user_tokens")
+      .where({ purpose: "magic_link" })
+      .update({ expires_at: new Date(Date.now() - 1000) })
+    const expiredRes = await agent.post("/api/auth/magic-link/verify").send({ token: secondToken })
+
+    expect(firstRes.status).toBe(401)
+    expect(expiredRes.status).toBe(401)
+  })
+
+  it("should not email links to unverified addresses", async () => {
+    await createTestUser({
+      username: "unverified",
+      email: "unverified@test.com",
+      emailVerified: false,
+    })
+    await createTestUser({ username: "verified", email: "verified@test.com" })
+    const agent = await request()
+
+    await agent.post("/api/auth/magic-link").send({ email: "unverified@test.com" })
+    await requestMagicLinkToken(agent, "verified@test.com")
+
+    await expect(waitForMail("unverified@test.com", 200)).rejects.toThrow()
+  })
+
+  it("should still require the second factor for users with 2FA", async () => {
+    const user = await createTestUser({ username: "linkuser", email: "link@test.com" })
+    const { default: db } = await import("../../src/config/database.js")
+    await db("users").where({ id: user.id }).update({ totp_enabled_at: new Date() })
+    const agent = await request()
+    const token = await requestMagicLinkToken(agent, "link@test.com")
+
+    const res = await agent.post("/api/auth/magic-link/verify").send({ token })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.two_factor_required).toBe(true)
+    expect(res.body.data.access_token).toBeUndefined()
+  })
+})
@@ -0,0 +1,97 @@
+/**
+ * Integration tests for RFC 6750 bearer tokens.
+ * Routes: /api/me and /api/auth/refresh with the Authorization header
+ */
+import { request, createTestUser, getAuthHeaders, cleanAllTables } from "../helpers.js"
+
+let user
+let headers
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "beareruser" })
+  headers = await getAuthHeaders(user.id)
+})
+
+describe("Authorization: Bearer", () => {
+  it("should authenticate with a bearer access token", async () => {
+    const agent = await request()
+
+    const res = await agent
+      .get("/api/me")
+      .set("Authorization", `Bearer ${headers["x-access-token"]}`)
+    const lowercaseRes = await agent
+      .get("/api/me")
+      .set("Authorization", `bearer ${headers["x-access-token"]}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.username).toBe("beareruser")
+    expect(lowercaseRes.status).toBe(200)
+  })
+
+  it("should rotate a bearer refresh token", async () => {
+    const res = await (await request())
+      .post("/api/auth/refresh")
+      .set("Authorization", `Bearer ${headers["x-refresh-token"]}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeDefined()
+    expect(res.body.data.refresh_token).toBeDefined()
+  })
+
+  it("should challenge requests without a token", async () => {
+    const agent = await request()
+
+    const res = await agent.get("/api/me")
+    const basicRes = await agent.get("/api/me").set("Authorization", "Basic dXNlcjpwYXNz")
+
+    expect(res.status).toBe(401)
+    expect(res.headers["www-authenticate"]).toBe('Bearer realm="api"')
+    expect(basicRes.status).toBe(401)
+    expect(basicRes.headers["www-authenticate"]).toBe('Bearer realm="api"')
+  })
+
+  it("should report rejected tokens as invalid_token", async () => {
+    const agent = await request()
+
+    const bearerRes = await agent.get("/api/me").set("Authorization", "Bearer not.a.jwt")
+    const legacyRes = await agent.get("/api/me").set("x-access-token", "not.a.jwt")
+
+    for (const res of [bearerRes, legacyRes]) {
+      expect(res.status).toBe(401)
+      expect(res.headers["www-authenticate"]).toBe(
+        'Bearer realm="api", error="invalid_token", error_description="Invalid token"',
+      )
+    }
+  })
+
+  it("should reject malformed or duplicated credentials as invalid_request", async () => {
+    const agent = await request()
+
+    const malformedRes = await agent.get("/api/me").set("Authorization", "Bearer two tokens")
+    const duplicatedRes = await agent
+      .get("/api/me")
+      .set("Authorization", `Bearer ${headers["x-access-token"]}`)
+      .set("x-access-token", headers["x-access-token"])
+
+    expect(malformedRes.status).toBe(400)
+    expect(malformedRes.body.message).toBe("Malformed Authorization header")
+    expect(malformedRes.headers["www-authenticate"]).toContain('error="invalid_request"')
+    expect(duplicatedRes.status).toBe(400)
+    expect(duplicatedRes.body.message).toBe("Only one token may be provided")
+  })
+
+  it("should allow the Authorization header in CORS requests", async () => {
+    const origin = process.env.CORS_ALLOWED_ORIGINS.split(",")[0].trim()
+
+    const preflightRes = await (await request())
+      .options("/api/me")
+      .set("Origin", origin)
+      .set("Access-Control-Request-Method", "GET")
+      .set("Access-Control-Request-Headers", "authorization")
+    const res = await (await request()).get("/api/me").set("Origin", origin)
+
+    expect(preflightRes.headers["access-control-allow-headers"]).toContain("Authorization")
+    expect(res.headers["access-control-expose-headers"]).toBe("WWW-Authenticate")
+  })
+})
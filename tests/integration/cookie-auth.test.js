@@ -0,0 +1,209 @@
+/**
+ * Integration tests for cookie sessions and CSRF protection.
+ * Routes: /api/auth/signin, /api/auth/refresh, /api/auth/logout with AUTH_COOKIES enabled
+ */
+import { request, createTestUser, cleanAllTables } from "../helpers.js"
+
+/**
+ * Reads the Set-Cookie headers of a response into { name: { value, attributes } }.
+ */
+const parseSetCookies = (res) => {
+  return Object.fromEntries(
+    (res.headers["set-cookie"] ?? []).map((header) => {
+      const [pair, ...attributes] = header.split("; ")
+      const [name, value] = pair.split("=")
+      return [name, { value, attributes }]
+    }),
+  )
+}
+
+/**
+ * Builds a Cookie request header from parsed cookies, as a browser would send them.
+ */
+const toCookieHeader = (cookies) => {
+  return Object.entries(cookies)
+    .map(([name, { value }]) => `${name}=${value}`)
+    .join("; ")
+}
+
+const signinWithCookies = (agent) => {
+  return agent
+    .post("/api/auth/signin")
+    .send({ username: "cookieuser", password: "testpassword123", use_cookies: true })
+}
+
+let previousCookieMode
+
+beforeAll(() => {
+  previousCookieMode = process.env.AUTH_COOKIES
+  process.env.AUTH_COOKIES = "true"
+})
+
+afterAll(() => {
+  process.env.AUTH_COOKIES = previousCookieMode
+})
+
+beforeEach(async () => {
+  await cleanAllTables()
+  await createTestUser({ username: "cookieuser" })
+})
+
+describe("POST /api/auth/signin with use_cookies", () => {
+  it("should set httpOnly session cookies instead of returning tokens", async () => {
+    const agent = await request()
+
+    const res = await signinWithCookies(agent)
+
+    const cookies = parseSetCookies(res)
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeUndefined()
+    expect(res.body.data.refresh_token).toBeUndefined()
+    expect(res.body.data.csrf_token).toBe(cookies.csrf_token.value)
+    expect(cookies.access_token.attributes).toEqual(
+      expect.arrayContaining(["Path=/", "HttpOnly", "Secure", "SameSite=Strict"]),
+    )
+    expect(cookies.refresh_token.attributes).toEqual(
+      expect.arrayContaining(["Path=/api/auth", "HttpOnly", "Secure", "SameSite=Strict"]),
+    )
+    expect(cookies.csrf_token.attributes).not.toContain("HttpOnly")
+  })
+
+  it("should keep returning tokens to clients that do not ask for cookies", async () => {
+    const agent = await request()
+
+    const res = await agent
+      .post("/api/auth/signin")
+      .send({ username: "cookieuser", password: "testpassword123" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeDefined()
+    expect(res.headers["set-cookie"]).toBeUndefined()
+  })
+
+  it("should be refused while cookie sessions are disabled", async () => {
+    process.env.AUTH_COOKIES = "false"
+    const agent = await request()
+
+    const res = await signinWithCookies(agent)
+    process.env.AUTH_COOKIES = "true"
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("Cookie sessions are not enabled")
+  })
+})
+
+describe("CORS with cookie sessions", () => {
+  it("should let allowed origins send credentials", async () => {
+    const res = await (await request()).get("/health").set("Origin", "http://localhost:8080")
+
+    expect(res.headers["access-control-allow-origin"]).toBe("http://localhost:8080")
+    expect(res.headers["access-control-allow-credentials"]).toBe("true")
+  })
+})
+
+describe("requests authenticated by cookie", () => {
+  it("should allow safe requests without a CSRF token", async () => {
+    const agent = await request()
+    const cookies = parseSetCookies(await signinWithCookies(agent))
+
+    const res = await agent.get("/api/me").set("Cookie", toCookieHeader(cookies))
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.username).toBe("cookieuser")
+  })
+
+  it("should require a matching CSRF header on state-changing requests", async () => {
+    const agent = await request()
+    const cookies = parseSetCookies(await signinWithCookies(agent))
+    const cookieHeader = toCookieHeader(cookies)
+
+    const missingRes = await agent
+      .put("/api/me")
+      .set("Cookie", cookieHeader)
+      .send({ username: "renamed" })
+    const wrongRes = await agent
+      .put("/api/me")
+      .set("Cookie", cookieHeader)
+      .set("x-csrf-token", "0".repeat(64))
+      .send({ username: "renamed" })
+    const validRes = await agent
+      .put("/api/me")
+      .set("Cookie", cookieHeader)
+      .set("x-csrf-token", cookies.csrf_token.value)
+      .send({ username: "renamed" })
+
+    expect(missingRes.status).toBe(403)
+    expect(missingRes.body.message).toBe("Invalid CSRF token")
+    expect(wrongRes.status).toBe(403)
+    expect(validRes.status).toBe(200)
+  })
+
+  it("should ignore cookies while cookie sessions are disabled", async () => {
+    const agent = await request()
+    const cookies = parseSetCookies(await signinWithCookies(agent))
+    process.env.AUTH_COOKIES = "false"
+
+    const res = await agent.get("/api/me").set("Cookie", toCookieHeader(cookies))
+    process.env.AUTH_COOKIES = "true"
+
+    expect(res.status).toBe(401)
+  })
+})
+
+describe("POST /api/auth/refresh with cookies", () => {
+  it("should rotate the session cookies and the CSRF token", async () => {
+    const agent = await request()
+    const cookies = parseSetCookies(await signinWithCookies(agent))
+
+    const forgedRes = await agent.post("/api/auth/refresh").set("Cookie", toCookieHeader(cookies))
+    const res = await agent
+      .post("/api/auth/refresh")
+      .set("Cookie", toCookieHeader(cookies))
+      .set("x-csrf-token", cookies.csrf_token.value)
+
+    const rotated = parseSetCookies(res)
+    expect(forgedRes.status).toBe(403)
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeUndefined()
+    expect(rotated.refresh_token.value).not.toBe(cookies.refresh_token.value)
+    expect(rotated.csrf_token.value).not.toBe(cookies.csrf_token.value)
+    expect(res.body.data.csrf_token).toBe(rotated.csrf_token.value)
+  })
+})
+
+describe("POST /api/auth/logout with cookies", () => {
+  it("should end the session and clear the cookies", async () => {
+    const agent = await request()
+    const cookies = parseSetCookies(await signinWithCookies(agent))
+    const cookieHeader = toCookieHeader(cookies)
+
+    const res = await agent
+      .post("/api/auth/logout")
+      .set("Cookie", cookieHeader)
+      .set("x-csrf-token", cookies.csrf_token.value)
+    const meRes = await agent.get("/api/me").set("Cookie", cookieHeader)
+
+    const cleared = parseSetCookies(res)
+    expect(res.status).toBe(200)
+    for (const name of ["access_token", "refresh_token", "csrf_token"]) {
+      expect(cleared[name].value).toBe("")
+    }
+    expect(meRes.status).toBe(401)
+  })
+})
+
+describe("CORS", () => {
+  it("should allow credentials and the CSRF header for configured origins", async () => {
+    const origin = process.env.CORS_ALLOWED_ORIGINS.split(",")[0].trim()
+
+    const res = await (await request())
+      .options("/api/me")
+      .set("Origin", origin)
+      .set("Access-Control-Request-Method", "PUT")
+      .set("Access-Control-Request-Headers", "x-csrf-token")
+
+    expect(res.headers["access-control-allow-origin"]).toBe(origin)
+    expect(res.headers["access-control-allow-credentials"]).toBe("true")
+    expect(res.headers["access-control-allow-headers"]).toContain("x-csrf-token")
+  })
+})
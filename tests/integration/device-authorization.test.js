@@ -0,0 +1,147 @@
+/**
+ * Integration tests for the device authorization flow (RFC 8628).
+ * Routes: /api/auth/device/code, /api/auth/device/approve, /api/auth/device/token
+ */
+import { request, createTestUser, getAuthHeaders, cleanAllTables } from "../helpers.js"
+
+let user
+let headers
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "cliuser" })
+  headers = await getAuthHeaders(user.id)
+})
+
+/**
+ * Starts a device authorization and returns its code pair.
+ */
+const requestDeviceCode = async (agent) => {
+  const res = await agent.post("/api/auth/device/code").send({ device_name: "CLI on build box" })
+  return res.body.data
+}
+
+/**
+ * Lets the next poll through by moving the last poll back past the interval.
+ */
+const waitOutInterval = async () => {
+  const { default: db } = await import("../../src/config/database.js")
+  await db("device_authorizations").update({ last_polled_at: new Date(Date.now() - 60 * 1000) })
+}
+
+describe("POST /api/auth/device/code", () => {
+  it("should issue a device code and a user code to approve", async () => {
+    const res = await (await request()).post("/api/auth/device/code").send({})
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.device_code).toMatch(/^[0-9a-f]{64}$/)
+    expect(res.body.data.user_code).toMatch(/^[B-Z]{4}-[B-Z]{4}$/)
+    expect(res.body.data).toMatchObject({
+      verification_uri: "http://localhost:8080/device",
+      expires_in: 600,
+      interval: 5,
+    })
+    expect(res.body.data.verification_uri_complete).toBe(
+      `http://localhost:8080/device?user_code=${res.body.data.user_code}`,
+    )
+  })
+})
+
+describe("POST /api/auth/device/token", () => {
+  it("should return tokens once a signed-in user approves the code", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    const { device_code, user_code } = await requestDeviceCode(agent)
+
+    const pendingRes = await agent.post("/api/auth/device/token").send({ device_code })
+    // codes are accepted in any case and without the dash
+    const approveRes = await agent
+      .post("/api/auth/device/approve")
+      .set(headers)
+      .send({ user_code: user_code.toLowerCase().replace("-", "") })
+    await waitOutInterval()
+    const res = await agent.post("/api/auth/device/token").send({
+      device_code,
+      grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+    })
+    const meRes = await agent.get("/api/me").set("x-access-token", res.body.data.access_token)
+    const replayRes = await agent.post("/api/auth/device/token").send({ device_code })
+
+    expect(pendingRes.status).toBe(400)
+    expect(pendingRes.body.data).toEqual({ error: "authorization_pending" })
+    expect(approveRes.status).toBe(200)
+    expect(approveRes.body.data.device_name).toBe("CLI on build box")
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({ id: user.id, username: "cliuser" })
+    expect(res.body.data.refresh_token).toBeTruthy()
+    expect(meRes.status).toBe(200)
+    expect(replayRes.status).toBe(400)
+    expect(replayRes.body.data).toEqual({ error: "invalid_grant" })
+
+    const session = await db("sessions")
+      .where({ user_id: user.id })
+      .orderBy("created_at", "desc")
+      .first()
+    expect(session.device_name).toBe("CLI on build box")
+    const event = await db("security_events").where({ user_id: user.id }).first()
+    expect(event).toMatchObject({ event: "signin", outcome: "success", method: "device_code" })
+  })
+
+  it("should tell clients that poll too fast to slow down", async () => {
+    const agent = await request()
+    const { device_code } = await requestDeviceCode(agent)
+
+    await agent.post("/api/auth/device/token").send({ device_code })
+    const res = await agent.post("/api/auth/device/token").send({ device_code })
+
+    expect(res.status).toBe(400)
+    expect(res.body.data).toEqual({ error: "slow_down", interval: 10 })
+  })
+
+  it("should report expired device codes", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    const { device_code, user_code } = await requestDeviceCode(agent)
+    await db("device_authorizations").update({ expires_at: new Date(Date.now() - 1000) })
+
+    const approveRes = await agent.post("/api/auth/device/approve").set(headers).send({ user_code })
+    const res = await agent.post("/api/auth/device/token").send({ device_code })
+
+    expect(approveRes.status).toBe(400)
+    expect(approveRes.body.message).toBe("Invalid or expired user code")
+    expect(res.status).toBe(400)
+    expect(res.body.data).toEqual({ error: "expired_token" })
+  })
+
+  it("should refuse tokens to a device approved by a suspended user", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    const { device_code, user_code } = await requestDeviceCode(agent)
+    await agent.post("/api/auth/device/approve").set(headers).send({ user_code })
+    await db("users").where({ id: user.id }).update({ suspended_at: new Date() })
+
+    const res = await agent.post("/api/auth/device/token").send({ device_code })
+
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe("Account suspended")
+  })
+})
+
+describe("POST /api/auth/device/approve", () => {
+  it("should require authentication and refuse codes that were already approved", async () => {
+    const agent = await request()
+    const { user_code } = await requestDeviceCode(agent)
+    const other = await createTestUser({ username: "otheruser" })
+
+    const anonymousRes = await agent.post("/api/auth/device/approve").send({ user_code })
+    await agent.post("/api/auth/device/approve").set(headers).send({ user_code })
+    const secondRes = await agent
+      .post("/api/auth/device/approve")
+      .set(await getAuthHeaders(other.id))
+      .send({ user_code })
+
+    expect(anonymousRes.status).toBe(401)
+    expect(secondRes.status).toBe(400)
+    expect(secondRes.body.message).toBe("Invalid or expired user code")
+  })
+})
@@ -32,6 +32,13 @@ describe("GET /health", () => {
     expect(res.headers["x-request-id"]).toBe(customId)
   })
 
+  it("should not let browsers send credentials while cookie sessions are disabled", async () => {
+    const res = await (await request()).get("/health").set("Origin", "http://localhost:8080")
+
+    expect(res.headers["access-control-allow-origin"]).toBe("http://localhost:8080")
+    expect(res.headers["access-control-allow-credentials"]).toBeUndefined()
+  })
+
   it("should not be rate limited", async () => {
     // Health check is registered before rate limiter
     // Send several requests quickly — none should be 429
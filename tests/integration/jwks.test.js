@@ -0,0 +1,121 @@
+/**
+ * Integration tests for asymmetric access-token signing.
+ * Routes: /.well-known/jwks.json, and protected routes with RS256 tokens
+ */
+import crypto from "node:crypto"
+import jwt from "jsonwebtoken"
+import { request, createTestUser, getAuthHeaders, cleanAllTables } from "../helpers.js"
+
+const JWT_ENV_KEYS = ["JWT_ALGORITHM", "JWT_KEYS_DIR", "JWT_SIGNING_KEYS", "JWT_ACTIVE_KID"]
+
+const generatePem = () =>
+  crypto
+    .generateKeyPairSync("rsa", { modulusLength: 2048 })
+    .privateKey.export({ type: "pkcs8", format: "pem" })
+
+const keys = { "2026-01": generatePem(), "2026-02": generatePem() }
+
+const useKeys = (signingKeys, activeKid) => {
+  process.env.JWT_ALGORITHM = "RS256"
+  process.env.JWT_SIGNING_KEYS = JSON.stringify(signingKeys)
+  process.env.JWT_ACTIVE_KID = activeKid
+}
+
+let previousEnv
+let user
+
+beforeEach(async () => {
+  previousEnv = Object.fromEntries(JWT_ENV_KEYS.map((key) => [key, process.env[key]]))
+  await cleanAllTables()
+  user = await createTestUser()
+})
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) {
+      delete process.env[key]
+    } else {
+      process.env[key] = value
+    }
+  }
+})
+
+describe("GET /.well-known/jwks.json", () => {
+  it("should publish no keys while tokens are signed with HS256", async () => {
+    const agent = await request()
+
+    const res = await agent.get("/.well-known/jwks.json")
+
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({ keys: [] })
+  })
+
+  it("should publish every configured public key", async () => {
+    useKeys(keys, "2026-02")
+    const agent = await request()
+
+    const res = await agent.get("/.well-known/jwks.json")
+
+    expect(res.status).toBe(200)
+    expect(res.headers["cache-control"]).toBe("public, max-age=300")
+    expect(res.body.keys.map((key) => key.kid)).toEqual(["2026-01", "2026-02"])
+    for (const key of res.body.keys) {
+      expect(key).toMatchObject({ kty: "RSA", alg: "RS256", use: "sig" })
+      expect(key.d).toBeUndefined()
+    }
+  })
+})
+
+describe("RS256 access tokens", () => {
+  it("should be verifiable with the published key and accepted by the API", async () => {
+    useKeys(keys, "2026-02")
+    const agent = await request()
+    const headers = await getAuthHeaders(user.id)
+
+    const jwksRes = await agent.get("/.well-known/jwks.json")
+    const meRes = await agent.get("/api/me").set(headers)
+
+    const token = headers["x-access-token"]
+    const { header } = jwt.decode(token, { complete: true })
+    const jwk = jwksRes.body.keys.find((key) => key.kid === header.kid)
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" })
+    expect(header).toMatchObject({ alg: "RS256", kid: "2026-02" })
+    expect(jwt.verify(token, publicKey, { algorithms: ["RS256"] }).id).toBe(user.id)
+    expect(meRes.status).toBe(200)
+  })
+
+  it("should keep accepting tokens from a rotated-out key until it is removed", async () => {
+    useKeys(keys, "2026-01")
+    const oldHeaders = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    useKeys(keys, "2026-02")
+    const rotatedRes = await agent.get("/api/me").set(oldHeaders)
+
+    useKeys({ "2026-02": keys["2026-02"] }, "2026-02")
+    const removedRes = await agent.get("/api/me").set(oldHeaders)
+
+    expect(rotatedRes.status).toBe(200)
+    expect(removedRes.status).toBe(401)
+  })
+
+  it("should reject HS256 tokens once an asymmetric algorithm is configured", async () => {
+    const hsHeaders = await getAuthHeaders(user.id)
+    useKeys(keys, "2026-02")
+    const agent = await request()
+
+    const res = await agent.get("/api/me").set(hsHeaders)
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should sign the two-factor challenge with the active key", async () => {
+    useKeys(keys, "2026-02")
+    const { generateChallengeToken, verifyChallengeToken } = await import("../../src/utils/jwt.js")
+
+    const token = generateChallengeToken(user.id)
+
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe("2026-02")
+    expect(verifyChallengeToken(token).id).toBe(user.id)
+  })
+})
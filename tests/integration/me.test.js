@@ -0,0 +1,258 @@
+/**
+ * Integration tests for the authenticated user's account endpoints.
+ * Routes: /api/me
+ */
+import {
+  request,
+  createTestUser,
+  createTestOrg,
+  createTestProject,
+  addOrgMember,
+  getAuthHeaders,
+  cleanAllTables,
+} from "../helpers.js"
+
+let user
+let headers
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "meuser" })
+  headers = await getAuthHeaders(user.id)
+})
+
+describe("GET /api/me", () => {
+  it("should return the authenticated user's profile", async () => {
+    const res = await (await request()).get("/api/me").set(headers)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.id).toBe(user.id)
+    expect(res.body.data.username).toBe("meuser")
+    expect(res.body.data.email).toBe("meuser@test.com")
+    expect(res.body.data.email_verified_at).toBeTruthy()
+    expect(res.body.data.password).toBeUndefined()
+  })
+
+  it("should require authentication", async () => {
+    const res = await (await request()).get("/api/me")
+
+    expect(res.status).toBe(401)
+  })
+})
+
+describe("PUT /api/me", () => {
+  it("should update username and email", async () => {
+    const res = await (await request())
+      .put("/api/me")
+      .set(headers)
+      .send({ username: "renamed", email: "renamed@test.com" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.username).toBe("renamed")
+    expect(res.body.data.email).toBe("renamed@test.com")
+    expect(res.body.data.email_verified_at).toBeNull()
+  })
+
+  it("should reject a username taken by another user", async () => {
+    await createTestUser({ username: "takenname" })
+
+    const res = await (await request()).put("/api/me").set(headers).send({ username: "takenname" })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toContain("username already exists")
+  })
+
+  it("should reject an email taken by another user", async () => {
+    await createTestUser({ username: "other", email: "taken@test.com" })
+
+    const res = await (await request())
+      .put("/api/me")
+      .set(headers)
+      .send({ email: "taken@test.com" })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toContain("email already exists")
+  })
+
+  it("should allow keeping the current username", async () => {
+    const res = await (await request()).put("/api/me").set(headers).send({ username: "meuser" })
+
+    expect(res.status).toBe(200)
+  })
+
+  it("should reject an empty update", async () => {
+    const res = await (await request()).put("/api/me").set(headers).send({})
+
+    expect(res.status).toBe(400)
+  })
+})
+
+describe("DELETE /api/me", () => {
+  it("should delete the account and invalidate its tokens", async () => {
+    const agent = await request()
+
+    const res = await agent.delete("/api/me").set(headers).send({ password: "testpassword123" })
+    expect(res.status).toBe(200)
+
+    const meRes = await agent.get("/api/me").set(headers)
+    expect(meRes.status).toBe(401)
+  })
+
+  it("should reject a wrong password", async () => {
+    const res = await (await request())
+      .delete("/api/me")
+      .set(headers)
+      .send({ password: "wrongpassword" })
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should refuse while the user is the last owner of an organization", async () => {
+    await createTestOrg(user.id, { name: "Solo Org" })
+
+    const res = await (await request())
+      .delete("/api/me")
+      .set(headers)
+      .send({ password: "testpassword123" })
+
+    expect(res.status).toBe(409)
+    expect(res.body.message).toContain("Solo Org")
+  })
+
+  it("should let only one of two last owners leave when both try at once", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const coOwner = await createTestUser({ username: "coowner" })
+    const org = await createTestOrg(user.id, { name: "Shared Org" })
+    await addOrgMember(org.id, coOwner.id, org.roles.owner)
+    const agent = await request()
+
+    const responses = await Promise.all([
+      agent.delete("/api/me").set(headers).send({ password: "testpassword123" }),
+      agent
+        .delete("/api/me")
+        .set(await getAuthHeaders(coOwner.id))
+        .send({ password: "testpassword123" }),
+    ])
+
+    expect(responses.map((res) => res.status).toSorted()).toEqual([200, 409])
+    const owners = await db("org_members").where({ org_id: org.id, role_id: org.roles.owner })
+    expect(owners).toHaveLength(1)
+  })
+
+  it("should refuse when an organization the user created has no owner to take it over", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const org = await createTestOrg(user.id, { name: "Ownerless Org" })
+    await db("org_members").where({ org_id: org.id, user_id: user.id }).update({
+      role_id: org.roles.admin,
+    })
+
+    const res = await (await request())
+      .delete("/api/me")
+      .set(headers)
+      .send({ password: "testpassword123" })
+
+    expect(res.status).toBe(409)
+    expect(res.body.message).toContain("Ownerless Org")
+    expect(await db("users").where({ id: user.id }).first()).toBeDefined()
+  })
+
+  it("should hand off organizations and anonymize authored data", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const coOwner = await createTestUser()
+    const org = await createTestOrg(user.id)
+    await addOrgMember(org.id, coOwner.id, org.roles.owner)
+    const project = await createTestProject(org.id, user.id, org.roles.owner)
+    const agent = await request()
+    const todoRes = await agent
+      .post(`/api/orgs/${org.id}/projects/${project.id}/todos`)
+      .set(headers)
+      .send({ title: "Keep me" })
+    const inviteRes = await agent
+      .post(`/api/orgs/${org.id}/invitations`)
+      .set(headers)
+      .send({ email: "invitee@test.com", role_id: org.roles.member })
+
+    const res = await agent.delete("/api/me").set(headers).send({ password: "testpassword123" })
+
+    expect(res.status).toBe(200)
+    const orgRow = await db("organizations").where({ id: org.id }).first()
+    const projectRow = await db("projects").where({ id: project.id }).first()
+    const todoRow = await db("todos").where({ id: todoRes.body.data.id }).first()
+    const inviteRow = await db("invitations").where({ id: inviteRes.body.data.id }).first()
+    const memberships = await db("org_members").where({ user_id: user.id })
+    expect(orgRow.created_by).toBe(coOwner.id)
+    expect(projectRow.created_by).toBeNull()
+    expect(todoRow.user_id).toBeNull()
+    expect(inviteRow.inviter_id).toBeNull()
+    expect(memberships).toHaveLength(0)
+  })
+})
+
+describe("POST /api/me/email/verification", () => {
+  it("should reject when the email is already verified", async () => {
+    const res = await (await request()).post("/api/me/email/verification").set(headers)
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("Email is already verified")
+  })
+})
+
+describe("POST /api/me/password", () => {
+  it("should change the password and revoke other sessions only", async () => {
+    const otherHeaders = await getAuthHeaders(user.id)
+    const agent = await request()
+
+    const res = await agent.post("/api/me/password").set(headers).send({
+      current_password: "testpassword123",
+      password: "newpassword456",
+      confirmation_password: "newpassword456",
+    })
+    expect(res.status).toBe(200)
+
+    const currentRes = await agent.get("/api/me").set(headers)
+    expect(currentRes.status).toBe(200)
+
+    const otherRes = await agent.get("/api/me").set(otherHeaders)
+    expect(otherRes.status).toBe(401)
+
+    const refreshRes = await agent
+      .post("/api/auth/refresh")
+      .set("x-refresh-token", otherHeaders["x-refresh-token"])
+    expect(refreshRes.status).toBe(401)
+
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "meuser", password: "newpassword456" })
+    expect(signinRes.status).toBe(200)
+  })
+
+  it("should reject a wrong current password", async () => {
+    const res = await (await request()).post("/api/me/password").set(headers).send({
+      current_password: "wrongpassword",
+      password: "newpassword456",
+      confirmation_password: "newpassword456",
+    })
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should enforce the signup password length rules", async () => {
+    const res = await (await request()).post("/api/me/password").set(headers).send({
+      current_password: "testpassword123",
+      password: "short",
+      confirmation_password: "short",
+    })
+
+    expect(res.status).toBe(400)
+  })
+  it("should apply the password policy", async () => {
+    const res = await (await request()).post("/api/me/password").set(headers).send({
+      current_password: "testpassword123",
+      password: "iloveyou1",
+      confirmation_password: "iloveyou1",
+    })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("password is too common")
+  })
+})
@@ -0,0 +1,298 @@
+/**
+ * Integration tests for signin with an OpenID Connect provider.
+ * Routes: /api/auth/oidc/providers, /api/auth/oidc/:provider/authorize, /api/auth/oidc/:provider/callback
+ */
+import fs from "node:fs/promises"
+import os from "node:os"
+import path from "node:path"
+import db from "../../src/config/database.js"
+import { request, createTestUser, cleanAllTables, waitForMail } from "../helpers.js"
+import { startMockOidcIssuer } from "../mock-oidc-issuer.js"
+
+const CLIENT_ID = "express-template-tests"
+
+let issuer
+let previousProviders
+
+/**
+ * Reads the single-use token from the latest mail sent to an address.
+ */
+const readMailedToken = async (email) => {
+  const mail = await waitForMail(email)
+  return mail.text.match(/token=([0-9a-f]{64})/)[1]
+}
+
+/**
+ * Runs the whole browser round trip: authorize, log in at the issuer, callback.
+ */
+const signinWithIssuer = async (agent, claims, overrides, provider = "mock") => {
+  const authorizeRes = await agent.post(`/api/auth/oidc/${provider}/authorize`).send({})
+  const { authorization_url, login_secret } = authorizeRes.body.data
+  const { code, state } = issuer.login(authorization_url, claims, overrides)
+  return agent.post(`/api/auth/oidc/${provider}/callback`).send({ code, state, login_secret })
+}
+
+beforeAll(async () => {
+  issuer = await startMockOidcIssuer({ clientId: CLIENT_ID })
+  previousProviders = process.env.OIDC_PROVIDERS
+  process.env.OIDC_PROVIDERS = JSON.stringify({
+    mock: {
+      issuer: issuer.issuer,
+      client_id: CLIENT_ID,
+      redirect_uri: "http://localhost:8080/auth/callback",
+    },
+    trusted: {
+      issuer: issuer.issuer,
+      client_id: CLIENT_ID,
+      redirect_uri: "http://localhost:8080/auth/callback",
+      trust_email: true,
+    },
+  })
+})
+
+afterAll(async () => {
+  if (previousProviders === undefined) {
+    delete process.env.OIDC_PROVIDERS
+  } else {
+    process.env.OIDC_PROVIDERS = previousProviders
+  }
+  await issuer.close()
+})
+
+beforeEach(async () => {
+  await cleanAllTables()
+})
+
+describe("GET /api/auth/oidc/providers", () => {
+  it("should list the configured providers", async () => {
+    const res = await (await request()).get("/api/auth/oidc/providers")
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toEqual([{ name: "mock" }, { name: "trusted" }])
+  })
+})
+
+describe("POST /api/auth/oidc/:provider/authorize", () => {
+  it("should return a PKCE authorization URL for the provider", async () => {
+    const res = await (await request()).post("/api/auth/oidc/mock/authorize").send({})
+
+    const url = new URL(res.body.data.authorization_url)
+    expect(res.status).toBe(200)
+    expect(url.origin + url.pathname).toBe(`${issuer.issuer}/authorize`)
+    expect(url.searchParams.get("client_id")).toBe(CLIENT_ID)
+    expect(url.searchParams.get("response_type")).toBe("code")
+    expect(url.searchParams.get("code_challenge_method")).toBe("S256")
+    expect(url.searchParams.get("state")).toBe(res.body.data.state)
+    expect(url.searchParams.get("nonce")).toBeTruthy()
+    expect(res.body.data.login_secret).toMatch(/^[0-9a-f]{64}$/)
+    expect(url.toString()).not.toContain(res.body.data.login_secret)
+  })
+
+  it("should return 404 for an unknown provider", async () => {
+    const res = await (await request()).post("/api/auth/oidc/nope/authorize").send({})
+
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe("Unknown identity provider")
+  })
+})
+
+describe("POST /api/auth/oidc/:provider/callback", () => {
+  it("should provision a user on first login and sign in as them afterwards", async () => {
+    const agent = await request()
+    const claims = {
+      sub: "subject-1",
+      email: "ada@example.com",
+      email_verified: true,
+      preferred_username: "ada lovelace",
+    }
+
+    const firstRes = await signinWithIssuer(agent, claims)
+    const secondRes = await signinWithIssuer(agent, claims)
+
+    expect(firstRes.status).toBe(200)
+    expect(firstRes.body.data.username).toBe("adalovelace")
+    expect(firstRes.body.data.access_token).toBeDefined()
+    expect(firstRes.body.data.refresh_token).toBeDefined()
+    expect(secondRes.status).toBe(200)
+    expect(secondRes.body.data.id).toBe(firstRes.body.data.id)
+
+    const meRes = await agent.get("/api/me").set("x-access-token", secondRes.body.data.access_token)
+    expect(meRes.body.data.email).toBe("ada@example.com")
+  })
+
+  it("should link to the local user with the same verified email if the provider is trusted", async () => {
+    const user = await createTestUser({ username: "grace", email: "grace@example.com" })
+
+    const res = await signinWithIssuer(
+      await request(),
+      { sub: "subject-2", email: "grace@example.com", email_verified: true },
+      {},
+      "trusted",
+    )
+
+    const identity = await db("user_identities").where({ subject: "subject-2" }).first()
+    expect(res.status).toBe(200)
+    expect(res.body.data.id).toBe(user.id)
+    expect(identity.user_id).toBe(user.id)
+  })
+
+  it("should refuse a local user's verified email from a provider that is not trusted", async () => {
+    await createTestUser({ username: "grace", email: "grace@example.com" })
+
+    const res = await signinWithIssuer(await request(), {
+      sub: "subject-2",
+      email: "grace@example.com",
+      email_verified: true,
+    })
+
+    expect(res.status).toBe(409)
+    expect(res.body.message).toBe(
+      "An account with this email already exists; sign in to it instead",
+    )
+    expect(await db("user_identities").count("* as count").first()).toEqual({ count: "0" })
+  })
+
+  it("should not link an email the provider has not verified", async () => {
+    const user = await createTestUser({ username: "grace", email: "grace@example.com" })
+
+    const res = await signinWithIssuer(await request(), {
+      sub: "subject-3",
+      email: "grace@example.com",
+      email_verified: false,
+    })
+
+    const provisioned = await db("users").where({ id: res.body.data.id }).first()
+    expect(res.status).toBe(200)
+    expect(res.body.data.id).not.toBe(user.id)
+    expect(res.body.data.username).toMatch(/^grace-\d{4}$/)
+    expect(provisioned.email).toBeNull()
+  })
+
+  it("should accept a login request's state only once", async () => {
+    const agent = await request()
+    const authorizeRes = await agent.post("/api/auth/oidc/mock/authorize").send({})
+    const { authorization_url, login_secret } = authorizeRes.body.data
+    const first = issuer.login(authorization_url, { sub: "subject-4" })
+    const second = issuer.login(authorization_url, { sub: "subject-4" })
+
+    const firstRes = await agent
+      .post("/api/auth/oidc/mock/callback")
+      .send({ ...first, login_secret })
+    const replayRes = await agent
+      .post("/api/auth/oidc/mock/callback")
+      .send({ ...second, login_secret })
+
+    expect(firstRes.status).toBe(200)
+    expect(replayRes.status).toBe(400)
+    expect(replayRes.body.message).toBe("Invalid or expired login request")
+  })
+
+  it("should not complete a login started by another client", async () => {
+    const agent = await request()
+    // the attacker starts a login and signs in at the provider as themselves...
+    const attackerRes = await agent.post("/api/auth/oidc/mock/authorize").send({})
+    const planted = issuer.login(attackerRes.body.data.authorization_url, { sub: "attacker" })
+    // ...then gets the victim's client to call back with that code and state
+    const victimRes = await agent.post("/api/auth/oidc/mock/authorize").send({})
+
+    const res = await agent
+      .post("/api/auth/oidc/mock/callback")
+      .send({ ...planted, login_secret: victimRes.body.data.login_secret })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("Invalid or expired login request")
+    expect(await db("users").count("* as count").first()).toEqual({ count: "0" })
+  })
+
+  it("should reject an ID token with the wrong nonce", async () => {
+    const res = await signinWithIssuer(await request(), { sub: "subject-5" }, { nonce: "forged" })
+
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe("Invalid ID token")
+    expect(await db("user_identities").count("* as count").first()).toEqual({ count: "0" })
+  })
+
+  it("should answer 502 when the provider publishes no usable key for the ID token", async () => {
+    const res = await signinWithIssuer(
+      await request(),
+      { sub: "subject-7" },
+      { keyId: "unusable-key" },
+    )
+
+    expect(res.status).toBe(502)
+    expect(res.body.message).toBe("Identity provider is unavailable")
+  })
+
+  it("should require the second factor for users with 2FA", async () => {
+    const user = await createTestUser({ username: "secure", email: "secure@example.com" })
+    await db("users").where({ id: user.id }).update({ totp_enabled_at: new Date() })
+
+    const res = await signinWithIssuer(
+      await request(),
+      { sub: "subject-6", email: "secure@example.com", email_verified: true },
+      {},
+      "trusted",
+    )
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.two_factor_required).toBe(true)
+    expect(res.body.data.challenge_token).toBeDefined()
+    expect(res.body.data.access_token).toBeUndefined()
+  })
+})
+
+describe("provisioned users", () => {
+  let mailDir
+  let previousTransport
+  let previousDir
+
+  beforeAll(async () => {
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"))
+    previousTransport = process.env.MAIL_TRANSPORT
+    previousDir = process.env.MAIL_FILE_DIR
+    process.env.MAIL_TRANSPORT = "file"
+    process.env.MAIL_FILE_DIR = mailDir
+  })
+
+  afterAll(async () => {
+    process.env.MAIL_TRANSPORT = previousTransport
+    process.env.MAIL_FILE_DIR = previousDir
+    await fs.rm(mailDir, { recursive: true, force: true })
+  })
+
+  it("should set a password through a reset before password-confirmed actions", async () => {
+    const agent = await request()
+    // the provider shares no email, so the account starts without one
+    const signinRes = await signinWithIssuer(agent, { sub: "subject-8" })
+    const headers = { "x-access-token": signinRes.body.data.access_token }
+
+    const refusedRes = await agent.post("/api/me/password").set(headers).send({
+      current_password: "anything",
+      password: "chosenpass123",
+      confirmation_password: "chosenpass123",
+    })
+    await agent.put("/api/me").set(headers).send({ email: "oidc-user@example.com" })
+    await agent
+      .post("/api/auth/email/verify")
+      .send({ token: await readMailedToken("oidc-user@example.com") })
+    await agent.post("/api/auth/password/forgot").send({ email: "oidc-user@example.com" })
+    const resetRes = await agent.post("/api/auth/password/reset").send({
+      token: await readMailedToken("oidc-user@example.com"),
+      password: "chosenpass123",
+      confirmation_password: "chosenpass123",
+    })
+    const passwordSigninRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: signinRes.body.data.username, password: "chosenpass123" })
+    const deleteRes = await agent
+      .delete("/api/me")
+      .set("x-access-token", passwordSigninRes.body.data.access_token)
+      .send({ password: "chosenpass123" })
+
+    expect(signinRes.status).toBe(200)
+    expect(refusedRes.status).toBe(401)
+    expect(resetRes.status).toBe(200)
+    expect(passwordSigninRes.status).toBe(200)
+    expect(deleteRes.status).toBe(200)
+  })
+})
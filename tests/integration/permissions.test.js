@@ -7,6 +7,8 @@
  * - Viewers can read todos (200)
  * - Viewers cannot delete orgs (403)
  * - Users in org A cannot access org B's projects (403)
+ * - Roles with permissions the caller lacks cannot be assigned, invited, or edited (403)
+ * - Members holding permissions the caller lacks cannot be demoted (403)
  * - Deleting an org cascades to all children
  */
 import {
@@ -97,6 +99,112 @@ describe("Cross-Tenant Isolation", () => {
   })
 })
 
+describe("Privilege Escalation", () => {
+  let admin, adminHeaders
+
+  beforeEach(async () => {
+    admin = await createTestUser({ username: "admin" })
+    adminHeaders = await getAuthHeaders(admin.id)
+    await addOrgMember(org.id, admin.id, org.roles.admin)
+  })
+
+  it("admin cannot make a member owner but can assign lesser roles", async () => {
+    const agent = await request()
+
+    const ownerRes = await agent
+      .put(`/api/orgs/${org.id}/members/${member.id}`)
+      .set(adminHeaders)
+      .send({ role_id: org.roles.owner })
+    const viewerRes = await agent
+      .put(`/api/orgs/${org.id}/members/${member.id}`)
+      .set(adminHeaders)
+      .send({ role_id: org.roles.viewer })
+
+    expect(ownerRes.status).toBe(403)
+    expect(ownerRes.body.message).toBe("You cannot grant permissions you do not have")
+    expect(ownerRes.body.data.permissions).toEqual(["org:delete", "org:manage_roles"])
+    expect(viewerRes.status).toBe(200)
+  })
+
+  it("admin cannot demote an owner", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const coOwner = await createTestUser({ username: "coowner" })
+    await addOrgMember(org.id, coOwner.id, org.roles.owner)
+
+    const res = await (await request())
+      .put(`/api/orgs/${org.id}/members/${coOwner.id}`)
+      .set(adminHeaders)
+      .send({ role_id: org.roles.viewer })
+
+    expect(res.status).toBe(403)
+    expect(res.body.data.permissions).toEqual(["org:delete", "org:manage_roles"])
+    const membership = await db("org_members")
+      .where({ org_id: org.id, user_id: coOwner.id })
+      .first()
+    expect(membership.role_id).toBe(org.roles.owner)
+  })
+
+  it("admin cannot invite into the owner role", async () => {
+    const agent = await request()
+    await createTestUser({ username: "newcomer" })
+
+    const orgRes = await agent
+      .post(`/api/orgs/${org.id}/invitations`)
+      .set(adminHeaders)
+      .send({ username: "newcomer", role_id: org.roles.owner })
+    const projectRes = await agent
+      .post(`/api/orgs/${org.id}/projects/${project.id}/invitations`)
+      .set(adminHeaders)
+      .send({ username: "newcomer", role_id: org.roles.owner })
+
+    expect(orgRes.status).toBe(403)
+    expect(orgRes.body.data.permissions).toEqual(["org:delete", "org:manage_roles"])
+    expect(projectRes.status).toBe(403)
+  })
+
+  it("role managers cannot put permissions they lack into a role", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    const permissionIds = Object.fromEntries(
+      (await db("permissions").select("id", "name")).map(({ id, name }) => [name, id]),
+    )
+
+    // a custom role that can manage roles, but not delete the org
+    const managerRoleRes = await agent
+      .post(`/api/orgs/${org.id}/roles`)
+      .set(ownerHeaders)
+      .send({
+        name: "role manager",
+        permission_ids: [permissionIds["org:read"], permissionIds["org:manage_roles"]],
+      })
+    const managerRoleId = managerRoleRes.body.data.id
+    await agent
+      .put(`/api/orgs/${org.id}/members/${member.id}`)
+      .set(ownerHeaders)
+      .send({ role_id: managerRoleId })
+
+    const createRes = await agent
+      .post(`/api/orgs/${org.id}/roles`)
+      .set(memberHeaders)
+      .send({ name: "deleter", permission_ids: [permissionIds["org:delete"]] })
+    const updateRes = await agent
+      .put(`/api/orgs/${org.id}/roles/${managerRoleId}`)
+      .set(memberHeaders)
+      .send({
+        permission_ids: [
+          permissionIds["org:read"],
+          permissionIds["org:manage_roles"],
+          permissionIds["org:delete"],
+        ],
+      })
+
+    expect(createRes.status).toBe(403)
+    expect(createRes.body.data.permissions).toEqual(["org:delete"])
+    expect(updateRes.status).toBe(403)
+    expect(updateRes.body.data.permissions).toEqual(["org:delete"])
+  })
+})
+
 describe("Cascade Deletes", () => {
   it("deleting org removes all projects and todos", async () => {
     const agent = await request()
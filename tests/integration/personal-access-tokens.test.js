@@ -0,0 +1,175 @@
+/**
+ * Integration tests for personal access tokens.
+ * Routes: /api/me/tokens, and org routes authenticated with a token
+ */
+import {
+  request,
+  createTestUser,
+  createTestOrg,
+  getAuthHeaders,
+  cleanAllTables,
+} from "../helpers.js"
+
+let user
+let headers
+let org
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "patuser" })
+  headers = await getAuthHeaders(user.id)
+  org = await createTestOrg(user.id)
+})
+
+const createToken = async (agent, overrides = {}) => {
+  const res = await agent
+    .post("/api/me/tokens")
+    .set(headers)
+    .send({ name: "CI", org_id: org.id, scopes: ["org:read"], ...overrides })
+  return res.body.data
+}
+
+describe("POST /api/me/tokens", () => {
+  it("should return the raw token once and list it without it", async () => {
+    const agent = await request()
+
+    const created = await createToken(agent)
+    const listRes = await agent.get("/api/me/tokens").set(headers)
+
+    expect(created.token).toMatch(/^pat_[0-9a-f]{64}$/)
+    expect(created.scopes).toEqual(["org:read"])
+    expect(listRes.status).toBe(200)
+    expect(listRes.body.data).toHaveLength(1)
+    expect(listRes.body.data[0].id).toBe(created.id)
+    expect(listRes.body.data[0].token).toBeUndefined()
+    expect(listRes.body.data[0].last_used_at).toBeNull()
+  })
+
+  it("should reject unknown scopes", async () => {
+    const agent = await request()
+
+    const res = await agent
+      .post("/api/me/tokens")
+      .set(headers)
+      .send({ name: "CI", org_id: org.id, scopes: ["org:read", "servers:reboot"] })
+
+    expect(res.status).toBe(400)
+  })
+
+  it("should reject an organization the user does not belong to", async () => {
+    const stranger = await createTestUser()
+    const otherOrg = await createTestOrg(stranger.id)
+    const agent = await request()
+
+    const res = await agent
+      .post("/api/me/tokens")
+      .set(headers)
+      .send({ name: "CI", org_id: otherOrg.id, scopes: ["org:read"] })
+
+    expect(res.status).toBe(403)
+  })
+})
+
+describe("authenticating with a personal access token", () => {
+  it("should allow scoped permissions and record the last use", async () => {
+    const agent = await request()
+    const { id, token } = await createToken(agent)
+
+    const res = await agent.get(`/api/orgs/${org.id}`).set("x-access-token", token)
+    const listRes = await agent.get("/api/me/tokens").set(headers)
+
+    expect(res.status).toBe(200)
+    expect(listRes.body.data.find((t) => t.id === id).last_used_at).not.toBeNull()
+  })
+
+  it("should limit permissions to the token's scopes", async () => {
+    const agent = await request()
+    const { token } = await createToken(agent)
+
+    // the user owns the org, but the token is read-only
+    const res = await agent
+      .put(`/api/orgs/${org.id}`)
+      .set("x-access-token", token)
+      .send({ name: "Renamed" })
+
+    expect(res.status).toBe(403)
+  })
+
+  it("should not grant scopes the user lacks", async () => {
+    const owner = await createTestUser()
+    const sharedOrg = await createTestOrg(owner.id)
+    const { default: db } = await import("../../src/config/database.js")
+    await db("org_members").insert({
+      user_id: user.id,
+      org_id: sharedOrg.id,
+      role_id: sharedOrg.roles.viewer,
+    })
+    const agent = await request()
+    const { token } = await createToken(agent, {
+      org_id: sharedOrg.id,
+      scopes: ["org:read", "org:update"],
+    })
+
+    const readRes = await agent.get(`/api/orgs/${sharedOrg.id}`).set("x-access-token", token)
+    const updateRes = await agent
+      .put(`/api/orgs/${sharedOrg.id}`)
+      .set("x-access-token", token)
+      .send({ name: "Renamed" })
+
+    expect(readRes.status).toBe(200)
+    expect(updateRes.status).toBe(403)
+  })
+
+  it("should be confined to its organization", async () => {
+    const agent = await request()
+    const otherOrg = await createTestOrg(user.id)
+    const { token } = await createToken(agent)
+
+    const res = await agent.get(`/api/orgs/${otherOrg.id}`).set("x-access-token", token)
+
+    expect(res.status).toBe(403)
+  })
+
+  it("should not reach account or org-list routes", async () => {
+    const agent = await request()
+    const { token } = await createToken(agent)
+
+    const meRes = await agent.get("/api/me").set("x-access-token", token)
+    const tokensRes = await agent.get("/api/me/tokens").set("x-access-token", token)
+    const orgsRes = await agent.get("/api/orgs").set("x-access-token", token)
+
+    expect(meRes.status).toBe(403)
+    expect(tokensRes.status).toBe(403)
+    expect(orgsRes.status).toBe(403)
+  })
+
+  it("should reject revoked and expired tokens", async () => {
+    const agent = await request()
+    const revoked = await createToken(agent)
+    const expired = await createToken(agent)
+    await agent.delete(`/api/me/tokens/${revoked.id}`).set(headers)
+    const { default: db } = await import("../../src/config/database.js")
+    await db("personal_access_tokens")
+      .where({ id: expired.id })
+      .update({ expires_at: new Date(Date.now() - 1000) })
+
+    const revokedRes = await agent.get(`/api/orgs/${org.id}`).set("x-access-token", revoked.token)
+    const expiredRes = await agent.get(`/api/orgs/${org.id}`).set("x-access-token", expired.token)
+
+    expect(revokedRes.status).toBe(401)
+    expect(expiredRes.status).toBe(401)
+    expect(expiredRes.body.message).toBe("Token expired")
+  })
+})
+
+describe("DELETE /api/me/tokens/:token_id", () => {
+  it("should return 404 for another user's token", async () => {
+    const agent = await request()
+    const { id } = await createToken(agent)
+    const stranger = await createTestUser()
+
+    const res = await agent.delete(`/api/me/tokens/${id}`).set(await getAuthHeaders(stranger.id))
+
+    expect(res.status).toBe(404)
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * Integration tests for project visibility.
+ * Routes: /api/orgs/:org_id/projects, /api/orgs/:org_id/invitations
+ */
+import {
+  request,
+  createTestUser,
+  getAuthHeaders,
+  createTestOrg,
+  createTestProject,
+  addOrgMember,
+  addProjectMember,
+  cleanAllTables,
+} from "../helpers.js"
+
+let owner, admin, member, outsider
+let ownerHeaders, adminHeaders, memberHeaders, outsiderHeaders
+let org, orgProject, privateProject
+
+beforeEach(async () => {
+  await cleanAllTables()
+
+  owner = await createTestUser({ username: "owner" })
+  admin = await createTestUser({ username: "admin" })
+  member = await createTestUser({ username: "member" })
+  outsider = await createTestUser({ username: "outsider" })
+
+  ownerHeaders = await getAuthHeaders(owner.id)
+  adminHeaders = await getAuthHeaders(admin.id)
+  memberHeaders = await getAuthHeaders(member.id)
+  outsiderHeaders = await getAuthHeaders(outsider.id)
+
+  org = await createTestOrg(owner.id)
+  await addOrgMember(org.id, admin.id, org.roles.admin)
+  await addOrgMember(org.id, member.id, org.roles.member)
+  await addOrgMember(org.id, outsider.id, org.roles.member)
+
+  // Created by the admin, so the owner is not a member of the private project
+  orgProject = await createTestProject(org.id, admin.id, org.roles.admin, { name: "Open" })
+  privateProject = await createTestProject(org.id, admin.id, org.roles.admin, {
+    name: "Secret",
+    visibility: "private",
+  })
+  await addProjectMember(privateProject.id, member.id, org.roles.member)
+})
+
+describe("POST /api/orgs/:org_id/projects", () => {
+  it("should default to org visibility and accept private", async () => {
+    const agent = await request()
+
+    const defaultRes = await agent
+      .post(`/api/orgs/${org.id}/projects`)
+      .set(ownerHeaders)
+      .send({ name: "Default" })
+    const privateRes = await agent
+      .post(`/api/orgs/${org.id}/projects`)
+      .set(ownerHeaders)
+      .send({ name: "Hidden", visibility: "private" })
+    const invalidRes = await agent
+      .post(`/api/orgs/${org.id}/projects`)
+      .set(ownerHeaders)
+      .send({ name: "Invalid", visibility: "public" })
+
+    expect(defaultRes.status).toBe(201)
+    expect(defaultRes.body.data.visibility).toBe("org")
+    expect(privateRes.body.data.visibility).toBe("private")
+    expect(invalidRes.status).toBe(400)
+  })
+})
+
+describe("GET /api/orgs/:org_id/projects", () => {
+  it("should hide private projects from org members outside them", async () => {
+    const agent = await request()
+
+    const outsiderRes = await agent.get(`/api/orgs/${org.id}/projects`).set(outsiderHeaders)
+    const memberRes = await agent.get(`/api/orgs/${org.id}/projects`).set(memberHeaders)
+    const ownerRes = await agent.get(`/api/orgs/${org.id}/projects`).set(ownerHeaders)
+
+    expect(outsiderRes.body.data.map((project) => project.name)).toEqual(["Open"])
+    expect(memberRes.body.data.map((project) => project.name)).toEqual(["Open", "Secret"])
+    expect(ownerRes.body.data.map((project) => project.name)).toEqual(["Open", "Secret"])
+  })
+})
+
+describe("Private project access", () => {
+  it("should answer 404 to org members outside the project", async () => {
+    const agent = await request()
+    const basePath = `/api/orgs/${org.id}/projects/${privateProject.id}`
+
+    const outsiderRes = await agent.get(basePath).set(outsiderHeaders)
+    const todosRes = await agent.get(`${basePath}/todos`).set(outsiderHeaders)
+    const openRes = await agent
+      .get(`/api/orgs/${org.id}/projects/${orgProject.id}`)
+      .set(outsiderHeaders)
+    const memberRes = await agent.get(`${basePath}/todos`).set(memberHeaders)
+
+    expect(outsiderRes.status).toBe(404)
+    expect(outsiderRes.body.message).toBe("Project not found")
+    expect(todosRes.status).toBe(404)
+    expect(openRes.status).toBe(200)
+    expect(memberRes.status).toBe(200)
+  })
+
+  it("should let org owners in without a project membership", async () => {
+    const res = await (await request())
+      .get(`/api/orgs/${org.id}/projects/${privateProject.id}`)
+      .set(ownerHeaders)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.visibility).toBe("private")
+  })
+
+  it("should hide a project once it is made private", async () => {
+    const agent = await request()
+
+    const updateRes = await agent
+      .put(`/api/orgs/${org.id}/projects/${orgProject.id}`)
+      .set(adminHeaders)
+      .send({ name: "Open", visibility: "private" })
+    const outsiderRes = await agent
+      .get(`/api/orgs/${org.id}/projects/${orgProject.id}`)
+      .set(outsiderHeaders)
+
+    expect(updateRes.status).toBe(200)
+    expect(updateRes.body.data.visibility).toBe("private")
+    expect(outsiderRes.status).toBe(404)
+  })
+})
+
+describe("GET /api/orgs/:org_id/invitations", () => {
+  it("should hide invitations to private projects from admins outside them", async () => {
+    const agent = await request()
+    const otherAdmin = await createTestUser({ username: "otheradmin" })
+    await addOrgMember(org.id, otherAdmin.id, org.roles.admin)
+    const inviteTo = (path, email) =>
+      agent
+        .post(`/api/orgs/${org.id}${path}/invitations`)
+        .set(adminHeaders)
+        .send({ email, role_id: org.roles.member })
+    await inviteTo("", "org@test.com")
+    await inviteTo(`/projects/${orgProject.id}`, "open@test.com")
+    await inviteTo(`/projects/${privateProject.id}`, "secret@test.com")
+
+    const listEmails = async (headers) => {
+      const res = await agent.get(`/api/orgs/${org.id}/invitations`).set(headers)
+      expect(res.status).toBe(200)
+      return res.body.data.map((invitation) => invitation.invitee_email).toSorted()
+    }
+
+    expect(await listEmails(await getAuthHeaders(otherAdmin.id))).toEqual([
+      "open@test.com",
+      "org@test.com",
+    ])
+    expect(await listEmails(adminHeaders)).toEqual([
+      "open@test.com",
+      "org@test.com",
+      "secret@test.com",
+    ])
+    expect(await listEmails(ownerHeaders)).toEqual([
+      "open@test.com",
+      "org@test.com",
+      "secret@test.com",
+    ])
+  })
+})
@@ -0,0 +1,131 @@
+/**
+ * Integration tests for the security event history.
+ * Routes: /api/me/security-events, /api/admin/users/:user_id/security-events
+ */
+import { request, createTestUser, getAuthHeaders, cleanAllTables } from "../helpers.js"
+
+let user
+let headers
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "audituser" })
+  headers = await getAuthHeaders(user.id)
+})
+
+/**
+ * Signs in with the given password and returns the response.
+ */
+const signin = async (agent, password, requestId) => {
+  const req = agent
+    .post("/api/auth/signin")
+    .set("User-Agent", "audit-tests/1.0")
+    .send({ username: "audituser", password })
+  return requestId ? req.set("x-request-id", requestId) : req
+}
+
+describe("GET /api/me/security-events", () => {
+  it("should record successful and failed signins with request details", async () => {
+    const agent = await request()
+    const signinRes = await signin(agent, user.plainPassword, "good-signin-request")
+    await signin(agent, "wrongpassword", "failed-signin-request")
+
+    const res = await agent
+      .get("/api/me/security-events")
+      .set(headers)
+      .query({ sort_by: "created_at", sort_order: "asc" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(2)
+    expect(res.body.data[0]).toMatchObject({
+      event: "signin",
+      outcome: "success",
+      method: "password",
+      user_agent: "audit-tests/1.0",
+      request_id: signinRes.headers["x-request-id"],
+    })
+    expect(res.body.data[0].ip_address).toBeTruthy()
+    expect(res.body.data[0].session_id).toBeTruthy()
+    expect(res.body.data[1]).toMatchObject({
+      event: "signin",
+      outcome: "failure",
+      method: "password",
+      reason: "invalid_credentials",
+      request_id: "failed-signin-request",
+    })
+  })
+
+  it("should record refreshes, refresh token reuse and logouts", async () => {
+    const agent = await request()
+    const signinRes = await signin(agent, user.plainPassword)
+    const { access_token, refresh_token } = signinRes.body.data
+    await agent.post("/api/auth/refresh").set("x-refresh-token", refresh_token)
+    await agent.post("/api/auth/logout").set("x-access-token", access_token)
+    await agent.post("/api/auth/refresh").set("x-refresh-token", refresh_token)
+
+    const res = await agent
+      .get("/api/me/security-events")
+      .set(headers)
+      .query({ sort_by: "created_at", sort_order: "asc" })
+
+    const sessionId = res.body.data[0].session_id
+    expect(res.body.data.map(({ event, outcome, reason }) => [event, outcome, reason])).toEqual([
+      ["signin", "success", null],
+      ["refresh", "success", null],
+      ["logout", "success", null],
+      ["refresh", "failure", "token_reuse"],
+    ])
+    expect(res.body.data.every((event) => event.session_id === sessionId)).toBe(true)
+  })
+
+  it("should list only the user's own events, paginated", async () => {
+    // the second and third attempts are refused by the signin backoff, which is recorded too
+    const other = await createTestUser({ username: "otheruser" })
+    const agent = await request()
+    await signin(agent, "wrongpassword")
+    await signin(agent, "wrongpassword")
+    await signin(agent, "wrongpassword")
+    await agent.post("/api/auth/signin").send({ username: "otheruser", password: "wrongpassword" })
+
+    const res = await agent.get("/api/me/security-events").set(headers).query({ limit: 2 })
+    const otherRes = await agent.get("/api/me/security-events").set(await getAuthHeaders(other.id))
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(2)
+    expect(res.body.pagination.total_items).toBe(3)
+    expect(res.body.pagination.has_next_page).toBe(true)
+    expect(otherRes.body.pagination.total_items).toBe(1)
+  })
+})
+
+describe("GET /api/admin/users/:user_id/security-events", () => {
+  it("should let platform admins read any user's history", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const admin = await createTestUser({ username: "platformadmin" })
+    await db("users").where({ id: admin.id }).update({ is_platform_admin: true })
+    const agent = await request()
+    await signin(agent, "wrongpassword")
+
+    const res = await agent
+      .get(`/api/admin/users/${user.id}/security-events`)
+      .set(await getAuthHeaders(admin.id))
+    const missingRes = await agent
+      .get("/api/admin/users/00000000-0000-4000-8000-000000000000/security-events")
+      .set(await getAuthHeaders(admin.id))
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toHaveLength(1)
+    expect(res.body.data[0].user_id).toBe(user.id)
+    expect(missingRes.status).toBe(404)
+    expect(missingRes.body.message).toBe("User not found")
+  })
+
+  it("should refuse users who are not platform admins", async () => {
+    const res = await (await request())
+      .get(`/api/admin/users/${user.id}/security-events`)
+      .set(headers)
+
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe("Platform admin access required")
+  })
+})
@@ -0,0 +1,223 @@
+/**
+ * Integration tests for user and org member suspension.
+ * Routes: /api/auth/signin, /api/auth/refresh, /api/me, /api/orgs/:org_id/members/:user_id/suspend
+ */
+import {
+  request,
+  createTestUser,
+  createTestOrg,
+  addOrgMember,
+  getAuthHeaders,
+  cleanAllTables,
+} from "../helpers.js"
+
+let user
+let headers
+
+/**
+ * Suspends a user directly, leaving their tokens in place to prove they are refused anyway.
+ */
+const suspend = async (userId) => {
+  const { default: db } = await import("../../src/config/database.js")
+  await db("users")
+    .where({ id: userId })
+    .update({ suspended_at: new Date(), suspension_reason: "Abuse" })
+}
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "suspect" })
+  headers = await getAuthHeaders(user.id)
+})
+
+describe("suspended users", () => {
+  it("should refuse signin only once the password is correct", async () => {
+    await suspend(user.id)
+    const agent = await request()
+
+    const res = await agent
+      .post("/api/auth/signin")
+      .send({ username: "suspect", password: user.plainPassword })
+    const wrongRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "suspect", password: "wrongpassword" })
+
+    expect(wrongRes.status).toBe(401)
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe("Account suspended")
+    expect(res.body.data?.access_token).toBeUndefined()
+  })
+
+  it("should refuse their access tokens, refresh tokens and personal access tokens", async () => {
+    const org = await createTestOrg(user.id)
+    const agent = await request()
+    const patRes = await agent
+      .post("/api/me/tokens")
+      .set(headers)
+      .send({ name: "CI", org_id: org.id, scopes: ["org:read"] })
+    await suspend(user.id)
+
+    const meRes = await agent.get("/api/me").set(headers)
+    const refreshRes = await agent
+      .post("/api/auth/refresh")
+      .set("x-refresh-token", headers["x-refresh-token"])
+    const orgRes = await agent
+      .get(`/api/orgs/${org.id}`)
+      .set("x-access-token", patRes.body.data.token)
+
+    for (const res of [meRes, refreshRes, orgRes]) {
+      expect(res.status).toBe(403)
+      expect(res.body.message).toBe("Account suspended")
+    }
+  })
+
+  it("should record refused signins as security events", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    await suspend(user.id)
+
+    await (await request())
+      .post("/api/auth/signin")
+      .send({ username: "suspect", password: user.plainPassword })
+
+    const event = await db("security_events").where({ user_id: user.id }).first()
+    expect(event).toMatchObject({ event: "signin", outcome: "failure", reason: "suspended" })
+  })
+})
+
+describe("POST /api/orgs/:org_id/members/:user_id/suspend", () => {
+  let owner
+  let ownerHeaders
+  let org
+
+  beforeEach(async () => {
+    owner = await createTestUser({ username: "orgowner" })
+    ownerHeaders = await getAuthHeaders(owner.id)
+    org = await createTestOrg(owner.id)
+    await addOrgMember(org.id, user.id, org.roles.member)
+  })
+
+  it("should lock a member out of the organization until unsuspended", async () => {
+    const otherOrg = await createTestOrg(user.id)
+    const agent = await request()
+
+    const res = await agent
+      .post(`/api/orgs/${org.id}/members/${user.id}/suspend`)
+      .set(ownerHeaders)
+      .send({ reason: "Leaked customer data" })
+    const orgRes = await agent.get(`/api/orgs/${org.id}`).set(headers)
+    const otherOrgRes = await agent.get(`/api/orgs/${otherOrg.id}`).set(headers)
+    const membersRes = await agent.get(`/api/orgs/${org.id}/members`).set(ownerHeaders)
+
+    expect(res.status).toBe(200)
+    expect(orgRes.status).toBe(403)
+    expect(orgRes.body.message).toBe("Your membership in this organization is suspended")
+    expect(otherOrgRes.status).toBe(200)
+    expect(membersRes.body.data.find((m) => m.user_id === user.id)).toMatchObject({
+      suspension_reason: "Leaked customer data",
+    })
+
+    const unsuspendRes = await agent
+      .post(`/api/orgs/${org.id}/members/${user.id}/unsuspend`)
+      .set(ownerHeaders)
+    const restoredRes = await agent.get(`/api/orgs/${org.id}`).set(headers)
+
+    expect(unsuspendRes.status).toBe(200)
+    expect(restoredRes.status).toBe(200)
+  })
+
+  it("should only let owners suspend, and never other owners or themselves", async () => {
+    const admin = await createTestUser({ username: "orgadmin" })
+    const coOwner = await createTestUser({ username: "coowner" })
+    await addOrgMember(org.id, admin.id, org.roles.admin)
+    await addOrgMember(org.id, coOwner.id, org.roles.owner)
+    const agent = await request()
+
+    const adminRes = await agent
+      .post(`/api/orgs/${org.id}/members/${user.id}/suspend`)
+      .set(await getAuthHeaders(admin.id))
+      .send({ reason: "Spam" })
+    const ownerRes = await agent
+      .post(`/api/orgs/${org.id}/members/${coOwner.id}/suspend`)
+      .set(ownerHeaders)
+      .send({ reason: "Spam" })
+    const selfRes = await agent
+      .post(`/api/orgs/${org.id}/members/${owner.id}/suspend`)
+      .set(ownerHeaders)
+      .send({ reason: "Spam" })
+
+    expect(adminRes.status).toBe(403)
+    expect(adminRes.body.message).toBe("Only organization owners can suspend members")
+    expect(ownerRes.status).toBe(400)
+    expect(ownerRes.body.message).toBe("Owners cannot be suspended")
+    expect(selfRes.status).toBe(400)
+  })
+
+  it("should not make a suspended member an owner", async () => {
+    const agent = await request()
+    await agent
+      .post(`/api/orgs/${org.id}/members/${user.id}/suspend`)
+      .set(ownerHeaders)
+      .send({ reason: "Spam" })
+
+    const ownerRes = await agent
+      .put(`/api/orgs/${org.id}/members/${user.id}`)
+      .set(ownerHeaders)
+      .send({ role_id: org.roles.owner })
+    const viewerRes = await agent
+      .put(`/api/orgs/${org.id}/members/${user.id}`)
+      .set(ownerHeaders)
+      .send({ role_id: org.roles.viewer })
+
+    expect(ownerRes.status).toBe(400)
+    expect(ownerRes.body.message).toBe("Suspended members cannot be made owners")
+    expect(viewerRes.status).toBe(200)
+  })
+
+  it("should not count suspended owners towards the last owner", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const steward = await createTestUser({ username: "steward" })
+    await addOrgMember(org.id, steward.id, org.roles.admin)
+    const agent = await request()
+    // a custom role holding every permission, so its member may change an owner's role
+    const permissions = await db("permissions").select("id")
+    const roleRes = await agent
+      .post(`/api/orgs/${org.id}/roles`)
+      .set(ownerHeaders)
+      .send({ name: "steward", permission_ids: permissions.map((permission) => permission.id) })
+    await agent
+      .put(`/api/orgs/${org.id}/members/${steward.id}`)
+      .set(ownerHeaders)
+      .send({ role_id: roleRes.body.data.id })
+    // an owner suspended before owners were protected from suspension
+    await db("org_members")
+      .where({ org_id: org.id, user_id: user.id })
+      .update({ role_id: org.roles.owner, suspended_at: new Date(), suspension_reason: "Spam" })
+    const stewardHeaders = await getAuthHeaders(steward.id)
+
+    const demoteRes = await agent
+      .put(`/api/orgs/${org.id}/members/${owner.id}`)
+      .set(stewardHeaders)
+      .send({ role_id: org.roles.member })
+    const removeRes = await agent
+      .delete(`/api/orgs/${org.id}/members/${owner.id}`)
+      .set(stewardHeaders)
+
+    expect(demoteRes.status).toBe(400)
+    expect(demoteRes.body.message).toBe("Cannot change role of the last owner")
+    expect(removeRes.status).toBe(400)
+    expect(removeRes.body.message).toBe("Cannot remove the last owner")
+  })
+
+  it("should not reach members of other organizations", async () => {
+    const outsider = await createTestUser({ username: "outsider" })
+    await createTestOrg(outsider.id)
+
+    const res = await (await request())
+      .post(`/api/orgs/${org.id}/members/${outsider.id}/suspend`)
+      .set(ownerHeaders)
+      .send({ reason: "Spam" })
+
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe("User is not a member of this organization")
+  })
+})
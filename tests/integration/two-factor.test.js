@@ -0,0 +1,205 @@
+/**
+ * Integration tests for TOTP two-factor authentication.
+ * Routes: /api/me/2fa, /api/auth/signin/2fa
+ */
+import jwt from "jsonwebtoken"
+import { request, createTestUser, getAuthHeaders, cleanAllTables } from "../helpers.js"
+import { generateTotp } from "../../src/utils/totp.js"
+
+let user
+let headers
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "totpuser" })
+  headers = await getAuthHeaders(user.id)
+})
+
+/**
+ * A valid code for the next time step. The current step's code is used up by
+ * enrollment, and codes are only accepted once per step.
+ */
+const nextCode = (secret) => generateTotp(secret, Math.floor(Date.now() / 1000 / 30) + 1)
+
+const enableTwoFactor = async (agent) => {
+  const enrollRes = await agent
+    .post("/api/me/2fa/enroll")
+    .set(headers)
+    .send({ password: "testpassword123" })
+  const { secret } = enrollRes.body.data
+  const confirmRes = await agent
+    .post("/api/me/2fa/confirm")
+    .set(headers)
+    .send({ code: generateTotp(secret) })
+  return { secret, recoveryCodes: confirmRes.body.data.recovery_codes }
+}
+
+const signin = (agent) => {
+  return agent.post("/api/auth/signin").send({ username: "totpuser", password: "testpassword123" })
+}
+
+describe("POST /api/me/2fa/enroll", () => {
+  it("should return a secret and otpauth URI", async () => {
+    const res = await (await request())
+      .post("/api/me/2fa/enroll")
+      .set(headers)
+      .send({ password: "testpassword123" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.secret).toMatch(/^[A-Z2-7]+$/)
+    expect(res.body.data.otpauth_uri).toContain(`secret=${res.body.data.secret}`)
+  })
+
+  it("should require the current password", async () => {
+    const res = await (await request())
+      .post("/api/me/2fa/enroll")
+      .set(headers)
+      .send({ password: "wrongpassword" })
+
+    expect(res.status).toBe(401)
+  })
+})
+
+describe("POST /api/me/2fa/confirm", () => {
+  it("should enable 2FA and return recovery codes", async () => {
+    const { recoveryCodes } = await enableTwoFactor(await request())
+
+    expect(recoveryCodes).toHaveLength(10)
+  })
+
+  it("should reject a wrong code", async () => {
+    const agent = await request()
+    await agent.post("/api/me/2fa/enroll").set(headers).send({ password: "testpassword123" })
+
+    const res = await agent.post("/api/me/2fa/confirm").set(headers).send({ code: "000000" })
+
+    expect(res.status).toBe(400)
+  })
+})
+
+describe("POST /api/auth/signin/2fa", () => {
+  it("should require a second factor once 2FA is enabled", async () => {
+    const agent = await request()
+    const { secret } = await enableTwoFactor(agent)
+
+    const signinRes = await signin(agent)
+    expect(signinRes.status).toBe(200)
+    expect(signinRes.body.data.two_factor_required).toBe(true)
+    expect(signinRes.body.data.two_factor_methods).toEqual(["totp"])
+    expect(signinRes.body.data.access_token).toBeUndefined()
+
+    const res = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: signinRes.body.data.challenge_token, code: nextCode(secret) })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeDefined()
+    expect(res.body.data.refresh_token).toBeDefined()
+  })
+
+  it("should not accept the same code twice", async () => {
+    const agent = await request()
+    const { secret } = await enableTwoFactor(agent)
+    const code = nextCode(secret)
+
+    const first = await signin(agent)
+    await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: first.body.data.challenge_token, code })
+    const second = await signin(agent)
+    const res = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: second.body.data.challenge_token, code })
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should accept each recovery code once", async () => {
+    const agent = await request()
+    const { recoveryCodes } = await enableTwoFactor(agent)
+
+    const first = await signin(agent)
+    const firstRes = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: first.body.data.challenge_token, recovery_code: recoveryCodes[0] })
+    expect(firstRes.status).toBe(200)
+
+    const second = await signin(agent)
+    const secondRes = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: second.body.data.challenge_token, recovery_code: recoveryCodes[0] })
+    expect(secondRes.status).toBe(401)
+  })
+
+  it("should complete only one signin per challenge token", async () => {
+    const agent = await request()
+    const { recoveryCodes } = await enableTwoFactor(agent)
+    const signinRes = await signin(agent)
+    const challengeToken = signinRes.body.data.challenge_token
+
+    const firstRes = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: challengeToken, recovery_code: recoveryCodes[0] })
+    const secondRes = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: challengeToken, recovery_code: recoveryCodes[1] })
+
+    expect(firstRes.status).toBe(200)
+    expect(secondRes.status).toBe(401)
+    expect(secondRes.body.message).toBe("Invalid or expired challenge token")
+  })
+
+  it("should not accept a challenge token as an access token", async () => {
+    const agent = await request()
+    await enableTwoFactor(agent)
+    const signinRes = await signin(agent)
+
+    const res = await agent
+      .get("/api/me")
+      .set("x-access-token", signinRes.body.data.challenge_token)
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should only accept challenge tokens issued for the 2FA audience", async () => {
+    const agent = await request()
+    const { secret } = await enableTwoFactor(agent)
+    const signinRes = await signin(agent)
+    // right type and key, but the audience of an access token
+    const forged = jwt.sign(
+      { id: user.id, type: "2fa_challenge" },
+      process.env.ACCESS_TOKEN_SECRET,
+      {
+        expiresIn: "5m",
+        issuer: process.env.JWT_ISSUER,
+        audience: process.env.JWT_AUDIENCE,
+      },
+    )
+
+    const res = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: forged, code: nextCode(secret) })
+
+    expect(jwt.decode(signinRes.body.data.challenge_token).aud).toBe(
+      `${process.env.JWT_AUDIENCE}:2fa`,
+    )
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe("Invalid or expired challenge token")
+  })
+})
+
+describe("POST /api/me/2fa/disable", () => {
+  it("should turn 2FA off so signin returns tokens directly", async () => {
+    const agent = await request()
+    const { secret } = await enableTwoFactor(agent)
+
+    const res = await agent
+      .post("/api/me/2fa/disable")
+      .set(headers)
+      .send({ password: "testpassword123", code: nextCode(secret) })
+    expect(res.status).toBe(200)
+
+    const signinRes = await signin(agent)
+    expect(signinRes.body.data.access_token).toBeDefined()
+  })
+})
@@ -0,0 +1,351 @@
+/**
+ * Integration tests for WebAuthn passkeys, using a software authenticator.
+ * Routes: /api/auth/webauthn/register, /api/auth/webauthn/authenticate,
+ * /api/auth/webauthn/2fa, /api/auth/webauthn/credentials
+ */
+import { request, createTestUser, getAuthHeaders, cleanAllTables } from "../helpers.js"
+import { createSoftwareAuthenticator } from "../software-authenticator.js"
+import { generateTotp } from "../../src/utils/totp.js"
+
+// APP_URL is left at its default in tests, so this is the relying party
+const ORIGIN = "http://localhost:8080"
+
+let user
+let headers
+let authenticator
+
+beforeEach(async () => {
+  await cleanAllTables()
+  user = await createTestUser({ username: "passkeyuser" })
+  headers = await getAuthHeaders(user.id)
+  authenticator = createSoftwareAuthenticator({ origin: ORIGIN })
+})
+
+/**
+ * Runs a registration ceremony and returns the response of the final step.
+ * Registers for the current user unless another owner and authenticator are given.
+ */
+const registerPasskey = async (
+  agent,
+  { device = authenticator, owner = user, ownerHeaders = headers, ...behaviour } = {},
+) => {
+  const optionsRes = await agent
+    .post("/api/auth/webauthn/register/options")
+    .set(ownerHeaders)
+    .send({ password: owner.plainPassword })
+  return agent
+    .post("/api/auth/webauthn/register")
+    .set(ownerHeaders)
+    .send({
+      name: "Laptop",
+      credential: device.createCredential(optionsRes.body.data, behaviour),
+    })
+}
+
+/**
+ * Runs a passwordless signin ceremony and returns the response of the final step.
+ */
+const signinWithPasskey = async (agent, behaviour) => {
+  const optionsRes = await agent
+    .post("/api/auth/webauthn/authenticate/options")
+    .send({ device_name: "Passkey laptop" })
+  return agent
+    .post("/api/auth/webauthn/authenticate")
+    .send({ credential: authenticator.getAssertion(optionsRes.body.data, behaviour) })
+}
+
+describe("POST /api/auth/webauthn/register", () => {
+  it("should store a passkey and offer registration options for it", async () => {
+    const agent = await request()
+    const optionsRes = await agent
+      .post("/api/auth/webauthn/register/options")
+      .set(headers)
+      .send({ password: user.plainPassword })
+    const res = await agent
+      .post("/api/auth/webauthn/register")
+      .set(headers)
+      .send({ name: "Laptop", credential: authenticator.createCredential(optionsRes.body.data) })
+    const listRes = await agent.get("/api/auth/webauthn/credentials").set(headers)
+
+    expect(optionsRes.status).toBe(200)
+    expect(optionsRes.body.data).toMatchObject({
+      rp: { id: "localhost" },
+      user: { name: "passkeyuser" },
+      attestation: "none",
+      authenticatorSelection: { residentKey: "required", userVerification: "required" },
+    })
+    expect(res.status).toBe(201)
+    expect(res.body.data).toMatchObject({ user_id: user.id, name: "Laptop", last_used_at: null })
+    expect(res.body.data.public_key).toBeUndefined()
+    expect(listRes.body.data).toHaveLength(1)
+  })
+
+  it("should require the current password to start", async () => {
+    const res = await (await request())
+      .post("/api/auth/webauthn/register/options")
+      .set(headers)
+      .send({ password: "wrongpassword" })
+
+    expect(res.status).toBe(401)
+  })
+
+  it("should reject credentials for another relying party and replayed challenges", async () => {
+    const agent = await request()
+    const optionsRes = await agent
+      .post("/api/auth/webauthn/register/options")
+      .set(headers)
+      .send({ password: user.plainPassword })
+    const options = optionsRes.body.data
+
+    const wrongRpRes = await agent
+      .post("/api/auth/webauthn/register")
+      .set(headers)
+      .send({ credential: authenticator.createCredential(options, { rpId: "evil.example" }) })
+    const replayRes = await agent
+      .post("/api/auth/webauthn/register")
+      .set(headers)
+      .send({ credential: authenticator.createCredential(options) })
+
+    expect(wrongRpRes.status).toBe(400)
+    expect(wrongRpRes.body.message).toBe("Invalid passkey registration")
+    expect(replayRes.status).toBe(400)
+    expect(replayRes.body.message).toBe("Invalid or expired challenge")
+  })
+})
+
+describe("POST /api/auth/webauthn/authenticate", () => {
+  it("should sign in without a password and return the usual token pair", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    await registerPasskey(agent)
+
+    const res = await signinWithPasskey(agent)
+    const meRes = await agent.get("/api/me").set("x-access-token", res.body.data.access_token)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({ id: user.id, username: "passkeyuser" })
+    expect(res.body.data.refresh_token).toBeTruthy()
+    expect(meRes.status).toBe(200)
+
+    const credential = await db("webauthn_credentials").where({ user_id: user.id }).first()
+    expect(Number(credential.sign_count)).toBe(1)
+    expect(credential.last_used_at).toBeTruthy()
+    const session = await db("sessions")
+      .where({ user_id: user.id })
+      .orderBy("created_at", "desc")
+      .first()
+    expect(session.device_name).toBe("Passkey laptop")
+    const event = await db("security_events").where({ user_id: user.id }).first()
+    expect(event).toMatchObject({ event: "signin", outcome: "success", method: "webauthn" })
+  })
+
+  it("should refuse a cloned authenticator whose sign counter went back", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    await registerPasskey(agent)
+    await signinWithPasskey(agent)
+    authenticator.credentials[0].signCount = 0
+
+    const res = await signinWithPasskey(agent)
+
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe("Invalid passkey")
+    const event = await db("security_events")
+      .where({ user_id: user.id, outcome: "failure" })
+      .first()
+    expect(event).toMatchObject({ method: "webauthn", reason: "sign_count_mismatch" })
+  })
+
+  it("should require user verification and a challenge the server issued", async () => {
+    const agent = await request()
+    await registerPasskey(agent)
+
+    const unverifiedRes = await signinWithPasskey(agent, { userVerified: false })
+    const forgedRes = await signinWithPasskey(agent, { challenge: "Zm9yZ2VkLWNoYWxsZW5nZQ" })
+
+    expect(unverifiedRes.status).toBe(401)
+    expect(unverifiedRes.body.message).toBe("Invalid passkey")
+    expect(forgedRes.status).toBe(401)
+    expect(forgedRes.body.message).toBe("Invalid or expired challenge")
+  })
+
+  it("should refuse suspended users", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const agent = await request()
+    await registerPasskey(agent)
+    await db("users").where({ id: user.id }).update({ suspended_at: new Date() })
+
+    const res = await signinWithPasskey(agent)
+
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe("Account suspended")
+  })
+})
+
+describe("POST /api/auth/webauthn/2fa", () => {
+  /**
+   * Enables 2FA for the user and signs in with their password, returning the challenge token.
+   */
+  const startTwoFactorSignin = async (agent) => {
+    const { default: db } = await import("../../src/config/database.js")
+    await db("users").where({ id: user.id }).update({ totp_enabled_at: new Date() })
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "passkeyuser", password: user.plainPassword })
+    return signinRes.body.data.challenge_token
+  }
+
+  it("should accept a passkey in place of a TOTP code", async () => {
+    const agent = await request()
+    await registerPasskey(agent)
+    const challengeToken = await startTwoFactorSignin(agent)
+
+    const optionsRes = await agent
+      .post("/api/auth/webauthn/2fa/options")
+      .send({ challenge_token: challengeToken })
+    const res = await agent.post("/api/auth/webauthn/2fa").send({
+      challenge_token: challengeToken,
+      credential: authenticator.getAssertion(optionsRes.body.data, { userVerified: false }),
+    })
+
+    expect(optionsRes.status).toBe(200)
+    expect(optionsRes.body.data.allowCredentials).toEqual([
+      { type: "public-key", id: authenticator.credentials[0].id.toString("base64url") },
+    ])
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeTruthy()
+    expect(res.body.data.refresh_token).toBeTruthy()
+  })
+
+  it("should ask for a passkey at password signin once one is registered", async () => {
+    const agent = await request()
+    await registerPasskey(agent)
+
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "passkeyuser", password: user.plainPassword })
+    const challengeToken = signinRes.body.data.challenge_token
+    const totpRes = await agent
+      .post("/api/auth/signin/2fa")
+      .send({ challenge_token: challengeToken, code: "123456" })
+    const optionsRes = await agent
+      .post("/api/auth/webauthn/2fa/options")
+      .send({ challenge_token: challengeToken })
+    const res = await agent.post("/api/auth/webauthn/2fa").send({
+      challenge_token: challengeToken,
+      credential: authenticator.getAssertion(optionsRes.body.data, { userVerified: false }),
+    })
+
+    expect(signinRes.status).toBe(200)
+    expect(signinRes.body.data.two_factor_required).toBe(true)
+    expect(signinRes.body.data.two_factor_methods).toEqual(["passkey"])
+    expect(signinRes.body.data.access_token).toBeUndefined()
+    expect(totpRes.status).toBe(401)
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeTruthy()
+  })
+
+  it("should refuse another user's passkey", async () => {
+    const { default: db } = await import("../../src/config/database.js")
+    const attacker = await createTestUser({ username: "attacker" })
+    const attackerDevice = createSoftwareAuthenticator({ origin: ORIGIN })
+    const agent = await request()
+    await registerPasskey(agent)
+    await registerPasskey(agent, {
+      device: attackerDevice,
+      owner: attacker,
+      ownerHeaders: await getAuthHeaders(attacker.id),
+    })
+    const challengeToken = await startTwoFactorSignin(agent)
+
+    const optionsRes = await agent
+      .post("/api/auth/webauthn/2fa/options")
+      .send({ challenge_token: challengeToken })
+    const res = await agent.post("/api/auth/webauthn/2fa").send({
+      challenge_token: challengeToken,
+      credential: attackerDevice.getAssertion({ ...optionsRes.body.data, allowCredentials: [] }),
+    })
+
+    expect(res.status).toBe(401)
+    expect(res.body.message).toBe("Invalid passkey")
+    const lockout = await db("users").where({ id: user.id }).first()
+    expect(lockout.failed_signin_count).toBe(1)
+  })
+
+  it("should accept a passkey for a challenge that outlived TOTP, and only once", async () => {
+    const agent = await request()
+    await registerPasskey(agent)
+    const enrollRes = await agent
+      .post("/api/me/2fa/enroll")
+      .set(headers)
+      .send({ password: user.plainPassword })
+    const confirmRes = await agent
+      .post("/api/me/2fa/confirm")
+      .set(headers)
+      .send({ code: generateTotp(enrollRes.body.data.secret) })
+    const signinRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "passkeyuser", password: user.plainPassword })
+    const challengeToken = signinRes.body.data.challenge_token
+    const disableRes = await agent
+      .post("/api/me/2fa/disable")
+      .set(headers)
+      .send({ password: user.plainPassword, recovery_code: confirmRes.body.data.recovery_codes[0] })
+
+    const completeWithPasskey = async () => {
+      const optionsRes = await agent
+        .post("/api/auth/webauthn/2fa/options")
+        .send({ challenge_token: challengeToken })
+      return agent.post("/api/auth/webauthn/2fa").send({
+        challenge_token: challengeToken,
+        credential: authenticator.getAssertion(optionsRes.body.data, { userVerified: false }),
+      })
+    }
+    const res = await completeWithPasskey()
+    const reuseRes = await completeWithPasskey()
+
+    expect(disableRes.status).toBe(200)
+    expect(res.status).toBe(200)
+    expect(res.body.data.access_token).toBeTruthy()
+    expect(reuseRes.status).toBe(401)
+    expect(reuseRes.body.message).toBe("Invalid or expired challenge token")
+  })
+
+  it("should need a registered passkey", async () => {
+    const agent = await request()
+    const challengeToken = await startTwoFactorSignin(agent)
+
+    const res = await agent
+      .post("/api/auth/webauthn/2fa/options")
+      .send({ challenge_token: challengeToken })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("No passkeys registered")
+  })
+})
+
+describe("DELETE /api/auth/webauthn/credentials/:credential_id", () => {
+  it("should remove a passkey so it can no longer sign in", async () => {
+    const agent = await request()
+    const registerRes = await registerPasskey(agent)
+    const other = await createTestUser({ username: "stranger" })
+
+    const strangerRes = await agent
+      .delete(`/api/auth/webauthn/credentials/${registerRes.body.data.id}`)
+      .set(await getAuthHeaders(other.id))
+    const res = await agent
+      .delete(`/api/auth/webauthn/credentials/${registerRes.body.data.id}`)
+      .set(headers)
+    const signinRes = await signinWithPasskey(agent)
+    const passwordRes = await agent
+      .post("/api/auth/signin")
+      .send({ username: "passkeyuser", password: user.plainPassword })
+
+    expect(strangerRes.status).toBe(404)
+    expect(strangerRes.body.message).toBe("Passkey not found")
+    expect(res.status).toBe(200)
+    expect(signinRes.status).toBe(401)
+    expect(passwordRes.body.data.two_factor_required).toBeUndefined()
+    expect(passwordRes.body.data.access_token).toBeTruthy()
+  })
+})
@@ -0,0 +1,137 @@
+/**
+ * A minimal OpenID Connect issuer for integration tests.
+ *
+ * Serves discovery, a JWKS, and a token endpoint that checks PKCE and returns
+ * RS256 ID tokens. There is no login UI — tests call `login()` with the
+ * authorization URL the API produced and the claims the "user" should have,
+ * and get back the code the provider would redirect with.
+ *
+ * @module tests/mock-oidc-issuer
+ */
+import crypto from "node:crypto"
+import http from "node:http"
+import jwt from "jsonwebtoken"
+
+const KEY_ID = "mock-key"
+
+// Published next to the real key; Node cannot parse it, so the API has to skip it
+const UNUSABLE_JWK = { kty: "EC", crv: "P-999", x: "AA", y: "AA", kid: "unusable-key", use: "sig" }
+
+/**
+ * Reads a form-encoded request body.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<URLSearchParams>}
+ */
+const readForm = async (req) => {
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(chunk)
+  }
+  return new URLSearchParams(Buffer.concat(chunks).toString())
+}
+
+/**
+ * Writes a JSON response.
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Starts a mock issuer on a random local port.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - The only client the issuer accepts
+ * @returns {Promise<{ issuer: string, login: Function, close: Function }>}
+ */
+export async function startMockOidcIssuer({ clientId }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" }
+  const codes = new Map()
+  let issuer
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "GET" && req.url === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+      })
+    }
+    if (req.method === "GET" && req.url === "/jwks") {
+      return sendJson(res, 200, { keys: [UNUSABLE_JWK, jwk] })
+    }
+    if (req.method === "POST" && req.url === "/token") {
+      const form = await readForm(req)
+      const grant = codes.get(form.get("code"))
+      codes.delete(form.get("code"))
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.get("code_verifier") ?? "")
+        .digest("base64url")
+      if (
+        !grant ||
+        form.get("grant_type") !== "authorization_code" ||
+        form.get("client_id") !== grant.clientId ||
+        form.get("redirect_uri") !== grant.redirectUri ||
+        challenge !== grant.codeChallenge
+      ) {
+        return sendJson(res, 400, { error: "invalid_grant" })
+      }
+
+      const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+        algorithm: "RS256",
+        keyid: grant.keyId ?? KEY_ID,
+        issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      })
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString("hex"),
+        token_type: "Bearer",
+        id_token: idToken,
+      })
+    }
+    return sendJson(res, 404, { error: "not_found" })
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  issuer = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    issuer,
+
+    /**
+     * Signs a user in at the issuer, as if they completed the provider's login page.
+     *
+     * @param {string} authorizationUrl - URL returned by the authorize endpoint
+     * @param {Object} claims - ID token claims for the user (at least `sub`)
+     * @param {Object} [overrides] - Values that replace the request's (e.g., `nonce`, or `keyId` for the ID token header)
+     * @returns {{ code: string, state: string }} What the provider redirects back with
+     */
+    login(authorizationUrl, claims, overrides = {}) {
+      const params = new URL(authorizationUrl).searchParams
+      const code = crypto.randomBytes(16).toString("hex")
+      codes.set(code, {
+        clientId: params.get("client_id"),
+        redirectUri: params.get("redirect_uri"),
+        codeChallenge: params.get("code_challenge"),
+        nonce: params.get("nonce"),
+        claims,
+        ...overrides,
+      })
+      return { code, state: params.get("state") }
+    },
+
+    close() {
+      // fetch keeps connections alive, which would hold close() open
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * A software WebAuthn authenticator for integration tests.
+ *
+ * Plays the part of the browser and a platform authenticator together: it
+ * turns the options the API returns into the PublicKeyCredential JSON a
+ * client would post back, with "none" attestation and ES256 keys. Every
+ * credential is discoverable, and its sign counter can be changed to
+ * imitate a cloned authenticator.
+ *
+ * @module tests/software-authenticator
+ */
+import crypto from "node:crypto"
+
+/**
+ * Encodes a CBOR head: major type plus length or value.
+ */
+const encodeHead = (majorType, value) => {
+  if (value < 24) {
+    return Buffer.from([(majorType << 5) | value])
+  }
+  if (value < 0x100) {
+    return Buffer.from([(majorType << 5) | 24, value])
+  }
+  if (value < 0x10000) {
+    const head = Buffer.alloc(3)
+    head[0] = (majorType << 5) | 25
+    head.writeUInt16BE(value, 1)
+    return head
+  }
+  const head = Buffer.alloc(5)
+  head[0] = (majorType << 5) | 26
+  head.writeUInt32BE(value, 1)
+  return head
+}
+
+/**
+ * Encodes integers, byte and text strings, arrays, and maps (`Map` or plain
+ * objects) as CBOR — enough for attestation objects and COSE keys.
+ *
+ * @param {*} value
+ * @returns {Buffer}
+ */
+export const encodeCbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value)
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value])
+  }
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8")
+    return Buffer.concat([encodeHead(3, bytes.length), bytes])
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)])
+  }
+  const entries = value instanceof Map ? [...value] : Object.entries(value)
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ])
+}
+
+/**
+ * Creates an authenticator that signs for the given origin.
+ *
+ * @param {Object} options
+ * @param {string} options.origin - Origin written into the client data
+ * @returns {{ credentials: Object[], createCredential: Function, getAssertion: Function }}
+ */
+export function createSoftwareAuthenticator({ origin }) {
+  const credentials = []
+
+  const clientDataFor = (type, challenge) => {
+    return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }))
+  }
+
+  const authenticatorData = (rpId, { userVerified, signCount, attestedCredential }) => {
+    const header = Buffer.alloc(37)
+    crypto.createHash("sha256").update(rpId).digest().copy(header, 0)
+    // user present, optionally user verified, attested credential data when registering
+    header[32] = 0x01 | (userVerified ? 0x04 : 0) | (attestedCredential ? 0x40 : 0)
+    header.writeUInt32BE(signCount, 33)
+    return attestedCredential ? Buffer.concat([header, attestedCredential]) : header
+  }
+
+  return {
+    credentials,
+
+    /**
+     * Answers registration options like navigator.credentials.create().
+     *
+     * @param {Object} options - Creation options from the API
+     * @param {Object} [behaviour]
+     * @param {boolean} [behaviour.userVerified=true] - Whether to report user verification
+     * @param {string} [behaviour.rpId] - RP ID to sign for instead of the requested one
+     * @returns {Object} PublicKeyCredential JSON
+     */
+    createCredential(options, { userVerified = true, rpId = options.rp.id } = {}) {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+      const jwk = publicKey.export({ format: "jwk" })
+      const id = crypto.randomBytes(32)
+      const coseKey = new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, "base64url")],
+        [-3, Buffer.from(jwk.y, "base64url")],
+      ])
+
+      const idLength = Buffer.alloc(2)
+      idLength.writeUInt16BE(id.length)
+      const attestedCredential = Buffer.concat([
+        Buffer.alloc(16),
+        idLength,
+        id,
+        encodeCbor(coseKey),
+      ])
+      const authData = authenticatorData(rpId, { userVerified, signCount: 0, attestedCredential })
+
+      credentials.push({ id, privateKey, rpId, userHandle: options.user.id, signCount: 0 })
+
+      return {
+        id: id.toString("base64url"),
+        rawId: id.toString("base64url"),
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataFor("webauthn.create", options.challenge).toString("base64url"),
+          attestationObject: encodeCbor({
+            fmt: "none",
+            attStmt: {},
+            authData,
+          }).toString("base64url"),
+        },
+      }
+    },
+
+    /**
+     * Answers request options like navigator.credentials.get(), picking the
+     * first allowed credential, or the first one for the RP when any is allowed.
+     *
+     * @param {Object} options - Request options from the API
+     * @param {Object} [behaviour]
+     * @param {boolean} [behaviour.userVerified=true] - Whether to report user verification
+     * @param {string} [behaviour.challenge] - Challenge to sign instead of the requested one
+     * @returns {Object} PublicKeyCredential JSON
+     */
+    getAssertion(options, { userVerified = true, challenge = options.challenge } = {}) {
+      const allowed = options.allowCredentials.map((descriptor) => descriptor.id)
+      const credential = credentials.find(
+        (candidate) =>
+          candidate.rpId === options.rpId &&
+          (allowed.length === 0 || allowed.includes(candidate.id.toString("base64url"))),
+      )
+
+      credential.signCount += 1
+      const authData = authenticatorData(options.rpId, {
+        userVerified,
+        signCount: credential.signCount,
+      })
+      const clientDataJSON = clientDataFor("webauthn.get", challenge)
+      const clientDataHash = crypto.createHash("sha256").update(clientDataJSON).digest()
+      const signature = crypto.sign(
+        "sha256",
+        Buffer.concat([authData, clientDataHash]),
+        credential.privateKey,
+      )
+
+      return {
+        id: credential.id.toString("base64url"),
+        rawId: credential.id.toString("base64url"),
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataJSON.toString("base64url"),
+          authenticatorData: authData.toString("base64url"),
+          signature: signature.toString("base64url"),
+          userHandle: credential.userHandle,
+        },
+      }
+    },
+  }
+}
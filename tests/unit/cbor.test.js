@@ -0,0 +1,34 @@
+import { decodeCbor, decodeCborPrefix } from "../../src/utils/cbor.js"
+
+describe("decodeCbor", () => {
+  it("should decode the RFC 8949 appendix A examples it supports", () => {
+    expect(decodeCbor(Buffer.from("00", "hex"))).toBe(0)
+    expect(decodeCbor(Buffer.from("1903e8", "hex"))).toBe(1000)
+    expect(decodeCbor(Buffer.from("3903e7", "hex"))).toBe(-1000)
+    expect(decodeCbor(Buffer.from("4401020304", "hex"))).toEqual(Buffer.from("01020304", "hex"))
+    expect(decodeCbor(Buffer.from("6449455446", "hex"))).toBe("IETF")
+    expect(decodeCbor(Buffer.from("8301820203820405", "hex"))).toEqual([1, [2, 3], [4, 5]])
+    expect(decodeCbor(Buffer.from("f5", "hex"))).toBe(true)
+    expect(decodeCbor(Buffer.from("f97c00", "hex"))).toBe(Infinity)
+  })
+
+  it("should keep integer and string map keys apart", () => {
+    // {1: 2, "1": 3}
+    const map = decodeCbor(Buffer.from("a20102613103", "hex"))
+
+    expect(map.get(1)).toBe(2)
+    expect(map.get("1")).toBe(3)
+  })
+
+  it("should reject truncated, indefinite-length and trailing data", () => {
+    expect(() => decodeCbor(Buffer.from("4401", "hex"))).toThrow()
+    expect(() => decodeCbor(Buffer.from("5f42010243030405ff", "hex"))).toThrow()
+    expect(() => decodeCbor(Buffer.from("0101", "hex"))).toThrow()
+  })
+})
+
+describe("decodeCborPrefix", () => {
+  it("should report how many bytes the first item used", () => {
+    expect(decodeCborPrefix(Buffer.from("1903e8ff", "hex"))).toEqual({ value: 1000, length: 3 })
+  })
+})
@@ -14,6 +14,12 @@ describe("HttpError", () => {
     const error = new HttpError(404, "Not Found")
     expect(error.status).toBe(404)
     expect(error.message).toBe("Not Found")
+    expect(error.data).toBeNull()
+  })
+
+  it("should carry details for the client", () => {
+    const error = new HttpError(400, "Authorization pending", { error: "authorization_pending" })
+    expect(error.data).toEqual({ error: "authorization_pending" })
   })
 
   it("should have a stack trace", () => {
@@ -0,0 +1,57 @@
+import { checkPassword } from "../../src/utils/password-policy.js"
+
+const POLICY_ENV_KEYS = ["PASSWORD_MIN_LENGTH", "PASSWORD_REQUIRED_CLASSES", "PASSWORD_DENYLIST"]
+
+let previousEnv
+
+beforeEach(() => {
+  previousEnv = Object.fromEntries(POLICY_ENV_KEYS.map((key) => [key, process.env[key]]))
+  process.env.PASSWORD_MIN_LENGTH = "8"
+  process.env.PASSWORD_REQUIRED_CLASSES = ""
+  process.env.PASSWORD_DENYLIST = "true"
+})
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value === undefined) {
+      delete process.env[key]
+    } else {
+      process.env[key] = value
+    }
+  }
+})
+
+describe("checkPassword", () => {
+  it("should allow a password that breaks no rule", () => {
+    expect(checkPassword("plum-kettle-river", { username: "alice" })).toBeNull()
+  })
+
+  it("should enforce the configured minimum length", () => {
+    process.env.PASSWORD_MIN_LENGTH = "12"
+
+    expect(checkPassword("short-pass1")).toBe("password must be between 12 and 72 characters")
+    expect(checkPassword("a".repeat(73))).toBe("password must be between 12 and 72 characters")
+  })
+
+  it("should list every missing character class", () => {
+    process.env.PASSWORD_REQUIRED_CLASSES = "lowercase,uppercase,digit,symbol"
+
+    expect(checkPassword("plumkettle")).toBe(
+      "password must contain an uppercase letter, a digit, a symbol",
+    )
+    expect(checkPassword("Plum-kettle-7")).toBeNull()
+  })
+
+  it("should reject the username in any case", () => {
+    expect(checkPassword("xxALICExx-42", { username: "alice" })).toBe(
+      "password must not contain the username",
+    )
+  })
+
+  it("should reject common passwords regardless of case unless the denylist is off", () => {
+    expect(checkPassword("Baseball")).toBe("password is too common")
+
+    process.env.PASSWORD_DENYLIST = "false"
+    expect(checkPassword("Baseball")).toBeNull()
+  })
+})
@@ -0,0 +1,92 @@
+import crypto from "node:crypto"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { getJwks, getKeySet } from "../../src/utils/signing-keys.js"
+
+const JWT_ENV_KEYS = ["JWT_ALGORITHM", "JWT_KEYS_DIR", "JWT_SIGNING_KEYS", "JWT_ACTIVE_KID"]
+
+const generateKeyPair = (type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options)
+  return {
+    privatePem: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicPem: publicKey.export({ type: "spki", format: "pem" }),
+  }
+}
+
+const rsa = generateKeyPair("rsa", { modulusLength: 2048 })
+const ec = generateKeyPair("ec", { namedCurve: "P-256" })
+
+let previousEnv
+
+beforeEach(() => {
+  previousEnv = Object.fromEntries(JWT_ENV_KEYS.map((key) => [key, process.env[key]]))
+  for (const key of JWT_ENV_KEYS) {
+    delete process.env[key]
+  }
+})
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(previousEnv)) {
+    if (value !== undefined) {
+      process.env[key] = value
+    }
+  }
+})
+
+describe("getKeySet", () => {
+  it("should return null for HS256", () => {
+    expect(getKeySet()).toBeNull()
+    expect(getJwks()).toEqual({ keys: [] })
+  })
+
+  it("should load <kid>.pem files from JWT_KEYS_DIR", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-"))
+    fs.writeFileSync(path.join(dir, "current.pem"), rsa.privatePem)
+    fs.writeFileSync(path.join(dir, "notes.txt"), "ignored")
+    process.env.JWT_ALGORITHM = "RS256"
+    process.env.JWT_KEYS_DIR = dir
+
+    const keySet = getKeySet()
+
+    expect([...keySet.keys.keys()]).toEqual(["current"])
+    expect(keySet.active.kid).toBe("current")
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it("should keep public-only keys for verification but never sign with them", () => {
+    process.env.JWT_ALGORITHM = "ES256"
+    process.env.JWT_SIGNING_KEYS = JSON.stringify({ old: ec.publicPem, new: ec.privatePem })
+
+    const keySet = getKeySet()
+
+    expect(keySet.active.kid).toBe("new")
+    expect(keySet.keys.get("old").privateKey).toBeNull()
+    expect(getJwks().keys.map((key) => key.kid)).toEqual(["old", "new"])
+  })
+
+  it("should require JWT_ACTIVE_KID when several private keys are configured", () => {
+    process.env.JWT_ALGORITHM = "RS256"
+    process.env.JWT_SIGNING_KEYS = JSON.stringify({ a: rsa.privatePem, b: rsa.privatePem })
+
+    expect(() => getKeySet()).toThrow("JWT_ACTIVE_KID must be set")
+
+    process.env.JWT_ACTIVE_KID = "b"
+    expect(getKeySet().active.kid).toBe("b")
+  })
+
+  it("should reject keys that do not match the algorithm", () => {
+    process.env.JWT_ALGORITHM = "RS256"
+    process.env.JWT_SIGNING_KEYS = JSON.stringify({ ec: ec.privatePem })
+
+    expect(() => getKeySet()).toThrow('JWT key "ec" cannot be used with RS256')
+  })
+
+  it("should reject an active key that is only public", () => {
+    process.env.JWT_ALGORITHM = "RS256"
+    process.env.JWT_SIGNING_KEYS = JSON.stringify({ a: rsa.privatePem, b: rsa.publicPem })
+    process.env.JWT_ACTIVE_KID = "b"
+
+    expect(() => getKeySet()).toThrow('JWT_ACTIVE_KID "b" does not match a configured private key')
+  })
+})
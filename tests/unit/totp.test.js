@@ -0,0 +1,47 @@
+import {
+  buildOtpauthUri,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp,
+} from "../../src/utils/totp.js"
+
+// RFC 6238 SHA-1 test secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+
+describe("generateTotp", () => {
+  it("should match the RFC 6238 test vectors (last 6 digits)", () => {
+    expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe("287082")
+    expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe("081804")
+    expect(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30))).toBe("005924")
+  })
+})
+
+describe("verifyTotp", () => {
+  it("should accept the current code and return its time step", () => {
+    const secret = generateTotpSecret()
+    const step = Math.floor(Date.now() / 1000 / 30)
+
+    expect(verifyTotp(secret, generateTotp(secret, step))).toBe(step)
+  })
+
+  it("should reject codes outside the drift window", () => {
+    const secret = generateTotpSecret()
+    const step = Math.floor(Date.now() / 1000 / 30)
+
+    expect(verifyTotp(secret, generateTotp(secret, step - 5))).toBeNull()
+  })
+
+  it("should reject malformed codes", () => {
+    expect(verifyTotp(generateTotpSecret(), "12ab56")).toBeNull()
+  })
+})
+
+describe("buildOtpauthUri", () => {
+  it("should include the secret, issuer, and account label", () => {
+    const uri = buildOtpauthUri({ secret: "ABC", accountName: "john", issuer: "Acme" })
+
+    expect(uri).toBe(
+      "otpauth://totp/Acme%3Ajohn?secret=ABC&issuer=Acme&algorithm=SHA1&digits=6&period=30",
+    )
+  })
+})